@@ -8,12 +8,18 @@ import {
   Search, 
   Chat, 
   Generate,
+  Library,
+  DocumentViewer,
+  SetPassword,
+  ChangePassword,
   AdminDashboard,
   UploadContent,
   ManageContent,
+  ManageUsers,
   NotFound,
 } from './pages'
 import { ProtectedRoute } from './components/common'
+import { PERMISSIONS, STAFF_ROLES } from './services/permissions'
 
 // ScrollToTop component - scrolls to top on route change
 function ScrollToTop() {
@@ -65,6 +71,8 @@ function App() {
           {/* Public Routes */}
           <Route path="/" element={<Landing />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/invite/:token" element={<SetPassword mode="invite" />} />
+          <Route path="/reset-password/:token" element={<SetPassword mode="reset" />} />
 
           {/* Protected Student Routes */}
           <Route path="/dashboard" element={
@@ -87,23 +95,43 @@ function App() {
               <Generate />
             </ProtectedRoute>
           } />
+          <Route path="/library" element={
+            <ProtectedRoute>
+              <Library />
+            </ProtectedRoute>
+          } />
+          <Route path="/documents/:contentId" element={
+            <ProtectedRoute>
+              <DocumentViewer />
+            </ProtectedRoute>
+          } />
+          <Route path="/account/password" element={
+            <ProtectedRoute>
+              <ChangePassword />
+            </ProtectedRoute>
+          } />
 
-          {/* Protected Admin Routes */}
+          {/* Protected Staff Routes */}
           <Route path="/admin" element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute requiredRole={STAFF_ROLES}>
               <AdminDashboard />
             </ProtectedRoute>
           } />
           <Route path="/admin/upload" element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute requiredPermission={PERMISSIONS.CONTENT_UPLOAD}>
               <UploadContent />
             </ProtectedRoute>
           } />
           <Route path="/admin/content" element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute requiredPermission={PERMISSIONS.CONTENT_EDIT}>
               <ManageContent />
             </ProtectedRoute>
           } />
+          <Route path="/admin/users" element={
+            <ProtectedRoute requiredPermission={PERMISSIONS.USERS_MANAGE}>
+              <ManageUsers />
+            </ProtectedRoute>
+          } />
 
           {/* 404 Catch-all Route */}
           <Route path="*" element={<NotFound />} />
@@ -6,12 +6,24 @@
  * - Type badge (Theory/Lab)
  * - Week
  * - Topic
- * - Action buttons
+ * - Search indexing status
+ * - Action buttons (only those with a handler, so read-only items show none)
  */
 
 import BrutalButton from '../ui/BrutalButton'
 
-function ContentCard({ content, onEdit, onDelete }) {
+// Indexing status badge styles
+const indexStatuses = {
+  queued: { label: 'Queued', className: 'bg-[#E8E8E4]' },
+  indexing: { label: 'Indexing…', className: 'bg-[#FFD93D] animate-pulse' },
+  indexed: { label: 'Indexed', className: 'bg-[#6BCB77]' },
+  failed: { label: 'Failed', className: 'bg-[#FF6B6B]' },
+}
+
+function ContentCard({ content, onEdit, onDelete, onReindex }) {
+  const indexStatus = indexStatuses[content.indexStatus] || { label: 'Not indexed', className: 'bg-white' }
+  const canReindex = onReindex && (content.indexStatus === 'failed' || !content.indexStatus)
+
   const typeColors = {
     theory: 'bg-[#FFD93D]',
     lab: 'bg-[#6BCB77]',
@@ -83,36 +95,67 @@ function ContentCard({ content, onEdit, onDelete }) {
         )}
       </div>
 
-      {/* Actions */}
-      <div className="flex gap-2 shrink-0">
-        <BrutalButton
-          variant="neutral"
-          className="px-4 py-2 text-sm"
-          onClick={() => onEdit?.(content)}
-        >
-          Edit
-        </BrutalButton>
-        <button
-          className="
-            px-4 py-2
-            text-sm font-bold
-            text-[#111111]
-            bg-[#FF6B6B]
+      {/* Indexing Status */}
+      <div className="flex flex-col items-start sm:items-end gap-1 shrink-0 sm:w-32">
+        <span
+          className={`
+            px-2 py-0.5
+            text-xs font-bold
             border-2 border-[#111111]
-            rounded-xl
-            shadow-[4px_4px_0px_#111111]
-            transition-all duration-150 ease-out
-            hover:-translate-y-0.5 hover:-translate-x-0.5
-            hover:shadow-[6px_6px_0px_#111111]
-            active:translate-y-0.5 active:translate-x-0.5
-            active:shadow-[0px_0px_0px_#111111]
-            cursor-pointer
-          "
-          onClick={() => onDelete?.(content)}
+            rounded-md
+            ${indexStatus.className}
+          `}
+          title={content.indexError || undefined}
         >
-          Delete
-        </button>
+          {indexStatus.label}
+        </span>
+        {content.indexStatus === 'failed' && content.indexError && (
+          <span className="text-xs text-red-700 line-clamp-2 sm:text-right" title={content.indexError}>
+            {content.indexError}
+          </span>
+        )}
+        {canReindex && (
+          <button
+            onClick={() => onReindex(content)}
+            className="text-xs font-medium text-[#111111] underline hover:no-underline cursor-pointer"
+          >
+            {content.indexStatus === 'failed' ? 'Retry' : 'Index now'}
+          </button>
+        )}
       </div>
+
+      {/* Actions */}
+      {(onEdit || onDelete) && (
+        <div className="flex gap-2 shrink-0">
+          <BrutalButton
+            variant="neutral"
+            className="px-4 py-2 text-sm"
+            onClick={() => onEdit?.(content)}
+          >
+            Edit
+          </BrutalButton>
+          <button
+            className="
+              px-4 py-2
+              text-sm font-bold
+              text-[#111111]
+              bg-[#FF6B6B]
+              border-2 border-[#111111]
+              rounded-xl
+              shadow-[4px_4px_0px_#111111]
+              transition-all duration-150 ease-out
+              hover:-translate-y-0.5 hover:-translate-x-0.5
+              hover:shadow-[6px_6px_0px_#111111]
+              active:translate-y-0.5 active:translate-x-0.5
+              active:shadow-[0px_0px_0px_#111111]
+              cursor-pointer
+            "
+            onClick={() => onDelete?.(content)}
+          >
+            Delete
+          </button>
+        </div>
+      )}
     </div>
   )
 }
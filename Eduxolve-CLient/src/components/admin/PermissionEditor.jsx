@@ -0,0 +1,147 @@
+/**
+ * PermissionEditor - Modal for a user's custom permissions
+ *
+ * Each permission can be granted outright; content permissions can
+ * instead be limited to some weeks and/or tags. Saving replaces the
+ * role's defaults; "Use role defaults" removes the custom grants again.
+ */
+
+import { useState } from 'react'
+import BrutalButton from '../ui/BrutalButton'
+import { PERMISSIONS, ROLE_LABELS } from '../../services/permissions'
+
+// Parse "3, 5-7" into [3, 5, 6, 7]
+const parseWeeks = (text) => {
+  const weeks = new Set()
+  for (const part of text.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const [from, to = from] = part.split('-').map((n) => parseInt(n, 10))
+    for (let week = from; week <= to && week <= 52; week++) {
+      if (week >= 1) weeks.add(week)
+    }
+  }
+  return [...weeks].sort((a, b) => a - b)
+}
+
+const parseTags = (text) =>
+  [...new Set(text.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean))]
+
+function PermissionEditor({ user, catalog, canGrantUserManagement, isSaving, onSave, onCancel }) {
+  // Start from the user's custom grants, or their role's defaults
+  const [rows, setRows] = useState(() => {
+    const grants = user.permissions
+      || (catalog.roles[user.role] || []).map((permission) => ({ permission, weeks: [], tags: [] }))
+    return catalog.permissions.map(({ name }) => {
+      const grant = grants.find((g) => g.permission === name)
+      return {
+        name,
+        enabled: Boolean(grant),
+        weeks: grant ? grant.weeks.join(', ') : '',
+        tags: grant ? grant.tags.join(', ') : '',
+      }
+    })
+  })
+
+  const updateRow = (name, changes) => {
+    setRows((prev) => prev.map((row) => (row.name === name ? { ...row, ...changes } : row)))
+  }
+
+  const handleSave = () => {
+    onSave(rows
+      .filter((row) => row.enabled)
+      .map((row) => ({ permission: row.name, weeks: parseWeeks(row.weeks), tags: parseTags(row.tags) })))
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-[#111111]/50"
+        onClick={onCancel}
+      />
+
+      {/* Dialog */}
+      <div
+        className="
+          relative
+          bg-white
+          border-2 border-[#111111]
+          rounded-2xl
+          shadow-[8px_8px_0px_#111111]
+          p-6
+          mx-4
+          max-w-2xl
+          w-full
+          max-h-[90vh] overflow-y-auto
+        "
+      >
+        <h3 className="font-bold text-xl text-[#111111] mb-1">
+          Permissions
+        </h3>
+        <p className="text-[#111111]/70 mb-6">
+          {user.email} · {user.permissions ? 'custom permissions' : `${ROLE_LABELS[user.role]} defaults`}.
+          Leave weeks and tags empty to allow all content.
+        </p>
+
+        <div className="space-y-4 mb-6">
+          {catalog.permissions.map(({ name, label, scopable }) => {
+            const row = rows.find((r) => r.name === name)
+            const locked = name === PERMISSIONS.USERS_MANAGE && !canGrantUserManagement
+            return (
+              <div key={name} className="p-4 border-2 border-[#111111] rounded-xl">
+                <label className="flex items-center gap-3 font-semibold text-[#111111] cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={row.enabled}
+                    disabled={locked}
+                    onChange={(e) => updateRow(name, { enabled: e.target.checked })}
+                    className="w-4 h-4 accent-[#111111]"
+                  />
+                  {label}
+                  <span className="text-xs font-mono text-[#111111]/50">{name}</span>
+                </label>
+                {row.enabled && scopable && (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+                    <input
+                      value={row.weeks}
+                      onChange={(e) => updateRow(name, { weeks: e.target.value })}
+                      placeholder="Weeks, e.g. 3, 5-7"
+                      aria-label={`${label} weeks`}
+                      className="px-3 py-2 text-sm bg-white border-2 border-[#111111] rounded-lg outline-none"
+                    />
+                    <input
+                      value={row.tags}
+                      onChange={(e) => updateRow(name, { tags: e.target.value })}
+                      placeholder="Tags, e.g. trees, graphs"
+                      aria-label={`${label} tags`}
+                      className="px-3 py-2 text-sm bg-white border-2 border-[#111111] rounded-lg outline-none"
+                    />
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <div className="flex flex-wrap justify-between gap-3">
+          <BrutalButton
+            variant="neutral"
+            onClick={() => onSave(null)}
+            disabled={isSaving || !user.permissions}
+          >
+            Use role defaults
+          </BrutalButton>
+          <div className="flex gap-3">
+            <BrutalButton variant="neutral" onClick={onCancel}>
+              Cancel
+            </BrutalButton>
+            <BrutalButton variant="primary" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </BrutalButton>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PermissionEditor
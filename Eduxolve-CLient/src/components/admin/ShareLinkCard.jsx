@@ -0,0 +1,71 @@
+/**
+ * ShareLinkCard - Shows a one-time invitation or reset link to copy
+ *
+ * The server has no mail transport, so the admin passes the link on.
+ */
+
+import { useState } from 'react'
+import BrutalButton from '../ui/BrutalButton'
+
+function ShareLinkCard({ title, url, expiresAt, onDismiss }) {
+  const [copied, setCopied] = useState(false)
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url)
+      setCopied(true)
+    } catch {
+      setCopied(false)
+    }
+  }
+
+  return (
+    <div
+      className="
+        p-5
+        bg-[#FFF9DB]
+        border-2 border-[#111111]
+        rounded-2xl
+        shadow-[4px_4px_0px_#111111]
+      "
+    >
+      <div className="flex items-start justify-between gap-4 mb-3">
+        <div>
+          <h3 className="font-bold text-[#111111]">{title}</h3>
+          <p className="text-sm text-[#111111]/60">
+            Send this link to the user. It works once
+            {expiresAt && <> and expires {new Date(expiresAt).toLocaleString()}</>}.
+          </p>
+        </div>
+        <button
+          onClick={onDismiss}
+          className="text-sm text-[#111111]/60 hover:text-[#111111] underline cursor-pointer"
+        >
+          Dismiss
+        </button>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          readOnly
+          value={url}
+          onFocus={(e) => e.target.select()}
+          aria-label={title}
+          className="
+            flex-1 min-w-0
+            px-3 py-2
+            font-mono text-sm
+            bg-white
+            border-2 border-[#111111]
+            rounded-lg
+            outline-none
+          "
+        />
+        <BrutalButton variant="primary" onClick={handleCopy} className="px-4 py-2 text-sm">
+          {copied ? 'Copied!' : 'Copy link'}
+        </BrutalButton>
+      </div>
+    </div>
+  )
+}
+
+export default ShareLinkCard
@@ -0,0 +1,147 @@
+/**
+ * UserRow - One user in the admin users list
+ *
+ * Shows:
+ * - Email, sign-in method and last login
+ * - Status badges (disabled, locked, invitation pending)
+ * - Role selector (promote / demote)
+ * - Actions: permissions, disable/enable, unlock, reset link, resend invite
+ *
+ * Non-admin managers (users:manage) cannot change admin accounts or
+ * promote to admin, so those controls are disabled for them.
+ */
+
+import BrutalButton from '../ui/BrutalButton'
+import { ROLE_LABELS } from '../../services/permissions'
+
+// Role badge colors
+const roleColors = {
+  admin: 'bg-[#FF6B6B]',
+  instructor: 'bg-[#4ECDC4]',
+  ta: 'bg-[#C3B1E1]',
+  student: 'bg-[#FFD93D]',
+}
+
+const ROLE_OPTIONS = ['student', 'ta', 'instructor', 'admin']
+
+function StatusBadge({ className, children }) {
+  return (
+    <span
+      className={`
+        px-2 py-0.5
+        text-xs font-bold uppercase
+        border-2 border-[#111111]
+        rounded-md
+        shrink-0
+        ${className}
+      `}
+    >
+      {children}
+    </span>
+  )
+}
+
+function UserRow({ user, isSelf, isBusy, canManageAdmins, onRoleChange, onEditPermissions, onToggleDisabled, onUnlock, onResetLink, onResendInvite }) {
+  // Managers who are not admins leave admin accounts alone
+  const isProtected = user.role === 'admin' && !canManageAdmins
+  const lastLogin = user.lastLoginAt
+    ? new Date(user.lastLoginAt).toLocaleString()
+    : 'Never signed in'
+
+  return (
+    <div
+      className={`
+        bg-white
+        border-2 border-[#111111]
+        rounded-2xl
+        shadow-[4px_4px_0px_#111111]
+        p-5
+        flex flex-col md:flex-row md:items-center
+        gap-4
+        ${user.disabled ? 'opacity-60' : ''}
+      `}
+    >
+      {/* User Info */}
+      <div className="flex-1 min-w-0">
+        <div className="flex flex-wrap items-center gap-2 mb-1">
+          <h3 className="font-bold text-[#111111] truncate">
+            {user.email}
+          </h3>
+          {isSelf && <StatusBadge className="bg-white">You</StatusBadge>}
+          <StatusBadge className={roleColors[user.role] || 'bg-white'}>{ROLE_LABELS[user.role] || user.role}</StatusBadge>
+          {user.permissions && <StatusBadge className="bg-white">Custom permissions</StatusBadge>}
+          {user.disabled && <StatusBadge className="bg-[#E8E8E4]">Disabled</StatusBadge>}
+          {user.locked && <StatusBadge className="bg-[#FF9F43]">Locked</StatusBadge>}
+          {user.invitePending && <StatusBadge className="bg-[#E8F0FC]">Invited</StatusBadge>}
+        </div>
+        <p className="text-sm text-[#111111]/60">
+          {user.authProvider === 'firebase' ? 'Google / Firebase sign-in' : 'Staff password'}
+          {' · '}
+          {user.invitePending
+            ? `Invitation expires ${new Date(user.inviteExpiresAt).toLocaleString()}`
+            : user.locked
+              ? `Locked until ${new Date(user.lockedUntil).toLocaleTimeString()}`
+              : lastLogin}
+        </p>
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-wrap items-center gap-2 shrink-0">
+        <label className="sr-only" htmlFor={`role-${user.id}`}>Role</label>
+        <select
+          id={`role-${user.id}`}
+          value={user.role}
+          onChange={(e) => onRoleChange(user, e.target.value)}
+          disabled={isSelf || isBusy || isProtected}
+          className="
+            px-3 py-2
+            text-sm font-medium
+            bg-white
+            border-2 border-[#111111]
+            rounded-lg
+            shadow-[2px_2px_0_#111111]
+            cursor-pointer
+            disabled:cursor-not-allowed disabled:opacity-50
+          "
+        >
+          {ROLE_OPTIONS.map(role => (
+            <option key={role} value={role} disabled={role === 'admin' && !canManageAdmins}>
+              {ROLE_LABELS[role]}
+            </option>
+          ))}
+        </select>
+
+        {user.role !== 'admin' && (
+          <BrutalButton variant="neutral" onClick={() => onEditPermissions(user)} disabled={isSelf || isBusy} className="px-3 py-2 text-sm">
+            Permissions
+          </BrutalButton>
+        )}
+
+        {user.locked && (
+          <BrutalButton variant="neutral" onClick={() => onUnlock(user)} disabled={isBusy || isProtected} className="px-3 py-2 text-sm">
+            Unlock
+          </BrutalButton>
+        )}
+        {user.invitePending ? (
+          <BrutalButton variant="neutral" onClick={() => onResendInvite(user)} disabled={isBusy || isProtected} className="px-3 py-2 text-sm">
+            New invite link
+          </BrutalButton>
+        ) : user.authProvider === 'local' && (
+          <BrutalButton variant="neutral" onClick={() => onResetLink(user)} disabled={isBusy || isProtected} className="px-3 py-2 text-sm">
+            Reset link
+          </BrutalButton>
+        )}
+        <BrutalButton
+          variant={user.disabled ? 'secondary' : 'danger'}
+          onClick={() => onToggleDisabled(user)}
+          disabled={isSelf || isBusy || isProtected}
+          className="px-3 py-2 text-sm"
+        >
+          {user.disabled ? 'Enable' : 'Disable'}
+        </BrutalButton>
+      </div>
+    </div>
+  )
+}
+
+export default UserRow
@@ -2,3 +2,6 @@ export { default as UploadArea } from './UploadArea'
 export { default as MetadataForm } from './MetadataForm'
 export { default as ContentCard } from './ContentCard'
 export { default as ConfirmDialog } from './ConfirmDialog'
+export { default as UserRow } from './UserRow'
+export { default as ShareLinkCard } from './ShareLinkCard'
+export { default as PermissionEditor } from './PermissionEditor'
@@ -1,17 +1,41 @@
 /**
  * ChatHeader - Header component for the chat page
+ * Optional conversation title and a history toggle for small screens
  */
 
-function ChatHeader() {
+import { IoTimeOutline } from 'react-icons/io5'
+
+function ChatHeader({ title, onShowHistory }) {
   return (
     <div className="px-6 py-4 bg-[#FAF8F5]">
-      <div className="max-w-4xl mx-auto">
-        <h1 className="text-2xl font-bold text-[#111111]">
-          Course Assistant
-        </h1>
-        <p className="text-sm text-[#111111]/60 mt-1">
-          Ask questions about your course
-        </p>
+      <div className="max-w-4xl mx-auto flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <h1 className="text-2xl font-bold text-[#111111]">
+            Course Assistant
+          </h1>
+          <p className="text-sm text-[#111111]/60 mt-1 truncate">
+            {title || 'Ask questions about your course'}
+          </p>
+        </div>
+        {onShowHistory && (
+          <button
+            onClick={onShowHistory}
+            className="
+              md:hidden
+              flex items-center gap-1
+              px-3 py-2
+              text-sm font-medium
+              bg-white
+              border-2 border-[#111111]
+              rounded-lg
+              shadow-[2px_2px_0_#111111]
+              cursor-pointer
+            "
+          >
+            <IoTimeOutline size={16} />
+            History
+          </button>
+        )}
       </div>
     </div>
   )
@@ -1,6 +1,8 @@
 /**
  * ChatMessage - Individual message component
  * Supports user, AI, and system message types
+ * Streaming AI replies render token by token with a stop button
+ * Inline [n] citations open the cited course material
  * 
  * Animations:
  * - Messages slide in from bottom
@@ -8,15 +10,49 @@
  * - Action buttons animate after content
  */
 
+import { useState, useCallback } from 'react'
 import { motion } from 'framer-motion'
-import { IoDocument } from 'react-icons/io5'
+import { IoDocument, IoStop } from 'react-icons/io5'
 import ActionButtons from './ActionButtons'
+import CitationPreview from './CitationPreview'
 import { MarkdownRenderer } from '../common'
 
-function ChatMessage({ message, onAction }) {
+// Stop button shown while a reply is being generated
+function StopButton({ onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="
+        ml-auto
+        flex items-center gap-1
+        px-2 py-1
+        text-xs font-medium
+        bg-white
+        border-2 border-[#111111]
+        rounded-lg
+        shadow-[2px_2px_0px_#111111]
+        hover:shadow-[3px_3px_0px_#111111]
+        active:shadow-none
+        transition-all duration-150
+        cursor-pointer
+      "
+    >
+      <IoStop size={12} /> Stop
+    </button>
+  )
+}
+
+function ChatMessage({ message, onAction, onCancel }) {
   const isUser = message.role === 'user'
   const isAI = message.role === 'assistant'
   const isLoading = message.isLoading
+  const isStreaming = message.isStreaming
+  const citations = message.citations || []
+  const [openCitation, setOpenCitation] = useState(null)
+
+  const handleCitationClick = useCallback((index) => {
+    setOpenCitation(message.citations?.find(c => c.index === index) || null)
+  }, [message.citations])
 
   // Message animation - slide up from bottom
   const messageVariants = {
@@ -96,6 +132,20 @@ function ChatMessage({ message, onAction }) {
               />
             </div>
             <span className="text-[#111111]/60 text-sm">Thinking</span>
+            {onCancel && <StopButton onClick={onCancel} />}
+          </div>
+        ) : isStreaming ? (
+          // Streaming State - tokens render as they arrive
+          <div className="text-[#111111]">
+            <MarkdownRenderer content={message.content} animate={false} />
+            <div className="flex items-center gap-2 mt-3">
+              <motion.span
+                className="w-2 h-4 bg-[#111111]"
+                animate={{ opacity: [1, 0, 1] }}
+                transition={{ duration: 0.9, repeat: Infinity }}
+              />
+              {onCancel && <StopButton onClick={onCancel} />}
+            </div>
           </div>
         ) : (
           <motion.div
@@ -109,14 +159,48 @@ function ChatMessage({ message, onAction }) {
               className="text-[#111111]"
             >
               {isAI ? (
-                <MarkdownRenderer content={message.content} animate={false} />
+                <MarkdownRenderer
+                  content={message.content}
+                  animate={false}
+                  citations={citations}
+                  onCitationClick={handleCitationClick}
+                />
               ) : (
                 <span className="whitespace-pre-wrap">{message.content}</span>
               )}
             </motion.div>
 
-            {/* Sources Section (AI only) */}
-            {isAI && message.sources && message.sources.length > 0 && (
+            {/* Footnotes for inline citations (AI only) */}
+            {isAI && citations.length > 0 && (
+              <motion.div 
+                variants={childVariants}
+                className="mt-4 pt-3 border-t-2 border-[#111111]/20"
+              >
+                <p className="text-xs font-semibold text-[#111111]/60 uppercase tracking-wide mb-2">
+                  Sources cited
+                </p>
+                <ol className="space-y-1">
+                  {citations.map((citation) => (
+                    <li key={citation.index}>
+                      <button
+                        onClick={() => setOpenCitation(citation)}
+                        className="w-full text-left flex items-start gap-2 text-xs text-[#111111] hover:underline cursor-pointer"
+                      >
+                        <span className="shrink-0 px-1.5 font-bold bg-[#FFD93D] border border-[#111111] rounded">
+                          {citation.index}
+                        </span>
+                        <span className="truncate">
+                          {citation.title}{citation.location && ` - ${citation.location}`}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+              </motion.div>
+            )}
+
+            {/* Sources Section (AI only, when the reply has no inline citations) */}
+            {isAI && citations.length === 0 && message.sources && message.sources.length > 0 && (
               <motion.div 
                 variants={childVariants}
                 className="mt-4 pt-3 border-t-2 border-[#111111]/20"
@@ -149,6 +233,8 @@ function ChatMessage({ message, onAction }) {
           </motion.div>
         )}
       </div>
+
+      <CitationPreview citation={openCitation} onClose={() => setOpenCitation(null)} />
     </motion.div>
   )
 }
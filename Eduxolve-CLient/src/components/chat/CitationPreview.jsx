@@ -0,0 +1,122 @@
+/**
+ * CitationPreview - Source behind an inline [n] citation
+ * Shows the cited chunk and opens it in the document viewer or the file at that page
+ */
+
+import { Link } from 'react-router-dom'
+import { IoClose, IoDocumentText, IoOpenOutline, IoReader } from 'react-icons/io5'
+import { resolveFileUrl } from '../../services/api'
+
+function CitationPreview({ citation, onClose }) {
+  if (!citation) return null
+
+  const fileUrl = resolveFileUrl(citation.fileUrl)
+  // PDF viewers jump to #page=N; other files just open
+  const href = fileUrl && citation.page ? `${fileUrl}#page=${citation.page}` : fileUrl
+  const hasChunk = citation.chunkIndex !== null && citation.chunkIndex !== undefined
+  const viewerPath = citation.contentId
+    ? `/documents/${citation.contentId}${hasChunk ? `?chunk=${citation.chunkIndex}` : ''}`
+    : null
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-[#111111]/50"
+        onClick={onClose}
+      />
+
+      {/* Dialog */}
+      <div
+        className="
+          relative
+          bg-white
+          border-2 border-[#111111]
+          rounded-2xl
+          shadow-[8px_8px_0px_#111111]
+          p-6
+          mx-4
+          max-w-lg
+          w-full
+        "
+        role="dialog"
+        aria-label={`Source ${citation.index}`}
+      >
+        <div className="flex items-start gap-3 mb-4">
+          <span className="shrink-0 w-8 h-8 flex items-center justify-center font-bold text-sm bg-[#FFD93D] border-2 border-[#111111] rounded-lg">
+            {citation.index}
+          </span>
+          <div className="flex-1 min-w-0">
+            <h3 className="font-bold text-lg text-[#111111] truncate">
+              {citation.title}
+            </h3>
+            <p className="text-xs text-[#111111]/60">
+              {citation.location || 'Course material'}
+              {hasChunk && ` · Section ${citation.chunkIndex + 1}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-[#111111]/60 hover:text-[#111111] cursor-pointer"
+            aria-label="Close source"
+          >
+            <IoClose size={22} />
+          </button>
+        </div>
+
+        {/* Cited passage */}
+        <blockquote className="max-h-64 overflow-y-auto p-4 text-sm text-[#111111] whitespace-pre-wrap bg-[#FFF9DB] border-l-4 border-[#FFD93D] rounded-r-lg">
+          {citation.excerpt}
+          {citation.excerpt?.length >= 300 && '…'}
+        </blockquote>
+
+        <div className="mt-5 flex flex-wrap gap-3">
+          {viewerPath && (
+            <Link
+              to={viewerPath}
+              onClick={onClose}
+              className="
+                inline-flex items-center gap-2
+                px-4 py-2
+                text-sm font-bold text-[#111111]
+                bg-white
+                border-2 border-[#111111]
+                rounded-xl
+                shadow-[2px_2px_0px_#111111]
+                hover:shadow-[4px_4px_0px_#111111]
+                transition-all duration-150
+              "
+            >
+              <IoReader size={16} />
+              View in document
+            </Link>
+          )}
+          {href && (
+            <a
+              href={href}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="
+                inline-flex items-center gap-2
+                px-4 py-2
+                text-sm font-bold text-[#111111]
+                bg-[#6BCB77]
+                border-2 border-[#111111]
+                rounded-xl
+                shadow-[2px_2px_0px_#111111]
+                hover:shadow-[4px_4px_0px_#111111]
+                transition-all duration-150
+              "
+            >
+              <IoDocumentText size={16} />
+              {citation.page ? `Open page ${citation.page}` : 'Open document'}
+              <IoOpenOutline size={14} />
+            </a>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CitationPreview
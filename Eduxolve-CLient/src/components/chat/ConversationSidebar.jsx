@@ -0,0 +1,165 @@
+/**
+ * ConversationSidebar - Saved chat conversations
+ * Lists past study sessions with open, rename and delete actions
+ */
+
+import { useState } from 'react'
+import { IoAdd, IoChatbubbles, IoCreateOutline, IoTrashOutline, IoClose } from 'react-icons/io5'
+import { BrutalButton } from '../ui'
+
+// "Today", "Yesterday" or a short date for the last activity
+const formatActivity = (dateString) => {
+  if (!dateString) return ''
+  const date = new Date(dateString)
+  const today = new Date()
+  const yesterday = new Date()
+  yesterday.setDate(today.getDate() - 1)
+
+  if (date.toDateString() === today.toDateString()) return 'Today'
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday'
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+}
+
+function ConversationSidebar({
+  conversations,
+  activeId,
+  isLoading,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+  onClose
+}) {
+  const [editingId, setEditingId] = useState(null)
+  const [draftTitle, setDraftTitle] = useState('')
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation._id)
+    setDraftTitle(conversation.title)
+  }
+
+  const commitRename = () => {
+    const title = draftTitle.trim()
+    const original = conversations.find(c => c._id === editingId)
+    if (title && original && title !== original.title) {
+      onRename(editingId, title)
+    }
+    setEditingId(null)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      commitRename()
+    } else if (e.key === 'Escape') {
+      setEditingId(null)
+    }
+  }
+
+  return (
+    <aside className="w-72 h-full flex flex-col bg-white border-r-2 border-[#111111]">
+      {/* Header */}
+      <div className="p-4 flex items-center gap-2 border-b-2 border-[#111111]/10">
+        <BrutalButton
+          variant="primary"
+          onClick={onNew}
+          className="flex-1 px-4 py-2 text-sm flex items-center justify-center gap-2"
+        >
+          <IoAdd size={18} />
+          New chat
+        </BrutalButton>
+        {onClose && (
+          <button
+            onClick={onClose}
+            className="p-2 text-[#111111]/60 hover:text-[#111111] md:hidden"
+            aria-label="Close conversations"
+          >
+            <IoClose size={22} />
+          </button>
+        )}
+      </div>
+
+      {/* Conversation List */}
+      <div className="flex-1 overflow-y-auto p-3 space-y-2">
+        {isLoading && (
+          <p className="text-sm text-[#111111]/50 px-2 py-4">Loading conversations...</p>
+        )}
+
+        {!isLoading && conversations.length === 0 && (
+          <div className="text-center px-4 py-8">
+            <IoChatbubbles size={28} className="mx-auto mb-2 text-[#111111]/30" />
+            <p className="text-sm text-[#111111]/50">
+              Your study sessions will appear here
+            </p>
+          </div>
+        )}
+
+        {!isLoading && conversations.map((conversation) => {
+          const isActive = conversation._id === activeId
+
+          return (
+            <div
+              key={conversation._id}
+              className={`
+                group
+                rounded-lg
+                border-2
+                transition-all duration-150
+                ${isActive
+                  ? 'bg-[#E8F0FC] border-[#111111] shadow-[2px_2px_0_#111111]'
+                  : 'bg-white border-transparent hover:border-[#111111]/20'
+                }
+              `}
+            >
+              {editingId === conversation._id ? (
+                <input
+                  autoFocus
+                  value={draftTitle}
+                  maxLength={120}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={handleKeyDown}
+                  className="w-full px-3 py-2 text-sm bg-white rounded-lg outline-none"
+                  aria-label="Conversation title"
+                />
+              ) : (
+                <div className="flex items-center">
+                  <button
+                    onClick={() => onSelect(conversation._id)}
+                    className="flex-1 min-w-0 text-left px-3 py-2 cursor-pointer"
+                  >
+                    <p className="text-sm font-medium text-[#111111] truncate">
+                      {conversation.title}
+                    </p>
+                    <p className="text-xs text-[#111111]/50">
+                      {formatActivity(conversation.lastMessageAt)}
+                      {conversation.messageCount > 0 && ` · ${conversation.messageCount} messages`}
+                    </p>
+                  </button>
+                  <div className="flex items-center pr-2 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                    <button
+                      onClick={() => startEditing(conversation)}
+                      className="p-1 text-[#111111]/50 hover:text-[#111111] cursor-pointer"
+                      aria-label="Rename conversation"
+                    >
+                      <IoCreateOutline size={16} />
+                    </button>
+                    <button
+                      onClick={() => onDelete(conversation)}
+                      className="p-1 text-[#111111]/50 hover:text-red-600 cursor-pointer"
+                      aria-label="Delete conversation"
+                    >
+                      <IoTrashOutline size={16} />
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </aside>
+  )
+}
+
+export default ConversationSidebar
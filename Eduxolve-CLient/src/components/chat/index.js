@@ -3,3 +3,5 @@ export { default as ChatHeader } from './ChatHeader'
 export { default as ChatMessage } from './ChatMessage'
 export { default as ChatInput } from './ChatInput'
 export { default as ActionButtons } from './ActionButtons'
+export { default as ConversationSidebar } from './ConversationSidebar'
+export { default as CitationPreview } from './CitationPreview'
@@ -0,0 +1,53 @@
+/**
+ * CourseSwitcher - Picks the course that search, chat and uploads are scoped to
+ * Fetches the user's courses once; hidden until the user has at least one
+ */
+
+import { useEffect } from 'react'
+import { IoSchool } from 'react-icons/io5'
+import { useCourseStore } from '../../store'
+import { courseApi } from '../../services/api'
+
+function CourseSwitcher({ className = '' }) {
+  const { courses, activeCourseId, loaded, setCourses, setActiveCourse } = useCourseStore()
+
+  useEffect(() => {
+    if (loaded) return
+    courseApi.list()
+      .then(response => setCourses(response.data || []))
+      .catch(err => console.error('Failed to load courses:', err))
+  }, [loaded, setCourses])
+
+  if (courses.length === 0) return null
+
+  return (
+    <label
+      className={`
+        flex items-center gap-2
+        px-3 py-1.5
+        bg-white
+        border-2 border-[#111111]
+        rounded-lg
+        shadow-[2px_2px_0px_#111111]
+        ${className}
+      `}
+    >
+      <IoSchool size={16} className="shrink-0 text-[#111111]/60" />
+      <span className="sr-only">Course</span>
+      <select
+        value={activeCourseId || ''}
+        onChange={(e) => setActiveCourse(e.target.value || null)}
+        className="min-w-0 w-full bg-transparent text-sm font-bold text-[#111111] outline-none cursor-pointer truncate"
+      >
+        <option value="">All courses</option>
+        {courses.map((course) => (
+          <option key={course._id} value={course._id}>
+            {course.code} · {course.title}{course.term ? ` (${course.term})` : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default CourseSwitcher
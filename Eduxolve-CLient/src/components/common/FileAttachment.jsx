@@ -189,17 +189,9 @@ function FileAttachment({
   }
 
   /**
-   * Remove file
+   * Remove file (detach only; it stays in "My files" until it expires)
    */
-  const handleRemove = async () => {
-    if (fileData?.fileId) {
-      try {
-        await fileApi.delete(fileData.fileId)
-      } catch (err) {
-        console.error('Failed to delete file:', err)
-      }
-    }
-    
+  const handleRemove = () => {
     setFile(null)
     setFileData(null)
     setUploadState('idle')
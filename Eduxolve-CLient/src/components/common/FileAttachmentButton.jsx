@@ -3,6 +3,7 @@
  * 
  * A small button that opens a popup for file upload
  * Replaces the large drop zone with a cleaner UI
+ * Previously uploaded files ("My files") can be reattached from the popup
  */
 
 import { useState, useRef, useCallback, useEffect } from 'react'
@@ -14,9 +15,11 @@ import {
   IoClose, 
   IoCheckmarkCircle,
   IoAlertCircle,
-  IoCloudUpload
+  IoCloudUpload,
+  IoDownload,
+  IoTrashOutline
 } from 'react-icons/io5'
-import { fileApi } from '../../services/api'
+import { fileApi, saveBlob } from '../../services/api'
 import { useToast } from './Toast'
 
 // Accepted file types
@@ -64,6 +67,9 @@ function FileAttachmentButton({
   const [error, setError] = useState(null)
   const [fileData, setFileData] = useState(null)
   const [isDragging, setIsDragging] = useState(false)
+  const [myFiles, setMyFiles] = useState(null) // null until loaded
+  const [quota, setQuota] = useState(null)
+  const [busyFileId, setBusyFileId] = useState(null)
   const inputRef = useRef(null)
   const popupRef = useRef(null)
   const buttonRef = useRef(null)
@@ -108,6 +114,20 @@ function FileAttachmentButton({
     return { valid: true }
   }
 
+  const loadMyFiles = useCallback(() => {
+    fileApi.list()
+      .then((result) => {
+        setMyFiles(result.data || [])
+        setQuota(result.quota || null)
+      })
+      .catch((err) => console.error('Failed to load files:', err))
+  }, [])
+
+  const togglePopup = () => {
+    if (!isOpen) loadMyFiles()
+    setIsOpen(!isOpen)
+  }
+
   const handleFileSelect = useCallback(async (selectedFile) => {
     setError(null)
     const validation = validateFile(selectedFile)
@@ -137,7 +157,8 @@ function FileAttachmentButton({
       console.error('File upload error:', err)
       setUploadState('error')
       setError(err.message || 'Upload failed')
-      toast.error('File upload failed. Please try again.')
+      // 413: over the storage quota; the message says what to do
+      toast.error(err.status === 413 ? err.message : 'File upload failed. Please try again.')
     }
   }, [onFileProcessed, toast])
 
@@ -156,10 +177,8 @@ function FileAttachmentButton({
     if (droppedFile) handleFileSelect(droppedFile)
   }
 
-  const handleRemove = async () => {
-    if (fileData?.fileId) {
-      try { await fileApi.delete(fileData.fileId) } catch (err) { console.error('Delete failed:', err) }
-    }
+  // Detach only: the file stays in "My files" until it expires or is deleted
+  const handleRemove = () => {
     setFile(null)
     setFileData(null)
     setUploadState('idle')
@@ -169,6 +188,54 @@ function FileAttachmentButton({
     if (inputRef.current) inputRef.current.value = ''
   }
 
+  const handleReattach = async (stored) => {
+    setBusyFileId(stored.fileId)
+    try {
+      const result = await fileApi.get(stored.fileId)
+      setFile({ name: result.data.fileName, size: result.data.fileSize })
+      setFileData(result.data)
+      setUploadState('success')
+      setError(null)
+      onFileProcessed?.(result.data)
+      toast.success('File attached')
+      setTimeout(() => setIsOpen(false), 500)
+    } catch (err) {
+      console.error('Reattach failed:', err)
+      toast.error(err.status === 404 ? 'This file has expired. Please upload it again.' : 'Could not attach file')
+      if (err.status === 404) loadMyFiles()
+    } finally {
+      setBusyFileId(null)
+    }
+  }
+
+  const handleDownload = async (stored) => {
+    setBusyFileId(stored.fileId)
+    try {
+      const { blob, fileName } = await fileApi.download(stored.fileId)
+      saveBlob(blob, fileName || stored.fileName)
+    } catch (err) {
+      console.error('Download failed:', err)
+      toast.error('Download failed')
+    } finally {
+      setBusyFileId(null)
+    }
+  }
+
+  const handleDeleteStored = async (stored) => {
+    setBusyFileId(stored.fileId)
+    try {
+      await fileApi.delete(stored.fileId)
+      if (fileData?.fileId === stored.fileId) handleRemove()
+      toast.success('File deleted')
+    } catch (err) {
+      console.error('Delete failed:', err)
+      toast.error('Could not delete file')
+    } finally {
+      setBusyFileId(null)
+      loadMyFiles()
+    }
+  }
+
   const openFilePicker = () => {
     if (!disabled && uploadState !== 'uploading') inputRef.current?.click()
   }
@@ -193,7 +260,7 @@ function FileAttachmentButton({
       {/* Trigger Button */}
       <button
         ref={buttonRef}
-        onClick={() => setIsOpen(!isOpen)}
+        onClick={togglePopup}
         disabled={disabled}
         className={`
           px-3 rounded-xl
@@ -329,6 +396,67 @@ function FileAttachmentButton({
               )}
             </div>
 
+            {/* My Files (previous uploads) */}
+            {uploadState !== 'uploading' && myFiles?.length > 0 && (
+              <div className="px-4 pb-4 pt-0">
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-xs text-[#111111]/60">My files</p>
+                  {quota && (
+                    <p className="text-xs text-[#111111]/50">
+                      {formatFileSize(quota.usedBytes)} of {formatFileSize(quota.maxBytes)} • {quota.files}/{quota.maxFiles}
+                    </p>
+                  )}
+                </div>
+                <ul className="max-h-44 overflow-y-auto space-y-1">
+                  {myFiles.map((stored) => {
+                    const storedConfig = FILE_TYPE_CONFIG[getFileExtension(stored.fileName)] || FILE_TYPE_CONFIG.default
+                    const StoredIcon = storedConfig.icon
+                    const isAttached = fileData?.fileId === stored.fileId
+                    const isBusy = busyFileId === stored.fileId
+
+                    return (
+                      <li
+                        key={stored.fileId}
+                        className={`flex items-center gap-2 rounded-lg px-2 py-1.5 ${isAttached ? 'bg-[#E8F5EC]' : 'hover:bg-[#F5F5F3]'}`}
+                      >
+                        <button
+                          onClick={() => handleReattach(stored)}
+                          disabled={disabled || isBusy || isAttached}
+                          className="flex-1 min-w-0 flex items-center gap-2 text-left disabled:cursor-default"
+                          title={isAttached ? 'Attached' : 'Attach this file'}
+                        >
+                          <StoredIcon size={16} style={{ color: storedConfig.color }} className="shrink-0" />
+                          <span className="min-w-0">
+                            <span className="block text-sm text-[#111111] truncate">{stored.fileName}</span>
+                            <span className="block text-xs text-[#111111]/50">
+                              {formatFileSize(stored.fileSize)} • expires {new Date(stored.expiresAt).toLocaleDateString()}
+                              {['queued', 'indexing'].includes(stored.indexStatus) && ' • indexing…'}
+                            </span>
+                          </span>
+                        </button>
+                        <button
+                          onClick={() => handleDownload(stored)}
+                          disabled={isBusy}
+                          className="p-1 rounded-md text-[#111111]/60 hover:text-[#111111] hover:bg-[#111111]/10 disabled:opacity-50"
+                          title="Download"
+                        >
+                          <IoDownload size={14} />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteStored(stored)}
+                          disabled={isBusy}
+                          className="p-1 rounded-md text-[#111111]/60 hover:text-[#FF6B6B] hover:bg-[#FF6B6B]/10 disabled:opacity-50"
+                          title="Delete"
+                        >
+                          <IoTrashOutline size={14} />
+                        </button>
+                      </li>
+                    )
+                  })}
+                </ul>
+              </div>
+            )}
+
             {/* Suggested Actions (when file is uploaded) */}
             {uploadState === 'success' && fileData?.suggestedActions?.length > 0 && (
               <div className="px-4 pb-4 pt-0">
@@ -5,10 +5,11 @@
  * - Headings, lists, bold/italic text
  * - Code blocks with syntax highlighting & copy button
  * - Tables (GFM support)
+ * - Inline [n] citations as clickable footnote markers
  * - Safe HTML sanitization (no raw HTML injection)
  */
 
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useMemo } from 'react'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 import rehypeHighlight from 'rehype-highlight'
@@ -199,14 +200,82 @@ const components = {
   ),
 }
 
+// Inline citation marker such as [2] or [1, 3] (mirrors the server's pattern)
+const CITATION_PATTERN = /(\s?)(?<!\w)\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\](?!\()/g
+const CITATION_HREF = '#cite-'
+
+/**
+ * Turn known citation markers into "#cite-n" links, skipping code
+ * @param {string} content - Markdown content
+ * @param {number[]} indexes - Citation numbers the server validated
+ * @returns {string} Markdown with citation links
+ */
+const linkCitations = (content, indexes) => {
+  const linkMarker = (match, space, list) => {
+    const known = list.split(',').map(n => parseInt(n, 10)).filter(n => indexes.includes(n))
+    if (known.length === 0) return match
+    return space + known.map(n => `[${n}](${CITATION_HREF}${n})`).join('')
+  }
+
+  // Odd segments are fenced blocks or inline code spans
+  return content
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((segment, i) => (i % 2 === 1 ? segment : segment.replace(CITATION_PATTERN, linkMarker)))
+    .join('')
+}
+
+// Superscript footnote marker
+function CitationMarker({ index, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onClick(index)}
+      className="
+        inline-flex items-center justify-center
+        min-w-[1.25rem] h-5 px-1 mx-0.5
+        align-super
+        text-[10px] font-bold text-[#111111]
+        bg-[#FFD93D]
+        border border-[#111111]
+        rounded
+        hover:bg-[#111111] hover:text-white
+        transition-colors duration-150
+        cursor-pointer
+      "
+      aria-label={`Open source ${index}`}
+    >
+      {index}
+    </button>
+  )
+}
+
 /**
  * MarkdownRenderer Component
  * 
  * @param {string} content - Markdown content to render
  * @param {string} className - Additional CSS classes
  * @param {boolean} animate - Enable fade-in animation (default: true)
+ * @param {Object[]} citations - Validated citations ({ index }) to make clickable
+ * @param {Function} onCitationClick - Called with the citation number
  */
-function MarkdownRenderer({ content, className = '', animate = true }) {
+function MarkdownRenderer({ content, className = '', animate = true, citations = [], onCitationClick }) {
+  const citable = onCitationClick && citations.length > 0
+
+  const markdown = useMemo(() => {
+    if (!content || !citable) return content
+    return linkCitations(content, citations.map(c => c.index))
+  }, [content, citable, citations])
+
+  const markdownComponents = useMemo(() => {
+    if (!citable) return components
+    return {
+      ...components,
+      a: ({ href, children }) => href?.startsWith(CITATION_HREF)
+        ? <CitationMarker index={parseInt(href.slice(CITATION_HREF.length), 10)} onClick={onCitationClick} />
+        : components.a({ href, children })
+    }
+  }, [citable, onCitationClick])
+
   if (!content) return null
   
   const markdownContent = (
@@ -214,9 +283,9 @@ function MarkdownRenderer({ content, className = '', animate = true }) {
       <ReactMarkdown
         remarkPlugins={[remarkGfm]}
         rehypePlugins={[rehypeHighlight]}
-        components={components}
+        components={markdownComponents}
       >
-        {content}
+        {markdown}
       </ReactMarkdown>
     </div>
   )
@@ -1,17 +1,20 @@
 /**
  * Navbar - Global navigation bar for all pages
  * Follows Soft Neubrutalism design
- * Features: Hide on scroll down, show on scroll up, hamburger menu for mobile
+ * Features: Hide on scroll down, show on scroll up, hamburger menu for mobile,
+ * course switcher
  */
 
 import { useState, useEffect, useRef } from 'react'
 import { useNavigate, useLocation } from 'react-router-dom'
-import { IoPerson, IoSearch, IoChatbubbles, IoSparkles, IoHome, IoSettings, IoMenu, IoClose } from 'react-icons/io5'
+import { IoPerson, IoSearch, IoChatbubbles, IoSparkles, IoHome, IoSettings, IoMenu, IoClose, IoLibrary, IoPeople } from 'react-icons/io5'
 import { motion, AnimatePresence } from 'framer-motion'
 import { BrutalButton } from '../ui'
 import { useAuthStore } from '../../store'
-import { logout } from '../../services/auth.service'
+import { logout, isAdminLoggedIn } from '../../services/auth.service'
+import { PERMISSIONS, ROLE_LABELS, findGrant, isStaffRole } from '../../services/permissions'
 import { useToast } from './Toast'
+import CourseSwitcher from './CourseSwitcher'
 
 // Use motion and AnimatePresence for animations
 const MotionHeader = motion.header
@@ -20,7 +23,7 @@ const MotionDiv = motion.div
 function Navbar() {
   const navigate = useNavigate()
   const location = useLocation()
-  const { user, role } = useAuthStore()
+  const { user, role, permissions } = useAuthStore()
   const toast = useToast()
   const [isVisible, setIsVisible] = useState(true)
   const [lastScrollY, setLastScrollY] = useState(0)
@@ -83,15 +86,21 @@ function Navbar() {
     { path: '/search', label: 'Search', icon: IoSearch },
     { path: '/chat', label: 'Chat', icon: IoChatbubbles },
     { path: '/generate', label: 'Generate', icon: IoSparkles },
+    { path: '/library', label: 'Library', icon: IoLibrary },
   ]
 
-  // Admin only gets Generate (other features are student-focused)
+  // Staff only get Generate (other features are student-focused);
+  // links with a permission are hidden from staff without it
   const adminNavLinks = [
     { path: '/admin', label: 'Dashboard', icon: IoHome },
     { path: '/generate', label: 'Generate', icon: IoSparkles },
+    { path: '/library', label: 'Library', icon: IoLibrary },
+    { path: '/admin/users', label: 'Users', icon: IoPeople, permission: PERMISSIONS.USERS_MANAGE },
   ]
 
-  const navLinks = role === 'admin' ? adminNavLinks : studentNavLinks
+  const navLinks = isStaffRole(role)
+    ? adminNavLinks.filter((link) => !link.permission || findGrant(permissions, link.permission))
+    : studentNavLinks
 
   const isActive = (path) => location.pathname === path
 
@@ -183,8 +192,10 @@ function Navbar() {
             })}
           </nav>
 
-          {/* Right: Profile & Logout (Desktop) */}
+          {/* Right: Course, Profile & Logout (Desktop) */}
           <div className="hidden md:flex items-center gap-3">
+            <CourseSwitcher className="max-w-[140px] lg:max-w-[220px]" />
+
             {/* Profile Avatar */}
             <div className="flex items-center gap-2">
               {user?.photoURL ? (
@@ -199,10 +210,22 @@ function Navbar() {
                 </div>
               )}
               <span className="text-sm font-medium text-[#111111] hidden lg:block max-w-[100px] truncate">
-                {role === 'admin' ? 'Admin' : (user?.displayName?.split(' ')[0] || user?.email?.split('@')[0] || 'Student')}
+                {isStaffRole(role) ? ROLE_LABELS[role] : (user?.displayName?.split(' ')[0] || user?.email?.split('@')[0] || 'Student')}
               </span>
             </div>
 
+            {/* Account Settings (staff password accounts only) */}
+            {isAdminLoggedIn() && (
+              <button
+                onClick={() => navigate('/account/password')}
+                title="Password and sessions"
+                aria-label="Password and sessions"
+                className="p-2 rounded-lg border-2 border-[#111111] bg-white shadow-[2px_2px_0px_#111111] cursor-pointer"
+              >
+                <IoSettings size={18} />
+              </button>
+            )}
+
             {/* Logout Button */}
             <BrutalButton 
               variant="neutral" 
@@ -272,7 +295,7 @@ function Navbar() {
                   )}
                   <div className="min-w-0 flex-1">
                     <p className="font-bold text-[#111111] truncate">
-                      {role === 'admin' ? 'Admin' : (user?.displayName?.split(' ')[0] || 'Student')}
+                      {isStaffRole(role) ? ROLE_LABELS[role] : (user?.displayName?.split(' ')[0] || 'Student')}
                     </p>
                     <p className="text-sm text-[#111111]/60 truncate">
                       {user?.email}
@@ -281,6 +304,9 @@ function Navbar() {
                 </div>
               </div>
 
+              {/* Course */}
+              <CourseSwitcher className="mx-4 mt-4" />
+
               {/* Nav Links */}
               <nav className="p-4 space-y-2">
                 {navLinks.map((link) => {
@@ -309,8 +335,17 @@ function Navbar() {
                 })}
               </nav>
 
-              {/* Logout Button */}
-              <div className="p-4 mt-auto border-t-2 border-[#111111]/10">
+              {/* Account Settings & Logout */}
+              <div className="p-4 mt-auto border-t-2 border-[#111111]/10 flex flex-col gap-3">
+                {isAdminLoggedIn() && (
+                  <BrutalButton
+                    variant="neutral"
+                    onClick={() => handleNavClick('/account/password')}
+                    className="w-full justify-center"
+                  >
+                    Password &amp; sessions
+                  </BrutalButton>
+                )}
                 <BrutalButton 
                   variant="neutral" 
                   onClick={handleLogout}
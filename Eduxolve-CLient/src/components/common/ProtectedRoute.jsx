@@ -1,15 +1,17 @@
 /**
  * ProtectedRoute - Route protection component
  * Redirects unauthenticated users to login
- * Optionally enforces role-based access
+ * Optionally enforces role-based access (one role or a list)
+ * and permission-based access (see services/permissions.js)
  */
 
 import { Navigate, useLocation } from 'react-router-dom'
 import { useAuthStore } from '../../store'
+import { findGrant, homePathFor } from '../../services/permissions'
 import Loader from './Loader'
 
-function ProtectedRoute({ children, requiredRole }) {
-  const { user, role, loading } = useAuthStore()
+function ProtectedRoute({ children, requiredRole, requiredPermission }) {
+  const { user, role, permissions, loading } = useAuthStore()
   const location = useLocation()
 
   // Show loading spinner while checking auth state
@@ -22,11 +24,15 @@ function ProtectedRoute({ children, requiredRole }) {
     return <Navigate to="/login" state={{ from: location }} replace />
   }
 
-  // Check role-based access
-  if (requiredRole && role !== requiredRole) {
-    // Redirect admin to admin dashboard, students to student dashboard
-    const redirectPath = role === 'admin' ? '/admin' : '/dashboard'
-    return <Navigate to={redirectPath} replace />
+  // Check role- and permission-based access
+  const allowedRoles = [].concat(requiredRole || [])
+  const roleDenied = allowedRoles.length > 0 && !allowedRoles.includes(role)
+  const permissionDenied = requiredPermission && !findGrant(permissions, requiredPermission)
+
+  if (roleDenied || permissionDenied) {
+    // Redirect staff to the admin dashboard, students to student dashboard
+    const redirectPath = homePathFor(role)
+    return <Navigate to={redirectPath === location.pathname ? '/dashboard' : redirectPath} replace />
   }
 
   return children
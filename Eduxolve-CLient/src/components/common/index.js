@@ -2,6 +2,7 @@ export { default as PageWrapper } from './PageWrapper'
 export { default as AnimatedEllipsis } from './AnimatedEllipsis'
 export { default as Footer } from './Footer'
 export { default as Navbar } from './Navbar'
+export { default as CourseSwitcher } from './CourseSwitcher'
 export { default as ProtectedRoute } from './ProtectedRoute'
 export { default as Loader, InlineLoader, SkeletonLoader } from './Loader'
 export { default as FileAttachment } from './FileAttachment'
@@ -0,0 +1,36 @@
+/**
+ * DocumentSegment - One page/slide of extracted text
+ * The selected passage is highlighted and receives passageRef for scrolling
+ */
+
+import HighlightedText from './HighlightedText'
+
+function DocumentSegment({ label, text, passage, pattern, mono = false, passageRef }) {
+  return (
+    <section className="bg-white border-2 border-[#111111] rounded-2xl shadow-[3px_3px_0px_#111111] overflow-hidden">
+      {label && (
+        <header className="px-5 py-2 text-xs font-bold uppercase tracking-wide text-[#111111]/60 bg-[#F2F2EE] border-b-2 border-[#111111]">
+          {label}
+        </header>
+      )}
+      <div className={`p-5 text-[#111111] leading-relaxed whitespace-pre-wrap break-words ${mono ? 'font-mono text-sm' : ''}`}>
+        {passage ? (
+          <>
+            <HighlightedText text={text.slice(0, passage.start)} pattern={pattern} />
+            <mark
+              ref={passageRef}
+              className="bg-[#FFD93D]/70 text-[#111111] rounded outline-2 outline-[#FFD93D] scroll-mt-24"
+            >
+              <HighlightedText text={text.slice(passage.start, passage.end)} pattern={pattern} />
+            </mark>
+            <HighlightedText text={text.slice(passage.end)} pattern={pattern} />
+          </>
+        ) : (
+          <HighlightedText text={text} pattern={pattern} />
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default DocumentSegment
@@ -0,0 +1,16 @@
+/**
+ * HighlightedText - Plain text with every query term marked
+ */
+
+function HighlightedText({ text, pattern }) {
+  if (!pattern) return text
+
+  // split() with a capture group puts the matches at odd indexes
+  return text.split(pattern).map((part, i) => (
+    i % 2 === 1
+      ? <mark key={i} className="bg-[#FF9F43]/60 text-[#111111] rounded-sm px-0.5">{part}</mark>
+      : part
+  ))
+}
+
+export default HighlightedText
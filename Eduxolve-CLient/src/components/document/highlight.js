@@ -0,0 +1,43 @@
+// Helpers shared by the document viewer components
+
+const MIN_TERM_LENGTH = 3
+
+// Question words are not worth highlighting
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'what', 'which', 'who', 'how', 'why', 'when', 'where',
+  'does', 'with', 'from', 'that', 'this', 'into', 'about', 'explain', 'between',
+])
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Regex matching any word of a search query (longest first), or null
+ * Wrapped in a capture group so String.split keeps the matches.
+ * @param {string} query - Search query
+ * @returns {RegExp|null}
+ */
+export const buildTermPattern = (query) => {
+  const terms = [...new Set(
+    String(query || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_+#]+/u)
+      .filter(term => term.length >= MIN_TERM_LENGTH && !STOP_WORDS.has(term))
+  )].sort((a, b) => b.length - a.length)
+
+  if (terms.length === 0) return null
+  return new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+}
+
+/**
+ * Label of a page/slide segment
+ * @param {Object} segment - { page, slide }
+ * @returns {string|null}
+ */
+export const segmentLabel = (segment) => {
+  if (segment.page) return `Page ${segment.page}`
+  if (segment.slide) return `Slide ${segment.slide}`
+  return null
+}
+
+// File types shown in a monospace font
+export const CODE_FILE_TYPES = ['python', 'javascript', 'c/c++', 'java', 'json']
@@ -0,0 +1,4 @@
+// Document viewer components barrel export
+export { default as DocumentSegment } from './DocumentSegment'
+export { default as HighlightedText } from './HighlightedText'
+export { buildTermPattern, segmentLabel, CODE_FILE_TYPES } from './highlight'
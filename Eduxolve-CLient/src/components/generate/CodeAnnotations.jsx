@@ -0,0 +1,89 @@
+/**
+ * CodeAnnotations - Parser diagnostics shown inline under the flagged lines
+ * Syntax errors, undefined names and unused variables from POST /api/validate
+ */
+
+import { IoCloseCircle, IoWarning } from 'react-icons/io5'
+
+const SEVERITY_STYLES = {
+  error: {
+    icon: IoCloseCircle,
+    color: '#FF6B6B',
+    line: 'bg-[#FF6B6B]/15',
+  },
+  warning: {
+    icon: IoWarning,
+    color: '#FFD93D',
+    line: 'bg-[#FFD93D]/10',
+  },
+}
+
+function CodeAnnotations({ code, annotations = [], parser }) {
+  if (!code || annotations.length === 0) return null
+
+  const lines = code.replace(/\n$/, '').split('\n')
+  const errorCount = annotations.filter(a => a.severity === 'error').length
+  const warningCount = annotations.length - errorCount
+
+  // Group by line; anything past the end sticks to the last line
+  const byLine = annotations.reduce((acc, annotation) => {
+    const line = Math.min(Math.max(annotation.line, 1), lines.length)
+    acc[line] = [...(acc[line] || []), annotation]
+    return acc
+  }, {})
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <p className="text-xs font-semibold text-[#111111]/50 uppercase tracking-wide">
+          Code check
+        </p>
+        <p className="text-xs text-[#111111]/60">
+          {errorCount > 0 && <span className="font-bold text-[#D32F2F]">{errorCount} error{errorCount !== 1 && 's'}</span>}
+          {errorCount > 0 && warningCount > 0 && ' · '}
+          {warningCount > 0 && <span className="font-bold text-[#B26A00]">{warningCount} warning{warningCount !== 1 && 's'}</span>}
+          {parser && <span> · {parser}</span>}
+        </p>
+      </div>
+
+      <div className="bg-[#1a1a1a] border-2 border-[#111111] rounded-lg overflow-x-auto font-mono text-sm py-2">
+        {lines.map((text, i) => {
+          const lineNumber = i + 1
+          const lineAnnotations = byLine[lineNumber] || []
+          const worst = lineAnnotations.some(a => a.severity === 'error') ? 'error' : 'warning'
+
+          return (
+            <div key={lineNumber} className={lineAnnotations.length > 0 ? SEVERITY_STYLES[worst].line : ''}>
+              <div className="flex">
+                <span className="w-10 shrink-0 pr-3 text-right text-[#666] select-none">
+                  {lineNumber}
+                </span>
+                <span className="whitespace-pre text-[#E8E8E4]">{text || ' '}</span>
+              </div>
+
+              {lineAnnotations.map((annotation, j) => {
+                const style = SEVERITY_STYLES[annotation.severity] || SEVERITY_STYLES.warning
+                const Icon = style.icon
+                return (
+                  <div
+                    key={j}
+                    className="flex items-start gap-2 pl-10 pr-3 py-0.5 text-xs font-sans"
+                    style={{ color: style.color }}
+                  >
+                    <Icon size={14} className="shrink-0 mt-px" />
+                    <span>
+                      <span className="opacity-70">{annotation.line}:{annotation.column}</span>{' '}
+                      {annotation.message}
+                    </span>
+                  </div>
+                )
+              })}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default CodeAnnotations
@@ -0,0 +1,55 @@
+/**
+ * ExportMenu - Download generated content as files
+ * Each format button calls the export API and saves the returned file
+ */
+
+import { useState } from 'react'
+import { IoDownload } from 'react-icons/io5'
+import { BrutalButton } from '../ui'
+import { useToast } from '../common'
+import { saveBlob } from '../../services/api'
+
+/**
+ * @param {Object} props
+ * @param {{id: string, label: string, extension?: string}[]} props.formats - Formats to offer
+ * @param {(format: string) => Promise<{blob: Blob, fileName: string|null}>} props.onExport
+ * @param {string} props.fileName - Fallback name (without extension)
+ */
+function ExportMenu({ formats, onExport, fileName = 'export' }) {
+  const [exporting, setExporting] = useState(null)
+  const toast = useToast()
+
+  const handleExport = async (format) => {
+    setExporting(format.id)
+    try {
+      const file = await onExport(format.id)
+      saveBlob(file.blob, file.fileName || `${fileName}.${format.extension || format.id}`)
+    } catch (err) {
+      console.error('Export error:', err)
+      toast.error(err.message || 'Export failed. Please try again.')
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-xs font-semibold text-[#111111]/50 uppercase tracking-wide flex items-center gap-1">
+        <IoDownload size={14} /> Export
+      </span>
+      {formats.map(format => (
+        <BrutalButton
+          key={format.id}
+          variant="neutral"
+          onClick={() => handleExport(format)}
+          disabled={exporting !== null}
+          className="px-3 py-1.5 text-sm"
+        >
+          {exporting === format.id ? 'Exporting...' : format.label}
+        </BrutalButton>
+      ))}
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,128 @@
+/**
+ * FlashcardDeck - Flip through generated flashcards
+ * Click a card to flip it; mark cards you know to track progress
+ */
+
+import { useState } from 'react'
+import { IoArrowBack, IoArrowForward, IoCheckmark, IoRefresh, IoDocument } from 'react-icons/io5'
+import { BrutalButton } from '../ui'
+
+function FlashcardDeck({ deck, references = [] }) {
+  const [index, setIndex] = useState(0)
+  const [flipped, setFlipped] = useState(false)
+  const [showHint, setShowHint] = useState(false)
+  const [known, setKnown] = useState([])
+
+  const cards = deck.cards
+  const card = cards[index]
+  const reference = references.find(ref => ref.index === card.source)
+
+  const goTo = (next) => {
+    setIndex((next + cards.length) % cards.length)
+    setFlipped(false)
+    setShowHint(false)
+  }
+
+  const markKnown = (isKnown) => {
+    setKnown(prev => isKnown
+      ? [...new Set([...prev, index])]
+      : prev.filter(i => i !== index))
+    goTo(index + 1)
+  }
+
+  const handleRestart = () => {
+    setKnown([])
+    goTo(0)
+  }
+
+  return (
+    <div>
+      {/* Progress */}
+      <div className="flex items-center justify-between mb-3 text-sm text-[#111111]/60">
+        <span>Card {index + 1} of {cards.length}</span>
+        <span>{known.length} known</span>
+      </div>
+
+      {/* Card */}
+      <button
+        type="button"
+        onClick={() => setFlipped(prev => !prev)}
+        className="w-full cursor-pointer [perspective:1000px]"
+        aria-label={flipped ? 'Show front' : 'Show answer'}
+      >
+        <div
+          className={`
+            relative h-56
+            [transform-style:preserve-3d]
+            transition-transform duration-300 ease-[cubic-bezier(0.16,1,0.3,1)]
+            ${flipped ? '[transform:rotateY(180deg)]' : ''}
+          `}
+        >
+          <div className={`
+            absolute inset-0 p-6
+            flex flex-col items-center justify-center text-center
+            bg-white border-2 border-[#111111] rounded-2xl shadow-[4px_4px_0px_#111111]
+            [backface-visibility:hidden]
+            ${known.includes(index) ? 'ring-4 ring-[#6BCB77]/50' : ''}
+          `}>
+            <p className="text-lg font-bold text-[#111111]">{card.front}</p>
+            {showHint && card.hint && (
+              <p className="mt-3 text-sm italic text-[#111111]/60">Hint: {card.hint}</p>
+            )}
+            <p className="absolute bottom-3 text-xs text-[#111111]/40">Click to flip</p>
+          </div>
+          <div className="
+            absolute inset-0 p-6
+            flex flex-col items-center justify-center text-center
+            bg-[#E8F5E9] border-2 border-[#111111] rounded-2xl shadow-[4px_4px_0px_#111111]
+            [backface-visibility:hidden] [transform:rotateY(180deg)]
+          ">
+            <p className="text-[#111111]">{card.back}</p>
+            {reference && (
+              <p className="mt-3 text-xs text-[#111111]/60 flex items-center gap-1">
+                <IoDocument size={12} style={{ color: '#007AFF' }} />
+                {reference.title}{reference.location && ` · ${reference.location}`}
+              </p>
+            )}
+          </div>
+        </div>
+      </button>
+
+      {/* Controls */}
+      <div className="mt-5 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex gap-2">
+          <BrutalButton variant="neutral" onClick={() => goTo(index - 1)} className="px-3 py-2 text-sm" aria-label="Previous card">
+            <IoArrowBack size={16} />
+          </BrutalButton>
+          <BrutalButton variant="neutral" onClick={() => goTo(index + 1)} className="px-3 py-2 text-sm" aria-label="Next card">
+            <IoArrowForward size={16} />
+          </BrutalButton>
+          {card.hint && !flipped && !showHint && (
+            <BrutalButton variant="neutral" onClick={() => setShowHint(true)} className="px-3 py-2 text-sm">
+              Hint
+            </BrutalButton>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <BrutalButton variant="neutral" onClick={() => markKnown(false)} className="px-3 py-2 text-sm">
+            Still learning
+          </BrutalButton>
+          <BrutalButton variant="secondary" onClick={() => markKnown(true)} className="px-3 py-2 text-sm flex items-center gap-1">
+            <IoCheckmark size={14} /> I knew it
+          </BrutalButton>
+        </div>
+      </div>
+
+      {known.length === cards.length && (
+        <div className="mt-5 p-4 bg-[#E8F5E9] border-2 border-[#111111] rounded-xl flex items-center justify-between gap-3">
+          <p className="font-bold text-[#111111]">You know every card in this deck!</p>
+          <BrutalButton variant="neutral" onClick={handleRestart} className="px-3 py-2 text-sm flex items-center gap-1">
+            <IoRefresh size={14} /> Start over
+          </BrutalButton>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FlashcardDeck
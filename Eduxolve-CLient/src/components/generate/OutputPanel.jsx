@@ -1,16 +1,46 @@
 /**
  * OutputPanel - Right panel showing generated content
+ * Content renders incrementally while streaming, with a stop button
  */
 
 import { motion } from 'framer-motion'
 import { useNavigate } from 'react-router-dom'
-import { IoDocument, IoRefresh, IoChatbubble, IoChatbubbles, IoInformationCircle } from 'react-icons/io5'
+import { IoDocument, IoRefresh, IoChatbubble, IoChatbubbles, IoInformationCircle, IoStop } from 'react-icons/io5'
 import { BrutalButton } from '../ui'
 import { MarkdownRenderer } from '../common'
 import ValidationBadge from './ValidationBadge'
+import CodeAnnotations from './CodeAnnotations'
+import QuizPlayer from './QuizPlayer'
+import FlashcardDeck from './FlashcardDeck'
+import ExportMenu from './ExportMenu'
+import { exportApi } from '../../services/api'
 
-function OutputPanel({ output, isLoading, contentType }) {
+const SLIDE_EXPORT_FORMATS = [
+  { id: 'pptx', label: 'PowerPoint' },
+  { id: 'pdf', label: 'PDF' },
+  { id: 'html', label: 'Reveal.js' },
+]
+
+const NOTES_EXPORT_FORMATS = [
+  { id: 'pdf', label: 'PDF' },
+  { id: 'docx', label: 'Word' },
+  { id: 'md', label: 'Markdown (.zip)', extension: 'zip' },
+]
+
+function OutputPanel({ output, isLoading, isValidating = false, contentType, onCancel }) {
   const navigate = useNavigate()
+  const isStreaming = output?.isStreaming
+
+  // Stop button for an in-flight generation
+  const stopButton = onCancel && (
+    <BrutalButton
+      variant="neutral"
+      onClick={onCancel}
+      className="px-4 py-2 text-sm flex items-center gap-1"
+    >
+      <IoStop size={14} /> Stop generating
+    </BrutalButton>
+  )
 
   const handleAskToRefine = () => {
     navigate('/chat', {
@@ -56,7 +86,7 @@ function OutputPanel({ output, isLoading, contentType }) {
             Generated content will appear here
           </h3>
           <p className="text-[#111111]/60 text-sm max-w-xs">
-            Enter a prompt and click Generate to create notes, slides, or code
+            Enter a prompt and click Generate to create notes, slides, code or a practice quiz
           </p>
         </div>
       </div>
@@ -146,6 +176,12 @@ function OutputPanel({ output, isLoading, contentType }) {
           </div>
           <span className="text-[#111111]/60">AI is generating...</span>
         </div>
+
+        {stopButton && (
+          <div className="flex justify-center mt-4">
+            {stopButton}
+          </div>
+        )}
       </motion.div>
     )
   }
@@ -166,9 +202,16 @@ function OutputPanel({ output, isLoading, contentType }) {
         overflow-y-auto
       "
     >
-      {/* Validation Badge */}
-      <div className="mb-5">
-        <ValidationBadge status={output.validationStatus} />
+      {/* Validation Badge (or streaming status) */}
+      <div className="mb-5 flex items-center justify-between gap-3">
+        {isStreaming ? (
+          <span className="text-sm text-[#111111]/60">AI is writing...</span>
+        ) : isValidating ? (
+          <span className="text-sm text-[#111111]/60">Validating against course materials...</span>
+        ) : (
+          <ValidationBadge status={output.validationStatus} />
+        )}
+        {stopButton}
       </div>
 
       {/* Title */}
@@ -178,9 +221,14 @@ function OutputPanel({ output, isLoading, contentType }) {
 
       {/* Content - Use MarkdownRenderer for raw AI content */}
       <div className="prose prose-sm max-w-none text-[#111111]">
-        {output.rawContent ? (
-          // Render raw Markdown content from AI
-          <MarkdownRenderer content={output.rawContent} />
+        {output.quiz ? (
+          // Interactive practice quiz
+          <QuizPlayer key={output.id} quiz={output.quiz} references={output.references} />
+        ) : output.flashcards ? (
+          <FlashcardDeck key={output.id} deck={output.flashcards} references={output.references} />
+        ) : output.rawContent ? (
+          // Render raw Markdown content from AI (no fade while tokens stream in)
+          <MarkdownRenderer content={output.rawContent} animate={!isStreaming} />
         ) : (
           // Fallback to structured sections (legacy support)
           output.sections?.map((section, index) => (
@@ -239,8 +287,17 @@ function OutputPanel({ output, isLoading, contentType }) {
         )}
       </div>
 
+      {/* Parser diagnostics for generated code */}
+      {!isStreaming && output.codeCheck && (
+        <CodeAnnotations
+          code={output.codeCheck.code}
+          annotations={output.codeCheck.annotations}
+          parser={output.codeCheck.parser}
+        />
+      )}
+
       {/* Source Attribution */}
-      {output.sources && (
+      {output.sources?.length > 0 && (
         <div className="mt-6 pt-4 border-t-2 border-[#111111]/20">
           <p className="text-xs font-semibold text-[#111111]/50 uppercase tracking-wide mb-2">
             Sources Used
@@ -258,30 +315,59 @@ function OutputPanel({ output, isLoading, contentType }) {
         </div>
       )}
 
+      {/* Slide downloads */}
+      {!isStreaming && output.type === 'slides' && output.rawContent && (
+        <div className="mt-6 pt-4 border-t-2 border-[#111111]/20">
+          <ExportMenu
+            formats={SLIDE_EXPORT_FORMATS}
+            fileName="slides"
+            onExport={(format) => exportApi.slides({ content: output.rawContent, format })}
+          />
+        </div>
+      )}
+
+      {/* Notes downloads, with the sources as references */}
+      {!isStreaming && output.type === 'theory' && output.rawContent && (
+        <div className="mt-6 pt-4 border-t-2 border-[#111111]/20">
+          <ExportMenu
+            formats={NOTES_EXPORT_FORMATS}
+            fileName="notes"
+            onExport={(format) => exportApi.notes({
+              content: output.rawContent,
+              topic: output.topic,
+              sources: output.sources || [],
+              format,
+            })}
+          />
+        </div>
+      )}
+
       {/* Action Buttons */}
-      <div className="mt-6 pt-4 border-t-2 border-[#111111]/20 flex flex-wrap gap-2">
-        <BrutalButton
-          variant="neutral"
-          onClick={handleAskToRefine}
-          className="px-4 py-2 text-sm flex items-center gap-1"
-        >
-          <IoRefresh size={14} style={{ color: '#007AFF' }} /> Ask AI to refine
-        </BrutalButton>
-        <BrutalButton
-          variant="neutral"
-          onClick={handleExplain}
-          className="px-4 py-2 text-sm flex items-center gap-1"
-        >
-          <IoChatbubble size={14} style={{ color: '#34C759' }} /> Explain this
-        </BrutalButton>
-        <BrutalButton
-          variant="primary"
-          onClick={handleSendToChat}
-          className="px-4 py-2 text-sm flex items-center gap-1"
-        >
-          <IoChatbubbles size={14} /> Send to Chat
-        </BrutalButton>
-      </div>
+      {!isStreaming && (
+        <div className="mt-6 pt-4 border-t-2 border-[#111111]/20 flex flex-wrap gap-2">
+          <BrutalButton
+            variant="neutral"
+            onClick={handleAskToRefine}
+            className="px-4 py-2 text-sm flex items-center gap-1"
+          >
+            <IoRefresh size={14} style={{ color: '#007AFF' }} /> Ask AI to refine
+          </BrutalButton>
+          <BrutalButton
+            variant="neutral"
+            onClick={handleExplain}
+            className="px-4 py-2 text-sm flex items-center gap-1"
+          >
+            <IoChatbubble size={14} style={{ color: '#34C759' }} /> Explain this
+          </BrutalButton>
+          <BrutalButton
+            variant="primary"
+            onClick={handleSendToChat}
+            className="px-4 py-2 text-sm flex items-center gap-1"
+          >
+            <IoChatbubbles size={14} /> Send to Chat
+          </BrutalButton>
+        </div>
+      )}
     </motion.div>
   )
 }
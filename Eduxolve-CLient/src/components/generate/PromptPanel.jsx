@@ -3,7 +3,7 @@
  */
 
 import { motion, AnimatePresence } from 'framer-motion'
-import { IoDocument, IoLayers, IoCode, IoSparkles } from 'react-icons/io5'
+import { IoDocument, IoLayers, IoCode, IoSparkles, IoHelpCircle, IoAlbums } from 'react-icons/io5'
 import { BrutalButton } from '../ui'
 import { FileAttachmentButton } from '../common'
 
@@ -11,7 +11,9 @@ import { FileAttachmentButton } from '../common'
 const contentTypes = [
   { id: 'notes', label: 'Notes', icon: IoDocument, color: '#FF9500' },
   { id: 'slides', label: 'Slides', icon: IoLayers, color: '#AF52DE' },
-  { id: 'code', label: 'Lab Code', icon: IoCode, color: '#007AFF' }
+  { id: 'code', label: 'Lab Code', icon: IoCode, color: '#007AFF' },
+  { id: 'quiz', label: 'Quiz', icon: IoHelpCircle, color: '#FF3B30' },
+  { id: 'flashcards', label: 'Flashcards', icon: IoAlbums, color: '#34C759' }
 ]
 
 // Programming language options (for Lab Code)
@@ -0,0 +1,198 @@
+/**
+ * QuizPlayer - Take a generated quiz and score the attempt
+ * Answers are checked against the answer key returned with the quiz
+ */
+
+import { useState } from 'react'
+import { IoCheckmarkCircle, IoCloseCircle, IoRefresh, IoDocument } from 'react-icons/io5'
+import { BrutalButton } from '../ui'
+
+const TYPE_LABELS = {
+  mcq: 'Multiple choice',
+  true_false: 'True / False',
+  short_answer: 'Short answer',
+}
+
+const normalize = (text) => String(text).toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim()
+
+/**
+ * Short answers count as correct when they mention every keyword,
+ * or match the model answer if the quiz has no keywords
+ */
+const isCorrect = (question, answer) => {
+  if (answer === undefined || answer === '') return false
+  if (question.type !== 'short_answer') return answer === question.answer
+
+  const given = normalize(answer)
+  if (question.keywords?.length > 0) {
+    return question.keywords.every(keyword => given.includes(normalize(keyword)))
+  }
+  return given === normalize(question.answer)
+}
+
+function QuizPlayer({ quiz, references = [] }) {
+  const [answers, setAnswers] = useState({})
+  const [submitted, setSubmitted] = useState(false)
+  const [attempts, setAttempts] = useState([])
+
+  const questions = quiz.questions
+  const results = questions.map((question, i) => isCorrect(question, answers[i]))
+  const correctCount = results.filter(Boolean).length
+  const unanswered = questions.filter((_, i) => answers[i] === undefined || answers[i] === '').length
+
+  const setAnswer = (index, value) => {
+    if (submitted) return
+    setAnswers(prev => ({ ...prev, [index]: value }))
+  }
+
+  const handleSubmit = () => {
+    setSubmitted(true)
+    setAttempts(prev => [...prev, correctCount])
+  }
+
+  const handleRetry = () => {
+    setAnswers({})
+    setSubmitted(false)
+  }
+
+  const referenceFor = (source) => references.find(ref => ref.index === source)
+
+  // Button styling for a choice, revealing the key after submit
+  const choiceClass = (index, value) => {
+    const question = questions[index]
+    const chosen = answers[index] === value
+    if (submitted && value === question.answer) return 'bg-[#E8F5E9] border-[#34C759]'
+    if (submitted && chosen) return 'bg-[#FFEBEE] border-[#FF3B30]'
+    if (chosen) return 'bg-[#FFF0D9] border-[#111111] -translate-y-0.5 -translate-x-0.5'
+    return 'bg-white border-[#111111] hover:-translate-y-0.5 hover:-translate-x-0.5'
+  }
+
+  return (
+    <div className="space-y-5">
+      {/* Score */}
+      {submitted && (
+        <div className="p-4 bg-white border-2 border-[#111111] rounded-xl shadow-[2px_2px_0px_#111111] flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <p className="text-lg font-bold text-[#111111]">
+              You scored {correctCount}/{questions.length} ({Math.round((correctCount / questions.length) * 100)}%)
+            </p>
+            {attempts.length > 1 && (
+              <p className="text-xs text-[#111111]/60">
+                Attempts: {attempts.map(score => `${score}/${questions.length}`).join(' · ')}
+              </p>
+            )}
+          </div>
+          <BrutalButton
+            variant="secondary"
+            onClick={handleRetry}
+            className="px-4 py-2 text-sm flex items-center gap-1"
+          >
+            <IoRefresh size={14} /> Try again
+          </BrutalButton>
+        </div>
+      )}
+
+      {/* Questions */}
+      {questions.map((question, i) => {
+        const reference = referenceFor(question.source)
+        return (
+          <div key={i} className="p-4 bg-white border-2 border-[#111111] rounded-xl">
+            <div className="flex items-start gap-3 mb-3">
+              <span className="shrink-0 w-7 h-7 flex items-center justify-center text-sm font-bold bg-[#FFD93D] border-2 border-[#111111] rounded-lg">
+                {i + 1}
+              </span>
+              <div className="flex-1">
+                <p className="text-xs font-semibold text-[#111111]/50 uppercase tracking-wide">
+                  {TYPE_LABELS[question.type]}
+                </p>
+                <p className="font-medium text-[#111111]">{question.question}</p>
+              </div>
+              {submitted && (results[i]
+                ? <IoCheckmarkCircle size={22} className="shrink-0" style={{ color: '#34C759' }} />
+                : <IoCloseCircle size={22} className="shrink-0" style={{ color: '#FF3B30' }} />
+              )}
+            </div>
+
+            {question.type === 'mcq' && (
+              <div className="space-y-2">
+                {question.options.map((option, j) => (
+                  <button
+                    key={j}
+                    type="button"
+                    onClick={() => setAnswer(i, j)}
+                    disabled={submitted}
+                    className={`w-full text-left px-3 py-2 text-sm border-2 rounded-lg transition-all duration-150 cursor-pointer disabled:cursor-default ${choiceClass(i, j)}`}
+                  >
+                    <span className="font-bold mr-2">{String.fromCharCode(65 + j)}.</span>
+                    {option}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {question.type === 'true_false' && (
+              <div className="flex gap-2">
+                {[true, false].map(value => (
+                  <button
+                    key={String(value)}
+                    type="button"
+                    onClick={() => setAnswer(i, value)}
+                    disabled={submitted}
+                    className={`px-4 py-2 text-sm font-bold border-2 rounded-lg transition-all duration-150 cursor-pointer disabled:cursor-default ${choiceClass(i, value)}`}
+                  >
+                    {value ? 'True' : 'False'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {question.type === 'short_answer' && (
+              <input
+                type="text"
+                value={answers[i] || ''}
+                onChange={(e) => setAnswer(i, e.target.value)}
+                disabled={submitted}
+                placeholder="Type your answer"
+                className="w-full px-3 py-2 text-sm bg-white border-2 border-[#111111] rounded-lg outline-none focus:shadow-[2px_2px_0px_#111111] disabled:bg-[#FAF8F5]"
+              />
+            )}
+
+            {/* Answer key */}
+            {submitted && (
+              <div className="mt-3 p-3 text-sm bg-[#FFF9E6] border-2 border-[#FFD93D] rounded-lg text-[#111111]/80">
+                {question.type === 'short_answer' && (
+                  <p className="mb-1"><span className="font-bold">Model answer:</span> {question.answer}</p>
+                )}
+                <p>{question.explanation}</p>
+                {reference && (
+                  <p className="mt-2 text-xs text-[#111111]/60 flex items-center gap-1">
+                    <IoDocument size={12} style={{ color: '#007AFF' }} />
+                    {reference.title}{reference.location && ` · ${reference.location}`}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      {!submitted && (
+        <div className="flex items-center justify-end gap-3">
+          {unanswered > 0 && (
+            <span className="text-sm text-[#111111]/60">{unanswered} unanswered</span>
+          )}
+          <BrutalButton
+            variant="primary"
+            onClick={handleSubmit}
+            disabled={unanswered === questions.length}
+            className="px-5 py-2 text-sm"
+          >
+            Submit answers
+          </BrutalButton>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default QuizPlayer
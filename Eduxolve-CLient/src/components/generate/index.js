@@ -2,3 +2,7 @@
 export { default as PromptPanel } from './PromptPanel'
 export { default as OutputPanel } from './OutputPanel'
 export { default as ValidationBadge } from './ValidationBadge'
+export { default as CodeAnnotations } from './CodeAnnotations'
+export { default as QuizPlayer } from './QuizPlayer'
+export { default as FlashcardDeck } from './FlashcardDeck'
+export { default as ExportMenu } from './ExportMenu'
@@ -0,0 +1,49 @@
+/**
+ * GenerationCard - One saved generation in the library list
+ */
+
+import { IoLayers } from 'react-icons/io5'
+import StatusPill from './StatusPill'
+import { TYPE_LABELS, formatDate } from './constants'
+
+function GenerationCard({ generation, isActive, onSelect }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(generation._id)}
+      className={`
+        w-full text-left p-4
+        bg-white border-2 border-[#111111] rounded-xl
+        transition-all duration-150 cursor-pointer
+        ${isActive
+          ? 'shadow-none translate-x-0.5 translate-y-0.5 bg-[#FFF9E8]'
+          : 'shadow-[3px_3px_0px_#111111] hover:-translate-y-0.5 hover:-translate-x-0.5 hover:shadow-[4px_4px_0px_#111111]'
+        }
+      `}
+    >
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        <span className="px-2 py-0.5 text-xs font-bold bg-[#FFD93D] border-2 border-[#111111] rounded-md">
+          {TYPE_LABELS[generation.type] || generation.type}
+        </span>
+        {generation.language && (
+          <span className="text-xs text-[#111111]/60">{generation.language}</span>
+        )}
+        <StatusPill validation={generation.validation} />
+      </div>
+
+      <p className="font-bold text-[#111111] line-clamp-1">{generation.title || generation.prompt}</p>
+      <p className="text-sm text-[#111111]/60 line-clamp-2 mt-1">{generation.prompt}</p>
+
+      <div className="flex items-center justify-between mt-3 text-xs text-[#111111]/50">
+        <span>{formatDate(generation.createdAt)}</span>
+        {generation.versionCount > 1 && (
+          <span className="flex items-center gap-1">
+            <IoLayers size={12} /> {generation.versionCount} versions
+          </span>
+        )}
+      </div>
+    </button>
+  )
+}
+
+export default GenerationCard
@@ -0,0 +1,58 @@
+/**
+ * GenerationView - The saved output of one generation version
+ * Notes, code and slides render as Markdown; quizzes and flashcards stay interactive
+ */
+
+import { IoDocument } from 'react-icons/io5'
+import { MarkdownRenderer } from '../common'
+import { QuizPlayer, FlashcardDeck } from '../generate'
+import StatusPill from './StatusPill'
+import { formatDate } from './constants'
+
+function GenerationView({ generation }) {
+  return (
+    <div>
+      <div className="flex items-center gap-2 flex-wrap mb-3 text-xs text-[#111111]/60">
+        <span className="px-2 py-0.5 font-bold text-[#111111] bg-white border-2 border-[#111111] rounded-md">
+          v{generation.version}
+        </span>
+        <StatusPill validation={generation.validation} />
+        <span>{formatDate(generation.createdAt)}</span>
+        {generation.model && <span>· {generation.model}</span>}
+      </div>
+
+      <h2 className="text-xl font-bold text-[#111111] mb-4">{generation.title}</h2>
+
+      <div className="prose prose-sm max-w-none text-[#111111]">
+        {generation.type === 'quiz' && generation.structured ? (
+          <QuizPlayer key={generation._id} quiz={generation.structured} references={generation.references} />
+        ) : generation.type === 'flashcards' && generation.structured ? (
+          <FlashcardDeck key={generation._id} deck={generation.structured} references={generation.references} />
+        ) : (
+          <MarkdownRenderer content={generation.content} animate={false} />
+        )}
+      </div>
+
+      {generation.references?.length > 0 && (
+        <div className="mt-6 pt-4 border-t-2 border-[#111111]/20">
+          <p className="text-xs font-semibold text-[#111111]/50 uppercase tracking-wide mb-2">
+            References
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {generation.references.map(reference => (
+              <span
+                key={reference.index}
+                className="px-2 py-1 text-xs bg-white border-2 border-[#111111] rounded-lg flex items-center gap-1"
+              >
+                <IoDocument size={12} style={{ color: '#007AFF' }} />
+                {reference.title}{reference.location && ` · ${reference.location}`}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GenerationView
@@ -0,0 +1,18 @@
+/**
+ * StatusPill - Validation status and score of a saved generation
+ */
+
+import { STATUS_STYLES } from './constants'
+
+function StatusPill({ validation }) {
+  const style = STATUS_STYLES[validation?.status] || STATUS_STYLES.pending
+
+  return (
+    <span className={`px-2 py-0.5 text-xs font-semibold text-[#111111] border-2 rounded-md ${style.className}`}>
+      {style.label}
+      {typeof validation?.score === 'number' && ` · ${validation.score}`}
+    </span>
+  )
+}
+
+export default StatusPill
@@ -0,0 +1,23 @@
+// Labels shared by the library components
+
+export const TYPE_LABELS = {
+  theory: 'Notes',
+  lab: 'Code',
+  slides: 'Slides',
+  quiz: 'Quiz',
+  flashcards: 'Flashcards',
+}
+
+export const STATUS_STYLES = {
+  grounded: { label: 'Grounded', className: 'bg-[#E8F5E9] border-[#6BCB77]' },
+  review: { label: 'Needs review', className: 'bg-[#FFF3E0] border-[#FFB74D]' },
+  error: { label: 'Not validated', className: 'bg-[#FFEBEE] border-[#FF6B6B]' },
+  pending: { label: 'Pending', className: 'bg-[#F2F2EE] border-[#111111]/30' },
+}
+
+export const formatDate = (dateString) => new Date(dateString).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+})
@@ -0,0 +1,5 @@
+// Library components barrel export
+export { default as GenerationCard } from './GenerationCard'
+export { default as GenerationView } from './GenerationView'
+export { default as StatusPill } from './StatusPill'
+export { TYPE_LABELS, STATUS_STYLES } from './constants'
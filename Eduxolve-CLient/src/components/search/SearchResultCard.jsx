@@ -31,7 +31,7 @@ const typeBadgeStyles = {
   }
 }
 
-function SearchResultCard({ result, index }) {
+function SearchResultCard({ result, query = '', index }) {
   const navigate = useNavigate()
   const badgeStyle = typeBadgeStyles[result.type] || typeBadgeStyles.theory
 
@@ -45,8 +45,11 @@ function SearchResultCard({ result, index }) {
   }
 
   const handleOpenSource = () => {
-    // Mock action - in real app would open the source document
-    console.log('Opening source:', result.source)
+    // Open the document scrolled to this chunk, with the query terms highlighted
+    const params = new URLSearchParams()
+    if (result.chunkIndex !== null && result.chunkIndex !== undefined) params.set('chunk', result.chunkIndex)
+    if (query) params.set('q', query)
+    navigate(`/documents/${result.contentId}?${params}`)
   }
 
   return (
@@ -131,9 +134,10 @@ function SearchResultCard({ result, index }) {
         <BrutalButton
           variant="neutral"
           onClick={handleOpenSource}
+          disabled={!result.contentId}
           className="px-4 py-2 text-sm flex items-center gap-1"
         >
-          <IoOpenOutline size={14} /> Open source
+          <IoOpenOutline size={14} /> Open in document
         </BrutalButton>
       </div>
     </motion.div>
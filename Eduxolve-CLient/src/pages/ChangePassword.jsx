@@ -0,0 +1,167 @@
+/**
+ * ChangePassword Page
+ *
+ * Lets a signed-in staff account change its password, or log out of
+ * every session. A password change ends all sessions, so the returned
+ * tokens replace ours.
+ */
+
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { BrutalCard, BrutalButton, BrutalInput } from '../components/ui'
+import { userApi, accountApi } from '../services/api'
+import { setAdminToken, logout } from '../services/auth.service'
+import PageWrapper from '../components/common/PageWrapper'
+import { useToast } from '../components/common'
+import { ConfirmDialog } from '../components/admin'
+
+// Mirrors the server's password rules (config/admin.js)
+const PASSWORD_MIN_LENGTH = 8
+
+function ChangePassword() {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [showLogoutAll, setShowLogoutAll] = useState(false)
+  const [isLoggingOut, setIsLoggingOut] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isLoading) return
+
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match')
+      return
+    }
+
+    setIsLoading(true)
+    setError('')
+
+    try {
+      const response = await userApi.changePassword({ currentPassword, newPassword })
+      setAdminToken(response.token, response.refreshToken)
+      toast.success('Password changed')
+      navigate(-1)
+    } catch (err) {
+      setError(err.message)
+      setIsLoading(false)
+    }
+  }
+
+  const handleLogoutAll = async () => {
+    setShowLogoutAll(false)
+    setIsLoggingOut(true)
+
+    try {
+      await accountApi.logoutAll()
+      await logout()
+      toast.success('Logged out of all sessions')
+      navigate('/login', { replace: true })
+    } catch (err) {
+      toast.error(err.message || 'Failed to log out of all sessions')
+      setIsLoggingOut(false)
+    }
+  }
+
+  return (
+    <PageWrapper>
+      <div className="min-h-screen bg-[#FAFAF7]">
+        <main className="max-w-md mx-auto px-6 py-8">
+          {/* Page Title */}
+          <div className="mb-8">
+            <h1 className="font-bold text-2xl text-[#111111]">
+              Change Password
+            </h1>
+            <p className="text-[#111111]/60 text-sm mt-1">
+              Other sessions are signed out when your password changes
+            </p>
+          </div>
+
+          <BrutalCard>
+            <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+              {error && (
+                <div className="p-4 bg-[#FFF0EC] border-2 border-[#FF6B6B] rounded-xl">
+                  <p className="text-[#111111] text-sm font-medium">{error}</p>
+                </div>
+              )}
+
+              <BrutalInput
+                id="current-password"
+                label="Current password"
+                type="password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                required
+                disabled={isLoading}
+              />
+
+              <BrutalInput
+                id="new-password"
+                label="New password"
+                type="password"
+                placeholder={`At least ${PASSWORD_MIN_LENGTH} characters, with a letter and a number`}
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                required
+                minLength={PASSWORD_MIN_LENGTH}
+                disabled={isLoading}
+              />
+
+              <BrutalInput
+                id="confirm-password"
+                label="Confirm new password"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                minLength={PASSWORD_MIN_LENGTH}
+                disabled={isLoading}
+              />
+
+              <BrutalButton
+                type="submit"
+                variant="primary"
+                disabled={isLoading}
+                className={`w-full mt-2 ${isLoading ? 'opacity-60 cursor-not-allowed' : ''}`}
+              >
+                {isLoading ? 'Saving...' : 'Change password'}
+              </BrutalButton>
+            </form>
+          </BrutalCard>
+
+          {/* Sessions */}
+          <BrutalCard className="mt-6">
+            <h2 className="font-bold text-lg text-[#111111] mb-1">Sessions</h2>
+            <p className="text-[#111111]/60 text-sm mb-4">
+              Signed in on a shared or lost device? End every session, including this one.
+            </p>
+            <BrutalButton
+              variant="danger"
+              onClick={() => setShowLogoutAll(true)}
+              disabled={isLoggingOut}
+              className="w-full"
+            >
+              {isLoggingOut ? 'Logging out...' : 'Log out all sessions'}
+            </BrutalButton>
+          </BrutalCard>
+        </main>
+
+        <ConfirmDialog
+          isOpen={showLogoutAll}
+          title="Log out all sessions"
+          message="You will be signed out on every device, including this one."
+          confirmText="Log out all"
+          confirmVariant="danger"
+          onConfirm={handleLogoutAll}
+          onCancel={() => setShowLogoutAll(false)}
+        />
+      </div>
+    </PageWrapper>
+  )
+}
+
+export default ChangePassword
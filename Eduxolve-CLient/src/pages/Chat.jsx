@@ -2,16 +2,20 @@
  * Chat Page - Conversational AI Chat Interface
  * Core interaction layer for academic learning
  * Now with file attachment support for code review, document analysis, etc.
+ * Conversations are saved server-side and listed in the sidebar
+ * Conversations belong to the course selected in the navbar
  */
 
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { ChatHeader, ChatMessage, ChatInput } from '../components/chat'
+import { ChatHeader, ChatMessage, ChatInput, ConversationSidebar } from '../components/chat'
+import { ConfirmDialog } from '../components/admin'
 import { BrutalButton } from '../components/ui'
 import PageWrapper from '../components/common/PageWrapper'
 import FileAttachmentButton from '../components/common/FileAttachmentButton'
 import { useToast } from '../components/common'
 import { chatApi } from '../services/api'
+import { useCourseStore } from '../store'
 
 // Suggested follow-ups shown after AI messages
 const suggestedFollowUps = [
@@ -29,14 +33,50 @@ const welcomeMessage = {
   actions: []
 }
 
-function Chat() {
+// Convert a stored message into the shape ChatMessage renders
+const toChatMessage = (message) => ({
+  id: message._id,
+  role: message.role,
+  content: message.content,
+  sources: message.sources || [],
+  citations: message.citations || [],
+  actions: message.actions || [],
+  hasFile: !!message.fileName,
+  fileName: message.fileName || null
+})
+
+function ChatSession({ courseId }) {
   const [messages, setMessages] = useState([welcomeMessage])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [attachedFile, setAttachedFile] = useState(null) // { fileId, fileName, ... }
+  const [conversations, setConversations] = useState([])
+  const [isLoadingConversations, setIsLoadingConversations] = useState(true)
+  const [activeConversationId, setActiveConversationId] = useState(null)
+  const [showSidebar, setShowSidebar] = useState(false) // Mobile only
+  const [deleteTarget, setDeleteTarget] = useState(null)
   const messagesEndRef = useRef(null)
+  const abortRef = useRef(null) // AbortController of the streaming request
   const toast = useToast()
 
+  const activeConversation = conversations.find(c => c._id === activeConversationId)
+
+  // Fetch saved conversations for the sidebar
+  const loadConversations = useCallback(async () => {
+    try {
+      const response = await chatApi.listConversations(courseId)
+      setConversations(response.data || [])
+    } catch (err) {
+      console.error('Failed to load conversations:', err)
+    } finally {
+      setIsLoadingConversations(false)
+    }
+  }, [courseId])
+
+  useEffect(() => {
+    loadConversations()
+  }, [loadConversations])
+
   // Scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -94,63 +134,102 @@ function Chat() {
       isLoading: true
     }])
 
+    // Updates the placeholder assistant message in place
+    const updateReply = (changes) => {
+      setMessages(prev => prev.map(msg => 
+        msg.id === loadingId ? { ...msg, ...changes } : msg
+      ))
+    }
+
+    const controller = new AbortController()
+    abortRef.current = controller
+    let streamedText = ''
+
     try {
-      // Call the chat API with optional fileId
-      const response = await chatApi.send({
+      // Call the chat API with optional fileId, rendering tokens as they stream in
+      const response = await chatApi.sendStream({
         message: content,
+        conversationId: activeConversationId || undefined,
         history: buildChatHistory(),
-        fileId: fileId || undefined
+        fileId: fileId || undefined,
+        courseId: courseId || undefined
+      }, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'start' && data.conversationId) {
+            // First message of a new chat creates the conversation server-side
+            setActiveConversationId(data.conversationId)
+          } else if (event === 'token') {
+            streamedText += data.text
+            updateReply({ content: streamedText, isLoading: false, isStreaming: true })
+          }
+        }
       })
 
       // Extract the reply from response
-      const aiReply = response.data || response
+      const aiReply = response?.data || response || {}
+
+      if (aiReply.conversationId) {
+        setActiveConversationId(aiReply.conversationId)
+      }
+      loadConversations()
       
-      // Replace loading with actual response
-      setMessages(prev => prev.map(msg => 
-        msg.id === loadingId
-          ? {
-              id: loadingId,
-              role: 'assistant',
-              content: aiReply.reply || aiReply.message || 'I received your message but couldn\'t generate a response.',
-              sources: aiReply.sources || [],
-              actions: aiReply.actions || [],
-              hasFileContext: aiReply.hasFileContext || false,
-              fileAnalysis: aiReply.fileAnalysis || null,
-              isLoading: false
-            }
-          : msg
-      ))
+      // Replace streamed text with the final response
+      updateReply({
+        content: aiReply.reply || aiReply.message || streamedText || 'I received your message but couldn\'t generate a response.',
+        sources: aiReply.sources || [],
+        citations: aiReply.citations || [],
+        actions: aiReply.actions || [],
+        hasFileContext: aiReply.hasFileContext || false,
+        fileAnalysis: aiReply.fileAnalysis || null,
+        isLoading: false,
+        isStreaming: false
+      })
       
       // Clear attached file after successful send (user can re-attach if needed)
       // Keep for follow-up questions
       // setAttachedFile(null)
     } catch (err) {
+      if (err.name === 'AbortError') {
+        // Stopped by the user - keep whatever was generated
+        updateReply({
+          content: streamedText ? `${streamedText}\n\n_Generation stopped._` : '_Generation stopped._',
+          sources: [],
+          actions: [],
+          isLoading: false,
+          isStreaming: false
+        })
+        loadConversations()
+        return
+      }
+
       console.error('Chat error:', err)
       
       // Show toast error
       toast.error('Failed to send message. Please try again.')
       
       // Replace loading with error message
-      setMessages(prev => prev.map(msg => 
-        msg.id === loadingId
-          ? {
-              id: loadingId,
-              role: 'assistant',
-              content: "I'm sorry, I couldn't process your request. Please try again.",
-              sources: [],
-              actions: [],
-              isLoading: false,
-              isError: true
-            }
-          : msg
-      ))
+      updateReply({
+        content: "I'm sorry, I couldn't process your request. Please try again.",
+        sources: [],
+        actions: [],
+        isLoading: false,
+        isStreaming: false,
+        isError: true
+      })
       
       setError(err.message || 'Failed to send message')
     } finally {
+      abortRef.current = null
       setIsLoading(false)
     }
   }
 
+  // Cancel the in-flight response (aborts the upstream generation)
+  const handleCancel = () => {
+    abortRef.current?.abort()
+  }
+
   // Handle action button clicks
   const handleAction = (action) => {
     handleSend(action)
@@ -161,10 +240,12 @@ function Chat() {
     handleSend(followUp)
   }
   
-  // Clear chat session
+  // Clear the messages of the current conversation
   const handleClearChat = async () => {
     try {
-      await chatApi.clearSession()
+      if (activeConversationId) {
+        await chatApi.clearSession(activeConversationId)
+      }
       setMessages([welcomeMessage])
       setAttachedFile(null)
       setError(null)
@@ -173,109 +254,235 @@ function Chat() {
     }
   }
 
+  // Start a fresh conversation (created on the first message)
+  const handleNewChat = () => {
+    abortRef.current?.abort()
+    setActiveConversationId(null)
+    setMessages([welcomeMessage])
+    setAttachedFile(null)
+    setError(null)
+    setShowSidebar(false)
+  }
+
+  // Open a saved conversation
+  const handleSelectConversation = async (id) => {
+    setShowSidebar(false)
+    if (id === activeConversationId || isLoading) return
+
+    try {
+      const response = await chatApi.getConversation(id)
+      const stored = response.data?.messages || []
+      setActiveConversationId(id)
+      setMessages(stored.length > 0 ? stored.map(toChatMessage) : [welcomeMessage])
+      setAttachedFile(null)
+      setError(null)
+    } catch (err) {
+      console.error('Failed to open conversation:', err)
+      toast.error('Could not open that conversation.')
+    }
+  }
+
+  const handleRenameConversation = async (id, title) => {
+    const previous = conversations
+    setConversations(prev => prev.map(c => (c._id === id ? { ...c, title } : c)))
+
+    try {
+      await chatApi.renameConversation(id, title)
+    } catch (err) {
+      console.error('Failed to rename conversation:', err)
+      setConversations(previous)
+      toast.error('Failed to rename conversation.')
+    }
+  }
+
+  const confirmDeleteConversation = async () => {
+    if (!deleteTarget) return
+    const id = deleteTarget._id
+    setDeleteTarget(null)
+
+    try {
+      await chatApi.deleteConversation(id)
+      setConversations(prev => prev.filter(c => c._id !== id))
+      if (id === activeConversationId) {
+        handleNewChat()
+      }
+    } catch (err) {
+      console.error('Failed to delete conversation:', err)
+      toast.error('Failed to delete conversation.')
+    }
+  }
+
   // Get the last message to check if we should show follow-ups
   const lastMessage = messages[messages.length - 1]
   const showFollowUps = lastMessage?.role === 'assistant' && !lastMessage?.isLoading && !isLoading
 
   return (
     <PageWrapper>
-      <div className="h-screen flex flex-col bg-[#FAF8F5]">
-        {/* Header */}
-        <ChatHeader />
-
-        {/* Messages Area */}
-        <div className="flex-1 overflow-y-auto">
-          <div className="max-w-4xl mx-auto px-4 py-8 space-y-5">
-            {messages.map((message) => (
-              <ChatMessage
-                key={message.id}
-                message={message}
-                onAction={handleAction}
-              />
-            ))}
-
-            {/* Suggested Follow-ups */}
-            <AnimatePresence>
-              {showFollowUps && (
-                <motion.div 
-                  className="flex flex-wrap gap-2 justify-center pt-6"
-                  initial={{ opacity: 0, y: 6 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: -6 }}
-                  transition={{ duration: 0.22, ease: [0.16, 1, 0.3, 1] }}
-                >
-                  {suggestedFollowUps.map((followUp, index) => (
-                    <motion.div
-                      key={followUp}
-                      initial={{ opacity: 0, scale: 0.96 }}
-                      animate={{ opacity: 1, scale: 1 }}
-                      transition={{ duration: 0.18, delay: index * 0.04 }}
-                    >
-                      <BrutalButton
-                        variant="neutral"
-                        onClick={() => handleFollowUp(followUp)}
-                        className="px-4 py-2 text-sm bg-[#F3EEFA]"
-                      >
-                        {followUp}
-                      </BrutalButton>
-                    </motion.div>
-                  ))}
-                </motion.div>
-              )}
-            </AnimatePresence>
-
-            {/* Scroll anchor */}
-            <div ref={messagesEndRef} />
-          </div>
+      <div className="h-screen flex bg-[#FAF8F5]">
+        {/* Conversation Sidebar (desktop) */}
+        <div className="hidden md:block h-full shrink-0">
+          <ConversationSidebar
+            conversations={conversations}
+            activeId={activeConversationId}
+            isLoading={isLoadingConversations}
+            onSelect={handleSelectConversation}
+            onNew={handleNewChat}
+            onRename={handleRenameConversation}
+            onDelete={setDeleteTarget}
+          />
         </div>
 
-        {/* Attached File Indicator (above input) */}
+        {/* Conversation Sidebar (mobile drawer) */}
         <AnimatePresence>
-          {attachedFile && (
+          {showSidebar && (
             <motion.div
-              initial={{ height: 0, opacity: 0 }}
-              animate={{ height: 'auto', opacity: 1 }}
-              exit={{ height: 0, opacity: 0 }}
-              className="border-t-2 border-[#111111]/10 bg-[#E8F0FC]"
+              className="fixed inset-0 z-40 flex md:hidden"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
             >
-              <div className="max-w-4xl mx-auto px-4 py-2">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center gap-2 text-sm">
-                    <span>📎</span>
-                    <span className="font-medium text-[#111111]">{attachedFile.fileName}</span>
-                    <span className="text-[#111111]/60">
-                      ({attachedFile.isCode ? attachedFile.language : attachedFile.fileType?.toUpperCase()})
-                    </span>
-                  </div>
-                  <button
-                    onClick={handleFileRemoved}
-                    className="text-xs text-[#111111]/60 hover:text-[#111111] underline"
-                  >
-                    Remove
-                  </button>
-                </div>
-              </div>
+              <motion.div
+                className="h-full"
+                initial={{ x: -24 }}
+                animate={{ x: 0 }}
+                exit={{ x: -24 }}
+                transition={{ duration: 0.2, ease: [0.16, 1, 0.3, 1] }}
+              >
+                <ConversationSidebar
+                  conversations={conversations}
+                  activeId={activeConversationId}
+                  isLoading={isLoadingConversations}
+                  onSelect={handleSelectConversation}
+                  onNew={handleNewChat}
+                  onRename={handleRenameConversation}
+                  onDelete={setDeleteTarget}
+                  onClose={() => setShowSidebar(false)}
+                />
+              </motion.div>
+              <div className="flex-1 bg-[#111111]/40" onClick={() => setShowSidebar(false)} />
             </motion.div>
           )}
         </AnimatePresence>
 
-        {/* Input Area with File Attachment Button */}
-        <ChatInput 
-          onSend={handleSend} 
-          disabled={isLoading} 
-          placeholder={attachedFile ? `Ask about ${attachedFile.fileName}...` : 'Type your message...'}
-          leftSlot={
-            <FileAttachmentButton
-              onFileProcessed={handleFileProcessed}
-              onFileRemoved={handleFileRemoved}
-              attachedFile={attachedFile}
-              disabled={isLoading}
-            />
-          }
-        />
+        <div className="flex-1 min-w-0 flex flex-col">
+          {/* Header */}
+          <ChatHeader
+            title={activeConversation?.title}
+            onShowHistory={() => setShowSidebar(true)}
+          />
+
+          {/* Messages Area */}
+          <div className="flex-1 overflow-y-auto">
+            <div className="max-w-4xl mx-auto px-4 py-8 space-y-5">
+              {messages.map((message) => (
+                <ChatMessage
+                  key={message.id}
+                  message={message}
+                  onAction={handleAction}
+                  onCancel={handleCancel}
+                />
+              ))}
+
+              {/* Suggested Follow-ups */}
+              <AnimatePresence>
+                {showFollowUps && (
+                  <motion.div 
+                    className="flex flex-wrap gap-2 justify-center pt-6"
+                    initial={{ opacity: 0, y: 6 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -6 }}
+                    transition={{ duration: 0.22, ease: [0.16, 1, 0.3, 1] }}
+                  >
+                    {suggestedFollowUps.map((followUp, index) => (
+                      <motion.div
+                        key={followUp}
+                        initial={{ opacity: 0, scale: 0.96 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        transition={{ duration: 0.18, delay: index * 0.04 }}
+                      >
+                        <BrutalButton
+                          variant="neutral"
+                          onClick={() => handleFollowUp(followUp)}
+                          className="px-4 py-2 text-sm bg-[#F3EEFA]"
+                        >
+                          {followUp}
+                        </BrutalButton>
+                      </motion.div>
+                    ))}
+                  </motion.div>
+                )}
+              </AnimatePresence>
+
+              {/* Scroll anchor */}
+              <div ref={messagesEndRef} />
+            </div>
+          </div>
+
+          {/* Attached File Indicator (above input) */}
+          <AnimatePresence>
+            {attachedFile && (
+              <motion.div
+                initial={{ height: 0, opacity: 0 }}
+                animate={{ height: 'auto', opacity: 1 }}
+                exit={{ height: 0, opacity: 0 }}
+                className="border-t-2 border-[#111111]/10 bg-[#E8F0FC]"
+              >
+                <div className="max-w-4xl mx-auto px-4 py-2">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2 text-sm">
+                      <span>📎</span>
+                      <span className="font-medium text-[#111111]">{attachedFile.fileName}</span>
+                      <span className="text-[#111111]/60">
+                        ({attachedFile.isCode ? attachedFile.language : attachedFile.fileType?.toUpperCase()})
+                      </span>
+                    </div>
+                    <button
+                      onClick={handleFileRemoved}
+                      className="text-xs text-[#111111]/60 hover:text-[#111111] underline"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* Input Area with File Attachment Button */}
+          <ChatInput 
+            onSend={handleSend} 
+            disabled={isLoading} 
+            placeholder={attachedFile ? `Ask about ${attachedFile.fileName}...` : 'Type your message...'}
+            leftSlot={
+              <FileAttachmentButton
+                onFileProcessed={handleFileProcessed}
+                onFileRemoved={handleFileRemoved}
+                attachedFile={attachedFile}
+                disabled={isLoading}
+              />
+            }
+          />
+        </div>
       </div>
+
+      {/* Delete Conversation Dialog */}
+      <ConfirmDialog
+        isOpen={!!deleteTarget}
+        title="Delete Conversation"
+        message={`Delete "${deleteTarget?.title}"? This cannot be undone.`}
+        confirmText="Delete"
+        confirmVariant="danger"
+        onConfirm={confirmDeleteConversation}
+        onCancel={() => setDeleteTarget(null)}
+      />
     </PageWrapper>
   )
 }
 
+// Switching course starts a fresh session with that course's conversations
+function Chat() {
+  const activeCourseId = useCourseStore((state) => state.activeCourseId)
+  return <ChatSession key={activeCourseId || 'all'} courseId={activeCourseId} />
+}
+
 export default Chat
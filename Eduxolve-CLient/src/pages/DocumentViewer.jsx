@@ -0,0 +1,253 @@
+/**
+ * DocumentViewer Page - A content item's text with one chunk highlighted
+ * Opened from search results and chat citations:
+ * /documents/:contentId?chunk=<chunkIndex>&q=<query>
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import { IoArrowBack, IoArrowForward, IoDocumentText, IoOpenOutline, IoWarning } from 'react-icons/io5'
+import { BrutalButton, BrutalCard } from '../components/ui'
+import { DocumentSegment, buildTermPattern, segmentLabel, CODE_FILE_TYPES } from '../components/document'
+import PageWrapper from '../components/common/PageWrapper'
+import { SkeletonLoader } from '../components/common'
+import { contentApi, resolveFileUrl } from '../services/api'
+
+function DocumentViewer() {
+  const navigate = useNavigate()
+  const { contentId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  const [doc, setDoc] = useState(null) // { content, segments, chunks }
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [showOriginal, setShowOriginal] = useState(false)
+  const passageRef = useRef(null)
+
+  const query = searchParams.get('q') || ''
+  const chunkParam = searchParams.get('chunk')
+  const chunkIndex = chunkParam !== null && chunkParam !== '' ? Number(chunkParam) : null
+
+  const fetchDocument = useCallback(async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await contentApi.document(contentId)
+      setDoc(response.data)
+    } catch (err) {
+      console.error('Failed to load document:', err)
+      setError(err.message || 'Failed to load document')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [contentId])
+
+  useEffect(() => {
+    fetchDocument()
+  }, [fetchDocument])
+
+  const pattern = useMemo(() => buildTermPattern(query), [query])
+  const chunks = doc?.chunks || []
+  const position = chunks.findIndex(chunk => chunk.chunkIndex === chunkIndex)
+  const target = position === -1 ? null : chunks[position]
+
+  // Bring the selected passage into view once it is rendered
+  useEffect(() => {
+    passageRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [doc, chunkIndex, showOriginal])
+
+  const goToChunk = (next) => {
+    const params = { chunk: String(chunks[next].chunkIndex) }
+    if (query) params.q = query
+    setSearchParams(params, { replace: true })
+  }
+
+  if (isLoading) {
+    return (
+      <PageWrapper>
+        <div className="min-h-screen bg-[#FAF8F5]">
+          <main className="max-w-4xl mx-auto px-6 py-8 space-y-4">
+            {[1, 2, 3].map(i => <SkeletonLoader key={i} variant="card" />)}
+          </main>
+        </div>
+      </PageWrapper>
+    )
+  }
+
+  if (error || !doc) {
+    return (
+      <PageWrapper>
+        <div className="min-h-screen bg-[#FAF8F5]">
+          <main className="max-w-4xl mx-auto px-6 py-8">
+            <div className="p-4 bg-red-100 border-2 border-red-500 rounded-2xl flex items-center gap-3">
+              <span className="font-medium text-red-700">{error || 'Document not found'}</span>
+              <button onClick={fetchDocument} className="ml-auto text-red-700 underline hover:no-underline">
+                Retry
+              </button>
+            </div>
+          </main>
+        </div>
+      </PageWrapper>
+    )
+  }
+
+  const { content, segments } = doc
+  const fileUrl = resolveFileUrl(content.fileUrl)
+  const isPdf = content.fileType === 'pdf' || /\.pdf$/i.test(content.fileUrl || '')
+  const mono = CODE_FILE_TYPES.includes(content.fileType)
+  const targetLabel = target && (segmentLabel(target) || `Section ${target.chunkIndex + 1}`)
+
+  return (
+    <PageWrapper>
+      <div className="min-h-screen bg-[#FAF8F5]">
+        <main className="max-w-4xl mx-auto px-6 py-8">
+          {/* Header */}
+          <button
+            onClick={() => navigate(-1)}
+            className="mb-4 flex items-center gap-1 text-sm text-[#111111]/60 hover:text-[#111111] cursor-pointer"
+          >
+            <IoArrowBack size={14} /> Back
+          </button>
+
+          <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+            <div className="min-w-0">
+              <h1 className="font-bold text-2xl text-[#111111] flex items-center gap-2">
+                <IoDocumentText size={24} className="shrink-0" /> {content.title}
+              </h1>
+              <p className="text-[#111111]/60 text-sm mt-1">
+                {[content.week && `Week ${content.week}`, content.topic, content.originalFileName].filter(Boolean).join(' · ')}
+              </p>
+            </div>
+            {fileUrl && (
+              <a
+                href={target?.page ? `${fileUrl}#page=${target.page}` : fileUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="
+                  inline-flex items-center gap-2
+                  px-4 py-2
+                  text-sm font-bold text-[#111111]
+                  bg-white
+                  border-2 border-[#111111]
+                  rounded-xl
+                  shadow-[2px_2px_0px_#111111]
+                  hover:shadow-[4px_4px_0px_#111111]
+                  transition-all duration-150
+                "
+              >
+                Open original <IoOpenOutline size={14} />
+              </a>
+            )}
+          </div>
+
+          {/* Passage navigation */}
+          {target && (
+            <div className="sticky top-20 z-10 mb-6 p-3 flex flex-wrap items-center gap-3 bg-[#FFF9DB] border-2 border-[#111111] rounded-xl shadow-[2px_2px_0px_#111111]">
+              <span className="text-sm font-semibold text-[#111111]">
+                Passage {position + 1} of {chunks.length} · {targetLabel}
+              </span>
+              {query && (
+                <span className="text-sm text-[#111111]/60 truncate">matching "{query}"</span>
+              )}
+              <div className="ml-auto flex gap-2">
+                {isPdf && target.page && fileUrl && (
+                  <BrutalButton
+                    variant="neutral"
+                    onClick={() => setShowOriginal(prev => !prev)}
+                    className="px-3 py-1.5 text-sm"
+                  >
+                    {showOriginal ? 'Show text' : 'Show PDF page'}
+                  </BrutalButton>
+                )}
+                <BrutalButton
+                  variant="neutral"
+                  onClick={() => goToChunk(position - 1)}
+                  disabled={position <= 0}
+                  className="px-3 py-1.5 text-sm"
+                  aria-label="Previous passage"
+                >
+                  <IoArrowBack size={14} />
+                </BrutalButton>
+                <BrutalButton
+                  variant="neutral"
+                  onClick={() => goToChunk(position + 1)}
+                  disabled={position >= chunks.length - 1}
+                  className="px-3 py-1.5 text-sm"
+                  aria-label="Next passage"
+                >
+                  <IoArrowForward size={14} />
+                </BrutalButton>
+              </div>
+            </div>
+          )}
+
+          {showOriginal && target?.page && fileUrl ? (
+            <iframe
+              key={target.page}
+              src={`${fileUrl}#page=${target.page}`}
+              title={`${content.title}, page ${target.page}`}
+              className="w-full h-[80vh] bg-white border-2 border-[#111111] rounded-2xl shadow-[3px_3px_0px_#111111]"
+            />
+          ) : segments.length > 0 ? (
+            <div className="space-y-5">
+              {/* Passage that could not be placed in the current text of the file */}
+              {target && target.segment === null && (
+                <>
+                  <BrutalCard className="flex items-start gap-3 text-sm text-[#111111]/70">
+                    <IoWarning size={18} className="shrink-0 text-[#FF9F43]" />
+                    This passage was indexed from an earlier version of the file and could not be found in its current text.
+                  </BrutalCard>
+                  <DocumentSegment
+                    label={targetLabel}
+                    text={target.text}
+                    passage={{ start: 0, end: target.text.length }}
+                    pattern={pattern}
+                    mono={mono}
+                    passageRef={passageRef}
+                  />
+                </>
+              )}
+
+              {segments.map((segment, i) => (
+                <DocumentSegment
+                  key={i}
+                  label={segmentLabel(segment)}
+                  text={segment.text}
+                  passage={target?.segment === i ? target : null}
+                  pattern={pattern}
+                  mono={mono}
+                  passageRef={target?.segment === i ? passageRef : null}
+                />
+              ))}
+            </div>
+          ) : chunks.length > 0 ? (
+            // No text could be extracted from the file: show the indexed chunks
+            <div className="space-y-5">
+              {chunks.map(chunk => (
+                <DocumentSegment
+                  key={chunk.chunkIndex}
+                  label={segmentLabel(chunk) || `Section ${chunk.chunkIndex + 1}`}
+                  text={chunk.text}
+                  passage={chunk === target ? { start: 0, end: chunk.text.length } : null}
+                  pattern={pattern}
+                  mono={mono}
+                  passageRef={chunk === target ? passageRef : null}
+                />
+              ))}
+            </div>
+          ) : (
+            <BrutalCard className="text-center py-10">
+              <h3 className="font-bold text-lg text-[#111111] mb-1">No text available</h3>
+              <p className="text-sm text-[#111111]/60">
+                Text could not be extracted from this file. Open the original to view it.
+              </p>
+            </BrutalCard>
+          )}
+        </main>
+      </div>
+    </PageWrapper>
+  )
+}
+
+export default DocumentViewer
@@ -1,16 +1,18 @@
 /**
  * Generate Page - AI Content Generation Interface
- * Create notes, slides, or lab code grounded in course materials
+ * Create notes, slides, lab code, quizzes or flashcards grounded in course materials
  * Now with file attachment support for context-aware generation
  */
 
-import { useState } from 'react'
+import { useState, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { PromptPanel, OutputPanel } from '../components/generate'
 import PageWrapper from '../components/common/PageWrapper'
 import FileAttachmentButton from '../components/common/FileAttachmentButton'
 import { useToast } from '../components/common'
 import { aiApi, validationApi } from '../services/api'
+import { useAuthStore, useCourseStore } from '../store'
+import { PERMISSIONS, findGrant } from '../services/permissions'
 
 function Generate() {
   const [prompt, setPrompt] = useState('')
@@ -21,6 +23,10 @@ function Generate() {
   const [output, setOutput] = useState(null)
   const [error, setError] = useState(null)
   const [attachedFile, setAttachedFile] = useState(null) // { fileId, fileName, ... }
+  const abortRef = useRef(null) // AbortController of the streaming request
+  const activeCourseId = useCourseStore((state) => state.activeCourseId)
+  // Lab code is only run in the sandbox for staff with code:run
+  const canRunCode = useAuthStore((state) => Boolean(findGrant(state.permissions, PERMISSIONS.CODE_RUN)))
   const toast = useToast()
 
   // Map frontend content type to backend type
@@ -29,6 +35,8 @@ function Generate() {
       case 'notes': return 'theory'
       case 'slides': return 'slides'
       case 'code': return 'lab'
+      case 'quiz': return 'quiz'
+      case 'flashcards': return 'flashcards'
       default: return 'theory'
     }
   }
@@ -123,6 +131,11 @@ function Generate() {
     setOutput(null)
     setError(null)
 
+    const controller = new AbortController()
+    abortRef.current = controller
+    const title = `Generated ${contentType.charAt(0).toUpperCase() + contentType.slice(1)}`
+    let streamedText = ''
+
     try {
       // Prepare request based on content type
       const backendType = getBackendType(contentType)
@@ -130,56 +143,115 @@ function Generate() {
         type: backendType,
         topic: prompt,
         ...(contentType === 'code' && { language }),
-        ...(attachedFile?.fileId && { fileId: attachedFile.fileId })
+        ...(attachedFile?.fileId && { fileId: attachedFile.fileId }),
+        ...(activeCourseId && { courseId: activeCourseId })
       }
 
-      // Call the AI generation API
-      const response = await aiApi.generate(requestBody)
+      // Call the AI generation API, rendering tokens as they stream in
+      const response = await aiApi.generateStream(requestBody, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'token') {
+            streamedText += data.text
+            setOutput(prev => ({
+              title,
+              sources: [],
+              validationStatus: 'pending',
+              ...prev,
+              rawContent: streamedText,
+              isStreaming: true
+            }))
+          }
+        }
+      })
       
       // Extract generated content
-      const generatedContent = response.data?.content || response.content || response.data || ''
-      const sources = response.data?.sources || response.sources || []
-      const hasFileContext = response.data?.hasFileContext || false
+      const generatedContent = response?.data?.content || response?.content || streamedText
+      const sources = response?.data?.sources || response?.sources || []
+      const hasFileContext = response?.data?.hasFileContext || false
+
+      // Quizzes and flashcards arrive as validated JSON, rendered interactively
+      const structured = response?.data?.[backendType]
+      if (structured) {
+        setOutput({
+          id: Date.now(),
+          generationId: response.data.generationId,
+          title: structured.title,
+          [backendType]: structured,
+          references: response.data.references || [],
+          sources,
+          hasFileContext,
+          validationStatus: sources.includes('course_materials') ? 'grounded' : 'review'
+        })
+        toast.success(backendType === 'quiz' ? 'Quiz ready!' : 'Flashcards ready!')
+        return
+      }
       
       // Parse and structure the content
       const parsedOutput = parseGeneratedContent(generatedContent, contentType)
       
       if (parsedOutput) {
+        parsedOutput.type = backendType
+        parsedOutput.topic = prompt
+        parsedOutput.generationId = response?.data?.generationId
         parsedOutput.sources = sources
         parsedOutput.rawContent = generatedContent
         parsedOutput.hasFileContext = hasFileContext
+        parsedOutput.isStreaming = false
         
         // Show success toast
         toast.success('Content generated successfully!')
         
         // Automatically validate after generation
         setOutput(parsedOutput)
-        await handleValidate(generatedContent, backendType)
+        setIsLoading(false)
+        await handleValidate(generatedContent, backendType, parsedOutput.generationId)
       }
     } catch (err) {
+      if (err.name === 'AbortError') {
+        // Stopped by the user - keep the partial content, skip validation
+        setOutput(prev => prev && { ...prev, isStreaming: false, validationStatus: 'review' })
+        toast.info('Generation stopped.')
+        return
+      }
+
       console.error('Generation error:', err)
       setError(err.message || 'Failed to generate content. Please try again.')
       toast.error('Failed to generate content. Please try again.')
     } finally {
+      abortRef.current = null
       setIsLoading(false)
     }
   }
 
-  const handleValidate = async (content, type) => {
+  // Cancel the in-flight generation (aborts the upstream request)
+  const handleCancel = () => {
+    abortRef.current?.abort()
+  }
+
+  const handleValidate = async (content, type, generationId) => {
     setIsValidating(true)
     
     try {
       const response = await validationApi.validate({
         type,
-        content: typeof content === 'string' ? content : JSON.stringify(content)
+        content: typeof content === 'string' ? content : JSON.stringify(content),
+        ...(type === 'lab' && { options: { language, execute: canRunCode } }),
+        ...(generationId && { generationId })
       })
       
       // Update output with validation results
+      const codeValidation = (response.data || response).layers?.codeValidation
       setOutput(prev => ({
         ...prev,
         validationStatus: response.data?.status || response.status || 'review',
         validationScore: response.data?.score || response.score,
-        validationFeedback: response.data?.feedback || response.feedback
+        validationFeedback: response.data?.feedback || response.feedback,
+        codeCheck: codeValidation?.annotations && {
+          code: codeValidation.code,
+          annotations: codeValidation.annotations,
+          parser: codeValidation.parser
+        }
       }))
     } catch (err) {
       console.error('Validation error:', err)
@@ -205,7 +277,7 @@ function Generate() {
               Generate Learning Materials
             </h1>
             <p className="text-sm text-[#111111]/60 mt-1">
-              Create notes, slides, or lab code using course content or uploaded files
+              Create notes, slides, lab code, quizzes or flashcards using course content or uploaded files
             </p>
           </div>
 
@@ -236,8 +308,10 @@ function Generate() {
             {/* Right Panel - Generated Output (Scrollable) */}
             <OutputPanel
               output={output}
-              isLoading={isLoading || isValidating}
+              isLoading={(isLoading || isValidating) && !output?.rawContent}
+              isValidating={isValidating}
               contentType={contentType}
+              onCancel={isLoading ? handleCancel : null}
             />
           </div>
         </main>
@@ -0,0 +1,380 @@
+/**
+ * Library Page - Saved generations with search, filters and versions
+ * Regenerating saves a new version that opens side by side with the old one
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { IoSearch, IoRefresh, IoTrashOutline, IoGitCompare, IoClose, IoSparkles, IoLibrary } from 'react-icons/io5'
+import { BrutalButton, BrutalCard } from '../components/ui'
+import { GenerationCard, GenerationView, TYPE_LABELS, STATUS_STYLES } from '../components/library'
+import PageWrapper from '../components/common/PageWrapper'
+import { SkeletonLoader, useToast } from '../components/common'
+import { generationApi, aiApi, validationApi } from '../services/api'
+import { useAuthStore } from '../store'
+import { PERMISSIONS, findGrant } from '../services/permissions'
+
+// Types the validation endpoint scores (quizzes/flashcards are schema-checked on generation)
+const VALIDATED_TYPES = ['theory', 'lab', 'slides']
+
+function Library() {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const canRunCode = useAuthStore((state) => Boolean(findGrant(state.permissions, PERMISSIONS.CODE_RUN)))
+
+  // List + filters
+  const [generations, setGenerations] = useState([])
+  const [total, setTotal] = useState(0)
+  const [pages, setPages] = useState(1)
+  const [page, setPage] = useState(1)
+  const [searchInput, setSearchInput] = useState('')
+  const [query, setQuery] = useState('')
+  const [type, setType] = useState('')
+  const [status, setStatus] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Selected generation, its versions, and an optional version to compare with
+  const [detail, setDetail] = useState(null) // { generation, versions }
+  const [compare, setCompare] = useState(null)
+  const [isRegenerating, setIsRegenerating] = useState(false)
+
+  const fetchGenerations = useCallback(async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await generationApi.list({ q: query, type, status, page })
+      setGenerations(response.data || [])
+      setTotal(response.total || 0)
+      setPages(response.pages || 1)
+    } catch (err) {
+      console.error('Failed to load library:', err)
+      setError(err.message || 'Failed to load your library')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [query, type, status, page])
+
+  useEffect(() => {
+    fetchGenerations()
+  }, [fetchGenerations])
+
+  const openGeneration = async (id) => {
+    try {
+      const response = await generationApi.get(id)
+      setDetail(response.data)
+      setCompare(null)
+    } catch (err) {
+      console.error('Failed to open generation:', err)
+      toast.error('Could not open this generation')
+    }
+  }
+
+  const openComparison = async (id) => {
+    if (!id) {
+      setCompare(null)
+      return
+    }
+    try {
+      const response = await generationApi.get(id)
+      setCompare(response.data.generation)
+    } catch (err) {
+      console.error('Failed to open version:', err)
+      toast.error('Could not open that version')
+    }
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setPage(1)
+    setQuery(searchInput.trim())
+  }
+
+  const handleFilter = (setter) => (value) => {
+    setPage(1)
+    setter(value)
+  }
+
+  // Run the saved request again as a new version, then compare it with the old one
+  const handleRegenerate = async () => {
+    const previous = detail.generation
+    setIsRegenerating(true)
+
+    try {
+      const response = await aiApi.generate({
+        type: previous.type,
+        topic: previous.prompt,
+        ...(previous.language && { language: previous.language }),
+        options: previous.options || {},
+        ...(previous.courseId && { courseId: previous.courseId }),
+        parentId: previous._id,
+      })
+      const generationId = response.data?.generationId
+      if (!generationId) throw new Error('The new version was not saved')
+
+      if (VALIDATED_TYPES.includes(previous.type)) {
+        try {
+          await validationApi.validate({
+            type: previous.type,
+            content: response.data.content,
+            generationId,
+            ...(previous.type === 'lab' && { options: { language: previous.language, execute: canRunCode } }),
+          })
+        } catch (err) {
+          console.error('Validation of new version failed:', err)
+        }
+      }
+
+      const next = await generationApi.get(generationId)
+      setDetail(next.data)
+      setCompare(previous)
+      toast.success(`Saved as version ${next.data.generation.version}`)
+      fetchGenerations()
+    } catch (err) {
+      console.error('Regenerate failed:', err)
+      toast.error(err.message || 'Failed to regenerate')
+    } finally {
+      setIsRegenerating(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    const { generation, versions } = detail
+    if (!window.confirm(`Delete version ${generation.version} of "${generation.title}"?`)) return
+
+    try {
+      await generationApi.delete(generation._id)
+      const remaining = versions.filter(v => v._id !== generation._id)
+      if (remaining.length > 0) {
+        await openGeneration(remaining[remaining.length - 1]._id)
+      } else {
+        setDetail(null)
+        setCompare(null)
+      }
+      toast.success('Version deleted')
+      fetchGenerations()
+    } catch (err) {
+      console.error('Delete failed:', err)
+      toast.error('Failed to delete')
+    }
+  }
+
+  const filterButtonClass = (active) => `
+    px-3 py-1.5 text-sm font-medium border-2 border-[#111111] rounded-lg
+    transition-all duration-150 cursor-pointer
+    ${active
+      ? 'bg-[#111111] text-white shadow-none'
+      : 'bg-white text-[#111111] shadow-[2px_2px_0_#111111] hover:shadow-[3px_3px_0_#111111]'
+    }
+  `
+
+  const otherVersions = detail?.versions.filter(v => v._id !== detail.generation._id) || []
+
+  return (
+    <PageWrapper>
+      <div className="min-h-screen bg-[#FAF8F5]">
+        <main className="max-w-7xl mx-auto px-6 py-8">
+          {/* Page Title */}
+          <div className="flex items-center justify-between gap-4 mb-6 flex-wrap">
+            <div>
+              <h1 className="font-bold text-2xl text-[#111111] flex items-center gap-2">
+                <IoLibrary size={24} /> My library
+              </h1>
+              <p className="text-[#111111]/60 text-sm mt-1">
+                Everything you have generated, with every version kept
+              </p>
+            </div>
+            <BrutalButton variant="primary" onClick={() => navigate('/generate')} className="flex items-center gap-2">
+              <IoSparkles size={16} /> New generation
+            </BrutalButton>
+          </div>
+
+          {/* Search + Filters */}
+          <form onSubmit={handleSearch} className="flex gap-2 mb-4">
+            <div className="flex-1 flex items-center gap-2 px-3 bg-white border-2 border-[#111111] rounded-xl shadow-[2px_2px_0_#111111]">
+              <IoSearch size={18} className="text-[#111111]/50" />
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search titles, prompts and content"
+                className="flex-1 py-2.5 bg-transparent outline-none text-[#111111]"
+              />
+            </div>
+            <BrutalButton type="submit" variant="secondary" className="px-5">Search</BrutalButton>
+          </form>
+
+          <div className="flex flex-wrap items-center gap-2 mb-6">
+            {[['', 'All'], ...Object.entries(TYPE_LABELS)].map(([key, label]) => (
+              <button key={key || 'all'} type="button" onClick={() => handleFilter(setType)(key)} className={filterButtonClass(type === key)}>
+                {label}
+              </button>
+            ))}
+            <select
+              value={status}
+              onChange={(e) => handleFilter(setStatus)(e.target.value)}
+              className="ml-auto px-3 py-1.5 text-sm bg-white border-2 border-[#111111] rounded-lg cursor-pointer"
+              aria-label="Filter by validation status"
+            >
+              <option value="">Any status</option>
+              {Object.entries(STATUS_STYLES).map(([key, style]) => (
+                <option key={key} value={key}>{style.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {error && (
+            <div className="mb-6 p-4 bg-red-100 border-2 border-red-500 rounded-2xl flex items-center gap-3">
+              <span className="font-medium text-red-700">{error}</span>
+              <button onClick={fetchGenerations} className="ml-auto text-red-700 underline hover:no-underline">
+                Retry
+              </button>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+            {/* List */}
+            <div className={`lg:col-span-2 space-y-3 ${compare ? 'hidden' : ''}`}>
+              <p className="text-sm text-[#111111]/60">
+                {total} saved {total === 1 ? 'generation' : 'generations'}{query && ` matching "${query}"`}
+              </p>
+
+              {isLoading ? (
+                [1, 2, 3].map(i => <SkeletonLoader key={i} variant="card" />)
+              ) : generations.length > 0 ? (
+                generations.map(generation => (
+                  <GenerationCard
+                    key={generation._id}
+                    generation={generation}
+                    isActive={detail?.generation.versionGroup === generation.versionGroup}
+                    onSelect={openGeneration}
+                  />
+                ))
+              ) : (
+                <BrutalCard className="text-center py-10">
+                  <h3 className="font-bold text-lg text-[#111111] mb-1">Nothing here yet</h3>
+                  <p className="text-sm text-[#111111]/60">
+                    {query || type || status ? 'No generations match these filters.' : 'Generated notes, slides, code and quizzes are saved here.'}
+                  </p>
+                </BrutalCard>
+              )}
+
+              {pages > 1 && (
+                <div className="flex items-center justify-between pt-2">
+                  <BrutalButton variant="neutral" onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="px-3 py-1.5 text-sm">
+                    Previous
+                  </BrutalButton>
+                  <span className="text-sm text-[#111111]/60">Page {page} of {pages}</span>
+                  <BrutalButton variant="neutral" onClick={() => setPage(p => p + 1)} disabled={page >= pages} className="px-3 py-1.5 text-sm">
+                    Next
+                  </BrutalButton>
+                </div>
+              )}
+            </div>
+
+            {/* Detail */}
+            <div className={compare ? 'lg:col-span-5' : 'lg:col-span-3'}>
+              {detail ? (
+                <div className="bg-[#FFF9E8] border-2 border-[#111111] rounded-2xl shadow-[3px_3px_0px_#111111] p-6">
+                  {/* Request + actions */}
+                  <div className="flex flex-wrap items-start justify-between gap-3 mb-4 pb-4 border-b-2 border-[#111111]/20">
+                    <div className="min-w-0">
+                      <p className="text-xs font-semibold text-[#111111]/50 uppercase tracking-wide">
+                        {TYPE_LABELS[detail.generation.type]}{detail.generation.language && ` · ${detail.generation.language}`}
+                      </p>
+                      <p className="text-[#111111] mt-1">{detail.generation.prompt}</p>
+                      {detail.generation.sources?.length > 0 && (
+                        <p className="text-xs text-[#111111]/50 mt-1">Sources: {detail.generation.sources.join(', ')}</p>
+                      )}
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      <BrutalButton
+                        variant="primary"
+                        onClick={handleRegenerate}
+                        disabled={isRegenerating}
+                        className="px-4 py-2 text-sm flex items-center gap-1"
+                      >
+                        <IoRefresh size={14} /> {isRegenerating ? 'Regenerating...' : 'Regenerate'}
+                      </BrutalButton>
+                      <BrutalButton
+                        variant="neutral"
+                        onClick={handleDelete}
+                        disabled={isRegenerating}
+                        className="px-3 py-2 text-sm"
+                        aria-label="Delete this version"
+                      >
+                        <IoTrashOutline size={16} />
+                      </BrutalButton>
+                    </div>
+                  </div>
+
+                  {/* Versions */}
+                  {detail.versions.length > 1 && (
+                    <div className="flex flex-wrap items-center gap-2 mb-5">
+                      <span className="text-sm font-medium text-[#111111]/60">Versions:</span>
+                      {detail.versions.map(version => (
+                        <button
+                          key={version._id}
+                          type="button"
+                          onClick={() => openGeneration(version._id)}
+                          className={filterButtonClass(version._id === detail.generation._id)}
+                        >
+                          v{version.version}
+                          {typeof version.validation?.score === 'number' && (
+                            <span className="ml-1 opacity-60">({version.validation.score})</span>
+                          )}
+                        </button>
+                      ))}
+                      <label className="ml-auto flex items-center gap-2 text-sm text-[#111111]/70">
+                        <IoGitCompare size={16} />
+                        <select
+                          value={compare?._id || ''}
+                          onChange={(e) => openComparison(e.target.value)}
+                          className="px-2 py-1 bg-white border-2 border-[#111111] rounded-lg cursor-pointer"
+                        >
+                          <option value="">Compare with...</option>
+                          {otherVersions.map(version => (
+                            <option key={version._id} value={version._id}>Version {version.version}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                  )}
+
+                  {compare ? (
+                    <>
+                      <div className="flex justify-end mb-3">
+                        <BrutalButton variant="neutral" onClick={() => setCompare(null)} className="px-3 py-1.5 text-sm flex items-center gap-1">
+                          <IoClose size={14} /> Close comparison
+                        </BrutalButton>
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div className="p-4 bg-white border-2 border-[#111111] rounded-xl min-w-0">
+                          <GenerationView generation={compare} />
+                        </div>
+                        <div className="p-4 bg-white border-2 border-[#111111] rounded-xl min-w-0">
+                          <GenerationView generation={detail.generation} />
+                        </div>
+                      </div>
+                    </>
+                  ) : (
+                    <GenerationView generation={detail.generation} />
+                  )}
+                </div>
+              ) : (
+                <div className="h-full min-h-64 bg-[#FFF9E8] border-2 border-dashed border-[#111111]/40 rounded-2xl flex items-center justify-center p-6">
+                  <p className="text-[#111111]/60 text-sm text-center">
+                    Select a generation to see its output and versions
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        </main>
+      </div>
+    </PageWrapper>
+  )
+}
+
+export default Library
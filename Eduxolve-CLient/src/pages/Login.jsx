@@ -5,7 +5,7 @@
  * - Google Sign-In
  * - Email/Password Login
  * - Email/Password Registration (toggle)
- * - Admin login (hardcoded credentials)
+ * - Staff login (admin / instructor accounts stored by the backend)
  * 
  * Features:
  * - Loading states
@@ -17,16 +17,13 @@ import { useState, useEffect } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import { BrutalCard, BrutalButton, BrutalInput } from '../components/ui'
-import { signInWithGoogle, loginWithEmail, registerWithEmail } from '../services/auth.service'
+import { signInWithGoogle, loginWithEmail, loginAsStaff, registerWithEmail } from '../services/auth.service'
 import { useAuthStore } from '../store'
+import { homePathFor } from '../services/permissions'
 import PageWrapper from '../components/common/PageWrapper'
 import Loader from '../components/common/Loader'
 import { useToast } from '../components/common'
 
-// Admin emails for detection
-const ADMIN_EMAILS = ['admin@eduxolve.com', 'admin@university.edu']
-const isAdminEmail = (email) => ADMIN_EMAILS.includes(email?.toLowerCase())
-
 function Login() {
   const navigate = useNavigate()
   const { user, role, loading: authLoading, setAuth } = useAuthStore()
@@ -36,6 +33,7 @@ function Login() {
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
   const [isRegistering, setIsRegistering] = useState(false)
+  const [isStaff, setIsStaff] = useState(false)
   
   // UI state
   const [isLoading, setIsLoading] = useState(false)
@@ -49,11 +47,7 @@ function Login() {
       // Show success toast only once
       toast.success('Welcome back!')
       // Redirect based on role
-      if (role === 'admin') {
-        navigate('/admin', { replace: true })
-      } else {
-        navigate('/dashboard', { replace: true })
-      }
+      navigate(homePathFor(role), { replace: true })
     }
   }, [user, role, authLoading, hasRedirected, navigate])
 
@@ -82,32 +76,27 @@ function Login() {
     setError('')
 
     try {
-      if (isRegistering) {
+      if (isStaff) {
+        // Staff accounts use a backend JWT, not Firebase auth state,
+        // so the auth store is updated manually
+        const result = await loginAsStaff(email, password)
+        const staffUser = {
+          uid: result.id,
+          email: result.email,
+          displayName: result.email,
+          photoURL: null,
+          emailVerified: true,
+          id: result.id,
+        }
+        setAuth(staffUser, result.role, result.permissions)
+        setHasRedirected(true)
+        toast.success(result.role === 'admin' ? 'Welcome, Admin!' : 'Welcome back!')
+        navigate(homePathFor(result.role), { replace: true })
+        return
+      } else if (isRegistering) {
         await registerWithEmail(email, password)
       } else {
-        console.log('🔐 Login attempt for:', email)
-        const result = await loginWithEmail(email, password)
-        console.log('🔐 Login result:', result)
-        
-        // For admin login, manually trigger auth state update
-        // (since admin uses JWT, not Firebase auth state)
-        if (isAdminEmail(email) && result) {
-          console.log('🔐 Admin detected, setting auth store...')
-          // Set auth store for admin
-          const adminUser = {
-            uid: result.id,
-            email: result.email,
-            displayName: result.email,
-            photoURL: null,
-            emailVerified: true,
-            id: result.id,
-          }
-          setAuth(adminUser, 'admin')
-          console.log('🔐 Auth store set, navigating to /admin...')
-          toast.success('Welcome, Admin!')
-          navigate('/admin', { replace: true })
-          return
-        }
+        await loginWithEmail(email, password)
       }
       // Navigation handled by useEffect above after auth state updates
     } catch (err) {
@@ -123,6 +112,13 @@ function Login() {
     setError('')
   }
 
+  // Toggle between student (Firebase) and staff sign-in
+  const toggleStaff = () => {
+    setIsStaff(!isStaff)
+    setIsRegistering(false)
+    setError('')
+  }
+
   // Show loading spinner while checking auth state or redirecting
   if (authLoading || (user && !hasRedirected) || hasRedirected) {
     return <Loader message={hasRedirected ? "Redirecting..." : "Loading..."} />
@@ -163,12 +159,14 @@ function Login() {
             {/* Header */}
             <div className="text-center">
               <h1 className="text-2xl font-bold text-[#111111] mb-2">
-                {isRegistering ? 'Create your account' : 'Sign in to your course'}
+                {isStaff ? 'Staff sign-in' : isRegistering ? 'Create your account' : 'Sign in to your course'}
               </h1>
               <p className="text-[#111111]/60">
-                {isRegistering 
-                  ? 'Get started with AI-powered learning'
-                  : 'Welcome back! Please enter your details.'
+                {isStaff
+                  ? 'For admins, instructors and TAs with an EduXolve staff account.'
+                  : isRegistering 
+                    ? 'Get started with AI-powered learning'
+                    : 'Welcome back! Please enter your details.'
                 }
               </p>
             </div>
@@ -194,52 +192,57 @@ function Login() {
             </AnimatePresence>
 
             {/* Google Sign-in Button */}
-            <BrutalButton
-              variant="neutral"
-              onClick={handleGoogleSignIn}
-              disabled={isLoading}
-              className={`w-full flex items-center justify-center gap-3 ${isLoading ? 'opacity-60 cursor-not-allowed' : ''}`}
-            >
-              {isLoading ? (
-                <>
-                  <motion.div 
-                    className="w-5 h-5 border-2 border-[#111111] border-t-transparent rounded-full"
-                    animate={{ rotate: 360 }}
-                    transition={{ duration: 0.8, repeat: Infinity, ease: 'linear' }}
-                  />
-                  Signing in...
-                </>
-              ) : (
-                <>
-                  <svg className="w-5 h-5" viewBox="0 0 24 24">
-                    <path
-                      fill="#4285F4"
-                      d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
-                    />
-                    <path
-                      fill="#34A853"
-                      d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
-                    />
-                    <path
-                      fill="#FBBC05"
-                      d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
-                    />
-                    <path
-                      fill="#EA4335"
-                      d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
+            {!isStaff && (
+              <BrutalButton
+                variant="neutral"
+                onClick={handleGoogleSignIn}
+                disabled={isLoading}
+                className={`w-full flex items-center justify-center gap-3 ${isLoading ? 'opacity-60 cursor-not-allowed' : ''}`}
+              >
+                {isLoading ? (
+                  <>
+                    <motion.div 
+                      className="w-5 h-5 border-2 border-[#111111] border-t-transparent rounded-full"
+                      animate={{ rotate: 360 }}
+                      transition={{ duration: 0.8, repeat: Infinity, ease: 'linear' }}
                     />
-                  </svg>
-                  {isRegistering ? 'Sign up with Google' : 'Sign in with Google'}
-                </>
-              )}
-            </BrutalButton>
+                    Signing in...
+                  </>
+                ) : (
+                  <>
+                    <svg className="w-5 h-5" viewBox="0 0 24 24">
+                      <path
+                        fill="#4285F4"
+                        d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
+                      />
+                      <path
+                        fill="#34A853"
+                        d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
+                      />
+                      <path
+                        fill="#FBBC05"
+                        d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
+                      />
+                      <path
+                        fill="#EA4335"
+                        d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
+                      />
+                    </svg>
+                    {isRegistering ? 'Sign up with Google' : 'Sign in with Google'}
+                  </>
+                )}
+              </BrutalButton>
+
+            )}
 
             {/* Divider */}
-            <div className="flex items-center gap-4">
-              <div className="flex-1 h-0.5 bg-[#111111]/20" />
-              <span className="text-[#111111]/50 font-medium">or</span>
-              <div className="flex-1 h-0.5 bg-[#111111]/20" />
-            </div>
+            {!isStaff && (
+              <div className="flex items-center gap-4">
+                <div className="flex-1 h-0.5 bg-[#111111]/20" />
+                <span className="text-[#111111]/50 font-medium">or</span>
+                <div className="flex-1 h-0.5 bg-[#111111]/20" />
+              </div>
+            )}
 
             {/* Email/Password Form */}
             <form onSubmit={handleEmailSubmit} className="flex flex-col gap-4">
@@ -288,30 +291,44 @@ function Login() {
             </form>
 
             {/* Toggle Login/Register */}
-            <p className="text-center text-sm text-[#111111]/60">
-              {isRegistering ? (
-                <>
-                  Already have an account?{' '}
-                  <button
-                    type="button"
-                    onClick={toggleMode}
-                    className="font-semibold text-[#111111] hover:underline cursor-pointer"
-                  >
-                    Sign in
-                  </button>
-                </>
-              ) : (
-                <>
-                  Don't have an account?{' '}
-                  <button
-                    type="button"
-                    onClick={toggleMode}
-                    className="font-semibold text-[#111111] hover:underline cursor-pointer"
-                  >
-                    Create one
-                  </button>
-                </>
-              )}
+            {!isStaff && (
+              <p className="text-center text-sm text-[#111111]/60">
+                {isRegistering ? (
+                  <>
+                    Already have an account?{' '}
+                    <button
+                      type="button"
+                      onClick={toggleMode}
+                      className="font-semibold text-[#111111] hover:underline cursor-pointer"
+                    >
+                      Sign in
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    Don't have an account?{' '}
+                    <button
+                      type="button"
+                      onClick={toggleMode}
+                      className="font-semibold text-[#111111] hover:underline cursor-pointer"
+                    >
+                      Create one
+                    </button>
+                  </>
+                )}
+              </p>
+            )}
+
+            {/* Toggle Student/Staff */}
+            <p className="text-center text-sm text-[#111111]/60 -mt-3">
+              {isStaff ? 'Student?' : 'Admin, instructor or TA?'}{' '}
+              <button
+                type="button"
+                onClick={toggleStaff}
+                className="font-semibold text-[#111111] hover:underline cursor-pointer"
+              >
+                {isStaff ? 'Use student sign-in' : 'Staff sign-in'}
+              </button>
             </p>
           </div>
         </BrutalCard>
@@ -1,5 +1,5 @@
 /**
- * Search Page - Intelligent semantic search over course materials
+ * Search Page - Intelligent semantic, keyword and hybrid search over course materials
  */
 
 import { useState } from 'react'
@@ -10,6 +10,20 @@ import { SearchBar, SearchResultCard, SearchSkeleton } from '../components/searc
 import PageWrapper from '../components/common/PageWrapper'
 import { useToast } from '../components/common'
 import { searchApi } from '../services/api'
+import { useCourseStore } from '../store'
+
+// Ranking modes supported by POST /api/search
+const SEARCH_MODES = [
+  { key: 'hybrid', label: 'Hybrid', hint: 'Meaning + exact keywords' },
+  { key: 'semantic', label: 'Semantic', hint: 'Match by meaning' },
+  { key: 'keyword', label: 'Keyword', hint: 'Exact terms like malloc or std::vector' },
+]
+
+// Optional second stage: re-score candidates and spread results across files
+const REFINE_OPTIONS = [
+  { key: 'rerank', label: 'Re-rank with AI', hint: 'Slower, but orders results by how well they answer the query' },
+  { key: 'diverse', label: 'Diverse sources', hint: 'Avoid several overlapping passages from the same file' },
+]
 
 function Search() {
   const navigate = useNavigate()
@@ -19,8 +33,13 @@ function Search() {
   const [hasSearched, setHasSearched] = useState(false)
   const [error, setError] = useState(null)
   const [searchQuery, setSearchQuery] = useState('')
+  const [mode, setMode] = useState('hybrid')
+  const [refine, setRefine] = useState({ rerank: false, diverse: false })
+  const activeCourseId = useCourseStore((state) => state.activeCourseId)
+  const activeCourse = useCourseStore((state) => state.courses.find(c => c._id === state.activeCourseId))
+  const [searchedCourseId, setSearchedCourseId] = useState(activeCourseId)
 
-  const handleSearch = async (query) => {
+  const handleSearch = async (query, searchMode = mode, searchRefine = refine) => {
     if (!query.trim()) return
     
     setIsLoading(true)
@@ -28,12 +47,17 @@ function Search() {
     setResults([])
     setError(null)
     setSearchQuery(query)
+    setSearchedCourseId(activeCourseId)
 
     try {
       // Call the search API
       const response = await searchApi.search({
         query,
-        limit: 10
+        limit: 10,
+        mode: searchMode,
+        ...(searchRefine.rerank && { rerank: 'llm' }),
+        ...(searchRefine.diverse && { diversity: 0.3 }),
+        ...(activeCourseId && { courseId: activeCourseId })
       })
 
       // Extract results from response
@@ -43,12 +67,14 @@ function Search() {
       const mappedResults = searchResults.map((item, index) => ({
         id: item._id || item.id || index,
         type: item.type || 'theory',
-        title: item.title || item.contentTitle || 'Untitled',
-        snippet: item.text || item.snippet || item.content || '',
-        source: item.source || item.sourceName || item.filename || 'Course Materials',
+        title: item.content?.title || item.title || item.contentTitle || 'Untitled',
+        snippet: item.chunkText || item.text || item.snippet || '',
+        // e.g. "Slide 14 of Week 3" for chunks extracted from decks/PDFs
+        source: item.location || item.source || item.sourceName || item.filename || 'Course Materials',
         code: item.code || null,
         score: item.score || item.similarity || null,
-        contentId: item.contentId || null
+        contentId: item.contentId || null,
+        chunkIndex: item.chunkIndex ?? null
       }))
 
       setResults(mappedResults)
@@ -62,6 +88,27 @@ function Search() {
     }
   }
 
+  // Switching mode re-runs the current search
+  const handleModeChange = (nextMode) => {
+    if (nextMode === mode) return
+    setMode(nextMode)
+    if (searchQuery && !isLoading) {
+      handleSearch(searchQuery, nextMode)
+    }
+  }
+
+  // Toggling a refinement re-runs the current search too
+  const handleRefineToggle = (key) => {
+    const nextRefine = { ...refine, [key]: !refine[key] }
+    setRefine(nextRefine)
+    if (searchQuery && !isLoading) {
+      handleSearch(searchQuery, mode, nextRefine)
+    }
+  }
+
+  // Results were fetched for a different course than the one now selected
+  const isStaleCourse = hasSearched && searchedCourseId !== activeCourseId
+
   // Handle "Ask AI" action from search result
   const handleAskAI = (result) => {
     // Navigate to chat with context
@@ -85,12 +132,69 @@ function Search() {
             </h1>
             <p className="text-sm text-[#111111]/60 mt-1">
               Find slides, PDFs, and lab code using natural language
+              {activeCourse && <> in <span className="font-bold text-[#111111]">{activeCourse.code}</span></>}
             </p>
           </div>
 
           {/* Search Bar Section */}
           <section className="mb-12">
             <SearchBar onSearch={handleSearch} isLoading={isLoading} />
+
+            {/* Search Mode */}
+            <div className="flex flex-wrap items-center justify-center gap-2 mt-4">
+              <span className="text-sm font-medium text-[#111111]/60">Mode:</span>
+              {SEARCH_MODES.map((option) => (
+                <button
+                  key={option.key}
+                  type="button"
+                  title={option.hint}
+                  aria-pressed={mode === option.key}
+                  onClick={() => handleModeChange(option.key)}
+                  className={`
+                    px-3 py-1.5
+                    text-sm font-medium
+                    border-2 border-[#111111]
+                    rounded-lg
+                    transition-all duration-150
+                    cursor-pointer
+                    ${mode === option.key
+                      ? 'bg-[#111111] text-white shadow-none'
+                      : 'bg-white text-[#111111] shadow-[2px_2px_0_#111111] hover:shadow-[3px_3px_0_#111111]'
+                    }
+                  `}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {/* Refinements */}
+            <div className="flex flex-wrap items-center justify-center gap-2 mt-3">
+              <span className="text-sm font-medium text-[#111111]/60">Refine:</span>
+              {REFINE_OPTIONS.map((option) => (
+                <button
+                  key={option.key}
+                  type="button"
+                  title={option.hint}
+                  aria-pressed={refine[option.key]}
+                  onClick={() => handleRefineToggle(option.key)}
+                  className={`
+                    px-3 py-1.5
+                    text-sm font-medium
+                    border-2 border-[#111111]
+                    rounded-lg
+                    transition-all duration-150
+                    cursor-pointer
+                    ${refine[option.key]
+                      ? 'bg-[#111111] text-white shadow-none'
+                      : 'bg-white text-[#111111] shadow-[2px_2px_0_#111111] hover:shadow-[3px_3px_0_#111111]'
+                    }
+                  `}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
           </section>
 
           {/* Results Section */}
@@ -106,6 +210,22 @@ function Search() {
               </div>
             )}
 
+            {/* Course changed since the last search */}
+            {!isLoading && isStaleCourse && (
+              <div className="mb-6 p-4 bg-[#FFF4D6] border-2 border-[#111111] rounded-xl flex items-center justify-between gap-3">
+                <p className="text-sm text-[#111111]">
+                  These results are from {searchedCourseId ? 'another course' : 'all courses'}.
+                </p>
+                <BrutalButton
+                  variant="secondary"
+                  onClick={() => handleSearch(searchQuery)}
+                  className="px-4 py-2 text-sm shrink-0"
+                >
+                  Search {activeCourse ? activeCourse.code : 'all courses'}
+                </BrutalButton>
+              </div>
+            )}
+
             {/* Loading State */}
             {isLoading && (
               <div className="space-y-4">
@@ -127,6 +247,7 @@ function Search() {
                     <SearchResultCard
                       key={result.id}
                       result={result}
+                      query={searchQuery}
                       index={index}
                       onAskAI={() => handleAskAI(result)}
                     />
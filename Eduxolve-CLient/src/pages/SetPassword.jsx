@@ -0,0 +1,170 @@
+/**
+ * SetPassword Page
+ *
+ * Landing page for the links admins hand out:
+ * - /invite/:token          - accept a staff invitation by choosing a password
+ * - /reset-password/:token  - choose a new password for a staff account
+ *
+ * Both sign the user in on success and redirect by role.
+ */
+
+import { useState, useEffect } from 'react'
+import { useNavigate, useParams, Link } from 'react-router-dom'
+import { BrutalCard, BrutalButton, BrutalInput } from '../components/ui'
+import { accountApi } from '../services/api'
+import { setAdminToken } from '../services/auth.service'
+import { homePathFor } from '../services/permissions'
+import { useAuthStore } from '../store'
+import PageWrapper from '../components/common/PageWrapper'
+import Loader from '../components/common/Loader'
+import { useToast } from '../components/common'
+
+// Mirrors the server's password rules (config/admin.js)
+const PASSWORD_MIN_LENGTH = 8
+
+function SetPassword({ mode = 'invite' }) {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const setAuth = useAuthStore((state) => state.setAuth)
+  const toast = useToast()
+  const isInvite = mode === 'invite'
+
+  const [invitation, setInvitation] = useState(null)
+  const [isChecking, setIsChecking] = useState(isInvite)
+  const [linkError, setLinkError] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  // Invitations are looked up first so the page can show who is invited
+  useEffect(() => {
+    if (!isInvite) return
+
+    accountApi.getInvitation(token)
+      .then((response) => setInvitation(response.data))
+      .catch((err) => setLinkError(err.message || 'This invitation link is invalid'))
+      .finally(() => setIsChecking(false))
+  }, [isInvite, token])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isLoading) return
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setIsLoading(true)
+    setError('')
+
+    try {
+      const response = isInvite
+        ? await accountApi.acceptInvitation(token, password)
+        : await accountApi.resetPassword(token, password)
+
+      // Staff accounts use a backend JWT, not Firebase auth state
+      setAdminToken(response.token, response.refreshToken)
+      setAuth({
+        uid: response.user.id,
+        email: response.user.email,
+        displayName: response.user.email,
+        photoURL: null,
+        emailVerified: true,
+        id: response.user.id,
+      }, response.user.role, response.user.permissions)
+
+      toast.success(isInvite ? 'Welcome to EduXolve!' : 'Password updated')
+      navigate(homePathFor(response.user.role), { replace: true })
+    } catch (err) {
+      setError(err.message)
+      setIsLoading(false)
+    }
+  }
+
+  if (isChecking) {
+    return <Loader message="Checking invitation..." />
+  }
+
+  return (
+    <PageWrapper>
+      <div className="min-h-screen bg-[#FAF8F5] flex items-center justify-center p-6">
+        <div className="w-full max-w-md">
+          <BrutalCard className="bg-[#E8F0FC]">
+            <div className="flex flex-col gap-7">
+              {/* Header */}
+              <div className="text-center">
+                <h1 className="text-2xl font-bold text-[#111111] mb-2">
+                  {isInvite ? 'Accept your invitation' : 'Choose a new password'}
+                </h1>
+                <p className="text-[#111111]/60">
+                  {isInvite && invitation
+                    ? `You've been invited as ${invitation.role === 'admin' ? 'an admin' : invitation.role === 'ta' ? 'a TA' : 'an instructor'} (${invitation.email}).`
+                    : 'Use at least 8 characters, with a letter and a number.'}
+                </p>
+              </div>
+
+              {linkError ? (
+                <>
+                  <div className="p-4 bg-[#FFF0EC] border-2 border-[#FF6B6B] rounded-xl">
+                    <p className="text-[#111111] text-sm font-medium">{linkError}</p>
+                  </div>
+                  <p className="text-center text-sm text-[#111111]/60">
+                    Ask an admin for a new link, or{' '}
+                    <Link to="/login" className="text-[#111111] font-semibold underline">
+                      go to sign-in
+                    </Link>
+                  </p>
+                </>
+              ) : (
+                <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+                  {error && (
+                    <div className="p-4 bg-[#FFF0EC] border-2 border-[#FF6B6B] rounded-xl">
+                      <p className="text-[#111111] text-sm font-medium">{error}</p>
+                    </div>
+                  )}
+
+                  <BrutalInput
+                    id="password"
+                    label="Password"
+                    type="password"
+                    placeholder={`At least ${PASSWORD_MIN_LENGTH} characters`}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    minLength={PASSWORD_MIN_LENGTH}
+                    disabled={isLoading}
+                  />
+
+                  <BrutalInput
+                    id="confirm-password"
+                    label="Confirm password"
+                    type="password"
+                    placeholder="Repeat the password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    required
+                    minLength={PASSWORD_MIN_LENGTH}
+                    disabled={isLoading}
+                  />
+
+                  <BrutalButton
+                    type="submit"
+                    variant="primary"
+                    disabled={isLoading}
+                    className={`w-full mt-2 ${isLoading ? 'opacity-60 cursor-not-allowed' : ''}`}
+                  >
+                    {isLoading ? 'Saving...' : isInvite ? 'Activate account' : 'Set password'}
+                  </BrutalButton>
+                </form>
+              )}
+            </div>
+          </BrutalCard>
+        </div>
+      </div>
+    </PageWrapper>
+  )
+}
+
+export default SetPassword
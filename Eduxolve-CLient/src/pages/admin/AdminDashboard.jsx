@@ -1,9 +1,9 @@
 /**
- * AdminDashboard - Main admin control center
+ * AdminDashboard - Main staff control center (admins, instructors, TAs)
  * 
  * Features:
  * - Real-time stats from database
- * - Three action cards: Upload, Manage, Review
+ * - Action cards (Upload, Manage, Users, Review) shown per permission
  * - Recent activity from content uploads
  * - Colorful Neubrutalism design
  */
@@ -14,6 +14,8 @@ import { motion } from 'framer-motion'
 import BrutalCard from '../../components/ui/BrutalCard'
 import PageWrapper from '../../components/common/PageWrapper'
 import { contentApi } from '../../services/api'
+import { PERMISSIONS, ROLE_LABELS, findGrant } from '../../services/permissions'
+import { useAuthStore } from '../../store'
 
 const adminActions = [
   {
@@ -29,6 +31,7 @@ const adminActions = [
     color: 'bg-[#FFF3CD]', // Light yellow
     borderColor: 'border-[#FFD93D]',
     route: '/admin/upload',
+    permission: PERMISSIONS.CONTENT_UPLOAD,
   },
   {
     id: 'manage',
@@ -43,6 +46,22 @@ const adminActions = [
     color: 'bg-[#D4EDDA]', // Light green
     borderColor: 'border-[#6BCB77]',
     route: '/admin/content',
+    permission: PERMISSIONS.CONTENT_EDIT,
+  },
+  {
+    id: 'users',
+    title: 'Manage Users',
+    description: 'Invite instructors, change roles and disable accounts',
+    cta: 'Manage',
+    icon: (
+      <svg className="w-8 h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+      </svg>
+    ),
+    color: 'bg-[#E8F0FC]', // Light blue
+    borderColor: 'border-[#007AFF]',
+    route: '/admin/users',
+    permission: PERMISSIONS.USERS_MANAGE,
   },
   {
     id: 'review',
@@ -57,6 +76,7 @@ const adminActions = [
     color: 'bg-[#D1F2EB]', // Light teal
     borderColor: 'border-[#4ECDC4]',
     route: '/admin/review',
+    permission: PERMISSIONS.ANALYTICS_VIEW,
     placeholder: true,
   },
 ]
@@ -132,6 +152,8 @@ function AdminActionCard({ action, onClick, index }) {
 
 function AdminDashboard() {
   const navigate = useNavigate()
+  const { role, permissions } = useAuthStore()
+  const visibleActions = adminActions.filter((action) => findGrant(permissions, action.permission))
   const [stats, setStats] = useState({
     total: 0,
     theory: 0,
@@ -221,7 +243,7 @@ function AdminDashboard() {
         {/* Page Title */}
         <div className="mb-10">
           <h1 className="font-bold text-2xl text-[#111111]">
-            Admin Dashboard
+            {ROLE_LABELS[role] || 'Admin'} Dashboard
           </h1>
           <p className="text-[#111111]/60 text-sm mt-1">
             Manage course content and platform settings
@@ -255,8 +277,8 @@ function AdminDashboard() {
         <h2 className="font-bold text-lg text-[#111111] mb-4">
           Quick Actions
         </h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-          {adminActions.map((action, index) => (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+          {visibleActions.map((action, index) => (
             <AdminActionCard
               key={action.id}
               action={action}
@@ -5,10 +5,12 @@
  * - Content list view from API
  * - Edit/Delete actions
  * - Filter by type
+ * - Search indexing status (polls background jobs)
  * - Confirmation dialogs
+ * - Actions only on content inside the user's content:edit scope
  */
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
 import BrutalCard from '../../components/ui/BrutalCard'
@@ -16,7 +18,24 @@ import BrutalButton from '../../components/ui/BrutalButton'
 import PageWrapper from '../../components/common/PageWrapper'
 import { ContentCard, ConfirmDialog } from '../../components/admin'
 import { SkeletonLoader } from '../../components/common/Loader'
-import { contentApi } from '../../services/api'
+import { contentApi, jobApi } from '../../services/api'
+import { useAuthStore, useCourseStore } from '../../store'
+import { PERMISSIONS, findGrant, isScoped, isWithinGrant, describeScope } from '../../services/permissions'
+
+// How often in-progress indexing jobs are polled
+const JOB_POLL_INTERVAL = 3000
+
+// Statuses that change without user action
+const isIndexingPending = (status) => status === 'queued' || status === 'indexing'
+
+// Content index status implied by a job item
+const statusFromJobItem = (job, item) => {
+  if (item.status === 'completed') return 'indexed'
+  if (item.status === 'running') return 'indexing'
+  // Failed items are retried until the job itself gives up
+  if (item.status === 'failed' && job.status === 'failed') return 'failed'
+  return 'queued'
+}
 
 function ManageContent() {
   const navigate = useNavigate()
@@ -27,18 +46,17 @@ function ManageContent() {
   const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, item: null })
   const [editDialog, setEditDialog] = useState({ isOpen: false, item: null })
   const [successMessage, setSuccessMessage] = useState('')
+  const activeCourseId = useCourseStore((state) => state.activeCourseId)
+  const permissions = useAuthStore((state) => state.permissions)
+  const editGrant = findGrant(permissions, PERMISSIONS.CONTENT_EDIT)
+  const canUpload = Boolean(findGrant(permissions, PERMISSIONS.CONTENT_UPLOAD))
 
-  // Fetch content on mount
-  useEffect(() => {
-    fetchContent()
-  }, [])
-
-  const fetchContent = async () => {
+  const fetchContent = useCallback(async () => {
     setIsLoading(true)
     setError(null)
     
     try {
-      const response = await contentApi.list()
+      const response = await contentApi.list({ courseId: activeCourseId })
       const contentList = response.data || response.content || response || []
       
       // Map to expected format
@@ -50,7 +68,10 @@ function ManageContent() {
         topic: item.topic || '',
         tags: item.tags || [],
         filename: item.filename,
-        createdAt: item.createdAt
+        createdAt: item.createdAt,
+        indexStatus: item.indexStatus || null,
+        indexError: item.indexError || null,
+        indexJobId: item.indexJobId || null
       }))
       
       setContent(mappedContent)
@@ -60,7 +81,44 @@ function ManageContent() {
     } finally {
       setIsLoading(false)
     }
-  }
+  }, [activeCourseId])
+
+  // Fetch content on mount and when the selected course changes
+  useEffect(() => {
+    fetchContent()
+  }, [fetchContent])
+
+  // Jobs still indexing something on this page
+  const pendingJobIds = [...new Set(
+    content
+      .filter((item) => isIndexingPending(item.indexStatus) && item.indexJobId)
+      .map((item) => item.indexJobId)
+  )].join(',')
+
+  // Poll pending jobs and copy their per-item progress onto the list
+  useEffect(() => {
+    if (!pendingJobIds) return
+
+    const poll = async () => {
+      const jobs = await Promise.all(
+        pendingJobIds.split(',').map((id) => jobApi.get(id).then((res) => res.data).catch(() => null))
+      )
+      const updates = {}
+      jobs.filter(Boolean).forEach((job) => {
+        job.items.forEach((item) => {
+          updates[item.ref] = { indexStatus: statusFromJobItem(job, item), indexError: item.error || null }
+        })
+      })
+      setContent((prev) => prev.map((item) => (
+        updates[item.id] && item.indexJobId && pendingJobIds.includes(item.indexJobId)
+          ? { ...item, ...updates[item.id] }
+          : item
+      )))
+    }
+
+    const timer = setInterval(poll, JOB_POLL_INTERVAL)
+    return () => clearInterval(timer)
+  }, [pendingJobIds])
 
   const filteredContent = content.filter((item) => {
     if (filter === 'all') return true
@@ -75,6 +133,20 @@ function ManageContent() {
     setDeleteDialog({ isOpen: true, item })
   }
 
+  const handleReindex = async (item) => {
+    try {
+      const response = await contentApi.reindex(item.id)
+      setContent((prev) => prev.map((c) => (
+        c.id === item.id
+          ? { ...c, indexStatus: 'queued', indexError: null, indexJobId: response.jobId }
+          : c
+      )))
+    } catch (err) {
+      console.error('Reindex failed:', err)
+      showSuccess('Failed to queue indexing')
+    }
+  }
+
   const confirmDelete = async () => {
     if (!deleteDialog.item) return
     
@@ -113,15 +185,19 @@ function ManageContent() {
                 Manage Content
               </h1>
               <p className="text-[#111111]/60 text-sm mt-1">
-                View and edit course materials
+                {editGrant && isScoped(editGrant)
+                  ? `You can edit content in ${describeScope(editGrant)}`
+                  : 'View and edit course materials'}
               </p>
             </div>
-            <BrutalButton
-              variant="primary"
-              onClick={() => navigate('/admin/upload')}
-            >
-              + Upload New
-            </BrutalButton>
+            {canUpload && (
+              <BrutalButton
+                variant="primary"
+                onClick={() => navigate('/admin/upload')}
+              >
+                + Upload New
+              </BrutalButton>
+            )}
           </div>
 
           {/* Error Message */}
@@ -245,11 +321,16 @@ function ManageContent() {
                       animate={{ opacity: 1, y: 0 }}
                       transition={{ duration: 0.2, delay: index * 0.04 }}
                     >
-                      <ContentCard
-                        content={item}
-                        onEdit={handleEdit}
-                        onDelete={handleDelete}
-                      />
+                      {isWithinGrant(editGrant, item) ? (
+                        <ContentCard
+                          content={item}
+                          onEdit={handleEdit}
+                          onDelete={handleDelete}
+                          onReindex={handleReindex}
+                        />
+                      ) : (
+                        <ContentCard content={item} />
+                      )}
                     </motion.div>
                   ))
                 ) : (
@@ -266,9 +347,11 @@ function ManageContent() {
                         : `No ${filter} content available.`
                       }
                     </p>
-                    <BrutalButton onClick={() => navigate('/admin/upload')}>
-                      Upload Content
-                    </BrutalButton>
+                    {canUpload && (
+                      <BrutalButton onClick={() => navigate('/admin/upload')}>
+                        Upload Content
+                      </BrutalButton>
+                    )}
                   </BrutalCard>
                 )}
               </div>
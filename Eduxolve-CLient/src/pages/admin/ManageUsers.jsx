@@ -0,0 +1,400 @@
+/**
+ * ManageUsers - User and staff account management page
+ *
+ * Features:
+ * - User list from API, filtered by role or email
+ * - Invite admins, instructors and TAs (shareable invitation link)
+ * - Promote / demote, disable / enable, unlock
+ * - Custom permissions, optionally limited to weeks or tags
+ * - Password reset links for staff accounts
+ *
+ * Only admins can change admin accounts or grant user management.
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import BrutalCard from '../../components/ui/BrutalCard'
+import BrutalButton from '../../components/ui/BrutalButton'
+import BrutalInput from '../../components/ui/BrutalInput'
+import PageWrapper from '../../components/common/PageWrapper'
+import { useToast } from '../../components/common'
+import { UserRow, ShareLinkCard, ConfirmDialog, PermissionEditor } from '../../components/admin'
+import { SkeletonLoader } from '../../components/common/Loader'
+import { adminApi } from '../../services/api'
+import { ROLE_LABELS } from '../../services/permissions'
+import { useAuthStore } from '../../store'
+
+const ROLE_FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'admin', label: 'Admins' },
+  { key: 'instructor', label: 'Instructors' },
+  { key: 'ta', label: 'TAs' },
+  { key: 'student', label: 'Students' },
+]
+
+function ManageUsers() {
+  const toast = useToast()
+  const currentUser = useAuthStore((state) => state.user)
+  const isAdmin = useAuthStore((state) => state.role) === 'admin'
+  const [users, setUsers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [filter, setFilter] = useState('all')
+  const [query, setQuery] = useState('')
+  const [busyId, setBusyId] = useState(null)
+  const [inviteEmail, setInviteEmail] = useState('')
+  const [inviteRole, setInviteRole] = useState('instructor')
+  const [isInviting, setIsInviting] = useState(false)
+  const [shareLink, setShareLink] = useState(null)
+  const [disableDialog, setDisableDialog] = useState({ isOpen: false, user: null })
+  const [catalog, setCatalog] = useState(null)
+  const [permissionUser, setPermissionUser] = useState(null)
+
+  const fetchUsers = useCallback(async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await adminApi.listUsers({
+        role: filter === 'all' ? undefined : filter,
+      })
+      setUsers(response.data || [])
+    } catch (err) {
+      console.error('Failed to fetch users:', err)
+      setError(err.message || 'Failed to load users')
+    } finally {
+      setIsLoading(false)
+    }
+  }, [filter])
+
+  // Fetch users on mount and when the role filter changes
+  useEffect(() => {
+    fetchUsers()
+  }, [fetchUsers])
+
+  // Permission names, labels and role defaults for the permission editor
+  useEffect(() => {
+    adminApi.getPermissions()
+      .then((response) => setCatalog(response.data))
+      .catch((err) => console.error('Failed to fetch permissions:', err))
+  }, [])
+
+  const visibleUsers = users.filter((user) =>
+    user.email.toLowerCase().includes(query.trim().toLowerCase())
+  )
+
+  // Replace one user in the list with the server's copy
+  const replaceUser = (updated) => {
+    setUsers((prev) => prev.map((user) => (user.id === updated.id ? updated : user)))
+  }
+
+  // Run a per-user action, keeping that row disabled until it settles
+  const runAction = async (user, action, successMessage) => {
+    setBusyId(user.id)
+    try {
+      const response = await action()
+      if (successMessage) toast.success(successMessage)
+      return response
+    } catch (err) {
+      toast.error(err.message || 'Action failed')
+      return null
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleRoleChange = async (user, role) => {
+    const response = await runAction(
+      user,
+      () => adminApi.updateUser(user.id, { role }),
+      `${user.email} is now ${role === 'admin' || role === 'instructor' ? 'an' : 'a'} ${ROLE_LABELS[role]}`
+    )
+    if (response) replaceUser(response.data)
+  }
+
+  // null restores the role's default permissions
+  const handleSavePermissions = async (permissions) => {
+    const user = permissionUser
+    const response = await runAction(
+      user,
+      () => adminApi.updateUser(user.id, { permissions }),
+      permissions ? `Permissions updated for ${user.email}` : `${user.email} uses role defaults again`
+    )
+    if (response) {
+      replaceUser(response.data)
+      setPermissionUser(null)
+    }
+  }
+
+  const handleToggleDisabled = (user) => {
+    if (user.disabled) {
+      setDisabled(user, false)
+    } else {
+      setDisableDialog({ isOpen: true, user })
+    }
+  }
+
+  const setDisabled = async (user, disabled) => {
+    const response = await runAction(
+      user,
+      () => adminApi.updateUser(user.id, { disabled }),
+      disabled ? `${user.email} disabled` : `${user.email} re-enabled`
+    )
+    if (response) replaceUser(response.data)
+  }
+
+  const confirmDisable = async () => {
+    const { user } = disableDialog
+    setDisableDialog({ isOpen: false, user: null })
+    if (user) await setDisabled(user, true)
+  }
+
+  const handleUnlock = async (user) => {
+    const response = await runAction(user, () => adminApi.unlockUser(user.id), `${user.email} unlocked`)
+    if (response) replaceUser(response.data)
+  }
+
+  const handleResetLink = async (user) => {
+    const response = await runAction(user, () => adminApi.createResetLink(user.id))
+    if (response) {
+      setShareLink({
+        title: `Password reset link for ${user.email}`,
+        url: response.data.resetUrl,
+        expiresAt: response.data.expiresAt,
+      })
+    }
+  }
+
+  const showInvite = (data) => {
+    setShareLink({
+      title: `Invitation link for ${data.user.email}`,
+      url: data.inviteUrl,
+      expiresAt: data.expiresAt,
+    })
+    setUsers((prev) => [data.user, ...prev.filter((user) => user.id !== data.user.id)])
+  }
+
+  const handleResendInvite = async (user) => {
+    const response = await runAction(user, () => adminApi.inviteUser({ email: user.email, role: user.role }))
+    if (response) showInvite(response.data)
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    if (!inviteEmail.trim() || isInviting) return
+
+    setIsInviting(true)
+    try {
+      const response = await adminApi.inviteUser({ email: inviteEmail.trim(), role: inviteRole })
+      showInvite(response.data)
+      setInviteEmail('')
+      toast.success('Invitation created')
+    } catch (err) {
+      toast.error(err.message || 'Failed to create invitation')
+    } finally {
+      setIsInviting(false)
+    }
+  }
+
+  return (
+    <PageWrapper>
+      <div className="min-h-screen bg-[#FAFAF7]">
+        {/* Main Content */}
+        <main className="max-w-5xl mx-auto px-6 py-8">
+          {/* Page Title */}
+          <div className="mb-8">
+            <h1 className="font-bold text-2xl text-[#111111]">
+              Manage Users
+            </h1>
+            <p className="text-[#111111]/60 text-sm mt-1">
+              Invite staff, change roles and control account access
+            </p>
+          </div>
+
+          {/* Invite Form */}
+          <BrutalCard className="mb-6">
+            <h2 className="font-bold text-lg text-[#111111] mb-4">Invite staff</h2>
+            <form onSubmit={handleInvite} className="flex flex-col md:flex-row md:items-end gap-4">
+              <div className="flex-1">
+                <BrutalInput
+                  id="invite-email"
+                  type="email"
+                  label="Email"
+                  placeholder="instructor@university.edu"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="flex flex-col gap-2">
+                <label htmlFor="invite-role" className="font-semibold text-[#111111]">Role</label>
+                <select
+                  id="invite-role"
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="
+                    px-4 py-3
+                    bg-white
+                    border-2 border-[#111111]
+                    rounded-xl
+                    shadow-[2px_2px_0px_#111111]
+                    cursor-pointer
+                  "
+                >
+                  <option value="instructor">Instructor</option>
+                  <option value="ta">TA</option>
+                  {isAdmin && <option value="admin">Admin</option>}
+                </select>
+              </div>
+              <BrutalButton type="submit" variant="primary" disabled={isInviting}>
+                {isInviting ? 'Creating...' : 'Create invite'}
+              </BrutalButton>
+            </form>
+          </BrutalCard>
+
+          {/* Invitation / Reset Link */}
+          {shareLink && (
+            <div className="mb-6">
+              <ShareLinkCard
+                title={shareLink.title}
+                url={shareLink.url}
+                expiresAt={shareLink.expiresAt}
+                onDismiss={() => setShareLink(null)}
+              />
+            </div>
+          )}
+
+          {/* Error Message */}
+          {error && (
+            <div
+              className="
+                mb-6 p-4
+                bg-red-100
+                border-2 border-red-500
+                rounded-2xl
+                flex items-center gap-3
+              "
+            >
+              <span className="font-medium text-red-700">{error}</span>
+              <button
+                onClick={fetchUsers}
+                className="ml-auto text-red-700 underline hover:no-underline"
+              >
+                Retry
+              </button>
+            </div>
+          )}
+
+          {/* Filters */}
+          <div className="flex flex-col md:flex-row md:items-center gap-4 mb-6">
+            <div className="flex flex-wrap gap-2">
+              {ROLE_FILTERS.map((tab) => (
+                <button
+                  key={tab.key}
+                  onClick={() => setFilter(tab.key)}
+                  className={`
+                    px-4 py-2
+                    text-sm font-medium
+                    border-2 border-[#111111]
+                    rounded-lg
+                    transition-all duration-150
+                    cursor-pointer
+                    ${filter === tab.key
+                      ? 'bg-[#111111] text-white shadow-none'
+                      : 'bg-white text-[#111111] shadow-[2px_2px_0_#111111] hover:shadow-[3px_3px_0_#111111]'
+                    }
+                  `}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Filter by email..."
+              aria-label="Filter by email"
+              className="
+                md:ml-auto md:w-64
+                px-4 py-2
+                text-sm
+                bg-white
+                border-2 border-[#111111]
+                rounded-lg
+                shadow-[2px_2px_0_#111111]
+                outline-none
+              "
+            />
+          </div>
+
+          {/* Loading State */}
+          {isLoading && (
+            <div className="space-y-4">
+              {[1, 2, 3].map((i) => (
+                <SkeletonLoader key={i} height="h-20" />
+              ))}
+            </div>
+          )}
+
+          {/* User List */}
+          {!isLoading && (
+            <div className="space-y-4">
+              {visibleUsers.length > 0 ? (
+                visibleUsers.map((user) => (
+                  <UserRow
+                    key={user.id}
+                    user={user}
+                    isSelf={user.email === currentUser?.email}
+                    isBusy={busyId === user.id}
+                    canManageAdmins={isAdmin}
+                    onRoleChange={handleRoleChange}
+                    onEditPermissions={setPermissionUser}
+                    onToggleDisabled={handleToggleDisabled}
+                    onUnlock={handleUnlock}
+                    onResetLink={handleResetLink}
+                    onResendInvite={handleResendInvite}
+                  />
+                ))
+              ) : (
+                <BrutalCard className="text-center py-12">
+                  <h3 className="font-bold text-lg text-[#111111] mb-2">
+                    No users found
+                  </h3>
+                  <p className="text-[#111111]/60">
+                    {query ? 'No users match that email.' : 'No users have this role yet.'}
+                  </p>
+                </BrutalCard>
+              )}
+            </div>
+          )}
+        </main>
+
+        {/* Disable Confirmation Dialog */}
+        <ConfirmDialog
+          isOpen={disableDialog.isOpen}
+          title="Disable Account"
+          message={`Disable ${disableDialog.user?.email}? They will be signed out and cannot sign in until re-enabled.`}
+          confirmText="Disable"
+          confirmVariant="danger"
+          onConfirm={confirmDisable}
+          onCancel={() => setDisableDialog({ isOpen: false, user: null })}
+        />
+
+        {/* Permission Editor */}
+        {permissionUser && catalog && (
+          <PermissionEditor
+            key={permissionUser.id}
+            user={permissionUser}
+            catalog={catalog}
+            canGrantUserManagement={isAdmin}
+            isSaving={busyId === permissionUser.id}
+            onSave={handleSavePermissions}
+            onCancel={() => setPermissionUser(null)}
+          />
+        )}
+      </div>
+    </PageWrapper>
+  )
+}
+
+export default ManageUsers
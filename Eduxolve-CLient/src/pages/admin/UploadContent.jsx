@@ -14,6 +14,8 @@ import BrutalCard from '../../components/ui/BrutalCard'
 import PageWrapper from '../../components/common/PageWrapper'
 import { UploadArea, MetadataForm } from '../../components/admin'
 import { contentApi } from '../../services/api'
+import { useAuthStore, useCourseStore } from '../../store'
+import { PERMISSIONS, findGrant, isWithinGrant, describeScope } from '../../services/permissions'
 
 function UploadContent() {
   const navigate = useNavigate()
@@ -21,6 +23,9 @@ function UploadContent() {
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [showSuccess, setShowSuccess] = useState(false)
   const [error, setError] = useState(null)
+  const activeCourseId = useCourseStore((state) => state.activeCourseId)
+  const activeCourse = useCourseStore((state) => state.courses.find(c => c._id === state.activeCourseId))
+  const uploadGrant = useAuthStore((state) => findGrant(state.permissions, PERMISSIONS.CONTENT_UPLOAD))
 
   const handleFileSelect = (file) => {
     setSelectedFile(file)
@@ -39,6 +44,13 @@ function UploadContent() {
       return
     }
 
+    // Scoped uploaders may only add content in their weeks/tags
+    const tagsArray = (formData.tags || '').split(',').map(tag => tag.trim()).filter(Boolean)
+    if (!isWithinGrant(uploadGrant, { week: formData.week, tags: tagsArray })) {
+      setError(`You can only upload content in ${describeScope(uploadGrant)}`)
+      return
+    }
+
     setIsSubmitting(true)
     setError(null)
     
@@ -53,12 +65,15 @@ function UploadContent() {
         uploadData.append('week', formData.week)
       }
       
-      if (formData.tags) {
-        // Split tags by comma and trim whitespace
-        const tagsArray = formData.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      if (tagsArray.length) {
         uploadData.append('tags', JSON.stringify(tagsArray))
       }
       
+      // Upload into the course selected in the navbar
+      if (activeCourseId) {
+        uploadData.append('courseId', activeCourseId)
+      }
+      
       // Call the upload API
       await contentApi.upload(uploadData)
       
@@ -88,7 +103,9 @@ function UploadContent() {
               Upload Content
             </h1>
             <p className="text-[#111111]/60 text-sm mt-1">
-              Add new course materials to the platform
+              {activeCourse
+                ? <>Uploading to <span className="font-bold text-[#111111]">{activeCourse.code} · {activeCourse.title}</span></>
+                : 'Add new course materials to the platform'}
             </p>
           </div>
 
@@ -137,7 +154,7 @@ function UploadContent() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
                 <span className="font-bold text-[#111111]">
-                  Content uploaded and indexed successfully! Redirecting...
+                  Content uploaded! Indexing continues in the background. Redirecting...
                 </span>
               </motion.div>
             )}
@@ -1,3 +1,4 @@
 export { default as AdminDashboard } from './AdminDashboard'
 export { default as UploadContent } from './UploadContent'
 export { default as ManageContent } from './ManageContent'
+export { default as ManageUsers } from './ManageUsers'
@@ -5,7 +5,11 @@ export { default as Dashboard } from './Dashboard'
 export { default as Chat } from './Chat'
 export { default as Search } from './Search'
 export { default as Generate } from './Generate'
+export { default as Library } from './Library'
+export { default as DocumentViewer } from './DocumentViewer'
+export { default as SetPassword } from './SetPassword'
+export { default as ChangePassword } from './ChangePassword'
 export { default as NotFound } from './NotFound'
 
 // Admin pages
-export { AdminDashboard, UploadContent, ManageContent } from './admin'
+export { AdminDashboard, UploadContent, ManageContent, ManageUsers } from './admin'
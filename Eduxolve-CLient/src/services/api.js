@@ -3,18 +3,35 @@
  * 
  * Centralized API client with:
  * - Automatic Firebase ID token attachment
- * - Admin JWT token support
+ * - Staff access tokens, silently refreshed before they expire
  * - Global error handling
  * - Loading state management
  * - Response normalization
  */
 
 import { auth } from './firebase'
-import { getAdminToken } from './auth.service'
+import {
+  getAdminToken,
+  getAdminRefreshToken,
+  setAdminToken,
+  clearAdminSession,
+} from './auth.service'
 
 // API Base URL from environment
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
 
+/**
+ * Absolute URL of an uploaded file (e.g. "/uploads/week3.pdf")
+ * Uploads are served next to the API, outside the /api prefix
+ * @param {string} fileUrl - File path returned by the server
+ * @returns {string|null} Absolute URL or null
+ */
+export const resolveFileUrl = (fileUrl) => {
+  if (!fileUrl) return null
+  if (/^https?:\/\//.test(fileUrl)) return fileUrl
+  return `${API_BASE_URL.replace(/\/api\/?$/, '')}${fileUrl}`
+}
+
 /**
  * Custom API Error class
  */
@@ -27,15 +44,92 @@ export class ApiError extends Error {
   }
 }
 
+// Refresh this long before the staff access token expires
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000
+
+// The refresh in flight, shared by every request that needs it
+let refreshPromise = null
+
+/**
+ * Expiry of a JWT (without verifying it)
+ * @param {string} token - JWT
+ * @returns {number} Expiry in ms since the epoch, or 0 if unreadable
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return payload.exp * 1000
+  } catch {
+    return 0
+  }
+}
+
 /**
- * Get the current user's auth token (admin JWT or Firebase ID token)
+ * Exchange the staff refresh token for a new token pair
+ * @returns {Promise<string|null>} New access token, or null if the session could not be renewed
+ */
+const requestTokenRefresh = async () => {
+  const refreshToken = getAdminRefreshToken()
+  if (!refreshToken) return null
+
+  let response
+  try {
+    response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+  } catch (error) {
+    // Offline: keep the session, the request itself will report the network error
+    console.warn('Token refresh failed:', error.message)
+    return null
+  }
+
+  const data = await response.json().catch(() => ({}))
+
+  if (response.ok) {
+    setAdminToken(data.token, data.refreshToken)
+    return data.token
+  }
+
+  // Another tab rotated the refresh token first; use the pair it stored
+  if (response.status === 409) {
+    await new Promise((resolve) => setTimeout(resolve, 1000))
+    return getAdminRefreshToken() !== refreshToken ? getAdminToken() : null
+  }
+
+  // The session has ended (logout elsewhere, revoked, expired)
+  console.warn('Staff session ended:', data.message)
+  clearAdminSession()
+  return null
+}
+
+/**
+ * Renew the staff access token
+ * Concurrent callers share one request, so the refresh token rotates once.
+ * @returns {Promise<string|null>} New access token, or null if the session could not be renewed
+ */
+export const refreshAdminSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
+/**
+ * Get the current user's auth token (staff access token or Firebase ID token)
  * @returns {Promise<string|null>} Token or null if not authenticated
  */
 export const getAuthToken = async () => {
-  // First check for admin token
+  // First check for a staff session, refreshing it when about to expire
   const adminToken = getAdminToken()
   if (adminToken) {
-    return adminToken
+    if (getTokenExpiry(adminToken) - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return adminToken
+    }
+    return (await refreshAdminSession()) || getAdminToken()
   }
   
   // Fall back to Firebase token
@@ -141,6 +235,7 @@ const request = async (endpoint, options = {}) => {
     body = null,
     includeAuth = true,
     isFormData = false,
+    isRetry = false,
   } = options
   
   const url = `${API_BASE_URL}${endpoint}`
@@ -160,6 +255,11 @@ const request = async (endpoint, options = {}) => {
     return await handleResponse(response)
   } catch (error) {
     if (error instanceof ApiError) {
+      // Access token rejected (e.g. clock skew): refresh once and retry
+      if (error.status === 401 && includeAuth && !isRetry && getAdminRefreshToken()
+        && await refreshAdminSession()) {
+        return request(endpoint, { ...options, isRetry: true })
+      }
       handleApiError(error)
     }
     
@@ -172,6 +272,146 @@ const request = async (endpoint, options = {}) => {
   }
 }
 
+/**
+ * Make an API request that responds with a file
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {Object} [body] - JSON request body (POST); omit for a GET
+ * @returns {Promise<{blob: Blob, fileName: string|null}>}
+ * @throws {ApiError} On error responses (sent as JSON)
+ */
+const downloadRequest = async (endpoint, body = null) => {
+  const url = `${API_BASE_URL}${endpoint}`
+  const headers = await buildHeaders(true, false)
+
+  let response
+  try {
+    response = await fetch(url, body
+      ? { method: 'POST', headers, body: JSON.stringify(body) }
+      : { method: 'GET', headers })
+  } catch (error) {
+    console.error('API Download failed:', error)
+    throw new ApiError('Network error. Please check your connection.', 0)
+  }
+
+  if (!response.ok) {
+    try {
+      await handleResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  }
+
+  const disposition = response.headers.get('content-disposition') || ''
+  const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || null
+
+  return { blob: await response.blob(), fileName }
+}
+
+/**
+ * Save a downloaded blob through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Parse one Server-Sent Events block into { event, data }
+ * @param {string} block - Raw event text (without the trailing blank line)
+ * @returns {{event: string, data: any}|null}
+ */
+const parseEventBlock = (block) => {
+  let event = 'message'
+  const dataLines = []
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim()
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart())
+  }
+
+  if (dataLines.length === 0) return null
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) }
+  } catch {
+    return { event, data: dataLines.join('\n') }
+  }
+}
+
+/**
+ * Make a streaming API request (Server-Sent Events over POST)
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {Object} options - { body, signal, onEvent(event, data) }
+ * @returns {Promise<any>} Payload of the final `done` event
+ * @throws {ApiError} On error responses or an `error` event
+ * @throws {DOMException} AbortError when `signal` is aborted
+ */
+const streamRequest = async (endpoint, { body = {}, signal, onEvent } = {}) => {
+  const url = `${API_BASE_URL}${endpoint}`
+  const headers = await buildHeaders(true, false)
+  headers['Accept'] = 'text/event-stream'
+
+  let response
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ ...body, stream: true }),
+      signal,
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    console.error('API Stream failed:', error)
+    throw new ApiError('Network error. Please check your connection.', 0)
+  }
+
+  // Validation/auth errors still come back as plain JSON
+  if (!response.ok || !response.headers.get('content-type')?.includes('text/event-stream')) {
+    try {
+      return await handleResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let result = null
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const blocks = buffer.split('\n\n')
+    buffer = blocks.pop()
+
+    for (const block of blocks) {
+      const parsed = parseEventBlock(block)
+      if (!parsed) continue
+
+      if (parsed.event === 'error') {
+        throw new ApiError(parsed.data?.message || parsed.data?.error || 'Streaming failed', 500, parsed.data)
+      }
+      if (parsed.event === 'done') {
+        result = parsed.data
+      }
+      onEvent?.(parsed.event, parsed.data)
+    }
+  }
+
+  return result
+}
+
 // ===================
 // API Methods
 // ===================
@@ -189,6 +429,171 @@ export const userApi = {
    * Get full user profile
    */
   getProfile: () => request('/me/full'),
+
+  /**
+   * Change the password of a staff account
+   * Every session ends; the response carries a fresh one (token, refreshToken).
+   * @param {Object} params - { currentPassword, newPassword }
+   */
+  changePassword: (params) => request('/auth/password', {
+    method: 'POST',
+    body: params,
+  }),
+}
+
+/**
+ * ACCOUNT LINKS (public: invitation and password reset)
+ */
+export const accountApi = {
+  /**
+   * Look up a pending invitation
+   * @param {string} token - Token from the invitation link
+   * @returns {Promise} { data: { email, role, invitedBy, expiresAt } }
+   */
+  getInvitation: (token) => request(`/auth/invitations/${token}`, { includeAuth: false }),
+
+  /**
+   * Accept an invitation by choosing a password
+   * @returns {Promise} { token, refreshToken, expiresIn, user }
+   */
+  acceptInvitation: (token, password) => request(`/auth/invitations/${token}/accept`, {
+    method: 'POST',
+    body: { password },
+    includeAuth: false,
+  }),
+
+  /**
+   * Set a new password from a reset link
+   * @returns {Promise} { token, refreshToken, expiresIn, user }
+   */
+  resetPassword: (token, password) => request(`/auth/password/reset/${token}`, {
+    method: 'POST',
+    body: { password },
+    includeAuth: false,
+  }),
+
+  /**
+   * End every session of the signed-in staff account, on all devices
+   * @returns {Promise} { data: { revoked } }
+   */
+  logoutAll: () => request('/auth/logout-all', {
+    method: 'POST',
+  }),
+}
+
+/**
+ * ADMIN: USER MANAGEMENT
+ */
+export const adminApi = {
+  /**
+   * List users
+   * @param {Object} params - { role?, q? }
+   */
+  listUsers: (params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value)
+    ).toString()
+    return request(`/admin/users${query ? `?${query}` : ''}`)
+  },
+
+  /**
+   * Permission catalog and each role's default permissions
+   * @returns {Promise} { data: { permissions: [{ name, label }], roles: { role: [permission] } } }
+   */
+  getPermissions: () => request('/admin/permissions'),
+
+  /**
+   * Invite a staff member (admin, instructor or TA)
+   * @param {Object} params - { email, role: 'admin' | 'instructor' | 'ta' }
+   * @returns {Promise} { data: { user, inviteUrl, expiresAt } }
+   */
+  inviteUser: (params) => request('/admin/users/invite', {
+    method: 'POST',
+    body: params,
+  }),
+
+  /**
+   * Change a user's role or permissions, disable or re-enable them
+   * @param {string} id - User ID
+   * @param {Object} changes - { role?, disabled?, permissions? } (permissions: [{ permission, weeks, tags }], or null for role defaults)
+   */
+  updateUser: (id, changes) => request(`/admin/users/${id}`, {
+    method: 'PATCH',
+    body: changes,
+  }),
+
+  /**
+   * Lift a lockout after failed logins
+   */
+  unlockUser: (id) => request(`/admin/users/${id}/unlock`, { method: 'POST' }),
+
+  /**
+   * Create a password reset link for a staff account
+   * @returns {Promise} { data: { resetUrl, expiresAt } }
+   */
+  createResetLink: (id) => request(`/admin/users/${id}/reset-link`, { method: 'POST' }),
+}
+
+/**
+ * COURSES
+ */
+export const courseApi = {
+  /**
+   * List courses the user teaches or is enrolled in (admins: all)
+   */
+  list: () => request('/courses'),
+  
+  /**
+   * Get a course with its members
+   * @param {string} id - Course ID
+   */
+  get: (id) => request(`/courses/${id}`),
+  
+  /**
+   * Create a course (Admin only)
+   * @param {Object} course - { code, title, term }
+   */
+  create: (course) => request('/courses', {
+    method: 'POST',
+    body: course,
+  }),
+  
+  /**
+   * Update course details (Admin only)
+   * @param {string} id - Course ID
+   * @param {Object} updates - { code, title, term }
+   */
+  update: (id, updates) => request(`/courses/${id}`, {
+    method: 'PATCH',
+    body: updates,
+  }),
+  
+  /**
+   * Delete a course without content (Admin only)
+   * @param {string} id - Course ID
+   */
+  delete: (id) => request(`/courses/${id}`, {
+    method: 'DELETE',
+  }),
+  
+  /**
+   * Add a member by email (Admin only)
+   * @param {string} id - Course ID
+   * @param {Object} member - { email, role: 'student' | 'instructor' }
+   */
+  addMember: (id, member) => request(`/courses/${id}/members`, {
+    method: 'POST',
+    body: member,
+  }),
+  
+  /**
+   * Remove a member (Admin only)
+   * @param {string} id - Course ID
+   * @param {string} userId - Member's user ID
+   */
+  removeMember: (id, userId) => request(`/courses/${id}/members/${userId}`, {
+    method: 'DELETE',
+  }),
 }
 
 /**
@@ -197,7 +602,7 @@ export const userApi = {
 export const contentApi = {
   /**
    * List all content with optional filters
-   * @param {Object} filters - { type, week, topic, tags, page, limit }
+   * @param {Object} filters - { courseId, type, week, topic, tags, page, limit }
    */
   list: (filters = {}) => {
     const params = new URLSearchParams()
@@ -215,9 +620,17 @@ export const contentApi = {
    * @param {string} id - Content ID
    */
   get: (id) => request(`/content/${id}`),
+
+  /**
+   * Get extracted text with chunk positions for the document viewer
+   * @param {string} id - Content ID
+   * @returns {Promise<{data: {content, segments, chunks}}>}
+   */
+  document: (id) => request(`/content/${id}/document`),
   
   /**
    * Upload new content (Admin only)
+   * Indexing runs in the background; the response includes its jobId
    * @param {FormData} formData - File + metadata
    */
   upload: (formData) => request('/content', {
@@ -243,6 +656,27 @@ export const contentApi = {
   delete: (id) => request(`/content/${id}`, {
     method: 'DELETE',
   }),
+  
+  /**
+   * Queue content for (re-)indexing (Admin only)
+   * @param {string} id - Content ID
+   * @returns {Promise} { jobId }
+   */
+  reindex: (id) => request(`/search/index/${id}`, {
+    method: 'POST',
+  }),
+}
+
+/**
+ * BACKGROUND JOBS
+ */
+export const jobApi = {
+  /**
+   * Get a job's status and per-item progress
+   * @param {string} id - Job ID
+   * @returns {Promise} { data: { status, progress: { total, completed, failed }, items, error } }
+   */
+  get: (id) => request(`/jobs/${id}`),
 }
 
 /**
@@ -250,8 +684,9 @@ export const contentApi = {
  */
 export const searchApi = {
   /**
-   * Semantic search for content
-   * @param {Object} params - { query, type, week, topic, limit }
+   * Search content
+   * @param {Object} params - { query, courseId, type, week, topic, limit, mode: 'semantic' | 'keyword' | 'hybrid',
+   *   rerank: 'none' | 'llm' | 'cross-encoder', diversity: 0-1 }
    */
   search: (params) => request('/search', {
     method: 'POST',
@@ -272,7 +707,7 @@ export const searchApi = {
   
   /**
    * Get RAG context for a topic
-   * @param {Object} params - { topic, type, maxChunks }
+   * @param {Object} params - { topic, courseId, type, maxChunks }
    */
   getContext: (params) => request('/search/context', {
     method: 'POST',
@@ -290,14 +725,25 @@ export const aiApi = {
   getInfo: () => request('/ai/info'),
   
   /**
-   * Generate content
-   * @param {Object} params - { type, topic, language, context, options }
+   * Generate content (saved to the library; pass parentId to save a new version)
+   * @param {Object} params - { type, topic, language, context, options, courseId, parentId }
    */
   generate: (params) => request('/ai/generate', {
     method: 'POST',
     body: params,
   }),
   
+  /**
+   * Generate content, streaming tokens as they arrive
+   * @param {Object} params - { type, topic, language, context, options }
+   * @param {Object} handlers - { signal, onEvent(event, data) } - events: start, token, done
+   */
+  generateStream: (params, { signal, onEvent } = {}) => streamRequest('/ai/generate', {
+    body: params,
+    signal,
+    onEvent,
+  }),
+  
   /**
    * Quick theory generation
    * @param {Object} params - { topic, context, options }
@@ -332,7 +778,7 @@ export const aiApi = {
 export const validationApi = {
   /**
    * Full validation with all layers
-   * @param {Object} params - { type, content, context, options }
+   * @param {Object} params - { type, content, context, options, generationId }
    */
   validate: (params) => request('/validate', {
     method: 'POST',
@@ -364,7 +810,7 @@ export const validationApi = {
 export const chatApi = {
   /**
    * Send a chat message
-   * @param {Object} params - { message, history, fileId }
+   * @param {Object} params - { message, conversationId, courseId, history, fileId }
    */
   send: (params) => request('/chat', {
     method: 'POST',
@@ -372,25 +818,73 @@ export const chatApi = {
   }),
   
   /**
-   * Clear chat session
+   * Send a chat message, streaming the reply as it is generated
+   * @param {Object} params - { message, conversationId, courseId, history, fileId }
+   * @param {Object} handlers - { signal, onEvent(event, data) } - events: start, token, done
+   */
+  sendStream: (params, { signal, onEvent } = {}) => streamRequest('/chat', {
+    body: params,
+    signal,
+    onEvent,
+  }),
+  
+  /**
+   * Clear the messages of a conversation
+   * @param {string} conversationId - Conversation ID
    */
-  clearSession: () => request('/chat/clear', {
+  clearSession: (conversationId) => request('/chat/clear', {
     method: 'POST',
+    body: { conversationId },
   }),
   
   /**
-   * Get chat history
+   * Get chat history (latest conversation if no ID given)
+   * @param {string} conversationId - Conversation ID
    */
-  getHistory: () => request('/chat/history'),
+  getHistory: (conversationId) => request(
+    conversationId ? `/chat/history?conversationId=${conversationId}` : '/chat/history'
+  ),
   
   /**
    * Execute a quick action
-   * @param {Object} params - { action, context }
+   * @param {Object} params - { action, context, conversationId, courseId }
    */
   executeAction: (params) => request('/chat/action', {
     method: 'POST',
     body: params,
   }),
+  
+  /**
+   * List saved conversations (most recent first)
+   * @param {string} courseId - Only conversations in this course
+   */
+  listConversations: (courseId) => request(
+    courseId ? `/chat/conversations?courseId=${courseId}` : '/chat/conversations'
+  ),
+  
+  /**
+   * Get a conversation with its messages
+   * @param {string} id - Conversation ID
+   */
+  getConversation: (id) => request(`/chat/conversations/${id}`),
+  
+  /**
+   * Rename a conversation
+   * @param {string} id - Conversation ID
+   * @param {string} title - New title
+   */
+  renameConversation: (id, title) => request(`/chat/conversations/${id}`, {
+    method: 'PATCH',
+    body: { title },
+  }),
+  
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   */
+  deleteConversation: (id) => request(`/chat/conversations/${id}`, {
+    method: 'DELETE',
+  }),
 }
 
 /**
@@ -460,6 +954,26 @@ export const fileApi = {
     })
   },
   
+  /**
+   * List your stored files ("My files") with quota usage
+   * @returns {Promise<Object>} { data: files[], quota: { usedBytes, maxBytes, files, maxFiles } }
+   */
+  list: () => request('/files'),
+  
+  /**
+   * Reattach a stored file (restarts its expiry)
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} Same shape as the upload result
+   */
+  get: (fileId) => request(`/files/${fileId}`),
+  
+  /**
+   * Download the original file
+   * @param {string} fileId - File ID
+   * @returns {Promise<{blob: Blob, fileName: string|null}>}
+   */
+  download: (fileId) => downloadRequest(`/files/${fileId}/download`),
+  
   /**
    * Get file context by ID
    * @param {string} fileId - File ID
@@ -467,7 +981,7 @@ export const fileApi = {
   getContext: (fileId) => request(`/files/${fileId}/context`),
   
   /**
-   * Delete file context
+   * Delete a stored file
    * @param {string} fileId - File ID
    */
   delete: (fileId) => request(`/files/${fileId}`, {
@@ -482,15 +996,74 @@ export const fileApi = {
   }),
 }
 
+/**
+ * SAVED GENERATIONS (library)
+ */
+export const generationApi = {
+  /**
+   * List saved generations (latest version of each)
+   * @param {Object} filters - { q, type, language, status, courseId, page, limit }
+   */
+  list: (filters = {}) => {
+    const params = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value)
+      }
+    })
+    const query = params.toString()
+    return request(`/generations${query ? `?${query}` : ''}`)
+  },
+
+  /**
+   * Get a generation with its versions
+   * @param {string} id - Generation ID
+   */
+  get: (id) => request(`/generations/${id}`),
+
+  /**
+   * Delete one version
+   * @param {string} id - Generation ID
+   */
+  delete: (id) => request(`/generations/${id}`, {
+    method: 'DELETE',
+  }),
+}
+
+/**
+ * EXPORT
+ */
+export const exportApi = {
+  /**
+   * Export generated slides as a file
+   * @param {Object} params - { content, title?, format: 'pptx'|'pdf'|'html', theme? }
+   * @returns {Promise<{blob: Blob, fileName: string|null}>}
+   */
+  slides: (params) => downloadRequest('/export/slides', params),
+
+  /**
+   * Export generated notes with a references section
+   * @param {Object} params - { content, format: 'pdf'|'docx'|'md', title?, topic?, sources?, references? }
+   * @returns {Promise<{blob: Blob, fileName: string|null}>}
+   */
+  notes: (params) => downloadRequest('/export/notes', params),
+}
+
 // Default export with all APIs
 const api = {
   user: userApi,
+  account: accountApi,
+  admin: adminApi,
+  course: courseApi,
   content: contentApi,
   search: searchApi,
   ai: aiApi,
   validation: validationApi,
   chat: chatApi,
   file: fileApi,
+  job: jobApi,
+  generation: generationApi,
+  export: exportApi,
 }
 
 export default api
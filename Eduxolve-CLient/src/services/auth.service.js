@@ -3,9 +3,13 @@
  * 
  * Provides Firebase authentication functions:
  * - Google Sign-In
- * - Email/Password Login (with admin support)
+ * - Email/Password Login
  * - Email/Password Registration
  * - Logout
+ *
+ * Staff (admins, instructors, TAs) use accounts stored by the backend
+ * instead of Firebase. Their short-lived access token and the refresh
+ * token that renews it (see api.js) are kept in localStorage.
  */
 
 import {
@@ -16,13 +20,16 @@ import {
   signOut,
 } from 'firebase/auth'
 import { auth } from './firebase'
-
-// Admin emails (hardcoded for demo reliability)
-const ADMIN_EMAILS = ['admin@eduxolve.com', 'admin@university.edu']
+import useCourseStore from '../store/course.store'
+import useAuthStore from '../store/auth.store'
 
 // API Base URL from environment
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
 
+// localStorage keys for the staff session
+const ADMIN_TOKEN_KEY = 'adminToken'
+const ADMIN_REFRESH_TOKEN_KEY = 'adminRefreshToken'
+
 // Google Auth Provider
 const googleProvider = new GoogleAuthProvider()
 
@@ -32,25 +39,16 @@ googleProvider.setCustomParameters({
 })
 
 /**
- * Check if email is an admin email
- * @param {string} email
- * @returns {boolean}
+ * Sign in with a staff (admin / instructor) account
+ * @param {string} email - Staff email
+ * @param {string} password - Staff password
+ * @returns {Promise<Object>} User object { id, email, role }
  */
-const isAdminEmail = (email) => {
-  return ADMIN_EMAILS.includes(email?.toLowerCase())
-}
-
-/**
- * Login as admin using hardcoded credentials
- * @param {string} email - Admin email
- * @param {string} password - Admin password
- * @returns {Promise<Object>} Admin user object with token
- */
-export const loginAsAdmin = async (email, password) => {
+export const loginAsStaff = async (email, password) => {
   try {
-    console.log('🔐 Attempting admin login for:', email)
+    console.log('🔐 Attempting staff login for:', email)
     
-    const response = await fetch(`${API_BASE_URL}/auth/admin/login`, {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -59,16 +57,15 @@ export const loginAsAdmin = async (email, password) => {
     })
     
     const data = await response.json()
-    console.log('🔐 Admin login response:', data)
     
     if (!response.ok) {
-      throw new Error(data.message || 'Admin login failed')
+      throw new Error(data.message || 'Staff login failed')
     }
     
-    // Store admin token
+    // Store staff tokens
     if (data.token) {
-      setAdminToken(data.token)
-      console.log('🔐 Admin token stored successfully')
+      setAdminToken(data.token, data.refreshToken)
+      console.log('🔐 Staff token stored successfully')
     } else {
       console.error('🔐 No token in response!')
       throw new Error('No token received from server')
@@ -76,8 +73,8 @@ export const loginAsAdmin = async (email, password) => {
     
     return data.user
   } catch (error) {
-    console.error('Admin login error:', error)
-    throw new Error(error.message || 'Admin login failed')
+    console.error('Staff login error:', error)
+    throw new Error(error.message || 'Staff login failed')
   }
 }
 
@@ -96,20 +93,13 @@ export const signInWithGoogle = async () => {
 }
 
 /**
- * Login with email and password
- * Checks for admin credentials first, then falls back to Firebase
+ * Login with email and password (Firebase)
  * @param {string} email - User's email
  * @param {string} password - User's password
- * @returns {Promise<User>} Firebase user object or admin user
+ * @returns {Promise<User>} Firebase user object
  */
 export const loginWithEmail = async (email, password) => {
   try {
-    // Check if this is an admin login attempt
-    if (isAdminEmail(email)) {
-      console.log('Auth: Admin login attempt detected')
-      return await loginAsAdmin(email, password)
-    }
-    
     // Regular Firebase login
     const result = await signInWithEmailAndPassword(auth, email, password)
     return result.user
@@ -141,8 +131,18 @@ export const registerWithEmail = async (email, password) => {
  */
 export const logout = async () => {
   try {
-    // Clear admin token if exists
-    localStorage.removeItem('adminToken')
+    // End the staff session on the server too; signing out locally must not wait on it
+    const refreshToken = getAdminRefreshToken()
+    if (refreshToken) {
+      fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+      }).catch((error) => console.warn('Server logout failed:', error.message))
+    }
+    clearAdminSession()
     await signOut(auth)
   } catch (error) {
     console.error('Logout error:', error)
@@ -155,23 +155,48 @@ export const logout = async () => {
  * @returns {string|null}
  */
 export const getAdminToken = () => {
-  return localStorage.getItem('adminToken')
+  return localStorage.getItem(ADMIN_TOKEN_KEY)
+}
+
+/**
+ * Get the staff refresh token from localStorage
+ * @returns {string|null}
+ */
+export const getAdminRefreshToken = () => {
+  return localStorage.getItem(ADMIN_REFRESH_TOKEN_KEY)
+}
+
+/**
+ * Store the staff session tokens in localStorage
+ * Used after sign-in, refresh, password change and invitation / reset links.
+ * @param {string} token - Access token
+ * @param {string} [refreshToken] - Refresh token (kept as is when omitted)
+ */
+export const setAdminToken = (token, refreshToken) => {
+  localStorage.setItem(ADMIN_TOKEN_KEY, token)
+  if (refreshToken) {
+    localStorage.setItem(ADMIN_REFRESH_TOKEN_KEY, refreshToken)
+  }
 }
 
 /**
- * Set admin token in localStorage
- * @param {string} token
+ * Forget the staff session locally and reset user-bound state
+ * Called on logout and when the server reports the session has ended.
  */
-export const setAdminToken = (token) => {
-  localStorage.setItem('adminToken', token)
+export const clearAdminSession = () => {
+  localStorage.removeItem(ADMIN_TOKEN_KEY)
+  localStorage.removeItem(ADMIN_REFRESH_TOKEN_KEY)
+  // Course memberships belong to the signed-in user
+  useCourseStore.getState().reset()
+  useAuthStore.getState().logout()
 }
 
 /**
- * Check if user is logged in as admin (via hardcoded credentials)
+ * Check if user is logged in with a staff account
  * @returns {boolean}
  */
 export const isAdminLoggedIn = () => {
-  return !!localStorage.getItem('adminToken')
+  return !!localStorage.getItem(ADMIN_TOKEN_KEY)
 }
 
 /**
@@ -2,7 +2,7 @@
  * Auth State Listener
  * 
  * Listens to Firebase auth state changes and syncs with backend.
- * Also handles admin JWT token sessions.
+ * Also restores staff sessions (access token refreshed by api.js).
  * Backend is the source of truth for user roles.
  * This ensures session persistence across page refreshes.
  */
@@ -11,14 +11,14 @@ import { onAuthStateChanged } from 'firebase/auth'
 import { auth } from './firebase'
 import useAuthStore from '../store/auth.store'
 import { userApi } from './api'
-import { isAdminLoggedIn } from './auth.service'
+import { isAdminLoggedIn, clearAdminSession } from './auth.service'
 
 let unsubscribe = null
 
 /**
  * Fetch user role from backend (source of truth)
  * @param {Object} user - Firebase user object or admin user object
- * @returns {Promise<{userData: Object, role: string}>}
+ * @returns {Promise<{userData: Object, role: string, permissions: Object[]}>}
  */
 const syncWithBackend = async (user) => {
   try {
@@ -43,6 +43,7 @@ const syncWithBackend = async (user) => {
           id: response.data.id, // MongoDB user ID
         },
         role: response.data.role || 'student',
+        permissions: response.data.permissions || [],
       }
     }
   } catch (error) {
@@ -59,6 +60,7 @@ const syncWithBackend = async (user) => {
       emailVerified: user.emailVerified,
     },
     role: 'student', // Default to student if backend fails
+    permissions: [],
   }
 }
 
@@ -84,13 +86,13 @@ const checkAdminSession = async () => {
         emailVerified: true,
         id: response.data.id,
       }
-      setAuth(userData, response.data.role || 'admin')
+      setAuth(userData, response.data.role, response.data.permissions || [])
       console.log('Auth: Admin session restored', userData.email)
       return true
     }
   } catch (error) {
-    console.warn('Auth: Admin token invalid, clearing...', error.message)
-    localStorage.removeItem('adminToken')
+    console.warn('Auth: Admin session invalid, clearing...', error.message)
+    clearAdminSession()
   }
   
   return false
@@ -128,8 +130,8 @@ export const initAuthListener = () => {
         console.log('Auth: Firebase user detected', user.email)
         
         try {
-          const { userData, role } = await syncWithBackend(user)
-          setAuth(userData, role)
+          const { userData, role, permissions } = await syncWithBackend(user)
+          setAuth(userData, role, permissions)
           console.log(`Auth: User signed in as ${role}`, userData.email)
         } catch (error) {
           console.error('Auth sync error:', error)
@@ -164,8 +166,8 @@ export const refreshUserRole = async () => {
   if (!user) return
   
   const { setAuth } = useAuthStore.getState()
-  const { userData, role } = await syncWithBackend(user)
-  setAuth(userData, role)
+  const { userData, role, permissions } = await syncWithBackend(user)
+  setAuth(userData, role, permissions)
 }
 
 /**
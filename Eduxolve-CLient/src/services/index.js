@@ -6,14 +6,25 @@ export { default as firebaseApp } from './firebase'
 export { default as api } from './api'
 export {
   ApiError,
+  resolveFileUrl,
   userApi,
+  accountApi,
+  adminApi,
+  courseApi,
   contentApi,
   searchApi,
   aiApi,
   validationApi,
-  chatApi
+  chatApi,
+  jobApi,
+  generationApi,
+  exportApi,
+  saveBlob
 } from './api'
 
 // Auth exports
 export * from './auth.service'
 export { initAuthListener, cleanupAuthListener, refreshUserRole } from './authListener'
+
+// Permission helpers
+export * from './permissions'
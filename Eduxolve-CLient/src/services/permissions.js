@@ -0,0 +1,81 @@
+/**
+ * Permission helpers
+ *
+ * The backend sends each user's effective permission grants
+ * ([{ permission, weeks, tags }]) with /me and staff sign-in. A grant with
+ * weeks or tags only covers content in those weeks or with those tags.
+ * These helpers only decide what the UI shows; the backend enforces them.
+ */
+
+export const PERMISSIONS = {
+  CONTENT_UPLOAD: 'content:upload',
+  CONTENT_EDIT: 'content:edit',
+  ANALYTICS_VIEW: 'analytics:view',
+  USERS_MANAGE: 'users:manage',
+  CODE_RUN: 'code:run',
+}
+
+// Roles that use the staff (admin) area
+export const STAFF_ROLES = ['admin', 'instructor', 'ta']
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  instructor: 'Instructor',
+  ta: 'TA',
+  student: 'Student',
+}
+
+/**
+ * Whether a role uses the staff area
+ * @param {string} role
+ * @returns {boolean}
+ */
+export const isStaffRole = (role) => STAFF_ROLES.includes(role)
+
+/**
+ * Landing page after sign-in for a role
+ * @param {string} role
+ * @returns {string}
+ */
+export const homePathFor = (role) => (isStaffRole(role) ? '/admin' : '/dashboard')
+
+/**
+ * Find the grant for a permission
+ * @param {Object[]} permissions - Effective grants
+ * @param {string} permission - Permission name
+ * @returns {Object|null}
+ */
+export const findGrant = (permissions = [], permission) =>
+  permissions.find((grant) => grant.permission === permission) || null
+
+/**
+ * Whether a grant is limited to some weeks or tags
+ * @param {Object} grant
+ * @returns {boolean}
+ */
+export const isScoped = (grant) => grant.weeks.length > 0 || grant.tags.length > 0
+
+/**
+ * Whether content falls inside a grant's scope
+ * @param {Object|null} grant
+ * @param {Object} content - { week?, tags? }
+ * @returns {boolean}
+ */
+export const isWithinGrant = (grant, { week, tags = [] } = {}) => {
+  if (!grant) return false
+  if (!isScoped(grant)) return true
+  if (week && grant.weeks.includes(Number(week))) return true
+  return tags.some((tag) => grant.tags.includes(String(tag).toLowerCase()))
+}
+
+/**
+ * Human-readable scope, e.g. "weeks 3, 4 or tags trees"
+ * @param {Object} grant
+ * @returns {string}
+ */
+export const describeScope = (grant) => {
+  const parts = []
+  if (grant.weeks.length) parts.push(`weeks ${grant.weeks.join(', ')}`)
+  if (grant.tags.length) parts.push(`tags ${grant.tags.join(', ')}`)
+  return parts.join(' or ')
+}
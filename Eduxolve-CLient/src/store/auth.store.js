@@ -6,22 +6,26 @@
  * 
  * State:
  * - user: Firebase user object or null
- * - role: 'student' | 'admin' | null (from backend)
+ * - role: 'student' | 'ta' | 'instructor' | 'admin' | null (from backend)
+ * - permissions: effective grants [{ permission, weeks, tags }] (from backend)
  * - loading: boolean (true during initial auth check)
  */
 
 import { create } from 'zustand'
+import { findGrant } from '../services/permissions'
 
 const useAuthStore = create((set) => ({
   // State
   user: null,
   role: null,
+  permissions: [],
   loading: true, // Start as true to prevent route flickering
 
   // Actions
-  setAuth: (user, role) => set({
+  setAuth: (user, role, permissions = []) => set({
     user,
     role,
+    permissions,
     loading: false,
   }),
 
@@ -30,6 +34,7 @@ const useAuthStore = create((set) => ({
   logout: () => set({
     user: null,
     role: null,
+    permissions: [],
     loading: false,
   }),
   
@@ -44,6 +49,12 @@ const useAuthStore = create((set) => ({
     const state = useAuthStore.getState()
     return state.role === 'admin'
   },
+
+  // Check if user holds a permission (for any week/tag scope)
+  hasPermission: (permission) => {
+    const state = useAuthStore.getState()
+    return Boolean(findGrant(state.permissions, permission))
+  },
 }))
 
 export default useAuthStore
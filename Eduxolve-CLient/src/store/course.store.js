@@ -0,0 +1,43 @@
+/**
+ * Course Store (Zustand)
+ * 
+ * Courses the user can access and the one currently selected in the navbar.
+ * Search, chat and content uploads are scoped to the active course.
+ * Only the selection is persisted; the list is refetched on load.
+ * 
+ * State:
+ * - courses: [{ _id, code, title, term, ... }]
+ * - activeCourseId: string | null (null = all courses)
+ * - loaded: boolean (true once the list has been fetched)
+ */
+
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+
+const useCourseStore = create(persist((set) => ({
+  // State
+  courses: [],
+  activeCourseId: null,
+  loaded: false,
+
+  // Actions
+  // Drops a persisted selection the user no longer has access to
+  setCourses: (courses) => set((state) => ({
+    courses,
+    loaded: true,
+    activeCourseId: courses.some(c => c._id === state.activeCourseId) ? state.activeCourseId : null,
+  })),
+
+  setActiveCourse: (activeCourseId) => set({ activeCourseId }),
+
+  reset: () => set({
+    courses: [],
+    activeCourseId: null,
+    loaded: false,
+  }),
+}), {
+  name: 'eduxolve-course',
+  partialize: (state) => ({ activeCourseId: state.activeCourseId }),
+}))
+
+export default useCourseStore
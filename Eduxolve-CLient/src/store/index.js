@@ -1,2 +1,3 @@
 // Zustand store barrel export
 export { default as useAuthStore } from './auth.store'
+export { default as useCourseStore } from './course.store'
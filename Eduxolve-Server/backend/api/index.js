@@ -8,6 +8,9 @@
 require('dotenv').config();
 
 const connectDB = require('../src/config/db');
+const { startJobWorker } = require('../src/services/jobQueue.service');
+const { ensureBootstrapAdmin } = require('../src/services/account.service');
+const { startAttachmentCleanup } = require('../src/services/attachment.service');
 
 // Initialize Firebase (must happen before app import)
 require('../src/config/firebase');
@@ -22,6 +25,11 @@ const handler = async (req, res) => {
   if (!isConnected) {
     await connectDB();
     isConnected = true;
+    await ensureBootstrapAdmin();
+    // Runs queued jobs while this instance stays warm
+    startJobWorker();
+    // Sweeps expired attachments on each cold start and while warm
+    startAttachmentCleanup();
   }
   
   return app(req, res);
@@ -1,48 +1,71 @@
 /**
  * Admin Configuration
- * 
- * Hardcoded admin credentials for demo purposes.
- * In production, this would be replaced with proper IAM/role claims.
- * 
- * ⚠️ FOR HACKATHON DEMO ONLY
+ *
+ * Settings for local (email + password) staff accounts, which are stored
+ * in the User collection: token signing and session lifetimes, password
+ * and lockout rules, and link lifetimes.
+ *
+ * The first admin is created on startup from ADMIN_EMAIL / ADMIN_PASSWORD
+ * when the database has no admin yet (see account.service).
  */
 
-const ADMIN_CREDENTIALS = [
-  {
-    email: 'admin@eduxolve.com',
-    password: 'Admin@123'
-  },
-  {
-    email: 'admin@university.edu',
-    password: 'Admin@123'
-  }
-];
+const crypto = require('crypto');
 
 /**
- * Check if credentials match an admin account
- * @param {string} email - Email to check
- * @param {string} password - Password to check
- * @returns {boolean} True if credentials match an admin
+ * Secret for local account JWTs
+ * Required in production; development falls back to a random per-process
+ * secret, so sessions end when the server restarts.
+ * @returns {string}
  */
-const isAdminCredentials = (email, password) => {
-  return ADMIN_CREDENTIALS.some(
-    admin => admin.email.toLowerCase() === email.toLowerCase() && admin.password === password
-  );
+const resolveJwtSecret = () => {
+  if (process.env.ADMIN_JWT_SECRET) {
+    return process.env.ADMIN_JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ADMIN_JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️ ADMIN_JWT_SECRET not set - using a random secret, sessions end on restart');
+  return crypto.randomBytes(32).toString('hex');
 };
 
-/**
- * Check if email belongs to an admin
- * @param {string} email - Email to check
- * @returns {boolean} True if email is an admin email
- */
-const isAdminEmail = (email) => {
-  return ADMIN_CREDENTIALS.some(
-    admin => admin.email.toLowerCase() === email.toLowerCase()
-  );
-};
+const ACCOUNT_JWT_SECRET = resolveJwtSecret();
+
+// Sessions: short-lived access tokens, renewed with a rotating refresh token
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+// A just-rotated refresh token is refused without ending the session for
+// this long, so two tabs refreshing at once do not sign each other out
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+// Passwords
+const BCRYPT_ROUNDS = 12;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 72; // bcrypt ignores bytes past 72
+
+// Lockout after repeated failed logins
+const MAX_FAILED_LOGINS = parseInt(process.env.AUTH_MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15;
+
+// One-time links
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS, 10) || 72;
+const PASSWORD_RESET_TTL_HOURS = parseInt(process.env.PASSWORD_RESET_TTL_HOURS, 10) || 24;
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Roles that sign in with a local account
+const STAFF_ROLES = ['admin', 'instructor', 'ta'];
 
 module.exports = {
-  ADMIN_CREDENTIALS,
-  isAdminCredentials,
-  isAdminEmail
+  ACCOUNT_JWT_SECRET,
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  REFRESH_REUSE_GRACE_SECONDS,
+  BCRYPT_ROUNDS,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  MAX_FAILED_LOGINS,
+  LOCKOUT_MINUTES,
+  INVITE_TTL_HOURS,
+  PASSWORD_RESET_TTL_HOURS,
+  CLIENT_URL,
+  STAFF_ROLES
 };
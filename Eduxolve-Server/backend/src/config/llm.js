@@ -0,0 +1,147 @@
+/**
+ * LLM Client
+ *
+ * Provider-agnostic entry point for text generation, streaming and
+ * embeddings. Delegates to the provider chosen by LLM_PROVIDER and
+ * normalizes results and errors so callers never depend on a specific SDK.
+ */
+
+const { getProvider } = require('../providers');
+
+/**
+ * Map a provider error to a failed result
+ * @param {Error} error - Provider error
+ * @param {string} fallbackCode - Code for unrecognised errors
+ * @param {string} fallbackMessage - Message for unrecognised errors
+ * @returns {Object} { success: false, error, code, details? }
+ */
+const toErrorResult = (error, fallbackCode, fallbackMessage) => {
+  if (error.message.includes('API_KEY')) {
+    return {
+      success: false,
+      error: 'AI service not configured',
+      code: 'API_KEY_MISSING'
+    };
+  }
+
+  if (error.message.includes('RATE_LIMIT') || error.status === 429) {
+    return {
+      success: false,
+      error: 'AI service rate limit exceeded. Please try again later.',
+      code: 'RATE_LIMIT'
+    };
+  }
+
+  if (error.message.includes('SAFETY')) {
+    return {
+      success: false,
+      error: 'Content blocked by safety filters',
+      code: 'SAFETY_BLOCK'
+    };
+  }
+
+  return {
+    success: false,
+    error: fallbackMessage,
+    code: fallbackCode,
+    details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+  };
+};
+
+/**
+ * Generate content with the configured provider
+ * @param {string} prompt - The prompt to send
+ * @param {Object} options - Optional configuration
+ * @param {number} options.temperature - Creativity level (0-1)
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @returns {Promise<Object>} Generated content with metadata
+ */
+const generateContent = async (prompt, options = {}) => {
+  const provider = getProvider();
+
+  try {
+    const { content, usage } = await provider.generate(prompt, options);
+
+    return {
+      success: true,
+      content,
+      model: provider.model,
+      usage
+    };
+
+  } catch (error) {
+    console.error(`❌ LLM API Error (${provider.name}):`, error.message);
+    return toErrorResult(error, 'GENERATION_ERROR', 'AI generation failed');
+  }
+};
+
+/**
+ * Generate content with streaming
+ * @param {string} prompt - The prompt to send
+ * @param {Function} onChunk - Callback for each text chunk
+ * @param {Object} options - Optional configuration
+ * @param {number} options.temperature - Creativity level (0-1)
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {AbortSignal} options.signal - Aborts the upstream request
+ * @returns {Promise<Object>} Complete generated text with metadata
+ */
+const generateContentStream = async (prompt, onChunk, options = {}) => {
+  const provider = getProvider();
+  let fullText = '';
+
+  try {
+    const { usage } = await provider.stream(prompt, (chunkText) => {
+      fullText += chunkText;
+      if (onChunk) onChunk(chunkText);
+    }, options);
+
+    return {
+      success: true,
+      content: fullText,
+      model: provider.model,
+      usage
+    };
+
+  } catch (error) {
+    // Client cancelled - keep whatever was generated so far
+    if (options.signal?.aborted) {
+      return {
+        success: false,
+        content: fullText,
+        error: 'Generation cancelled',
+        code: 'ABORTED'
+      };
+    }
+
+    console.error(`❌ LLM Stream Error (${provider.name}):`, error.message);
+    return toErrorResult(error, 'STREAM_ERROR', 'AI streaming failed');
+  }
+};
+
+/**
+ * Embed text with the configured provider
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} Embedding vector (throws on failure)
+ */
+const embedContent = (text) => getProvider().embed(text);
+
+/**
+ * Describe the active provider
+ * @returns {Object} { provider, model, embeddingModel, embeddingDimension }
+ */
+const getLlmInfo = () => {
+  const provider = getProvider();
+  return {
+    provider: provider.name,
+    model: provider.model,
+    embeddingModel: provider.embeddingModel,
+    embeddingDimension: provider.embeddingDimension
+  };
+};
+
+module.exports = {
+  generateContent,
+  generateContentStream,
+  embedContent,
+  getLlmInfo
+};
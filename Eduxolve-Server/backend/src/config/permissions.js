@@ -0,0 +1,45 @@
+/**
+ * Permission Configuration
+ *
+ * Staff capabilities and the defaults each role starts with. Admins can
+ * replace a user's defaults with custom grants, optionally scoped to
+ * specific content weeks and/or tags (see permission.service).
+ */
+
+const PERMISSIONS = {
+  CONTENT_UPLOAD: 'content:upload',
+  CONTENT_EDIT: 'content:edit',
+  ANALYTICS_VIEW: 'analytics:view',
+  USERS_MANAGE: 'users:manage',
+  CODE_RUN: 'code:run'
+};
+
+const PERMISSION_LIST = Object.values(PERMISSIONS);
+
+// Permissions that can be limited to content weeks/tags
+const SCOPABLE_PERMISSIONS = [PERMISSIONS.CONTENT_UPLOAD, PERMISSIONS.CONTENT_EDIT];
+
+// Shown in the admin users page permission editor
+const PERMISSION_LABELS = {
+  [PERMISSIONS.CONTENT_UPLOAD]: 'Upload content',
+  [PERMISSIONS.CONTENT_EDIT]: 'Edit and delete content',
+  [PERMISSIONS.ANALYTICS_VIEW]: 'View analytics',
+  [PERMISSIONS.USERS_MANAGE]: 'Manage users',
+  [PERMISSIONS.CODE_RUN]: 'Run lab code in the sandbox'
+};
+
+// Defaults per role; admins always hold every permission unscoped
+const ROLE_PERMISSIONS = {
+  admin: PERMISSION_LIST,
+  instructor: [PERMISSIONS.CONTENT_UPLOAD, PERMISSIONS.CONTENT_EDIT, PERMISSIONS.ANALYTICS_VIEW, PERMISSIONS.CODE_RUN],
+  ta: [PERMISSIONS.ANALYTICS_VIEW, PERMISSIONS.CODE_RUN],
+  student: []
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_LIST,
+  SCOPABLE_PERMISSIONS,
+  PERMISSION_LABELS,
+  ROLE_PERMISSIONS
+};
@@ -0,0 +1,53 @@
+/**
+ * Storage Configuration
+ *
+ * Where chat file attachments are kept, how long they live and how much
+ * each user may store.
+ *
+ * Backends (STORAGE_BACKEND):
+ * - disk: files under STORAGE_DIR (default; single instance only)
+ * - s3:   any S3-compatible object store - AWS S3, or MinIO / R2 via
+ *         S3_ENDPOINT - shared by every instance
+ */
+
+const path = require('path');
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'disk').toLowerCase();
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '../../data/attachments');
+
+// S3-compatible backend; a custom endpoint (MinIO etc.) uses path-style URLs
+const S3_CONFIG = {
+  endpoint: (process.env.S3_ENDPOINT || '').replace(/\/$/, ''),
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET || '',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT)
+};
+
+// Attachments expire this long after they were last used
+const ATTACHMENT_TTL_DAYS = parseInt(process.env.ATTACHMENT_TTL_DAYS, 10) || 7;
+
+// Per-user quota over unexpired attachments
+const ATTACHMENT_QUOTA_MB = parseInt(process.env.ATTACHMENT_QUOTA_MB, 10) || 50;
+const ATTACHMENT_QUOTA_FILES = parseInt(process.env.ATTACHMENT_QUOTA_FILES, 10) || 25;
+
+// Long files are chunked and embedded for retrieval; at most this many chunks
+// per file (the rest of the file is only reachable through the summary)
+const ATTACHMENT_INDEX_MAX_CHUNKS = parseInt(process.env.ATTACHMENT_INDEX_MAX_CHUNKS, 10) || 300;
+
+// How often expired attachments are removed
+const ATTACHMENT_CLEANUP_INTERVAL_MINUTES = parseInt(process.env.ATTACHMENT_CLEANUP_INTERVAL_MINUTES, 10) || 60;
+
+module.exports = {
+  STORAGE_BACKEND,
+  STORAGE_DIR,
+  S3_CONFIG,
+  ATTACHMENT_TTL_DAYS,
+  ATTACHMENT_QUOTA_MB,
+  ATTACHMENT_QUOTA_FILES,
+  ATTACHMENT_INDEX_MAX_CHUNKS,
+  ATTACHMENT_CLEANUP_INTERVAL_MINUTES
+};
@@ -1,19 +1,107 @@
-const { generateContent } = require('../config/gemini');
+const { generateContent, generateContentStream } = require('../config/llm');
 const {
   buildPrompt,
+  buildRepairPrompt,
   validateParams,
   getSupportedTypes,
-  getSupportedLanguages
+  getSupportedLanguages,
+  isStructuredType
 } = require('../services/aiPrompt.service');
-const { getStoredContext } = require('./file.controller');
+const { parseStructuredOutput } = require('../services/quiz.service');
+const { saveGeneration } = require('../services/generation.service');
+const { getContextForRAG } = require('../services/search.service');
+const { getAttachmentContext } = require('../services/attachment.service');
 const { formatContextForPrompt, getFileResponseDisclaimer } = require('../services/fileContext.service');
+const { wantsEventStream, openEventStream } = require('../utils/sse');
 
 /**
- * @desc    Generate AI content (theory, lab code, slides)
+ * Retrieve course material for quizzes and flashcards
+ * Chunks are numbered so generated items can cite them via "source".
+ * @param {string} topic - Generation topic
+ * @param {Object} scope - { courseId, courseIds } from scopeToCourse
+ * @returns {Promise<{context: string, references: Object[]}>}
+ */
+const getNumberedCourseContext = async (topic, scope) => {
+  try {
+    const rag = await getContextForRAG(topic, { ...scope, maxChunks: 6, maxLength: 6000 });
+    if (!rag.success) {
+      return { context: '', references: [] };
+    }
+
+    const references = rag.chunks.map((chunk, i) => ({
+      index: i + 1,
+      contentId: chunk.contentId,
+      title: chunk.content?.title || 'Course material',
+      location: chunk.location || null
+    }));
+    const context = rag.chunks
+      .map((chunk, i) => {
+        const { index, title, location } = references[i];
+        return `[${index}] ${title}${location ? ` (${location})` : ''}\n${chunk.chunkText}`;
+      })
+      .join('\n\n');
+
+    return { context, references };
+  } catch (error) {
+    console.error('⚠️ Course context lookup failed:', error.message);
+    return { context: '', references: [] };
+  }
+};
+
+/**
+ * Generate JSON output and validate it against the type's schema
+ * Invalid output gets one repair attempt with the validation errors.
+ * @param {string} type - 'quiz' | 'flashcards'
+ * @param {string} prompt - Generation prompt
+ * @param {Function} complete - (prompt) => generation result
+ * @returns {Promise<{result: Object, parsed: Object|null}>}
+ */
+const generateStructured = async (type, prompt, complete) => {
+  let result = await complete(prompt);
+  if (!result.success) return { result, parsed: null };
+
+  let parsed = parseStructuredOutput(type, result.content);
+  if (!parsed.valid) {
+    console.warn(`⚠️ Invalid ${type} output, asking for a fix: ${parsed.errors[0]}`);
+    result = await complete(buildRepairPrompt(prompt, result.content, parsed.errors));
+    if (!result.success) return { result, parsed: null };
+    parsed = parseStructuredOutput(type, result.content);
+  }
+
+  return { result, parsed };
+};
+
+/**
+ * Save a generation to the user's library
+ * Failures are logged and never fail the generation itself.
+ * @returns {Promise<Object|null>} { generationId, versionGroup, version } or null
+ */
+const persistGeneration = async (req, data) => {
+  try {
+    const generation = await saveGeneration(String(req.user.id), data, req.body.parentId || null);
+    return {
+      generationId: generation._id,
+      versionGroup: generation.versionGroup,
+      version: generation.version
+    };
+  } catch (error) {
+    console.error('⚠️ Failed to save generation:', error.message);
+    return null;
+  }
+};
+
+/**
+ * @desc    Generate AI content (theory, lab code, slides, quiz, flashcards)
+ *          Quizzes and flashcards are grounded in course material and
+ *          returned as schema-validated JSON
+ *          Every result is saved to the user's library (parentId = new version)
+ *          Streams Server-Sent Events when `stream: true` is sent
  * @route   POST /api/ai/generate
  * @access  Protected (Admin + Student)
  */
 const generate = async (req, res) => {
+  let stream = null;
+
   try {
     const { type, topic, language, context, options, fileId } = req.body;
 
@@ -34,7 +122,7 @@ const generate = async (req, res) => {
     }
 
     // Validate parameters
-    const validation = validateParams(type, topic, language);
+    const validation = validateParams(type, topic, language, options || {});
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -47,7 +135,7 @@ const generate = async (req, res) => {
     let fileContextStr = '';
     let hasFileContext = false;
     if (fileId) {
-      const stored = getStoredContext(fileId);
+      const stored = await getAttachmentContext(req.user.id, fileId, { query: topic });
       if (stored) {
         fileContextStr = stored.formattedContext || '';
         hasFileContext = true;
@@ -55,8 +143,14 @@ const generate = async (req, res) => {
       }
     }
 
+    // Quizzes and flashcards are grounded in indexed course material
+    const structured = isStructuredType(type);
+    const courseContext = structured
+      ? await getNumberedCourseContext(topic.trim(), { courseId: req.courseId || null, courseIds: req.courseIds })
+      : { context: '', references: [] };
+
     // Combine contexts
-    const combinedContext = fileContextStr + (context || '');
+    const combinedContext = fileContextStr + (context || '') + courseContext.context;
 
     // Build the prompt
     const prompt = buildPrompt(type, topic.trim(), {
@@ -65,12 +159,113 @@ const generate = async (req, res) => {
       options: options || {}
     });
 
-    // Generate content using Gemini
-    const result = await generateContent(prompt, {
-      temperature: type === 'lab' ? 0.3 : 0.7, // Lower temperature for code
+    const generationOptions = {
+      temperature: type === 'lab' ? 0.3 : structured ? 0.4 : 0.7, // Lower temperature for code and JSON
       maxTokens: type === 'slides' ? 4096 : 8192
+    };
+
+    // Build sources list
+    const sources = [];
+    if (hasFileContext) sources.push('uploaded_file');
+    if (context || courseContext.references.length > 0) sources.push('course_materials');
+    if (sources.length === 0) sources.push('ai_generated');
+
+    // Save to the library, then build the response payload
+    const buildResponseData = async (result) => ({
+      ...await persistGeneration(req, {
+        prompt: topic.trim(),
+        type,
+        language: type === 'lab' ? (language || 'python') : null,
+        options: options || {},
+        courseId: req.courseId || null,
+        content: result.content,
+        structured: result.structured || null,
+        sources,
+        references: courseContext.references,
+        model: result.model
+      }),
+      content: result.content,
+      type,
+      topic,
+      language: type === 'lab' ? (language || 'python') : undefined,
+      sources,
+      hasFileContext,
+      model: result.model,
+      usage: result.usage,
+      ...(structured && {
+        [type]: result.structured,
+        references: courseContext.references
+      })
     });
 
+    // Quizzes and flashcards: no token stream, the JSON is only useful once validated
+    if (structured) {
+      if (wantsEventStream(req)) {
+        stream = openEventStream(req, res);
+        stream.send('start', { type, topic, sources, hasFileContext });
+      }
+
+      const complete = (text) => stream
+        ? generateContentStream(text, null, { ...generationOptions, signal: stream.signal })
+        : generateContent(text, generationOptions);
+      const { result, parsed } = await generateStructured(type, prompt, complete);
+
+      if (!result.success) {
+        if (stream) {
+          if (result.code !== 'ABORTED') {
+            stream.send('error', { success: false, error: result.error, code: result.code });
+          }
+          return stream.close();
+        }
+        const statusCode = result.code === 'RATE_LIMIT' ? 429 :
+                           result.code === 'API_KEY_MISSING' ? 503 : 500;
+        return res.status(statusCode).json({ success: false, error: result.error, code: result.code });
+      }
+
+      if (!parsed.valid) {
+        const failure = {
+          success: false,
+          error: `The AI returned an invalid ${type === 'quiz' ? 'quiz' : 'flashcard deck'}. Please try again.`,
+          code: 'INVALID_OUTPUT',
+          details: parsed.errors
+        };
+        if (stream) {
+          stream.send('error', failure);
+          return stream.close();
+        }
+        return res.status(502).json(failure);
+      }
+
+      const data = await buildResponseData({ ...result, structured: parsed.data });
+      if (stream) {
+        stream.send('done', { success: true, data });
+        return stream.close();
+      }
+      return res.status(200).json({ success: true, data });
+    }
+
+    // Streaming mode: send tokens as they arrive, then the full payload
+    if (wantsEventStream(req)) {
+      stream = openEventStream(req, res);
+      stream.send('start', { type, topic, sources, hasFileContext });
+
+      const result = await generateContentStream(
+        prompt,
+        (text) => stream.send('token', { text }),
+        { ...generationOptions, signal: stream.signal }
+      );
+
+      if (result.success) {
+        stream.send('done', { success: true, data: await buildResponseData(result) });
+      } else if (result.code !== 'ABORTED') {
+        stream.send('error', { success: false, error: result.error, code: result.code });
+      }
+      return stream.close();
+    }
+
+    // Generate content using the configured LLM provider
+    const result = await generateContent(prompt, generationOptions);
+
     // Handle generation errors
     if (!result.success) {
       const statusCode = result.code === 'RATE_LIMIT' ? 429 : 
@@ -83,30 +278,20 @@ const generate = async (req, res) => {
       });
     }
 
-    // Build sources list
-    const sources = [];
-    if (hasFileContext) sources.push('uploaded_file');
-    if (context) sources.push('course_materials');
-    if (sources.length === 0) sources.push('ai_generated');
-
     // Return successful response
     res.status(200).json({
       success: true,
-      data: {
-        content: result.content,
-        type,
-        topic,
-        language: type === 'lab' ? (language || 'python') : undefined,
-        sources,
-        hasFileContext,
-        model: result.model,
-        usage: result.usage
-      }
+      data: await buildResponseData(result)
     });
 
   } catch (error) {
     console.error('❌ AI Generation Error:', error);
 
+    if (stream) {
+      stream.send('error', { success: false, error: 'AI generation failed' });
+      return stream.close();
+    }
+
     res.status(500).json({
       success: false,
       error: 'AI generation failed',
@@ -131,11 +316,14 @@ const getInfo = async (req, res) => {
           method: 'POST',
           path: '/api/ai/generate',
           body: {
-            type: 'theory | lab | slides (required)',
+            type: 'theory | lab | slides | quiz | flashcards (required)',
             topic: 'string (required)',
             language: 'string (required for lab type)',
             context: 'string (optional - course material snippets)',
-            options: 'object (optional - additional settings)'
+            courseId: 'string (optional - course to ground quizzes and flashcards in)',
+            options: 'object (optional - additional settings)',
+            parentId: 'string (optional - saved generation this regenerates; saved as its next version)',
+            stream: 'boolean (optional - Server-Sent Events: start, token, done, error)'
           }
         }
       },
@@ -151,6 +339,14 @@ const getInfo = async (req, res) => {
         slides: {
           slideCount: 'number (default: 10)',
           audience: 'string (default: undergraduate students)'
+        },
+        quiz: {
+          questionCount: 'number (default: 8)',
+          questionTypes: 'array of mcq | true_false | short_answer (default: all)',
+          difficulty: 'beginner | intermediate | advanced'
+        },
+        flashcards: {
+          cardCount: 'number (default: 12)'
         }
       }
     }
@@ -187,10 +383,32 @@ const generateSlides = async (req, res) => {
   return generate(req, res);
 };
 
+/**
+ * @desc    Quick quiz generation
+ * @route   POST /api/ai/quiz
+ * @access  Protected (Admin + Student)
+ */
+const generateQuiz = async (req, res) => {
+  req.body.type = 'quiz';
+  return generate(req, res);
+};
+
+/**
+ * @desc    Quick flashcard generation
+ * @route   POST /api/ai/flashcards
+ * @access  Protected (Admin + Student)
+ */
+const generateFlashcards = async (req, res) => {
+  req.body.type = 'flashcards';
+  return generate(req, res);
+};
+
 module.exports = {
   generate,
   getInfo,
   generateTheory,
   generateLab,
-  generateSlides
+  generateSlides,
+  generateQuiz,
+  generateFlashcards
 };
@@ -0,0 +1,348 @@
+/**
+ * Auth Controller
+ *
+ * Sign-in for local (email + password) staff accounts, session refresh
+ * and logout, password change, and the public invitation / password
+ * reset links. Students sign in with Firebase and never reach these
+ * handlers.
+ */
+
+const {
+  verifyAccountToken,
+  getTokenUser,
+  loginWithPassword,
+  refreshSession,
+  logout: endSession,
+  logoutAll: endAllSessions,
+  changePassword,
+  findInvitation,
+  acceptInvitation,
+  resetPassword
+} = require('../services/account.service');
+const { getGrants } = require('../services/permission.service');
+
+/**
+ * Where a session is being started from
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip }
+ */
+const getSessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * Send a signed-in response for a local account
+ * @param {Object} res - Express response
+ * @param {Object} result - { user, token, refreshToken, expiresIn }
+ * @param {string} message - Success message
+ */
+const sendSession = (res, { user, token, refreshToken, expiresIn }, message) => {
+  res.status(200).json({
+    success: true,
+    message,
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      permissions: getGrants(user)
+    }
+  });
+};
+
+/**
+ * Send a { status, message, code? } service failure
+ * @param {Object} res - Express response
+ * @param {Object} result - Service result
+ */
+const sendFailure = (res, { status, message, code }) => {
+  res.status(status).json({
+    success: false,
+    message,
+    ...(code && { code })
+  });
+};
+
+/**
+ * @desc    Sign in with a local account
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate input
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const result = await loginWithPassword(email, password, getSessionMeta(req));
+    if (!result.user) {
+      return sendFailure(res, result);
+    }
+
+    console.log(`✅ Login successful: ${result.user.email} (${result.user.role})`);
+    sendSession(res, result, 'Login successful');
+
+  } catch (error) {
+    console.error('❌ Login error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token (the refresh token rotates)
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token)
+ */
+const refresh = async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken);
+    if (!result.user) {
+      return sendFailure(res, result);
+    }
+
+    sendSession(res, result, 'Session refreshed');
+
+  } catch (error) {
+    console.error('❌ Refresh session error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+};
+
+/**
+ * @desc    End the current session
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh token, or a local account access token)
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const authHeader = req.headers.authorization;
+    const decoded = authHeader && authHeader.startsWith('Bearer ')
+      ? verifyAccountToken(authHeader.split(' ')[1])
+      : null;
+
+    // Logging out an already-ended session still succeeds
+    await endSession({ refreshToken, sessionId: decoded?.sid });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+};
+
+/**
+ * @desc    End every session of the signed-in user, on all devices
+ * @route   POST /api/auth/logout-all
+ * @access  Protected
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await endAllSessions(req.user.id);
+    console.log(`🚪 All sessions ended for ${req.user.email} (${revoked})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('❌ Logout all error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Verify a local account token and return user info
+ * @route   POST /api/auth/verify
+ * @access  Protected (local account token)
+ */
+const verify = async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided'
+      });
+    }
+
+    const decoded = verifyAccountToken(authHeader.split(' ')[1]);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    const result = await getTokenUser(decoded);
+    if (!result.user) {
+      return sendFailure(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: result.user._id,
+        email: result.user.email,
+        role: result.user.role,
+        permissions: getGrants(result.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Token verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Verification failed'
+    });
+  }
+};
+
+/**
+ * @desc    Change the signed-in user's password
+ * @route   POST /api/auth/password
+ * @access  Protected (local accounts)
+ */
+const updatePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      });
+    }
+
+    const result = await changePassword(req.user.id, currentPassword, newPassword, getSessionMeta(req));
+    if (!result.user) {
+      return sendFailure(res, result);
+    }
+
+    sendSession(res, result, 'Password changed');
+
+  } catch (error) {
+    console.error('❌ Change password error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+};
+
+/**
+ * @desc    Look up an invitation before accepting it
+ * @route   GET /api/auth/invitations/:token
+ * @access  Public
+ */
+const getInvitation = async (req, res) => {
+  try {
+    const result = await findInvitation(req.params.token);
+    if (!result.user) {
+      return sendFailure(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: result.user.email,
+        role: result.user.role,
+        invitedBy: result.user.invitation.invitedBy,
+        expiresAt: result.user.invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get invitation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invitation'
+    });
+  }
+};
+
+/**
+ * @desc    Accept an invitation by choosing a password
+ * @route   POST /api/auth/invitations/:token/accept
+ * @access  Public
+ */
+const acceptInvite = async (req, res) => {
+  try {
+    const result = await acceptInvitation(req.params.token, req.body.password, getSessionMeta(req));
+    if (!result.user) {
+      return sendFailure(res, result);
+    }
+
+    sendSession(res, result, 'Account activated');
+
+  } catch (error) {
+    console.error('❌ Accept invitation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+};
+
+/**
+ * @desc    Set a new password from a reset link
+ * @route   POST /api/auth/password/reset/:token
+ * @access  Public
+ */
+const resetPasswordWithToken = async (req, res) => {
+  try {
+    const result = await resetPassword(req.params.token, req.body.password, getSessionMeta(req));
+    if (!result.user) {
+      return sendFailure(res, result);
+    }
+
+    sendSession(res, result, 'Password reset');
+
+  } catch (error) {
+    console.error('❌ Reset password error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
+module.exports = {
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verify,
+  updatePassword,
+  getInvitation,
+  acceptInvite,
+  resetPasswordWithToken
+};
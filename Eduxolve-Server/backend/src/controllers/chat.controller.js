@@ -3,14 +3,16 @@
  * 
  * Orchestrates conversational AI with tool-based decision logic:
  * - Intent Detection
+ * - Query Rewriting (standalone query + paraphrases from history)
  * - RAG Search
  * - AI Generation
  * - Content Validation
- * - Context Management
+ * - Context Management (persistent conversations)
  * - File Context Support
  */
 
 const { detectIntent, getSuggestedActions } = require('../services/intent.service');
+const { rewriteQuery, isAcknowledgement } = require('../services/queryRewrite.service');
 const { semanticSearch, getContextForRAG } = require('../services/search.service');
 const { validateTheory, validateCode } = require('../services/validation.service');
 const { selfEvaluate } = require('../services/selfEval.service');
@@ -23,60 +25,36 @@ const {
   buildGreetingResponse,
   buildNoContextResponse
 } = require('../services/chatPrompt.service');
-const { getStoredContext } = require('./file.controller');
+const { getAttachmentContext } = require('../services/attachment.service');
 const { formatContextForPrompt, getFileResponseDisclaimer, getSuggestedActions: getFileSuggestedActions } = require('../services/fileContext.service');
+const {
+  getOrCreateConversation,
+  appendMessage,
+  getConversationHistory,
+  listConversations,
+  findConversation,
+  clearConversation
+} = require('../services/conversation.service');
+const { wantsEventStream, openEventStream } = require('../utils/sse');
 
-// In-memory session storage (simple implementation)
-const sessions = new Map();
-const SESSION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
-const MAX_HISTORY = 10;
+// Intents whose answers are grounded in retrieved course material
+const RETRIEVAL_INTENTS = ['search', 'generate', 'explain', 'followup', 'unknown'];
 
 /**
- * Get or create session
- * @param {string} userId - User ID
- * @returns {Object} Session data
+ * Get the owner ID used for conversations
+ * @param {Object} req - Express request
+ * @returns {string} User ID
  */
-const getSession = (userId) => {
-  if (!sessions.has(userId)) {
-    sessions.set(userId, {
-      history: [],
-      lastTopic: null,
-      lastIntent: null,
-      createdAt: Date.now()
-    });
-  }
-  
-  const session = sessions.get(userId);
-  
-  // Check for session timeout
-  if (Date.now() - session.createdAt > SESSION_TIMEOUT) {
-    sessions.set(userId, {
-      history: [],
-      lastTopic: null,
-      lastIntent: null,
-      createdAt: Date.now()
-    });
-    return sessions.get(userId);
-  }
-  
-  return session;
-};
+const getUserId = (req) => String(req.user?.id || 'anonymous');
 
 /**
- * Update session with new message
- * @param {string} userId - User ID
- * @param {string} role - Message role ('user' or 'assistant')
- * @param {string} content - Message content
+ * Send a 404 for unknown or foreign conversation IDs
+ * @param {Object} res - Express response
  */
-const updateSession = (userId, role, content) => {
-  const session = getSession(userId);
-  session.history.push({ role, content, timestamp: Date.now() });
-  
-  // Trim history to max size
-  if (session.history.length > MAX_HISTORY) {
-    session.history = session.history.slice(-MAX_HISTORY);
-  }
-};
+const conversationNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Conversation not found'
+});
 
 /**
  * @desc    Main chat endpoint - orchestrates all AI interactions
@@ -84,9 +62,11 @@ const updateSession = (userId, role, content) => {
  * @access  Protected (Admin + Student)
  */
 const chat = async (req, res) => {
+  let stream = null;
+
   try {
-    const { message, history: clientHistory, fileId } = req.body;
-    const userId = req.user?.id || 'anonymous';
+    const { message, history: clientHistory, fileId, conversationId } = req.body;
+    const userId = getUserId(req);
     
     // Validate input
     if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -98,15 +78,27 @@ const chat = async (req, res) => {
     
     const trimmedMessage = message.trim();
     
-    // Get session and merge with client history if provided
-    const session = getSession(userId);
-    const conversationHistory = clientHistory || session.history;
+    // Load (or start) the conversation; stored history wins over client history
+    const opened = await getOrCreateConversation(userId, conversationId, trimmedMessage, req.courseId);
+    if (!opened) {
+      return conversationNotFound(res);
+    }
+    const { conversation } = opened;
+    
+    // Retrieval is scoped to the conversation's course (fixed when it was started),
+    // or to the user's own courses for a conversation without one
+    const scope = conversation.courseId
+      ? { courseId: conversation.courseId.toString() }
+      : { courseId: null, courseIds: req.courseIds };
+    const storedHistory = await getConversationHistory(conversation._id);
+    const conversationHistory = storedHistory.length > 0 ? storedHistory : (clientHistory || []);
     
     // Check for file context
     let fileContext = null;
     let hasFileContext = false;
     if (fileId) {
-      const stored = getStoredContext(fileId);
+      // Long, indexed files contribute the excerpts relevant to this message
+      const stored = await getAttachmentContext(userId, fileId, { query: trimmedMessage });
       if (stored) {
         fileContext = stored;
         hasFileContext = true;
@@ -114,21 +106,61 @@ const chat = async (req, res) => {
       }
     }
     
+    // Streaming mode: tokens are sent as Server-Sent Events
+    let streamedText = '';
+    let streamOptions = {};
+    if (wantsEventStream(req)) {
+      stream = openEventStream(req, res);
+      streamOptions = {
+        signal: stream.signal,
+        onToken: (text) => {
+          streamedText += text;
+          stream.send('token', { text });
+        }
+      };
+    }
+    
     // Step 1: Detect Intent
     const intentResult = await detectIntent(trimmedMessage, conversationHistory, { useAI: true });
     console.log(`💬 Chat intent: ${intentResult.intent} (${intentResult.confidence}) - "${intentResult.topic}"`);
     
-    // Update session
-    updateSession(userId, 'user', trimmedMessage);
-    session.lastIntent = intentResult.intent;
-    session.lastTopic = intentResult.topic;
+    if (stream) {
+      stream.send('start', {
+        conversationId: conversation._id,
+        conversationTitle: conversation.title,
+        courseId: scope.courseId,
+        intent: intentResult.intent,
+        confidence: intentResult.confidence,
+        hasFileContext
+      });
+    }
+    
+    // Step 2: Rewrite the message into standalone search queries using the conversation
+    let retrieval = intentResult;
+    if (!hasFileContext && RETRIEVAL_INTENTS.includes(intentResult.intent) && !isAcknowledgement(trimmedMessage)) {
+      const rewrite = await rewriteQuery(trimmedMessage, conversationHistory, {
+        topic: intentResult.topic,
+        lastTopic: conversation.lastTopic
+      });
+      retrieval = { ...intentResult, topic: rewrite.query, queries: rewrite.queries };
+      if (rewrite.rewritten) {
+        console.log(`🔁 Rewritten query (${rewrite.method}): ${rewrite.queries.map(q => `"${q}"`).join(', ')}`);
+      }
+    }
+    
+    // Persist the user turn
+    await appendMessage(conversation, 'user', trimmedMessage, {
+      intent: intentResult.intent,
+      lastTopic: retrieval.topic,
+      fileName: hasFileContext ? fileContext.context?.filename : undefined
+    });
     
-    // Step 2: Route to appropriate handler based on intent
+    // Step 3: Route to appropriate handler based on intent
     let response;
     
     // If file context is present, prioritize file-based handling
     if (hasFileContext) {
-      response = await handleFileContextIntent(trimmedMessage, intentResult, fileContext, conversationHistory);
+      response = await handleFileContextIntent(trimmedMessage, intentResult, fileContext, conversationHistory, streamOptions);
     } else {
       switch (intentResult.intent) {
         case 'greeting':
@@ -136,15 +168,15 @@ const chat = async (req, res) => {
           break;
           
         case 'search':
-          response = await handleSearchIntent(trimmedMessage, intentResult, conversationHistory);
+          response = await handleSearchIntent(trimmedMessage, retrieval, conversationHistory, scope, streamOptions);
           break;
           
         case 'generate':
-          response = await handleGenerateIntent(trimmedMessage, intentResult, conversationHistory);
+          response = await handleGenerateIntent(trimmedMessage, retrieval, conversationHistory, scope, streamOptions);
           break;
           
         case 'explain':
-          response = await handleExplainIntent(trimmedMessage, intentResult, conversationHistory);
+          response = await handleExplainIntent(trimmedMessage, retrieval, conversationHistory, scope, streamOptions);
           break;
           
         case 'validate':
@@ -152,29 +184,59 @@ const chat = async (req, res) => {
           break;
           
         case 'followup':
-          response = await handleFollowupIntent(trimmedMessage, session, conversationHistory);
+          response = await handleFollowupIntent(trimmedMessage, retrieval, conversation, conversationHistory, scope, streamOptions);
           break;
           
         default:
           // Unknown intent - try explain as default
-          response = await handleExplainIntent(trimmedMessage, intentResult, conversationHistory);
+          response = await handleExplainIntent(trimmedMessage, retrieval, conversationHistory, scope, streamOptions);
       }
     }
     
-    // Update session with assistant response
-    updateSession(userId, 'assistant', response.reply);
+    // Cancelled mid-stream: keep the partial answer, the client is gone
+    if (stream?.signal.aborted) {
+      if (streamedText.trim()) {
+        await appendMessage(conversation, 'assistant', streamedText, { intent: intentResult.intent });
+      }
+      return;
+    }
     
-    // Return response
-    res.status(200).json({
+    // Persist the assistant turn
+    await appendMessage(conversation, 'assistant', response.reply || '…', {
+      intent: intentResult.intent,
+      sources: response.sources,
+      citations: response.citations,
+      actions: response.actions
+    });
+    
+    const payload = {
       success: true,
+      conversationId: conversation._id,
+      conversationTitle: conversation.title,
+      courseId: scope.courseId,
       intent: intentResult.intent,
       confidence: intentResult.confidence,
       hasFileContext,
+      ...(retrieval.queries && { searchQueries: retrieval.queries }),
       ...response
-    });
+    };
+    
+    // Return response
+    if (stream) {
+      stream.send('done', payload);
+      return stream.close();
+    }
+    res.status(200).json(payload);
     
   } catch (error) {
     console.error('Chat error:', error);
+    if (stream) {
+      stream.send('error', {
+        message: 'An error occurred processing your message',
+        reply: "I'm sorry, something went wrong. Please try again."
+      });
+      return stream.close();
+    }
     res.status(500).json({
       success: false,
       message: 'An error occurred processing your message',
@@ -188,7 +250,7 @@ const chat = async (req, res) => {
  * Handle chat with file context
  * Uses uploaded file as primary context for AI response
  */
-const handleFileContextIntent = async (message, intentResult, fileContext, history) => {
+const handleFileContextIntent = async (message, intentResult, fileContext, history, streamOptions = {}) => {
   const { formattedContext, context } = fileContext;
   const isCode = context?.isCode || false;
   
@@ -218,7 +280,7 @@ Student's question: ${message}
 
 Provide a helpful, accurate response based on the uploaded file:`;
 
-  const aiResponse = await generateChatResponse(prompt);
+  const aiResponse = await generateChatResponse(prompt, streamOptions);
   
   // Add safety disclaimer
   const disclaimer = getFileResponseDisclaimer(isCode);
@@ -232,7 +294,10 @@ Provide a helpful, accurate response based on the uploaded file:`;
     sources: [{
       title: context?.filename || 'Uploaded File',
       type: 'uploaded_file',
-      isCode
+      isCode,
+      ...(fileContext.excerpts && {
+        pages: [...new Set(fileContext.excerpts.map(excerpt => excerpt.page).filter(Boolean))]
+      })
     }],
     actions: actions.map(a => a.label),
     fileAnalysis: {
@@ -246,13 +311,14 @@ Provide a helpful, accurate response based on the uploaded file:`;
 
 /**
  * Handle search intent - find information in course materials
+ * intentResult.queries (rewritten query + paraphrases) are searched and fused when present.
  */
-const handleSearchIntent = async (message, intentResult, history) => {
-  const { topic } = intentResult;
+const handleSearchIntent = async (message, intentResult, history, scope = {}, streamOptions = {}) => {
+  const { topic, queries = [topic] } = intentResult;
   
   // Perform semantic search using getContextForRAG which returns chunks
   console.log(`🔍 Chat search for topic: "${topic}"`);
-  const contextResult = await getContextForRAG(topic, { maxChunks: 5 });
+  const contextResult = await getContextForRAG(queries, { ...scope, maxChunks: 5 });
   console.log(`🔍 Search result success: ${contextResult.success}, chunks: ${contextResult.chunks?.length || 0}`);
   
   if (!contextResult.success || contextResult.chunks.length === 0) {
@@ -267,7 +333,7 @@ const handleSearchIntent = async (message, intentResult, history) => {
     { intent: 'search', history }
   );
   
-  const aiResponse = await generateChatResponse(prompt);
+  const aiResponse = await generateChatResponse(prompt, streamOptions);
   
   return formatChatResponse(
     aiResponse.reply,
@@ -279,15 +345,15 @@ const handleSearchIntent = async (message, intentResult, history) => {
 /**
  * Handle generate intent - create notes, code, slides
  */
-const handleGenerateIntent = async (message, intentResult, history) => {
-  const { topic } = intentResult;
+const handleGenerateIntent = async (message, intentResult, history, scope = {}, streamOptions = {}) => {
+  const { topic, queries = [topic] } = intentResult;
   
   // Detect what to generate
   const isCode = /\b(code|program|function|implement|script|class)\b/i.test(message);
   const isNotes = /\b(notes?|summary|overview)\b/i.test(message);
   
   // Get RAG context
-  const contextResult = await getContextForRAG(topic, { maxChunks: 5 });
+  const contextResult = await getContextForRAG(queries, { ...scope, maxChunks: 5 });
   const contextChunks = contextResult.success ? contextResult.chunks : [];
   
   let prompt;
@@ -299,11 +365,11 @@ const handleGenerateIntent = async (message, intentResult, history) => {
     const language = langMatch ? langMatch[1].toLowerCase() : 'python';
     
     prompt = buildCodePrompt(topic, language, contextChunks);
-    response = await generateChatResponse(prompt, { temperature: 0.5 });
+    response = await generateChatResponse(prompt, { temperature: 0.5, ...streamOptions });
     
     // Optionally validate generated code
     if (response.success) {
-      const validation = validateCode(response.reply, language);
+      const validation = await validateCode(response.reply, language);
       if (!validation.valid) {
         response.reply += `\n\n⚠️ **Note:** ${validation.explanation}`;
       }
@@ -311,7 +377,7 @@ const handleGenerateIntent = async (message, intentResult, history) => {
   } else {
     // Generate notes by default
     prompt = buildNotesPrompt(topic, contextChunks);
-    response = await generateChatResponse(prompt, { temperature: 0.6 });
+    response = await generateChatResponse(prompt, { temperature: 0.6, ...streamOptions });
   }
   
   if (!response.success) {
@@ -332,15 +398,15 @@ const handleGenerateIntent = async (message, intentResult, history) => {
 /**
  * Handle explain intent - explain concepts with RAG context
  */
-const handleExplainIntent = async (message, intentResult, history) => {
-  const { topic } = intentResult;
+const handleExplainIntent = async (message, intentResult, history, scope = {}, streamOptions = {}) => {
+  const { topic, queries = [topic] } = intentResult;
   
   // Get RAG context
-  const contextResult = await getContextForRAG(topic, { maxChunks: 5 });
+  const contextResult = await getContextForRAG(queries, { ...scope, maxChunks: 5 });
   
   if (!contextResult.success || contextResult.chunks.length === 0) {
     // Try broader search
-    const searchResult = await semanticSearch(topic, { limit: 3 });
+    const searchResult = await semanticSearch(topic, { ...scope, limit: 3 });
     
     if (!searchResult.success || searchResult.results.length === 0) {
       return buildNoContextResponse(topic);
@@ -355,7 +421,7 @@ const handleExplainIntent = async (message, intentResult, history) => {
     history
   });
   
-  const response = await generateChatResponse(prompt);
+  const response = await generateChatResponse(prompt, streamOptions);
   
   if (!response.success) {
     return {
@@ -400,7 +466,7 @@ const handleValidateIntent = async (message, intentResult, history) => {
     const langMatch = contentToValidate.match(/```(\w+)/);
     const language = langMatch ? langMatch[1] : 'python';
     
-    validationResult = validateCode(code, language);
+    validationResult = await validateCode(code, language);
     
     // Also get AI evaluation
     const aiEval = await selfEvaluate(code, 'lab', []);
@@ -430,56 +496,108 @@ const handleValidateIntent = async (message, intentResult, history) => {
 
 /**
  * Handle followup intent - continue conversation
+ * Follow-up questions are grounded in course material retrieved with the
+ * rewritten standalone queries; acknowledgements have none and just continue.
  */
-const handleFollowupIntent = async (message, session, history) => {
+const handleFollowupIntent = async (message, intentResult, conversation, history, scope = {}, streamOptions = {}) => {
   // Use context from previous turn
-  const lastTopic = session.lastTopic || 'the previous topic';
+  const lastTopic = conversation.lastTopic || 'the previous topic';
+  
+  let contextChunks = [];
+  if (intentResult.queries) {
+    const contextResult = await getContextForRAG(intentResult.queries, { ...scope, maxChunks: 5 });
+    contextChunks = contextResult.success ? contextResult.chunks : [];
+  }
   
   // Build a continuation prompt
   const prompt = buildGroundedPrompt(
     `Continue the conversation. The student says: "${message}". Previous topic was: ${lastTopic}`,
-    [],
+    contextChunks,
     { intent: 'followup', history }
   );
   
-  const response = await generateChatResponse(prompt);
+  const response = await generateChatResponse(prompt, streamOptions);
   
   return formatChatResponse(
     response.reply,
-    [],
+    contextChunks,
     getSuggestedActions('followup')
   );
 };
 
 /**
- * @desc    Clear chat session
+ * @desc    Clear the messages of a conversation
  * @route   POST /api/chat/clear
  * @access  Protected
  */
 const clearSession = async (req, res) => {
-  const userId = req.user?.id || 'anonymous';
-  sessions.delete(userId);
-  
-  res.status(200).json({
-    success: true,
-    message: 'Chat session cleared'
-  });
+  try {
+    const { conversationId } = req.body || {};
+
+    // Without an ID there is nothing stored to clear; the next message starts a new conversation
+    if (conversationId) {
+      const cleared = await clearConversation(getUserId(req), conversationId);
+      if (!cleared) {
+        return conversationNotFound(res);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat session cleared'
+    });
+  } catch (error) {
+    console.error('Clear session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear chat session'
+    });
+  }
 };
 
 /**
- * @desc    Get chat session history
+ * @desc    Get recent history of a conversation (defaults to the latest one)
  * @route   GET /api/chat/history
  * @access  Protected
  */
 const getHistory = async (req, res) => {
-  const userId = req.user?.id || 'anonymous';
-  const session = getSession(userId);
-  
-  res.status(200).json({
-    success: true,
-    history: session.history,
-    lastTopic: session.lastTopic
-  });
+  try {
+    const userId = getUserId(req);
+    let { conversationId } = req.query;
+
+    if (!conversationId) {
+      const [latest] = await listConversations(userId);
+      if (!latest) {
+        return res.status(200).json({
+          success: true,
+          conversationId: null,
+          history: [],
+          lastTopic: null
+        });
+      }
+      conversationId = latest._id.toString();
+    }
+
+    const conversation = await findConversation(userId, conversationId);
+    if (!conversation) {
+      return conversationNotFound(res);
+    }
+
+    const history = await getConversationHistory(conversationId);
+
+    res.status(200).json({
+      success: true,
+      conversationId,
+      history,
+      lastTopic: conversation.lastTopic
+    });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load chat history'
+    });
+  }
 };
 
 /**
@@ -489,9 +607,7 @@ const getHistory = async (req, res) => {
  */
 const executeAction = async (req, res) => {
   try {
-    const { action, context } = req.body;
-    const userId = req.user?.id || 'anonymous';
-    const session = getSession(userId);
+    const { action, context, conversationId } = req.body;
     
     if (!action) {
       return res.status(400).json({
@@ -500,6 +616,23 @@ const executeAction = async (req, res) => {
       });
     }
     
+    // Actions continue an existing conversation when one is given
+    let conversation = null;
+    if (conversationId) {
+      const existing = await getOrCreateConversation(getUserId(req), conversationId);
+      if (!existing) {
+        return conversationNotFound(res);
+      }
+      conversation = existing.conversation;
+    }
+    const session = {
+      lastTopic: conversation?.lastTopic || null,
+      history: conversation ? await getConversationHistory(conversation._id) : []
+    };
+    const scope = conversation?.courseId
+      ? { courseId: conversation.courseId.toString() }
+      : { courseId: req.courseId, courseIds: req.courseIds };
+    
     let response;
     
     switch (action) {
@@ -507,7 +640,8 @@ const executeAction = async (req, res) => {
         response = await handleGenerateIntent(
           `Generate notes about ${context || session.lastTopic}`,
           { topic: context || session.lastTopic },
-          session.history
+          session.history,
+          scope
         );
         break;
         
@@ -515,7 +649,8 @@ const executeAction = async (req, res) => {
         response = await handleGenerateIntent(
           `Generate code example for ${context || session.lastTopic}`,
           { topic: context || session.lastTopic },
-          session.history
+          session.history,
+          scope
         );
         break;
         
@@ -531,7 +666,8 @@ const executeAction = async (req, res) => {
         response = await handleSearchIntent(
           `Find related information about ${context || session.lastTopic}`,
           { topic: context || session.lastTopic },
-          session.history
+          session.history,
+          scope
         );
         break;
         
@@ -542,12 +678,19 @@ const executeAction = async (req, res) => {
         });
     }
     
-    // Update session
-    updateSession(userId, 'assistant', response.reply);
+    // Persist the assistant turn
+    if (conversation) {
+      await appendMessage(conversation, 'assistant', response.reply || '…', {
+        sources: response.sources,
+        citations: response.citations,
+        actions: response.actions
+      });
+    }
     
     res.status(200).json({
       success: true,
       action,
+      conversationId: conversation?._id || null,
       ...response
     });
     
@@ -1,11 +1,37 @@
 const Content = require('../models/Content');
+const Embedding = require('../models/Embedding');
 const { getFileUrl, deleteFile, getFileType } = require('../services/upload.service');
-const { indexContent, deleteContentEmbeddings } = require('../services/indexing.service');
+const { queueContentIndexing, deleteContentEmbeddings, moveContentEmbeddings } = require('../services/indexing.service');
+const { getContentDocument } = require('../services/document.service');
+const { isWithinGrant, describeScope } = require('../services/permission.service');
+const { canAccessContent } = require('../services/course.service');
+
+// Fields copied into chunk text or embedding metadata
+const INDEXED_FIELDS = ['title', 'type', 'week', 'topic'];
+
+/**
+ * Send a 403 for content outside the user's week/tag scope
+ * @param {Object} res - Express response
+ * @param {Object} grant - req.grant from requirePermission
+ */
+const outOfScope = (res, grant) => res.status(403).json({
+  success: false,
+  message: `Your access is limited to content in ${describeScope(grant)}`
+});
 
 /**
- * @desc    Upload new content (Admin only)
+ * Send a 403 for content in a course the user does not belong to
+ * @param {Object} res - Express response
+ */
+const notMember = (res) => res.status(403).json({
+  success: false,
+  message: 'You are not a member of this course'
+});
+
+/**
+ * @desc    Upload new content
  * @route   POST /api/content
- * @access  Protected (Admin)
+ * @access  Protected (content:upload, within its week/tag scope)
  */
 const uploadContent = async (req, res) => {
   try {
@@ -38,11 +64,21 @@ const uploadContent = async (req, res) => {
     // Parse tags if provided as string
     let parsedTags = [];
     if (tags) {
-      if (typeof tags === 'string') {
-        parsedTags = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
-      } else if (Array.isArray(tags)) {
-        parsedTags = tags.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+      // The upload form sends a JSON array; other clients a comma-separated string
+      let tagList = Array.isArray(tags) ? tags : String(tags).split(',');
+      if (typeof tags === 'string' && tags.trim().startsWith('[')) {
+        try {
+          tagList = JSON.parse(tags);
+        } catch {
+          // Not JSON after all; keep the comma-separated split
+        }
       }
+      parsedTags = tagList.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+    }
+
+    if (!isWithinGrant(req.grant, { week, tags: parsedTags })) {
+      await deleteFile(getFileUrl(req.file.filename));
+      return outOfScope(res, req.grant);
     }
 
     // Create content document
@@ -52,6 +88,7 @@ const uploadContent = async (req, res) => {
       week: week ? parseInt(week, 10) : undefined,
       topic: topic ? topic.trim() : undefined,
       tags: parsedTags,
+      courseId: req.courseId,
       fileUrl: getFileUrl(req.file.filename),
       fileType: getFileType(req.file.originalname),
       originalFileName: req.file.originalname,
@@ -59,22 +96,19 @@ const uploadContent = async (req, res) => {
       uploadedBy: req.user.id
     });
 
-    // Auto-index content for semantic search (async, don't block response)
-    indexContent(content._id).then(result => {
-      if (result.success) {
-        console.log(`📚 Auto-indexed content: ${content.title}`);
-      }
-    }).catch(err => {
-      console.error('Auto-indexing failed:', err.message);
-    });
+    // Index for semantic search in the background; progress via GET /api/jobs/:id
+    const job = await queueContentIndexing([content], { createdBy: req.user.id });
+    content.indexStatus = 'queued';
+    content.indexJobId = job._id;
 
     // Populate uploadedBy for response
     await content.populate('uploadedBy', 'email role');
 
     res.status(201).json({
       success: true,
-      message: 'Content uploaded successfully',
-      data: content
+      message: 'Content uploaded successfully, indexing queued',
+      data: content,
+      jobId: job._id
     });
 
   } catch (error) {
@@ -108,6 +142,12 @@ const listContent = async (req, res) => {
     // Build query filter
     const filter = {};
 
+    if (req.courseId) {
+      filter.courseId = req.courseId;
+    } else if (req.courseIds) {
+      filter.courseId = { $in: [...req.courseIds, null] };
+    }
+
     if (type && ['theory', 'lab'].includes(type)) {
       filter.type = type;
     }
@@ -148,6 +188,19 @@ const listContent = async (req, res) => {
       Content.countDocuments(filter)
     ]);
 
+    // Content uploaded before indexing was tracked: derive the status
+    const untracked = content.filter(item => !item.indexStatus).map(item => item._id);
+    if (untracked.length > 0) {
+      const indexedIds = new Set(
+        (await Embedding.distinct('contentId', { contentId: { $in: untracked } })).map(id => id.toString())
+      );
+      content.forEach(item => {
+        if (!item.indexStatus && indexedIds.has(item._id.toString())) {
+          item.indexStatus = 'indexed';
+        }
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: content,
@@ -196,6 +249,10 @@ const getContent = async (req, res) => {
       });
     }
 
+    if (!(await canAccessContent(req.user, content))) {
+      return notMember(res);
+    }
+
     res.status(200).json({
       success: true,
       data: content
@@ -211,9 +268,49 @@ const getContent = async (req, res) => {
 };
 
 /**
- * @desc    Delete content (Admin only)
+ * @desc    Get content text with chunk positions for the document viewer
+ * @route   GET /api/content/:id/document
+ * @access  Protected (Admin + Student)
+ */
+const getDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid content ID format'
+      });
+    }
+
+    const { document, ...rejected } = await getContentDocument(id, req.user);
+
+    if (!document) {
+      return res.status(rejected.status).json({
+        success: false,
+        message: rejected.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: document
+    });
+
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load document'
+    });
+  }
+};
+
+/**
+ * @desc    Delete content
  * @route   DELETE /api/content/:id
- * @access  Protected (Admin)
+ * @access  Protected (content:edit, within its week/tag scope)
  */
 const deleteContent = async (req, res) => {
   try {
@@ -236,6 +333,14 @@ const deleteContent = async (req, res) => {
       });
     }
 
+    if (!(await canAccessContent(req.user, content))) {
+      return notMember(res);
+    }
+
+    if (!isWithinGrant(req.grant, content)) {
+      return outOfScope(res, req.grant);
+    }
+
     // Delete file from storage
     if (content.fileUrl) {
       await deleteFile(content.fileUrl);
@@ -268,14 +373,14 @@ const deleteContent = async (req, res) => {
 };
 
 /**
- * @desc    Update content metadata (Admin only)
+ * @desc    Update content metadata
  * @route   PATCH /api/content/:id
- * @access  Protected (Admin)
+ * @access  Protected (content:edit, within its week/tag scope)
  */
 const updateContent = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, type, week, topic, tags } = req.body;
+    const { title, type, week, topic, tags, courseId } = req.body;
 
     // Validate ObjectId format
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -294,6 +399,10 @@ const updateContent = async (req, res) => {
       });
     }
 
+    if (!(await canAccessContent(req.user, content))) {
+      return notMember(res);
+    }
+
     // Build update object
     const updates = {};
 
@@ -308,6 +417,7 @@ const updateContent = async (req, res) => {
       updates.type = type;
     }
     if (week !== undefined) updates.week = parseInt(week, 10) || null;
+    if (courseId !== undefined) updates.courseId = req.courseId; // null unassigns
     if (topic !== undefined) updates.topic = topic.trim();
     if (tags !== undefined) {
       if (typeof tags === 'string') {
@@ -317,6 +427,15 @@ const updateContent = async (req, res) => {
       }
     }
 
+    // Scoped users can only edit in-scope content and must leave it in scope
+    const updated = {
+      week: updates.week !== undefined ? updates.week : content.week,
+      tags: updates.tags !== undefined ? updates.tags : content.tags
+    };
+    if (!isWithinGrant(req.grant, content) || !isWithinGrant(req.grant, updated)) {
+      return outOfScope(res, req.grant);
+    }
+
     // Update document
     const updatedContent = await Content.findByIdAndUpdate(
       id,
@@ -324,10 +443,27 @@ const updateContent = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('uploadedBy', 'email role').select('-__v');
 
+    // Re-index when indexed fields change; only chunks whose text changed are re-embedded
+    const needsReindex = INDEXED_FIELDS.some(field =>
+      updates[field] !== undefined && String(updates[field]) !== String(content[field])
+    );
+    let job = null;
+    if (needsReindex) {
+      job = await queueContentIndexing([updatedContent], { createdBy: req.user.id });
+      updatedContent.indexStatus = 'queued';
+      updatedContent.indexJobId = job._id;
+    } else if (updates.courseId !== undefined && String(content.courseId) !== String(updates.courseId)) {
+      // Keep search scoping in sync when content moves between courses
+      moveContentEmbeddings(id, updates.courseId).catch(err => {
+        console.error('Failed to move embeddings:', err.message);
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Content updated successfully',
-      data: updatedContent
+      data: updatedContent,
+      ...(job && { jobId: job._id })
     });
 
   } catch (error) {
@@ -352,6 +488,7 @@ module.exports = {
   uploadContent,
   listContent,
   getContent,
+  getDocument,
   deleteContent,
   updateContent
 };
@@ -0,0 +1,143 @@
+/**
+ * Conversation Controller
+ *
+ * List, open, rename and delete a user's saved chat conversations.
+ */
+
+const {
+  listConversations,
+  getConversationWithMessages,
+  renameConversation,
+  deleteConversation
+} = require('../services/conversation.service');
+
+/**
+ * @desc    List the current user's conversations (most recent first)
+ * @route   GET /api/chat/conversations
+ * @access  Protected
+ */
+const getConversations = async (req, res) => {
+  try {
+    const conversations = await listConversations(String(req.user.id), req.courseId);
+
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      data: conversations
+    });
+
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversations'
+    });
+  }
+};
+
+/**
+ * @desc    Open a conversation with all of its messages
+ * @route   GET /api/chat/conversations/:id
+ * @access  Protected (owner only)
+ */
+const getConversation = async (req, res) => {
+  try {
+    const result = await getConversationWithMessages(String(req.user.id), req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation'
+    });
+  }
+};
+
+/**
+ * @desc    Rename a conversation
+ * @route   PATCH /api/chat/conversations/:id
+ * @access  Protected (owner only)
+ */
+const updateConversation = async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required'
+      });
+    }
+
+    const conversation = await renameConversation(String(req.user.id), req.params.id, title);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation renamed',
+      data: conversation
+    });
+
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename conversation'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a conversation and its messages
+ * @route   DELETE /api/chat/conversations/:id
+ * @access  Protected (owner only)
+ */
+const removeConversation = async (req, res) => {
+  try {
+    const deleted = await deleteConversation(String(req.user.id), req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete conversation'
+    });
+  }
+};
+
+module.exports = {
+  getConversations,
+  getConversation,
+  updateConversation,
+  removeConversation
+};
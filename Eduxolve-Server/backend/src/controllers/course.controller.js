@@ -0,0 +1,291 @@
+/**
+ * Course Controller
+ *
+ * Course catalogue for the course switcher and admin course management.
+ */
+
+const {
+  canAccessCourse,
+  listCourses,
+  getCourseWithMembers,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  addMember,
+  removeMember,
+  MEMBER_ROLES
+} = require('../services/course.service');
+
+/**
+ * Build a 400 response from a Mongoose validation or duplicate-key error
+ * @returns {boolean} True if the error was handled
+ */
+const handleCourseWriteError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: messages.join('. ')
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A course with this code already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Pick the editable course fields from a request body
+ */
+const pickCourseFields = ({ code, title, term }) => {
+  const fields = {};
+  if (code !== undefined) fields.code = String(code).trim();
+  if (title !== undefined) fields.title = String(title).trim();
+  if (term !== undefined) fields.term = String(term).trim();
+  return fields;
+};
+
+/**
+ * @desc    List courses the current user teaches or is enrolled in (admins: all)
+ * @route   GET /api/courses
+ * @access  Protected
+ */
+const getCourses = async (req, res) => {
+  try {
+    const courses = await listCourses(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      data: courses
+    });
+
+  } catch (error) {
+    console.error('List courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch courses'
+    });
+  }
+};
+
+/**
+ * @desc    Get a course with its members
+ * @route   GET /api/courses/:id
+ * @access  Protected (members and admins)
+ */
+const getCourse = async (req, res) => {
+  try {
+    const course = await getCourseWithMembers(req.params.id);
+
+    if (!course || !canAccessCourse(req.user, course)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch course'
+    });
+  }
+};
+
+/**
+ * @desc    Create a course
+ * @route   POST /api/courses
+ * @access  Protected (Admin only)
+ */
+const addCourse = async (req, res) => {
+  try {
+    const fields = pickCourseFields(req.body);
+
+    if (!fields.code || !fields.title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course code and title are required'
+      });
+    }
+
+    const course = await createCourse(fields, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created',
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Create course error:', error);
+    if (handleCourseWriteError(error, res)) return;
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create course'
+    });
+  }
+};
+
+/**
+ * @desc    Update course code, title or term
+ * @route   PATCH /api/courses/:id
+ * @access  Protected (Admin only)
+ */
+const editCourse = async (req, res) => {
+  try {
+    const course = await updateCourse(req.params.id, pickCourseFields(req.body));
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Course updated',
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Update course error:', error);
+    if (handleCourseWriteError(error, res)) return;
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update course'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a course (must have no content)
+ * @route   DELETE /api/courses/:id
+ * @access  Protected (Admin only)
+ */
+const removeCourse = async (req, res) => {
+  try {
+    const result = await deleteCourse(req.params.id);
+
+    if (!result.deleted) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Course deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete course'
+    });
+  }
+};
+
+/**
+ * @desc    Add an instructor or student to a course by email
+ * @route   POST /api/courses/:id/members
+ * @access  Protected (Admin only)
+ */
+const addCourseMember = async (req, res) => {
+  try {
+    const { email, role = 'student' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    const result = await addMember(req.params.id, email, role);
+
+    if (!result.course) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Added ${email} as ${role}`,
+      data: result.course
+    });
+
+  } catch (error) {
+    console.error('Add course member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add member'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a member from a course
+ * @route   DELETE /api/courses/:id/members/:userId
+ * @access  Protected (Admin only)
+ */
+const removeCourseMember = async (req, res) => {
+  try {
+    const course = await removeMember(req.params.id, req.params.userId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed',
+      data: course
+    });
+
+  } catch (error) {
+    console.error('Remove course member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+};
+
+module.exports = {
+  getCourses,
+  getCourse,
+  addCourse,
+  editCourse,
+  removeCourse,
+  addCourseMember,
+  removeCourseMember
+};
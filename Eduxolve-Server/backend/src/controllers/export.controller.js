@@ -0,0 +1,124 @@
+/**
+ * Export Controller
+ *
+ * Downloads of generated content: slides as PPTX, PDF or Reveal.js HTML,
+ * notes as PDF, DOCX or zipped Markdown.
+ */
+
+const {
+  SLIDE_FORMATS,
+  NOTES_FORMATS,
+  REVEAL_THEMES,
+  exportSlides: buildSlideExport,
+  exportNotes: buildNotesExport
+} = require('../services/export.service');
+
+/**
+ * Send an exported file as an attachment
+ */
+const sendFile = (res, { buffer, fileName, mimeType }) => {
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.status(200).end(buffer);
+};
+
+/**
+ * @desc    Export generated slides (markdown separated by `---`) as a file
+ * @route   POST /api/export/slides
+ * @access  Protected (Admin + Student)
+ */
+const exportSlides = async (req, res) => {
+  try {
+    const { content, title, format = 'pptx', theme } = req.body;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slide content is required'
+      });
+    }
+
+    if (!SLIDE_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Must be one of: ${Object.keys(SLIDE_FORMATS).join(', ')}`
+      });
+    }
+
+    if (theme && !REVEAL_THEMES.includes(theme)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid theme. Must be one of: ${REVEAL_THEMES.join(', ')}`
+      });
+    }
+
+    const file = await buildSlideExport(content, format, { title, theme });
+    console.log(`📤 Exported ${file.slideCount} slides as ${format} for ${req.user.email}`);
+
+    sendFile(res, file);
+
+  } catch (error) {
+    if (error.message === 'No slides found in content') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Slide export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export slides'
+    });
+  }
+};
+
+/**
+ * @desc    Export a generated notes result as a file with a references section
+ * @route   POST /api/export/notes
+ * @access  Protected (Admin + Student)
+ */
+const exportNotes = async (req, res) => {
+  try {
+    const { content, title, topic, sources = [], references = [], format = 'pdf' } = req.body;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Notes content is required'
+      });
+    }
+
+    if (!NOTES_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Must be one of: ${Object.keys(NOTES_FORMATS).join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(sources) || !Array.isArray(references)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sources and references must be arrays'
+      });
+    }
+
+    const file = await buildNotesExport({ content, title, topic, sources, references }, format);
+    console.log(`📤 Exported notes as ${format} for ${req.user.email}`);
+
+    sendFile(res, file);
+
+  } catch (error) {
+    console.error('Notes export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export notes'
+    });
+  }
+};
+
+module.exports = {
+  exportSlides,
+  exportNotes
+};
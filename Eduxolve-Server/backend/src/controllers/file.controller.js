@@ -4,13 +4,24 @@
  * Handles file upload, processing, and context generation
  * for AI-assisted learning features.
  * 
- * ⚠️ Files are processed in memory and NOT stored permanently
+ * Uploaded files are kept as attachments (see attachment.service) until
+ * they expire, so users can reattach them from "My files".
  */
 
 const multer = require('multer');
 const path = require('path');
 const { extractText, isSupportedFileType, getSupportedTypes } = require('../services/fileExtract.service');
 const { buildFileContext, getSuggestedActions, formatContextForPrompt } = require('../services/fileContext.service');
+const {
+  getUsage,
+  checkQuota,
+  saveAttachment,
+  listAttachments,
+  useAttachment,
+  getAttachmentContext,
+  readAttachmentFile,
+  deleteAttachment
+} = require('../services/attachment.service');
 
 // File size limit: 10MB
 const MAX_FILE_SIZE = 10 * 1024 * 1024;
@@ -32,7 +43,7 @@ const ALLOWED_MIME_TYPES = [
 // Allowed extensions
 const ALLOWED_EXTENSIONS = ['.pdf', '.docx', '.doc', '.txt', '.c', '.cpp', '.h', '.hpp', '.py', '.js'];
 
-// Configure multer for memory storage (no disk storage)
+// Keep the upload in memory; it is extracted first, then persisted
 const storage = multer.memoryStorage();
 
 // File filter function
@@ -86,28 +97,15 @@ const uploadMiddleware = (req, res, next) => {
   });
 };
 
-// In-memory file context store (expires after 30 minutes)
-const fileContextStore = new Map();
-const CONTEXT_EXPIRY = 30 * 60 * 1000; // 30 minutes
-
-// Clean up expired contexts periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [fileId, data] of fileContextStore) {
-    if (now - data.timestamp > CONTEXT_EXPIRY) {
-      fileContextStore.delete(fileId);
-      console.log(`🗑️ Cleaned up expired file context: ${fileId}`);
-    }
-  }
-}, 5 * 60 * 1000); // Check every 5 minutes
-
 /**
- * Generate unique file ID
- * @returns {string} Unique ID
+ * Send a 404 for unknown, expired or foreign file IDs
+ * @param {Object} res - Express response
  */
-const generateFileId = () => {
-  return `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-};
+const fileNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'File not found',
+  message: 'The file has expired or does not exist. Please upload it again.'
+});
 
 /**
  * @desc    Upload and process a file for AI context
@@ -127,6 +125,16 @@ const uploadFile = async (req, res) => {
     const { originalname, mimetype, buffer, size } = req.file;
     console.log(`📤 Processing file: ${originalname} (${(size / 1024).toFixed(1)}KB)`);
 
+    const overQuota = await checkQuota(req.user.id, size);
+    if (overQuota) {
+      return res.status(overQuota.status).json({
+        success: false,
+        error: 'Storage quota exceeded',
+        message: overQuota.message,
+        quota: overQuota.usage
+      });
+    }
+
     // Validate file type again (defense in depth)
     if (!isSupportedFileType(mimetype, originalname)) {
       return res.status(400).json({
@@ -163,35 +171,28 @@ const uploadFile = async (req, res) => {
       });
     }
 
-    // Generate file ID and store context
-    const fileId = generateFileId();
-    const userId = req.user?.id || 'anonymous';
-
-    fileContextStore.set(fileId, {
+    // Persist the file and its context
+    const { attachment, ...rejected } = await saveAttachment(req.user.id, req.file, {
       context: fileContext.context,
       formattedContext: formatContextForPrompt(fileContext),
-      userId,
-      timestamp: Date.now()
+      suggestedActions: getSuggestedActions(fileContext)
     });
 
-    // Get suggested actions
-    const suggestedActions = getSuggestedActions(fileContext);
+    // Parallel uploads can pass the first quota check together
+    if (!attachment) {
+      return res.status(rejected.status).json({
+        success: false,
+        error: 'Storage quota exceeded',
+        message: rejected.message,
+        quota: rejected.usage
+      });
+    }
 
     // Return success response
     res.status(200).json({
       success: true,
       data: {
-        fileId,
-        fileName: originalname,
-        fileType: fileContext.context.fileType,
-        fileCategory: fileContext.context.category,
-        fileSize: size,
-        language: fileContext.context.language,
-        isCode: fileContext.context.isCode,
-        summary: fileContext.context.summary || null,
-        codeAnalysis: fileContext.context.codeAnalysis || null,
-        suggestedActions,
-        expiresIn: '30 minutes',
+        ...attachment.toPublicJSON(),
         message: 'File processed successfully! What would you like to do with it?'
       }
     });
@@ -207,27 +208,96 @@ const uploadFile = async (req, res) => {
 };
 
 /**
- * @desc    Get file context by ID (for AI processing)
- * @route   GET /api/files/:fileId/context
+ * @desc    List the user's stored files ("My files") and their quota
+ * @route   GET /api/files
  * @access  Protected (Student + Admin)
  */
-const getFileContext = async (req, res) => {
+const listFiles = async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const userId = req.user?.id || 'anonymous';
+    const [attachments, quota] = await Promise.all([
+      listAttachments(req.user.id),
+      getUsage(req.user.id)
+    ]);
 
-    const stored = fileContextStore.get(fileId);
+    res.status(200).json({
+      success: true,
+      data: attachments.map(attachment => attachment.toPublicJSON()),
+      quota
+    });
 
+  } catch (error) {
+    console.error('❌ List files error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list files'
+    });
+  }
+};
+
+/**
+ * @desc    Get a stored file to reattach it (restarts its expiry)
+ * @route   GET /api/files/:fileId
+ * @access  Protected (owner)
+ */
+const getFile = async (req, res) => {
+  try {
+    const attachment = await useAttachment(req.user.id, req.params.fileId);
+    if (!attachment) {
+      return fileNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: attachment.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('❌ Get file error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve file'
+    });
+  }
+};
+
+/**
+ * @desc    Download the original file
+ * @route   GET /api/files/:fileId/download
+ * @access  Protected (owner)
+ */
+const downloadFile = async (req, res) => {
+  try {
+    const stored = await readAttachmentFile(req.user.id, req.params.fileId);
     if (!stored) {
-      return res.status(404).json({
-        success: false,
-        error: 'File not found',
-        message: 'The file context has expired or does not exist. Please upload the file again.'
-      });
+      return fileNotFound(res);
     }
 
-    // Optional: Verify user owns this file context
-    // if (stored.userId !== userId) { ... }
+    const { attachment, data } = stored;
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment.fileName.replace(/["\\\r\n]/g, '_')}"`);
+    res.status(200).send(data);
+
+  } catch (error) {
+    console.error('❌ Download file error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download file'
+    });
+  }
+};
+
+/**
+ * @desc    Get file context by ID (for AI processing)
+ * @route   GET /api/files/:fileId/context
+ * @access  Protected (owner)
+ */
+const getFileContext = async (req, res) => {
+  try {
+    const stored = await getAttachmentContext(req.user.id, req.params.fileId);
+
+    if (!stored) {
+      return fileNotFound(res);
+    }
 
     res.status(200).json({
       success: true,
@@ -247,21 +317,20 @@ const getFileContext = async (req, res) => {
 };
 
 /**
- * @desc    Delete file context
+ * @desc    Delete a stored file and its context
  * @route   DELETE /api/files/:fileId
- * @access  Protected (Student + Admin)
+ * @access  Protected (owner)
  */
 const deleteFileContext = async (req, res) => {
   try {
-    const { fileId } = req.params;
-
-    if (fileContextStore.has(fileId)) {
-      fileContextStore.delete(fileId);
+    const deleted = await deleteAttachment(req.user.id, req.params.fileId);
+    if (!deleted) {
+      return fileNotFound(res);
     }
 
     res.status(200).json({
       success: true,
-      message: 'File context removed'
+      message: 'File deleted'
     });
 
   } catch (error) {
@@ -289,21 +358,13 @@ const getSupportedFileTypes = (req, res) => {
   });
 };
 
-/**
- * Get stored file context by ID (internal use)
- * @param {string} fileId - File ID
- * @returns {Object|null} Stored context or null
- */
-const getStoredContext = (fileId) => {
-  const stored = fileContextStore.get(fileId);
-  return stored || null;
-};
-
 module.exports = {
   uploadMiddleware,
   uploadFile,
+  listFiles,
+  getFile,
+  downloadFile,
   getFileContext,
   deleteFileContext,
-  getSupportedFileTypes,
-  getStoredContext
+  getSupportedFileTypes
 };
@@ -0,0 +1,130 @@
+/**
+ * Generation Controller
+ *
+ * The "My library" of saved AI generations and their versions.
+ */
+
+const {
+  listGenerations,
+  getGeneration,
+  deleteGeneration
+} = require('../services/generation.service');
+const { getSupportedTypes } = require('../services/aiPrompt.service');
+
+const STATUSES = ['pending', 'grounded', 'review', 'error'];
+
+/**
+ * @desc    List the current user's generations (latest version of each)
+ * @route   GET /api/generations
+ * @access  Protected
+ */
+const getGenerations = async (req, res) => {
+  try {
+    const { q, type, language, status, courseId, page, limit } = req.query;
+
+    if (type && !getSupportedTypes().includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${getSupportedTypes().join(', ')}`
+      });
+    }
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${STATUSES.join(', ')}`
+      });
+    }
+
+    if (courseId && !/^[0-9a-fA-F]{24}$/.test(courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course ID'
+      });
+    }
+
+    const result = await listGenerations(String(req.user.id), { q, type, language, status, courseId, page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: result.generations.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      data: result.generations
+    });
+
+  } catch (error) {
+    console.error('List generations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch generations'
+    });
+  }
+};
+
+/**
+ * @desc    Get a saved generation with the list of its versions
+ * @route   GET /api/generations/:id
+ * @access  Protected (owner only)
+ */
+const getGenerationById = async (req, res) => {
+  try {
+    const result = await getGeneration(String(req.user.id), req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Generation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch generation'
+    });
+  }
+};
+
+/**
+ * @desc    Delete one version of a saved generation
+ * @route   DELETE /api/generations/:id
+ * @access  Protected (owner only)
+ */
+const removeGeneration = async (req, res) => {
+  try {
+    const deleted = await deleteGeneration(String(req.user.id), req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Generation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Generation deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete generation'
+    });
+  }
+};
+
+module.exports = {
+  getGenerations,
+  getGenerationById,
+  removeGeneration
+};
@@ -0,0 +1,42 @@
+/**
+ * Job Controller
+ *
+ * Status of background jobs (e.g. content indexing).
+ */
+
+const { getJob } = require('../services/jobQueue.service');
+
+/**
+ * @desc    Get a background job's status, per-item progress and errors
+ * @route   GET /api/jobs/:id
+ * @access  Protected (Admin, or the user who queued the job)
+ */
+const getJobStatus = async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    // Other users' jobs are reported as missing
+    if (!job || (req.user.role !== 'admin' && job.createdBy !== String(req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job'
+    });
+  }
+};
+
+module.exports = {
+  getJobStatus
+};
@@ -1,23 +1,46 @@
+const Content = require('../models/Content');
 const {
   semanticSearch,
   getSearchSuggestions,
   getRelatedContent,
-  getContextForRAG
+  getContextForRAG,
+  SEARCH_MODES
 } = require('../services/search.service');
+const { RERANKERS } = require('../services/rerank.service');
 const {
-  indexContent,
-  indexAllContent,
+  queueContentIndexing,
+  queueIndexAll,
+  queueStaleEmbeddings,
   getIndexingStats
 } = require('../services/indexing.service');
+const { rebuildVectorIndex } = require('../services/vectorIndex.service');
+const { rebuildLexicalIndex } = require('../services/lexicalIndex.service');
+const { isWithinGrant, describeScope } = require('../services/permission.service');
+const { canAccessContent } = require('../services/course.service');
 
 /**
- * @desc    Semantic search for course content
+ * Validate the optional rerank / diversity fields of a request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message or null when valid
+ */
+const validateRerankOptions = ({ rerank, diversity }) => {
+  if (rerank !== undefined && !RERANKERS.includes(rerank)) {
+    return `Rerank must be one of: ${RERANKERS.join(', ')}`;
+  }
+  if (diversity !== undefined && (typeof diversity !== 'number' || diversity < 0 || diversity > 1)) {
+    return 'Diversity must be a number between 0 and 1';
+  }
+  return null;
+};
+
+/**
+ * @desc    Search course content (semantic, keyword or hybrid)
  * @route   POST /api/search
  * @access  Protected (Admin + Student)
  */
 const search = async (req, res) => {
   try {
-    const { query, type, week, topic, limit } = req.body;
+    const { query, type, week, topic, limit, mode = 'hybrid', rerank, diversity } = req.body;
 
     // Validate query
     if (!query || query.trim().length < 2) {
@@ -27,12 +50,32 @@ const search = async (req, res) => {
       });
     }
 
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Mode must be one of: ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
+    const rerankError = validateRerankOptions(req.body);
+    if (rerankError) {
+      return res.status(400).json({
+        success: false,
+        error: rerankError
+      });
+    }
+
     // Perform search
     const result = await semanticSearch(query, {
+      courseId: req.courseId,
+      courseIds: req.courseIds,
       type,
       week: week ? parseInt(week, 10) : null,
       topic,
-      topK: limit ? Math.min(parseInt(limit, 10), 20) : 5
+      topK: limit ? Math.min(parseInt(limit, 10), 20) : 5,
+      mode,
+      rerank,
+      diversity
     });
 
     if (!result.success) {
@@ -42,8 +85,10 @@ const search = async (req, res) => {
     res.status(200).json({
       success: true,
       query: result.query,
+      mode: result.mode,
       results: result.results,
       totalMatches: result.totalMatches,
+      rerank: result.rerank,
       filters: result.filters
     });
 
@@ -72,7 +117,7 @@ const suggestions = async (req, res) => {
       });
     }
 
-    const results = await getSearchSuggestions(q);
+    const results = await getSearchSuggestions(q, req.courseId, req.courseIds);
 
     res.status(200).json({
       success: true,
@@ -105,7 +150,15 @@ const related = async (req, res) => {
       });
     }
 
-    const results = await getRelatedContent(contentId, parseInt(limit, 10));
+    const source = await Content.findById(contentId).select('courseId').lean();
+    if (source && !(await canAccessContent(req.user, source))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a member of this course'
+      });
+    }
+
+    const results = await getRelatedContent(contentId, parseInt(limit, 10), req.courseIds);
 
     res.status(200).json({
       success: true,
@@ -123,9 +176,9 @@ const related = async (req, res) => {
 };
 
 /**
- * @desc    Index a specific content item
+ * @desc    Queue a specific content item for (re-)indexing
  * @route   POST /api/search/index/:contentId
- * @access  Protected (Admin only)
+ * @access  Protected (content:edit, within its week/tag scope)
  */
 const indexSingle = async (req, res) => {
   try {
@@ -138,16 +191,35 @@ const indexSingle = async (req, res) => {
       });
     }
 
-    const result = await indexContent(contentId);
+    const content = await Content.findById(contentId).select('_id title week tags courseId');
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        error: 'Content not found'
+      });
+    }
 
-    if (!result.success) {
-      return res.status(400).json(result);
+    if (!(await canAccessContent(req.user, content))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a member of this course'
+      });
     }
 
-    res.status(200).json({
+    if (!isWithinGrant(req.grant, content)) {
+      return res.status(403).json({
+        success: false,
+        error: `Your access is limited to content in ${describeScope(req.grant)}`
+      });
+    }
+
+    const job = await queueContentIndexing([content], { createdBy: req.user.id });
+
+    res.status(202).json({
       success: true,
-      message: 'Content indexed successfully',
-      ...result
+      message: 'Indexing queued',
+      contentId,
+      jobId: job._id
     });
 
   } catch (error) {
@@ -160,18 +232,19 @@ const indexSingle = async (req, res) => {
 };
 
 /**
- * @desc    Index all unindexed content
+ * @desc    Queue all unindexed content for indexing
  * @route   POST /api/search/index-all
  * @access  Protected (Admin only)
  */
 const indexAll = async (req, res) => {
   try {
-    const result = await indexAllContent();
+    const { total, job } = await queueIndexAll({ createdBy: req.user.id });
 
-    res.status(200).json({
+    res.status(job ? 202 : 200).json({
       success: true,
-      message: 'Batch indexing completed',
-      ...result
+      message: job ? `Indexing queued for ${total} item(s)` : 'All content is already indexed',
+      total,
+      jobId: job ? job._id : null
     });
 
   } catch (error) {
@@ -183,10 +256,61 @@ const indexAll = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Queue content embedded with a different model for re-indexing
+ * @route   POST /api/search/reindex-stale
+ * @access  Protected (Admin only)
+ */
+const reindexStale = async (req, res) => {
+  try {
+    const { total, job } = await queueStaleEmbeddings({ createdBy: req.user.id });
+
+    res.status(job ? 202 : 200).json({
+      success: true,
+      message: job ? `Re-indexing queued for ${total} item(s)` : 'All embeddings match the current model',
+      total,
+      jobId: job ? job._id : null
+    });
+
+  } catch (error) {
+    console.error('❌ Reindex stale error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue re-indexing'
+    });
+  }
+};
+
+/**
+ * @desc    Rebuild the vector and keyword indexes from stored embeddings
+ * @route   POST /api/search/rebuild-index
+ * @access  Protected (Admin only)
+ */
+const rebuildIndex = async (req, res) => {
+  try {
+    const vectorIndex = await rebuildVectorIndex();
+    const keywordIndex = await rebuildLexicalIndex();
+
+    res.status(200).json({
+      success: true,
+      message: 'Search indexes rebuilt',
+      vectorIndex,
+      keywordIndex
+    });
+
+  } catch (error) {
+    console.error('❌ Rebuild index error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebuild search indexes'
+    });
+  }
+};
+
 /**
  * @desc    Get indexing statistics
  * @route   GET /api/search/stats
- * @access  Protected (Admin only)
+ * @access  Protected (analytics:view)
  */
 const stats = async (req, res) => {
   try {
@@ -213,7 +337,7 @@ const stats = async (req, res) => {
  */
 const getContext = async (req, res) => {
   try {
-    const { topic, type, maxChunks = 3 } = req.body;
+    const { topic, type, maxChunks = 3, rerank, diversity } = req.body;
 
     if (!topic || topic.trim().length < 2) {
       return res.status(400).json({
@@ -222,9 +346,21 @@ const getContext = async (req, res) => {
       });
     }
 
+    const rerankError = validateRerankOptions(req.body);
+    if (rerankError) {
+      return res.status(400).json({
+        success: false,
+        error: rerankError
+      });
+    }
+
     const context = await getContextForRAG(topic, {
+      courseId: req.courseId,
+      courseIds: req.courseIds,
       type,
-      maxChunks: Math.min(parseInt(maxChunks, 10), 10)
+      maxChunks: Math.min(parseInt(maxChunks, 10), 10),
+      rerank,
+      diversity
     });
 
     res.status(200).json({
@@ -249,6 +385,8 @@ module.exports = {
   related,
   indexSingle,
   indexAll,
+  reindexStale,
+  rebuildIndex,
   stats,
   getContext
 };
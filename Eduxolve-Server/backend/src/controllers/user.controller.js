@@ -0,0 +1,220 @@
+/**
+ * User Controller
+ *
+ * User management: list users, invite staff, change roles and
+ * permissions, disable, unlock and issue password reset links.
+ */
+
+const {
+  listUsers,
+  inviteUser,
+  updateUser,
+  unlockUser,
+  createPasswordReset
+} = require('../services/account.service');
+const { getPermissionCatalog } = require('../services/permission.service');
+
+/**
+ * Check whether a string is a valid ObjectId
+ * @param {string} id - Candidate ID
+ * @returns {boolean}
+ */
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Send a 400 for malformed user IDs
+ * @param {Object} res - Express response
+ */
+const invalidUserId = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid user ID format'
+});
+
+/**
+ * @desc    Get all users, optionally filtered by role or email
+ * @route   GET /api/admin/users?role=&q=
+ * @access  Protected (users:manage)
+ */
+const getUsers = async (req, res) => {
+  try {
+    const users = await listUsers({ role: req.query.role, q: req.query.q });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Invite a staff member; returns the invitation link
+ * @route   POST /api/admin/users/invite
+ * @access  Protected (users:manage)
+ */
+const inviteStaff = async (req, res) => {
+  try {
+    const { email, role = 'instructor' } = req.body;
+    const result = await inviteUser(email, role, req.user);
+
+    if (!result.user) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created',
+      data: {
+        user: result.user.toPublicJSON(),
+        inviteUrl: result.inviteUrl,
+        expiresAt: result.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Invite user error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation'
+    });
+  }
+};
+
+/**
+ * @desc    Change a user's role or permissions, disable or re-enable them
+ * @route   PATCH /api/admin/users/:id
+ * @access  Protected (users:manage)
+ */
+const editUser = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return invalidUserId(res);
+    }
+
+    const { role, disabled, permissions } = req.body;
+    if (role === undefined && disabled === undefined && permissions === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update: send role, disabled and/or permissions'
+      });
+    }
+
+    const result = await updateUser(req.user, req.params.id, { role, disabled, permissions });
+    if (!result.user) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated',
+      data: result.user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Update user error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user'
+    });
+  }
+};
+
+/**
+ * @desc    Lift a login lockout
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Protected (users:manage)
+ */
+const unlockAccount = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return invalidUserId(res);
+    }
+
+    const result = await unlockUser(req.params.id, req.user);
+    if (!result.user) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked',
+      data: result.user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+};
+
+/**
+ * @desc    Create a password reset link for a local account
+ * @route   POST /api/admin/users/:id/reset-link
+ * @access  Protected (users:manage)
+ */
+const createResetLink = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return invalidUserId(res);
+    }
+
+    const result = await createPasswordReset(req.params.id, req.user);
+    if (!result.user) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reset link created',
+      data: {
+        resetUrl: result.resetUrl,
+        expiresAt: result.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Create reset link error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create reset link'
+    });
+  }
+};
+
+/**
+ * @desc    Permission catalog and each role's defaults
+ * @route   GET /api/admin/permissions
+ * @access  Protected (users:manage)
+ */
+const getPermissions = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getPermissionCatalog()
+  });
+};
+
+module.exports = {
+  getUsers,
+  getPermissions,
+  inviteStaff,
+  editUser,
+  unlockAccount,
+  createResetLink
+};
@@ -6,6 +6,10 @@
 
 const { validateTheory, validateCode, validateSlides, checkGrounding } = require('../services/validation.service');
 const { selfEvaluate, quickValidate, evaluateCorrectness } = require('../services/selfEval.service');
+const { extractCode, generateTestCases, runCodeTests, sanitizeTestCases } = require('../services/codeRunner.service');
+const { recordValidation } = require('../services/generation.service');
+const { hasPermission } = require('../services/permission.service');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Optional: Store validation results
 const ValidationLog = require('../models/ValidationLog');
@@ -17,7 +21,7 @@ const ValidationLog = require('../models/ValidationLog');
  */
 const validate = async (req, res) => {
   try {
-    const { type, content, context = [], options = {} } = req.body;
+    const { type, content, context = [], options = {}, generationId } = req.body;
 
     // Input validation
     if (!type || !['theory', 'lab', 'slides'].includes(type)) {
@@ -53,7 +57,10 @@ const validate = async (req, res) => {
         validationResult = await validateTheoryContent(content, context, options);
         break;
       case 'lab':
-        validationResult = await validateLabContent(content, context, options);
+        validationResult = await validateLabContent(content, context, {
+          ...options,
+          canRunCode: hasPermission(req.user, PERMISSIONS.CODE_RUN)
+        });
         break;
       case 'slides':
         validationResult = await validateSlidesContent(content, context, options);
@@ -69,6 +76,8 @@ const validate = async (req, res) => {
           score: validationResult.score,
           valid: validationResult.valid,
           userId: req.user?.id,
+          layers: validationResult.layers,
+          feedback: validationResult.feedback,
           timestamp: new Date()
         });
       } catch (logError) {
@@ -77,6 +86,15 @@ const validate = async (req, res) => {
       }
     }
 
+    // Keep the score with the saved generation in the user's library
+    if (generationId) {
+      try {
+        await recordValidation(String(req.user.id), generationId, validationResult);
+      } catch (saveError) {
+        console.error('Saving validation to generation failed:', saveError.message);
+      }
+    }
+
     res.status(200).json({
       success: true,
       ...validationResult
@@ -140,8 +158,8 @@ const validateLabContent = async (content, context, options) => {
     ? await checkGrounding(content, context)
     : { score: 0.7, explanation: 'No context provided' };
   
-  // Layer 3: Code validation
-  const codeValidation = validateCode(content, language);
+  // Layer 3: Code validation (static checks + sandboxed execution)
+  const codeValidation = await validateAndRunCode(content, language, context, options);
   
   // Layer 4: AI Self-evaluation
   let aiEvaluation = null;
@@ -171,7 +189,11 @@ const validateLabContent = async (content, context, options) => {
         score: codeValidation.score,
         valid: codeValidation.valid,
         issues: codeValidation.issues,
-        explanation: codeValidation.explanation
+        explanation: codeValidation.explanation,
+        annotations: codeValidation.annotations,
+        parser: codeValidation.parser,
+        code: codeValidation.code,
+        execution: codeValidation.execution
       },
       aiEvaluation: aiEvaluation ? {
         score: aiEvaluation.totalScore,
@@ -184,6 +206,80 @@ const validateLabContent = async (content, context, options) => {
   };
 };
 
+/**
+ * Parser checks, then compile/run the code against test cases
+ * Instructor test cases come from options.testCases; otherwise the LLM
+ * writes them (options.generateTests: false only checks that it runs).
+ * Running is opt-in (options.execute: true) and limited to users holding
+ * code:run (options.canRunCode, set by the controller).
+ */
+const validateAndRunCode = async (content, language, context, options) => {
+  const { code, language: runLanguage } = extractCode(content, language);
+  // Keep the extracted code so clients can place annotations on its lines
+  const staticValidation = { ...(await validateCode(code, runLanguage || language)), code };
+
+  // Nothing to run if the parser already found syntax errors
+  const hasSyntaxErrors = staticValidation.annotations?.some(a => a.rule === 'syntax');
+  if (options.execute !== true || !runLanguage || hasSyntaxErrors) {
+    return staticValidation;
+  }
+
+  if (!options.canRunCode) {
+    return {
+      ...staticValidation,
+      execution: { available: false, reason: 'Running code is limited to staff with the code:run permission' }
+    };
+  }
+
+  let testCases = sanitizeTestCases(options.testCases);
+  let testSource = 'instructor';
+  if (testCases.length === 0) {
+    testSource = options.generateTests === false ? 'none' : 'ai';
+    testCases = options.generateTests === false
+      ? [{ name: 'Runs without errors', input: '', expectedOutput: null }]
+      : await generateTestCases(code, runLanguage, { description: context.join('\n').slice(0, 2000) });
+  }
+
+  const execution = await runCodeTests(code, runLanguage, testCases);
+  if (!execution.available) {
+    return {
+      ...staticValidation,
+      execution: { ...execution, testSource }
+    };
+  }
+
+  const issues = [...staticValidation.issues];
+  if (!execution.compiled) {
+    issues.push('Code does not compile');
+  } else {
+    execution.tests
+      .filter(test => !test.passed)
+      .forEach(test => {
+        const reason = test.timedOut ? 'timed out'
+          : test.outputLimitExceeded ? 'produced too much output'
+          : test.exitCode !== 0 ? `exited with status ${test.exitCode ?? test.signal}`
+          : 'wrong output';
+        issues.push(`Test "${test.name}" failed: ${reason}`);
+      });
+  }
+
+  // Running the code outweighs the static checks: 30% static + 70% pass rate
+  const passRate = execution.total > 0 ? execution.passed / execution.total : 0;
+  const score = Math.round(((staticValidation.score * 0.3) + (passRate * 0.7)) * 100) / 100;
+  const valid = execution.compiled && score >= 0.5;
+
+  return {
+    ...staticValidation,
+    valid,
+    score,
+    issues,
+    explanation: !execution.compiled
+      ? 'Code failed to compile'
+      : `${execution.passed}/${execution.total} tests passed. ${staticValidation.explanation}`,
+    execution: { ...execution, testSource }
+  };
+};
+
 /**
  * Validate slides content with all layers
  */
@@ -267,6 +363,7 @@ const detectLanguage = (code) => {
   if (/\bdef\s+\w+\s*\(|import\s+\w+|from\s+\w+\s+import/.test(code)) return 'python';
   if (/\bfunction\s+\w+|const\s+\w+\s*=|let\s+\w+\s*=|=>\s*{/.test(code)) return 'javascript';
   if (/\bpublic\s+class|private\s+void|System\.out\.print/.test(code)) return 'java';
+  if (/#include\s*<(iostream|vector|string)>|\bstd::|using\s+namespace\s+std/.test(code)) return 'cpp';
   if (/\b#include\s*<|int\s+main\s*\(|printf\s*\(/.test(code)) return 'c';
   return 'unknown';
 };
@@ -338,7 +435,7 @@ const checkCorrectness = async (req, res) => {
 /**
  * @desc    Get validation statistics
  * @route   GET /api/validate/stats
- * @access  Protected (Admin)
+ * @access  Protected (analytics:view)
  */
 const getValidationStats = async (req, res) => {
   try {
@@ -1,20 +1,18 @@
 const { auth } = require('../config/firebase');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const { isAdminEmail } = require('../config/admin');
-
-// JWT secret for admin tokens (must match auth.routes.js)
-const ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET || 'eduxolve-admin-demo-secret-2026';
+const { verifyAccountToken, getTokenUser } = require('../services/account.service');
 
 /**
  * Authentication Middleware
  * 
  * Supports both:
  * - Firebase ID tokens (for students)
- * - Admin JWT tokens (for hardcoded admin credentials)
+ * - Local account JWTs (staff accounts, see account.service); their
+ *   session must not be revoked
  * 
  * - Verifies token from Authorization header
  * - Finds or creates user in MongoDB
+ * - Rejects disabled accounts
  * - Attaches user info to request object
  */
 const authenticate = async (req, res, next) => {
@@ -39,23 +37,27 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // First, try to verify as Admin JWT token
-    try {
-      const decoded = jwt.verify(token, ADMIN_JWT_SECRET);
-      
-      if (decoded.isAdmin) {
-        // Admin JWT is self-contained - NO MongoDB required
-        req.user = {
-          id: decoded.id,
-          firebaseUid: decoded.id,
-          email: decoded.email,
-          role: 'admin'
-        };
-        console.log(`🔐 Admin authenticated via JWT: ${decoded.email}`);
-        return next();
+    // First, try to verify as a local account JWT
+    const decoded = verifyAccountToken(token);
+    if (decoded) {
+      // Role and status come from the database, so changes apply immediately
+      const { user, status, message } = await getTokenUser(decoded);
+      if (!user) {
+        return res.status(status).json({
+          success: false,
+          message
+        });
       }
-    } catch (jwtError) {
-      // Not a valid admin JWT, try Firebase token
+
+      req.user = {
+        id: user._id,
+        firebaseUid: user.firebaseUid,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions,
+        sessionId: decoded.sid
+      };
+      return next();
     }
 
     // Try Firebase token verification
@@ -73,21 +75,28 @@ const authenticate = async (req, res, next) => {
     let user = await User.findOne({ firebaseUid: uid });
 
     if (!user) {
-      // Check if this email should be admin
-      const shouldBeAdmin = isAdminEmail(email);
-      
+      // Staff emails sign in with their local password, not Firebase
+      if (await User.exists({ email: email.toLowerCase() })) {
+        return res.status(403).json({
+          success: false,
+          message: 'This email belongs to a staff account. Sign in with your staff password.'
+        });
+      }
+
       // Auto-create new user
       user = await User.create({
         firebaseUid: uid,
         email: email,
-        role: shouldBeAdmin ? 'admin' : 'student'
+        role: 'student'
+      });
+      console.log(`📝 New user created: ${email} (student)`);
+    }
+
+    if (user.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been disabled.'
       });
-      console.log(`📝 New user created: ${email} (${shouldBeAdmin ? 'admin' : 'student'})`);
-    } else if (isAdminEmail(email) && user.role !== 'admin') {
-      // Upgrade to admin if email matches
-      user.role = 'admin';
-      await user.save();
-      console.log(`🔄 User upgraded to admin: ${email}`);
     }
 
     // Attach user info to request
@@ -95,7 +104,8 @@ const authenticate = async (req, res, next) => {
       id: user._id,
       firebaseUid: user.firebaseUid,
       email: user.email,
-      role: user.role
+      role: user.role,
+      permissions: user.permissions
     };
 
     next();
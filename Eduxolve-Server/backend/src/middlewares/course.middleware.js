@@ -0,0 +1,68 @@
+const { resolveCourse, getMemberCourseIds } = require('../services/course.service');
+const { getFileUrl, deleteFile } = require('../services/upload.service');
+
+/**
+ * Drop a file multer already stored for a request that is being rejected
+ * @param {Object} req - Express request
+ */
+const discardUpload = async (req) => {
+  if (req.file) {
+    await deleteFile(getFileUrl(req.file.filename));
+  }
+};
+
+/**
+ * Course Scope Middleware
+ * 
+ * Reads an optional `courseId` from the body or query string, checks the
+ * user can access that course and exposes it as `req.courseId` / `req.course`.
+ * Without a courseId (`req.courseId = null`) admins are unscoped; everyone
+ * else gets `req.courseIds`, the courses they belong to, and only reaches
+ * those plus content that is not assigned to any course.
+ * Must be used AFTER authenticate (and after multer for multipart bodies;
+ * a rejected request's uploaded file is deleted).
+ * 
+ * @example
+ * router.post('/search', authenticate, scopeToCourse, search);
+ */
+const scopeToCourse = async (req, res, next) => {
+  req.courseId = null;
+  req.course = null;
+  req.courseIds = null;
+
+  const courseId = req.body?.courseId || req.query.courseId;
+
+  try {
+    if (!courseId) {
+      if (req.user.role !== 'admin') {
+        req.courseIds = await getMemberCourseIds(req.user);
+      }
+      return next();
+    }
+
+    const result = await resolveCourse(req.user, String(courseId));
+
+    if (!result.course) {
+      await discardUpload(req);
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    req.course = result.course;
+    req.courseId = result.course._id.toString();
+    next();
+  } catch (error) {
+    console.error('❌ Course scope error:', error.message);
+    await discardUpload(req);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resolve course'
+    });
+  }
+};
+
+module.exports = {
+  scopeToCourse
+};
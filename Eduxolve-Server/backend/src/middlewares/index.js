@@ -1,9 +1,13 @@
 const authenticate = require('./auth.middleware');
 const { requireRole, requireAdmin, requireStudent } = require('./role.middleware');
+const { requirePermission } = require('./permission.middleware');
+const { scopeToCourse } = require('./course.middleware');
 
 module.exports = {
   authenticate,
   requireRole,
   requireAdmin,
-  requireStudent
+  requireStudent,
+  requirePermission,
+  scopeToCourse
 };
@@ -0,0 +1,45 @@
+const { getGrant } = require('../services/permission.service');
+
+/**
+ * Permission Guard Middleware
+ *
+ * Restricts access to users holding a permission (see config/permissions.js).
+ * The matching grant is exposed as `req.grant`; handlers that touch
+ * specific content check it with `isWithinGrant` for week/tag scopes.
+ * Must be used AFTER authenticate middleware.
+ *
+ * @param {string} permission - Required permission
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.post('/', authenticate, requirePermission('content:upload'), handler);
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    // Ensure user is authenticated first
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    const grant = getGrant(req.user, permission);
+
+    if (!grant) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+        required: permission,
+        current: req.user.role
+      });
+    }
+
+    req.grant = grant;
+    next();
+  };
+};
+
+module.exports = {
+  requirePermission
+};
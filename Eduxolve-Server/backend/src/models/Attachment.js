@@ -0,0 +1,137 @@
+/**
+ * Attachment Model
+ *
+ * A file a user uploaded to chat about (POST /api/files/upload). The
+ * original file lives in object storage (see storage.service); the
+ * extracted AI context is kept here so chat and generation can reuse the
+ * file without re-processing it. Files too long for one prompt are also
+ * chunked and embedded (see attachmentIndex.service). Attachments expire
+ * ATTACHMENT_TTL_DAYS after they were last used.
+ */
+
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Original file
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  storageBackend: {
+    type: String,
+    required: true
+  },
+
+  // What the extractor found (shown in the "My files" list)
+  fileType: String,
+  fileCategory: String,
+  language: String,
+  isCode: {
+    type: Boolean,
+    default: false
+  },
+  summary: {
+    type: String,
+    default: null
+  },
+  codeAnalysis: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  suggestedActions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+
+  // AI context from fileContext.service; loaded only when needed
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  formattedContext: {
+    type: String,
+    select: false
+  },
+
+  // Retrieval index over the whole file; unset for files that fit in one prompt
+  indexStatus: {
+    type: String,
+    enum: ['queued', 'indexing', 'indexed', 'failed']
+  },
+  indexError: {
+    type: String,
+    default: null
+  },
+  indexJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// "My files" list and quota
+attachmentSchema.index({ owner: 1, expiresAt: 1 });
+
+// Cleanup sweep (not a TTL index: the stored file must be deleted too)
+attachmentSchema.index({ expiresAt: 1 });
+
+/**
+ * Shape returned by the files API (same as the upload response)
+ * @returns {Object}
+ */
+attachmentSchema.methods.toPublicJSON = function() {
+  return {
+    fileId: this._id,
+    fileName: this.fileName,
+    fileType: this.fileType,
+    fileCategory: this.fileCategory,
+    fileSize: this.size,
+    language: this.language || null,
+    isCode: this.isCode,
+    summary: this.summary,
+    codeAnalysis: this.codeAnalysis,
+    suggestedActions: this.suggestedActions || [],
+    indexStatus: this.indexStatus || null,
+    uploadedAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -0,0 +1,53 @@
+/**
+ * AttachmentChunk Model
+ *
+ * One embedded chunk of a user's uploaded file (see Attachment), used to
+ * answer chat questions from the relevant part of a long file. Kept apart
+ * from Embedding on purpose: course search, the vector index and the
+ * keyword index never see private uploads.
+ */
+
+const mongoose = require('mongoose');
+
+const attachmentChunkSchema = new mongoose.Schema({
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  chunkText: {
+    type: String,
+    required: true
+  },
+  chunkIndex: {
+    type: Number,
+    default: 0
+  },
+  // provider:model:dimension that produced the vector (see embedding.service)
+  embeddingVersion: {
+    type: String
+  },
+  vector: {
+    type: [Number],
+    required: true
+  },
+  metadata: {
+    breadcrumb: String, // Heading/symbol path inside the file
+    page: Number, // 1-based PDF page the chunk came from
+    language: String
+  }
+}, {
+  timestamps: true
+});
+
+// Chunks are only ever read for one attachment of one owner
+attachmentChunkSchema.index({ attachment: 1, owner: 1, chunkIndex: 1 });
+
+const AttachmentChunk = mongoose.model('AttachmentChunk', attachmentChunkSchema);
+
+module.exports = AttachmentChunk;
@@ -25,6 +25,11 @@ const contentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [300, 'Topic cannot exceed 300 characters']
   },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true,
@@ -49,6 +54,25 @@ const contentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Search indexing state, updated by the background indexing job
+  // (unset on content uploaded before indexing ran as a job)
+  indexStatus: {
+    type: String,
+    enum: ['queued', 'indexing', 'indexed', 'failed']
+  },
+  indexError: {
+    type: String,
+    default: null
+  },
+  indexJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  indexedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -62,6 +86,7 @@ contentSchema.index({ type: 1 });
 contentSchema.index({ week: 1 });
 contentSchema.index({ topic: 1 });
 contentSchema.index({ tags: 1 });
+contentSchema.index({ courseId: 1, createdAt: -1 });
 contentSchema.index({ createdAt: -1 });
 
 const Content = mongoose.model('Content', contentSchema);
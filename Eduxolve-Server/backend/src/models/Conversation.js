@@ -0,0 +1,74 @@
+/**
+ * Conversation Model
+ * 
+ * A persistent chat session owned by a single user.
+ * Messages live in the Message collection and reference the conversation.
+ */
+
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Owner (Mongo user _id)
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // Course the conversation retrieves from (null = all content)
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+
+  // Display title (defaults to the first message)
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters'],
+    default: 'New conversation'
+  },
+
+  // Conversation state used for follow-up questions
+  lastTopic: {
+    type: String,
+    default: null
+  },
+  lastIntent: {
+    type: String,
+    default: null
+  },
+
+  // Denormalized for the sidebar list
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Sidebar query: a user's conversations, most recent first
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+// Static method to list a user's conversations, optionally within one course
+conversationSchema.statics.listForUser = function(userId, courseId = null, limit = 50) {
+  return this.find({ userId, ...(courseId && { courseId }) })
+    .sort({ lastMessageAt: -1 })
+    .limit(limit)
+    .select('title courseId lastTopic messageCount lastMessageAt createdAt')
+    .lean();
+};
+
+// Static method to find a conversation only if the user owns it
+conversationSchema.statics.findOwned = function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,75 @@
+/**
+ * Course Model
+ * 
+ * A course groups content, embeddings and conversations so each
+ * instructor's material lives in its own search space.
+ * Members are stored as user IDs (Mongo user _id).
+ */
+
+const mongoose = require('mongoose');
+
+const courseSchema = new mongoose.Schema({
+  // Short unique code, e.g. "CSE220"
+  code: {
+    type: String,
+    required: [true, 'Course code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Course code cannot exceed 20 characters']
+  },
+  title: {
+    type: String,
+    required: [true, 'Course title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // e.g. "Fall 2026"
+  term: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Term cannot exceed 50 characters']
+  },
+  instructors: [{
+    type: String
+  }],
+  students: [{
+    type: String
+  }],
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Membership lookups for the course switcher
+courseSchema.index({ students: 1 });
+courseSchema.index({ instructors: 1 });
+
+/**
+ * Check whether a user teaches or is enrolled in the course
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+courseSchema.methods.hasMember = function(userId) {
+  const id = String(userId);
+  return this.instructors.includes(id) || this.students.includes(id);
+};
+
+// Static method to list the courses a user can see (admins see all)
+courseSchema.statics.listForUser = function(user) {
+  const id = String(user.id);
+  const query = user.role === 'admin'
+    ? {}
+    : { $or: [{ instructors: id }, { students: id }] };
+
+  return this.find(query)
+    .sort({ code: 1 })
+    .select('code title term instructors students')
+    .lean();
+};
+
+const Course = mongoose.model('Course', courseSchema);
+
+module.exports = Course;
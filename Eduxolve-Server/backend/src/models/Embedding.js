@@ -7,6 +7,13 @@ const embeddingSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Copied from the content so searches can be scoped to a course
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null,
+    index: true
+  },
   chunkText: {
     type: String,
     required: true
@@ -15,6 +22,15 @@ const embeddingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // sha256 of chunkText; unchanged chunks keep their vector on re-index
+  contentHash: {
+    type: String
+  },
+  // provider:model:dimension that produced the vector (see embedding.service)
+  embeddingVersion: {
+    type: String,
+    index: true
+  },
   vector: {
     type: [Number],
     required: true,
@@ -41,6 +57,9 @@ const embeddingSchema = new mongoose.Schema({
       index: true
     },
     language: String,
+    breadcrumb: String, // Heading/symbol path, e.g. "Week 3 > Stacks > Array implementation"
+    page: Number, // 1-based PDF page the chunk came from
+    slide: Number, // 1-based slide number for PPT/PPTX decks
     totalChunks: Number
   },
   createdAt: {
@@ -72,12 +91,19 @@ embeddingSchema.statics.deleteByContentId = function(contentId) {
 
 /**
  * Static method to get all vectors for similarity search
- * @param {Object} filter - Optional filter (type, week, topic)
+ * @param {Object} filter - Optional filter (courseId, courseIds, type, week, topic)
  * @returns {Promise<Array>} Array of embeddings with vectors
  */
 embeddingSchema.statics.getVectorsForSearch = async function(filter = {}) {
   const query = {};
   
+  if (filter.courseId) {
+    query.courseId = filter.courseId;
+  }
+  // Several courses, plus content outside any course
+  if (filter.courseIds) {
+    query.courseId = { $in: [...filter.courseIds, null] };
+  }
   if (filter.type) {
     query.type = filter.type;
   }
@@ -89,7 +115,7 @@ embeddingSchema.statics.getVectorsForSearch = async function(filter = {}) {
   }
 
   return this.find(query)
-    .select('_id contentId chunkText vector type metadata')
+    .select('_id contentId courseId chunkText vector type metadata')
     .lean();
 };
 
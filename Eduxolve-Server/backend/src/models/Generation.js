@@ -0,0 +1,134 @@
+/**
+ * Generation Model
+ *
+ * A saved result of POST /api/ai/generate.
+ * Regenerating creates a new version in the same group, so earlier
+ * versions stay available for comparison.
+ */
+
+const mongoose = require('mongoose');
+
+const generationSchema = new mongoose.Schema({
+  // Owner (Mongo user _id)
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // Course the generation was grounded in (null = all content)
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+
+  // Request
+  prompt: {
+    type: String,
+    required: [true, 'Prompt is required'],
+    trim: true,
+    maxlength: [2000, 'Prompt cannot exceed 2000 characters']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['theory', 'lab', 'slides', 'quiz', 'flashcards']
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Output
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Parsed quiz / flashcards JSON
+  structured: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  sources: [{
+    type: String
+  }],
+  references: [{
+    _id: false,
+    index: Number,
+    contentId: String,
+    title: String,
+    location: String
+  }],
+  model: {
+    type: String,
+    default: null
+  },
+
+  // Filled in by POST /api/validate
+  validation: {
+    status: {
+      type: String,
+      enum: ['pending', 'grounded', 'review', 'error'],
+      default: 'pending'
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
+    },
+    validatedAt: Date
+  },
+
+  // Versions: every regeneration shares the first generation's _id as group
+  versionGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Generation',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Library list: a user's generations, most recent first
+generationSchema.index({ userId: 1, createdAt: -1 });
+
+// Library search
+generationSchema.index(
+  { title: 'text', prompt: 'text', content: 'text' },
+  { weights: { title: 5, prompt: 5, content: 1 }, name: 'generation_text' }
+);
+
+// The first version starts its own group
+generationSchema.pre('save', function(next) {
+  if (!this.versionGroup) {
+    this.versionGroup = this._id;
+  }
+  next();
+});
+
+// Static method to find a generation only if the user owns it
+generationSchema.statics.findOwned = function(id, userId) {
+  return this.findOne({ _id: id, userId });
+};
+
+const Generation = mongoose.model('Generation', generationSchema);
+
+module.exports = Generation;
@@ -0,0 +1,128 @@
+/**
+ * Job Model
+ *
+ * A unit of background work (e.g. indexing uploaded content) picked up by
+ * the job worker. Jobs survive restarts and are retried with backoff.
+ */
+
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const ITEM_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+// One unit of work inside a job, e.g. one content item to index
+const jobItemSchema = new mongoose.Schema({
+  ref: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. 'index_content'
+  type: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  items: {
+    type: [jobItemSchema],
+    default: []
+  },
+
+  // Denormalized item counts for status polling
+  progress: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Retry bookkeeping
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Who queued it (Mongo user _id)
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Worker query: next due job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Finished jobs expire after 7 days
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Recount progress from the items
+jobSchema.methods.syncProgress = function() {
+  this.progress = {
+    total: this.items.length,
+    completed: this.items.filter(item => item.status === 'completed').length,
+    failed: this.items.filter(item => item.status === 'failed').length
+  };
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
+module.exports.JOB_STATUSES = JOB_STATUSES;
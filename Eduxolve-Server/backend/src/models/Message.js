@@ -0,0 +1,72 @@
+/**
+ * Message Model
+ * 
+ * A single chat turn (user or assistant) within a Conversation.
+ */
+
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  // Parent conversation
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+
+  content: {
+    type: String,
+    required: true
+  },
+
+  // Assistant extras, stored so reopened conversations render the same
+  intent: {
+    type: String
+  },
+  sources: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  // Inline [n] citations resolved to the chunks they point at
+  citations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  actions: {
+    type: [String],
+    default: undefined
+  },
+  fileName: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Messages of a conversation in order
+messageSchema.index({ conversationId: 1, createdAt: 1 });
+
+// Static method to get the most recent turns in chronological order
+messageSchema.statics.getRecentHistory = async function(conversationId, limit = 10) {
+  const messages = await this.find({ conversationId })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .select('role content createdAt')
+    .lean();
+
+  return messages.reverse().map(m => ({
+    role: m.role,
+    content: m.content,
+    timestamp: m.createdAt
+  }));
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,82 @@
+/**
+ * Session Model
+ *
+ * One sign-in of a local (staff) account. Access tokens carry the session
+ * id, so revoking the session ends them immediately; the refresh token is
+ * rotated on every use and only its SHA-256 is stored.
+ */
+
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'logout_all', 'password_changed', 'disabled', 'refresh_reuse'];
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // SHA-256 of the token it replaced, to spot a stolen token being replayed
+  previousTokenHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [...REVOKE_REASONS, null],
+    default: null
+  },
+
+  // Where the session was started
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Sessions are deleted once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Not revoked and not expired
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
@@ -1,10 +1,33 @@
+/**
+ * User Model
+ *
+ * Students sign in with Firebase (firebaseUid). Staff accounts (admin,
+ * instructor, TA) are local: they sign in with email + password, stored
+ * as a bcrypt hash, and are created from invitation links.
+ */
+
 const mongoose = require('mongoose');
+const { PERMISSION_LIST } = require('../config/permissions');
+
+const USER_ROLES = ['admin', 'instructor', 'ta', 'student'];
+
+// A custom permission grant, optionally limited to content weeks/tags
+const grantSchema = new mongoose.Schema({
+  permission: {
+    type: String,
+    enum: PERMISSION_LIST,
+    required: true
+  },
+  weeks: [{ type: Number, min: 1, max: 52 }],
+  tags: [{ type: String, trim: true, lowercase: true }]
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
+  // Firebase accounts only; local accounts have none
   firebaseUid: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
     index: true
   },
   email: {
@@ -16,9 +39,58 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'student'],
+    enum: USER_ROLES,
     default: 'student'
   },
+  // Replaces the role's default permissions when set (never for admins)
+  permissions: {
+    type: [grantSchema],
+    default: undefined
+  },
+
+  // Local sign-in (never returned unless selected explicitly)
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  // Tokens issued before this time are rejected
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Lockout after repeated failed logins
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+
+  // Disabled users cannot sign in with any method
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+
+  // One-time links; only the SHA-256 of each token is stored
+  invitation: {
+    tokenHash: { type: String, select: false },
+    expiresAt: Date,
+    invitedBy: String,
+    acceptedAt: Date
+  },
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: Date
+  },
+
   createdAt: {
     type: Date,
     default: Date.now
@@ -29,7 +101,49 @@ const userSchema = new mongoose.Schema({
 
 // Index for faster queries (email already indexed via unique: true)
 userSchema.index({ role: 1 });
+userSchema.index({ 'invitation.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+
+/**
+ * Whether the account is temporarily locked after failed logins
+ * @returns {boolean}
+ */
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+/**
+ * Whether an invited account is still waiting for its password
+ * @returns {boolean}
+ */
+userSchema.methods.isInvitePending = function() {
+  return Boolean(this.invitation?.expiresAt && !this.invitation.acceptedAt);
+};
+
+/**
+ * Safe representation for API responses
+ * @returns {Object}
+ */
+userSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    // null: the role's default permissions apply
+    permissions: this.permissions ? this.permissions.map(({ permission, weeks, tags }) => ({ permission, weeks: [...weeks], tags: [...tags] })) : null,
+    disabled: this.disabled,
+    locked: this.isLocked(),
+    lockedUntil: this.isLocked() ? this.lockedUntil : null,
+    // firebase: Google/email sign-in, local: password stored here
+    authProvider: this.firebaseUid ? 'firebase' : 'local',
+    invitePending: this.isInvitePending(),
+    inviteExpiresAt: this.isInvitePending() ? this.invitation.expiresAt : null,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
 
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
+module.exports.USER_ROLES = USER_ROLES;
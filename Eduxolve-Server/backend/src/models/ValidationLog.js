@@ -53,7 +53,48 @@ const validationLogSchema = new mongoose.Schema({
     codeValidation: {
       score: Number,
       valid: Boolean,
-      issues: [String]
+      issues: [String],
+      // Parser diagnostics (see codeAnalysis.service)
+      parser: String,
+      annotations: [{
+        _id: false,
+        line: Number,
+        column: Number,
+        severity: {
+          type: String,
+          enum: ['error', 'warning']
+        },
+        rule: String,
+        message: String
+      }],
+      // Sandboxed run against test cases (see codeRunner.service)
+      execution: {
+        available: Boolean,
+        reason: String,
+        language: String,
+        compiled: Boolean,
+        compileOutput: String,
+        testSource: {
+          type: String,
+          enum: ['instructor', 'ai', 'none']
+        },
+        passed: Number,
+        total: Number,
+        tests: [{
+          _id: false,
+          name: String,
+          input: String,
+          expectedOutput: String,
+          stdout: String,
+          stderr: String,
+          exitCode: Number,
+          signal: String,
+          timedOut: Boolean,
+          outputLimitExceeded: Boolean,
+          durationMs: Number,
+          passed: Boolean
+        }]
+      }
     },
     aiEvaluation: {
       score: Number,
@@ -1,9 +1,25 @@
 const User = require('./User');
 const Content = require('./Content');
 const Embedding = require('./Embedding');
+const Conversation = require('./Conversation');
+const Message = require('./Message');
+const Course = require('./Course');
+const Job = require('./Job');
+const Generation = require('./Generation');
+const Session = require('./Session');
+const Attachment = require('./Attachment');
+const AttachmentChunk = require('./AttachmentChunk');
 
 module.exports = {
   User,
   Content,
-  Embedding
+  Embedding,
+  Conversation,
+  Message,
+  Course,
+  Job,
+  Generation,
+  Session,
+  Attachment,
+  AttachmentChunk
 };
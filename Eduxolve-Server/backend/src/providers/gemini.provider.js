@@ -0,0 +1,97 @@
+/**
+ * Gemini Provider
+ *
+ * LLM provider backed by @google/generative-ai (the original integration).
+ * Configured with GEMINI_API_KEY; LLM_MODEL and LLM_EMBEDDING_MODEL
+ * override the default models.
+ */
+
+const { genAI, getModel, hasApiKey, MODEL_NAME, EMBEDDING_MODEL, DEFAULT_CONFIG } = require('../config/gemini');
+
+/**
+ * Map Gemini usage metadata to the common usage shape
+ * @param {Object} response - Gemini response
+ * @returns {Object} { promptTokens, completionTokens, totalTokens }
+ */
+const toUsage = (response) => ({
+  promptTokens: response.usageMetadata?.promptTokenCount || null,
+  completionTokens: response.usageMetadata?.candidatesTokenCount || null,
+  totalTokens: response.usageMetadata?.totalTokenCount || null
+});
+
+const requireApiKey = () => {
+  if (!hasApiKey()) {
+    throw new Error('GEMINI_API_KEY not configured');
+  }
+};
+
+const modelFor = (options) => getModel({
+  temperature: options.temperature || DEFAULT_CONFIG.temperature,
+  maxOutputTokens: options.maxTokens || DEFAULT_CONFIG.maxOutputTokens
+});
+
+/**
+ * Generate a complete response
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { temperature, maxTokens }
+ * @returns {Promise<Object>} { content, usage }
+ */
+const generate = async (prompt, options = {}) => {
+  requireApiKey();
+
+  const result = await modelFor(options).generateContent(prompt);
+  const response = await result.response;
+
+  return { content: response.text(), usage: toUsage(response) };
+};
+
+/**
+ * Stream a response chunk by chunk
+ * @param {string} prompt - Prompt text
+ * @param {Function} onChunk - Called with each text chunk
+ * @param {Object} options - { temperature, maxTokens, signal }
+ * @returns {Promise<Object>} { content, usage }
+ */
+const stream = async (prompt, onChunk, options = {}) => {
+  requireApiKey();
+
+  const result = await modelFor(options).generateContentStream(prompt, { signal: options.signal });
+  let content = '';
+
+  for await (const chunk of result.stream) {
+    const chunkText = chunk.text();
+    content += chunkText;
+    if (chunkText) onChunk(chunkText);
+  }
+
+  const response = await result.response;
+  return { content, usage: toUsage(response) };
+};
+
+/**
+ * Embed a single text
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} Embedding vector
+ */
+const embed = async (text) => {
+  requireApiKey();
+
+  const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
+  const result = await model.embedContent(text);
+
+  if (!result.embedding || !result.embedding.values) {
+    throw new Error('Invalid embedding response');
+  }
+
+  return result.embedding.values;
+};
+
+module.exports = {
+  name: 'gemini',
+  model: MODEL_NAME,
+  embeddingModel: EMBEDDING_MODEL,
+  embeddingDimension: 768,
+  generate,
+  stream,
+  embed
+};
@@ -0,0 +1,46 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider implements the same interface:
+ * - name, model, embeddingModel, embeddingDimension
+ * - generate(prompt, { temperature, maxTokens }) -> { content, usage }
+ * - stream(prompt, onChunk, { temperature, maxTokens, signal }) -> { content, usage }
+ * - embed(text) -> number[]
+ *
+ * Providers throw on failure; config/llm.js maps errors to result codes.
+ * Select with LLM_PROVIDER=gemini|openai|mock (default gemini).
+ */
+
+// Loaded lazily so unused providers never read their configuration
+const PROVIDERS = {
+  gemini: () => require('./gemini.provider'),
+  openai: () => require('./openai.provider'),
+  mock: () => require('./mock.provider')
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+let activeProvider = null;
+
+/**
+ * Get the configured provider
+ * @returns {Object} Provider implementation
+ */
+const getProvider = () => {
+  if (!activeProvider) {
+    const requested = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+    if (!PROVIDERS[requested]) {
+      console.warn(`⚠️ Unknown LLM_PROVIDER "${requested}", using ${DEFAULT_PROVIDER}`);
+    }
+
+    activeProvider = (PROVIDERS[requested] || PROVIDERS[DEFAULT_PROVIDER])();
+    console.log(`🤖 LLM provider: ${activeProvider.name} (${activeProvider.model})`);
+  }
+  return activeProvider;
+};
+
+module.exports = {
+  getProvider,
+  PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
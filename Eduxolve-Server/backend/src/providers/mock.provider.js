@@ -0,0 +1,167 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic offline provider for development and tests. The same prompt
+ * always produces the same output and nothing touches the network.
+ *
+ * - Prompts that ask for a JSON object get the prompt's JSON template back
+ *   with placeholders filled (e.g. "<0-25>" -> 20, "<true/false>" -> true),
+ *   so intent detection and self-evaluation parse normally
+ * - Other prompts get a short markdown answer derived from the prompt
+ * - Embeddings are hash-based bag-of-words vectors
+ *
+ * LLM_MOCK_DELAY_MS adds a pause between streamed chunks (default 0).
+ */
+
+const { hashEmbedding } = require('../utils/hashEmbedding');
+
+const MODEL_NAME = 'mock-llm';
+const EMBEDDING_DIMENSION = 768;
+const CHUNK_DELAY_MS = parseInt(process.env.LLM_MOCK_DELAY_MS, 10) || 0;
+
+// String placeholders that must be one of a fixed set of values
+const PLACEHOLDER_VALUES = {
+  intent: 'explain'
+};
+
+/**
+ * Fill a JSON template's placeholders with plausible fixed values
+ * @param {string} template - Template such as {"score": <0-100>, "topic": "<main topic>"}
+ * @returns {string} JSON text
+ */
+const fillJsonTemplate = (template) => {
+  return template
+    .replace(/"<([^>]*)>"/g, (match, name) => JSON.stringify(PLACEHOLDER_VALUES[name] || `mock ${name}`))
+    .replace(/<true\/false>/g, 'true')
+    .replace(/<(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)>/g, (match, min, max) => {
+      // 80% of the range - a passing but not perfect score
+      const value = Number(min) + (Number(max) - Number(min)) * 0.8;
+      return String(max.includes('.') || Number(max) <= 1 ? Math.round(value * 100) / 100 : Math.round(value));
+    });
+};
+
+/**
+ * Extract the balanced {...} block starting at an index
+ * @param {string} text - Source text
+ * @param {number} start - Index of the opening brace
+ * @returns {string|null} Block text, or null if unbalanced
+ */
+const readObject = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) return text.substring(start, i + 1);
+  }
+  return null;
+};
+
+/**
+ * Answer a prompt that asks for JSON using the template that follows
+ * its "JSON format:" / "JSON object:" instruction
+ * @param {string} prompt - Prompt text
+ * @returns {string|null} Filled JSON, or null if the prompt has no JSON template
+ */
+const buildJsonResponse = (prompt) => {
+  const instructions = prompt.matchAll(/JSON[^\n]*\n\s*\{/g);
+
+  for (const match of instructions) {
+    const template = readObject(prompt, match.index + match[0].length - 1);
+    if (!template) continue;
+
+    const filled = fillJsonTemplate(template);
+    try {
+      JSON.parse(filled);
+      return filled;
+    } catch {
+      // Not a template we understand - try the next instruction
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build a deterministic markdown answer for a free-form prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string} Response text
+ */
+const buildTextResponse = (prompt) => {
+  const firstLine = prompt.trim().split('\n')[0].substring(0, 120);
+  const wordCount = prompt.split(/\s+/).filter(Boolean).length;
+  // Grounded prompts number their course materials; cite the first one
+  const cites = /^\[1\] /m.test(prompt) ? ' [1]' : '';
+
+  return [
+    '## Mock Response',
+    '',
+    'This answer was produced by the mock LLM provider (`LLM_PROVIDER=mock`).',
+    '',
+    `- Prompt starts with: "${firstLine}"`,
+    `- Prompt length: ${wordCount} words${cites}`,
+    '',
+    'Set `LLM_PROVIDER` to `gemini` or `openai` to get real model output.'
+  ].join('\n');
+};
+
+const respond = (prompt) => buildJsonResponse(prompt) || buildTextResponse(prompt);
+
+/**
+ * Rough whitespace token count for usage reporting
+ */
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const toUsage = (prompt, content) => {
+  const promptTokens = countTokens(prompt);
+  const completionTokens = countTokens(content);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+};
+
+/**
+ * Generate a complete response
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<Object>} { content, usage }
+ */
+const generate = async (prompt) => {
+  const content = respond(prompt);
+  return { content, usage: toUsage(prompt, content) };
+};
+
+/**
+ * Stream the response word by word
+ * @param {string} prompt - Prompt text
+ * @param {Function} onChunk - Called with each text chunk
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { content, usage }
+ */
+const stream = async (prompt, onChunk, options = {}) => {
+  const content = respond(prompt);
+  const chunks = content.match(/\S+\s*|\s+/g) || [];
+
+  for (const chunk of chunks) {
+    // Yield so cancellation can land between chunks
+    await new Promise(resolve => setTimeout(resolve, CHUNK_DELAY_MS));
+    if (options.signal?.aborted) {
+      throw new Error('Generation aborted');
+    }
+    onChunk(chunk);
+  }
+
+  return { content, usage: toUsage(prompt, content) };
+};
+
+/**
+ * Embed a single text
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} Embedding vector
+ */
+const embed = async (text) => hashEmbedding(text, EMBEDDING_DIMENSION);
+
+module.exports = {
+  name: 'mock',
+  model: MODEL_NAME,
+  embeddingModel: 'mock-hash-embedding',
+  embeddingDimension: EMBEDDING_DIMENSION,
+  generate,
+  stream,
+  embed
+};
@@ -0,0 +1,166 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Talks to any server implementing the OpenAI chat completions and
+ * embeddings HTTP API - OpenAI itself or self-hosted models served by
+ * Ollama, vLLM, LM Studio, etc.
+ *
+ * Configuration:
+ * - LLM_BASE_URL: API root including the version, e.g. http://localhost:11434/v1
+ * - LLM_API_KEY: Bearer token (optional for most self-hosted servers)
+ * - LLM_MODEL / LLM_EMBEDDING_MODEL: model names as the server knows them
+ * - LLM_EMBEDDING_DIMENSION: vector size of the embedding model
+ */
+
+const BASE_URL = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const API_KEY = process.env.LLM_API_KEY || '';
+const MODEL_NAME = process.env.LLM_MODEL || 'llama3.1';
+const EMBEDDING_MODEL = process.env.LLM_EMBEDDING_MODEL || 'nomic-embed-text';
+const EMBEDDING_DIMENSION = parseInt(process.env.LLM_EMBEDDING_DIMENSION, 10) || 768;
+const DEFAULT_CONFIG = {
+  temperature: 0.7,
+  maxTokens: 8192
+};
+
+/**
+ * POST JSON to an API path
+ * @param {string} path - Path below LLM_BASE_URL
+ * @param {Object} body - Request body
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Response>} Successful fetch response
+ */
+const post = async (path, body, signal) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (API_KEY) headers.Authorization = `Bearer ${API_KEY}`;
+
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const reason = response.status === 401 || response.status === 403 ? 'API_KEY rejected' : response.statusText;
+    const error = new Error(`LLM server returned ${response.status} ${reason}: ${detail.substring(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+};
+
+/**
+ * Build a chat completions request body
+ */
+const buildRequest = (prompt, options, extra = {}) => ({
+  model: MODEL_NAME,
+  messages: [{ role: 'user', content: prompt }],
+  temperature: options.temperature || DEFAULT_CONFIG.temperature,
+  max_tokens: options.maxTokens || DEFAULT_CONFIG.maxTokens,
+  ...extra
+});
+
+/**
+ * Map OpenAI usage to the common usage shape
+ * @param {Object} usage - OpenAI usage object
+ * @returns {Object} { promptTokens, completionTokens, totalTokens }
+ */
+const toUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens || null,
+  completionTokens: usage?.completion_tokens || null,
+  totalTokens: usage?.total_tokens || null
+});
+
+/**
+ * Generate a complete response
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { temperature, maxTokens }
+ * @returns {Promise<Object>} { content, usage }
+ */
+const generate = async (prompt, options = {}) => {
+  const response = await post('/chat/completions', buildRequest(prompt, options));
+  const data = await response.json();
+
+  const choice = data.choices?.[0];
+  if (choice?.finish_reason === 'content_filter') {
+    throw new Error('Response blocked by SAFETY filter');
+  }
+
+  return { content: choice?.message?.content || '', usage: toUsage(data.usage) };
+};
+
+/**
+ * Stream a response chunk by chunk (server-sent events)
+ * @param {string} prompt - Prompt text
+ * @param {Function} onChunk - Called with each text chunk
+ * @param {Object} options - { temperature, maxTokens, signal }
+ * @returns {Promise<Object>} { content, usage }
+ */
+const stream = async (prompt, onChunk, options = {}) => {
+  const response = await post(
+    '/chat/completions',
+    buildRequest(prompt, options, { stream: true, stream_options: { include_usage: true } }),
+    options.signal
+  );
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    // Each SSE line is "data: <json>"; keep any incomplete trailing line
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') continue;
+
+      const data = JSON.parse(payload);
+      if (data.usage) usage = data.usage;
+
+      const chunkText = data.choices?.[0]?.delta?.content;
+      if (chunkText) {
+        content += chunkText;
+        onChunk(chunkText);
+      }
+    }
+  }
+
+  return { content, usage: toUsage(usage) };
+};
+
+/**
+ * Embed a single text
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} Embedding vector
+ */
+const embed = async (text) => {
+  const response = await post('/embeddings', { model: EMBEDDING_MODEL, input: text });
+  const data = await response.json();
+
+  const vector = data.data?.[0]?.embedding;
+  if (!Array.isArray(vector)) {
+    throw new Error('Invalid embedding response');
+  }
+
+  return vector;
+};
+
+module.exports = {
+  name: 'openai',
+  model: MODEL_NAME,
+  embeddingModel: EMBEDDING_MODEL,
+  embeddingDimension: EMBEDDING_DIMENSION,
+  generate,
+  stream,
+  embed
+};
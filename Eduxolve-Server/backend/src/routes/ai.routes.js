@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middlewares');
+const { authenticate, scopeToCourse } = require('../middlewares');
 const {
   generate,
   getInfo,
   generateTheory,
   generateLab,
-  generateSlides
+  generateSlides,
+  generateQuiz,
+  generateFlashcards
 } = require('../controllers/ai.controller');
 
 /**
@@ -18,11 +20,16 @@ router.get('/info', authenticate, getInfo);
 
 /**
  * @route   POST /api/ai/generate
- * @desc    Generate AI content (theory, lab, slides)
+ * @desc    Generate AI content (theory, lab, slides, quiz, flashcards)
  * @access  Protected (Admin + Student)
- * @body    { type, topic, language?, context?, options? }
+ * @body    { type, topic, language?, context?, options?, courseId?, parentId?, stream? }
+ *          stream: true responds with Server-Sent Events (start, token, done, error)
+ *          Results are saved to the library (data.generationId); parentId saves the
+ *          result as the next version of that generation
+ *          quiz/flashcards: grounded in the course's indexed material, returned as
+ *          schema-validated JSON in data.quiz / data.flashcards (no token events)
  */
-router.post('/generate', authenticate, generate);
+router.post('/generate', authenticate, scopeToCourse, generate);
 
 /**
  * @route   POST /api/ai/theory
@@ -48,4 +55,20 @@ router.post('/lab', authenticate, generateLab);
  */
 router.post('/slides', authenticate, generateSlides);
 
+/**
+ * @route   POST /api/ai/quiz
+ * @desc    Quick endpoint for quiz generation (MCQ, true/false, short answer)
+ * @access  Protected (Admin + Student)
+ * @body    { topic, courseId?, options?: { questionCount, questionTypes, difficulty } }
+ */
+router.post('/quiz', authenticate, scopeToCourse, generateQuiz);
+
+/**
+ * @route   POST /api/ai/flashcards
+ * @desc    Quick endpoint for flashcard generation
+ * @access  Protected (Admin + Student)
+ * @body    { topic, courseId?, options?: { cardCount } }
+ */
+router.post('/flashcards', authenticate, scopeToCourse, generateFlashcards);
+
 module.exports = router;
@@ -1,153 +1,104 @@
 /**
  * Auth Routes
- * 
- * Handles authentication including:
- * - Admin login with hardcoded credentials
+ *
+ * Handles authentication for local admin and instructor accounts:
+ * - Email + password login (with lockout)
+ * - Access token refresh (rotating refresh tokens) and logout
  * - Token verification
- * 
- * ⚠️ Admin credentials are demo-only
+ * - Password change
+ * - Invitation and password reset links
  */
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { isAdminCredentials, isAdminEmail } = require('../config/admin');
-const User = require('../models/User');
+const { authenticate } = require('../middlewares');
+const {
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verify,
+  updatePassword,
+  getInvitation,
+  acceptInvite,
+  resetPasswordWithToken
+} = require('../controllers/auth.controller');
 
-// JWT secret for admin tokens (demo only)
-const ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET || 'eduxolve-admin-demo-secret-2026';
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in with a local account (423 while locked out)
+ * @access  Public
+ * @body    { email: string, password: string }
+ */
+router.post('/login', login);
 
 /**
  * @route   POST /api/auth/admin/login
- * @desc    Admin login with hardcoded credentials
+ * @desc    Alias of /login kept for older clients
  * @access  Public
- * 
- * ⚠️ MongoDB is NOT required - admin works standalone
  */
-router.post('/admin/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
-
-    // Check if credentials match admin
-    if (!isAdminCredentials(email, password)) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Generate admin JWT token (no MongoDB dependency)
-    const adminId = `admin_${email.replace(/[^a-zA-Z0-9]/g, '_')}`;
-    
-    const token = jwt.sign(
-      {
-        id: adminId,
-        email: email.toLowerCase(),
-        role: 'admin',
-        isAdmin: true
-      },
-      ADMIN_JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Optionally try to sync with MongoDB (non-blocking)
-    try {
-      let user = await User.findOne({ email: email.toLowerCase() });
-      if (!user) {
-        user = await User.create({
-          email: email.toLowerCase(),
-          firebaseUid: adminId,
-          role: 'admin'
-        });
-        console.log(`📝 Admin user synced to DB: ${email}`);
-      } else if (user.role !== 'admin') {
-        user.role = 'admin';
-        await user.save();
-      }
-    } catch (dbError) {
-      // MongoDB sync is optional - admin still works
-      console.warn(`⚠️ MongoDB sync skipped for admin: ${dbError.message}`);
-    }
+router.post('/admin/login', login);
 
-    console.log(`✅ Admin login successful: ${email}`);
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Get a new access token; the refresh token is rotated
+ *          (409 if another tab just rotated it, 401 once the session has ended)
+ * @access  Public
+ * @body    { refreshToken: string }
+ */
+router.post('/refresh', refresh);
 
-    res.status(200).json({
-      success: true,
-      message: 'Admin login successful',
-      token, // Direct token for easier frontend handling
-      user: {
-        id: adminId,
-        email: email.toLowerCase(),
-        role: 'admin'
-      }
-    });
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the current session (its access and refresh tokens stop working)
+ * @access  Public (refresh token in the body, or a staff access token)
+ * @body    { refreshToken?: string }
+ */
+router.post('/logout', logout);
 
-  } catch (error) {
-    console.error('❌ Admin login error:', error.message);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed. Please try again.'
-    });
-  }
-});
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    End every session of the signed-in user, on all devices
+ * @access  Protected
+ */
+router.post('/logout-all', authenticate, logoutAll);
 
 /**
  * @route   POST /api/auth/verify
- * @desc    Verify admin token and return user info
- * @access  Protected (Admin token)
+ * @desc    Verify a local account token and return user info
+ * @access  Protected (local account token)
  */
-router.post('/verify', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
-    }
+router.post('/verify', verify);
 
-    const token = authHeader.split(' ')[1];
+/**
+ * @route   POST /api/auth/password
+ * @desc    Change the signed-in user's password; ends all sessions and returns a new one
+ * @access  Protected (local accounts)
+ * @body    { currentPassword: string, newPassword: string }
+ */
+router.post('/password', authenticate, updatePassword);
 
-    // Try to verify as admin token
-    try {
-      const decoded = jwt.verify(token, ADMIN_JWT_SECRET);
-      
-      if (decoded.isAdmin) {
-        return res.status(200).json({
-          success: true,
-          data: {
-            id: decoded.id,
-            email: decoded.email,
-            role: 'admin'
-          }
-        });
-      }
-    } catch (jwtError) {
-      // Not an admin token, continue to check if it's a Firebase token
-    }
+/**
+ * @route   POST /api/auth/password/reset/:token
+ * @desc    Set a new password from an admin-issued reset link
+ * @access  Public
+ * @body    { password: string }
+ */
+router.post('/password/reset/:token', resetPasswordWithToken);
 
-    // If not admin token, return unauthorized
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Look up a pending invitation (email and role)
+ * @access  Public
+ */
+router.get('/invitations/:token', getInvitation);
 
-  } catch (error) {
-    console.error('❌ Token verification error:', error.message);
-    res.status(500).json({
-      success: false,
-      message: 'Verification failed'
-    });
-  }
-});
+/**
+ * @route   POST /api/auth/invitations/:token/accept
+ * @desc    Accept an invitation by choosing a password
+ * @access  Public
+ * @body    { password: string }
+ */
+router.post('/invitations/:token/accept', acceptInvite);
 
 module.exports = router;
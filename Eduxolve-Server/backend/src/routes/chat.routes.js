@@ -6,34 +6,46 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middlewares');
+const { authenticate, scopeToCourse } = require('../middlewares');
 const {
   chat,
   clearSession,
   getHistory,
   executeAction
 } = require('../controllers/chat.controller');
+const {
+  getConversations,
+  getConversation,
+  updateConversation,
+  removeConversation
+} = require('../controllers/conversation.controller');
 
 /**
  * @route   POST /api/chat
  * @desc    Main chat endpoint - orchestrates AI interactions
  * @access  Protected (Admin + Student)
- * @body    { message: string, history?: Array<{role, content}> }
- * @returns { reply, sources, actions, intent, confidence }
+ * @body    { message: string, conversationId?: string, courseId?: string, history?: Array<{role, content}>, stream?: boolean }
+ *          courseId scopes retrieval for a new conversation; existing conversations keep their course
+ *          stream: true responds with Server-Sent Events (start, token, done, error)
+ * @returns { reply, sources, citations, actions, intent, confidence, conversationId, conversationTitle, courseId }
+ *          citations: [{ index, contentId, chunkId, chunkIndex, title, location, page, slide, fileUrl, excerpt }]
+ *          for every valid [n] marker in reply
  */
-router.post('/', authenticate, chat);
+router.post('/', authenticate, scopeToCourse, chat);
 
 /**
  * @route   POST /api/chat/clear
- * @desc    Clear chat session history
+ * @desc    Clear the messages of a conversation
  * @access  Protected
+ * @body    { conversationId?: string }
  */
 router.post('/clear', authenticate, clearSession);
 
 /**
  * @route   GET /api/chat/history
- * @desc    Get current chat session history
+ * @desc    Get recent history of a conversation (latest if no ID given)
  * @access  Protected
+ * @query   conversationId?
  */
 router.get('/history', authenticate, getHistory);
 
@@ -41,8 +53,38 @@ router.get('/history', authenticate, getHistory);
  * @route   POST /api/chat/action
  * @desc    Execute a quick action (generate_notes, show_code, validate, etc.)
  * @access  Protected
- * @body    { action: string, context?: string }
+ * @body    { action: string, context?: string, conversationId?: string, courseId?: string }
+ */
+router.post('/action', authenticate, scopeToCourse, executeAction);
+
+/**
+ * @route   GET /api/chat/conversations
+ * @desc    List the current user's saved conversations
+ * @access  Protected
+ * @query   courseId? - only conversations in this course
+ */
+router.get('/conversations', authenticate, scopeToCourse, getConversations);
+
+/**
+ * @route   GET /api/chat/conversations/:id
+ * @desc    Open a conversation with its messages
+ * @access  Protected (owner only)
+ */
+router.get('/conversations/:id', authenticate, getConversation);
+
+/**
+ * @route   PATCH /api/chat/conversations/:id
+ * @desc    Rename a conversation
+ * @access  Protected (owner only)
+ * @body    { title: string }
+ */
+router.patch('/conversations/:id', authenticate, updateConversation);
+
+/**
+ * @route   DELETE /api/chat/conversations/:id
+ * @desc    Delete a conversation and its messages
+ * @access  Protected (owner only)
  */
-router.post('/action', authenticate, executeAction);
+router.delete('/conversations/:id', authenticate, removeConversation);
 
 module.exports = router;
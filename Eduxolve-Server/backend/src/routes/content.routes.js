@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, requireRole } = require('../middlewares');
+const { authenticate, requirePermission, scopeToCourse } = require('../middlewares');
 const { upload } = require('../services/upload.service');
 const {
   uploadContent,
   listContent,
   getContent,
+  getDocument,
   deleteContent,
   updateContent
 } = require('../controllers/content.controller');
@@ -44,14 +45,15 @@ const handleUploadError = (err, req, res, next) => {
 /**
  * @route   POST /api/content
  * @desc    Upload new content
- * @access  Protected (Admin only)
+ * @access  Protected (content:upload, within its week/tag scope)
  */
 router.post(
   '/',
   authenticate,
-  requireRole('admin'),
+  requirePermission('content:upload'),
   upload.single('file'),
   handleUploadError,
+  scopeToCourse,
   uploadContent
 );
 
@@ -59,11 +61,12 @@ router.post(
  * @route   GET /api/content
  * @desc    List all content with filters
  * @access  Protected (Admin + Student)
- * @query   type, week, topic, tags, page, limit
+ * @query   courseId, type, week, topic, tags, page, limit
  */
 router.get(
   '/',
   authenticate,
+  scopeToCourse,
   listContent
 );
 
@@ -78,27 +81,40 @@ router.get(
   getContent
 );
 
+/**
+ * @route   GET /api/content/:id/document
+ * @desc    Extracted text of a content item with the position of each chunk
+ * @access  Protected (Admin + Student)
+ * @returns { content, segments: [{ page, slide, text }], chunks: [{ chunkIndex, text, page, slide, segment, start, end }] }
+ */
+router.get(
+  '/:id/document',
+  authenticate,
+  getDocument
+);
+
 /**
  * @route   PATCH /api/content/:id
  * @desc    Update content metadata
- * @access  Protected (Admin only)
+ * @access  Protected (content:edit, within its week/tag scope)
  */
 router.patch(
   '/:id',
   authenticate,
-  requireRole('admin'),
+  requirePermission('content:edit'),
+  scopeToCourse,
   updateContent
 );
 
 /**
  * @route   DELETE /api/content/:id
  * @desc    Delete content
- * @access  Protected (Admin only)
+ * @access  Protected (content:edit, within its week/tag scope)
  */
 router.delete(
   '/:id',
   authenticate,
-  requireRole('admin'),
+  requirePermission('content:edit'),
   deleteContent
 );
 
@@ -0,0 +1,73 @@
+/**
+ * Course Routes
+ * 
+ * Course catalogue and membership. Content, search and chat are scoped
+ * to a course by passing its `courseId`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middlewares');
+const {
+  getCourses,
+  getCourse,
+  addCourse,
+  editCourse,
+  removeCourse,
+  addCourseMember,
+  removeCourseMember
+} = require('../controllers/course.controller');
+
+/**
+ * @route   GET /api/courses
+ * @desc    List the current user's courses (admins see all)
+ * @access  Protected
+ */
+router.get('/', authenticate, getCourses);
+
+/**
+ * @route   POST /api/courses
+ * @desc    Create a course
+ * @access  Protected (Admin only)
+ * @body    { code: string, title: string, term?: string }
+ */
+router.post('/', authenticate, requireRole('admin'), addCourse);
+
+/**
+ * @route   GET /api/courses/:id
+ * @desc    Get a course with its members
+ * @access  Protected (members and admins)
+ */
+router.get('/:id', authenticate, getCourse);
+
+/**
+ * @route   PATCH /api/courses/:id
+ * @desc    Update course details
+ * @access  Protected (Admin only)
+ * @body    { code?, title?, term? }
+ */
+router.patch('/:id', authenticate, requireRole('admin'), editCourse);
+
+/**
+ * @route   DELETE /api/courses/:id
+ * @desc    Delete a course without content
+ * @access  Protected (Admin only)
+ */
+router.delete('/:id', authenticate, requireRole('admin'), removeCourse);
+
+/**
+ * @route   POST /api/courses/:id/members
+ * @desc    Add an instructor or student by email
+ * @access  Protected (Admin only)
+ * @body    { email: string, role?: 'student' | 'instructor' }
+ */
+router.post('/:id/members', authenticate, requireRole('admin'), addCourseMember);
+
+/**
+ * @route   DELETE /api/courses/:id/members/:userId
+ * @desc    Remove a member from a course
+ * @access  Protected (Admin only)
+ */
+router.delete('/:id/members/:userId', authenticate, requireRole('admin'), removeCourseMember);
+
+module.exports = router;
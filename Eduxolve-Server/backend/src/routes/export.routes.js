@@ -0,0 +1,34 @@
+/**
+ * Export Routes
+ *
+ * Download generated content as files
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares');
+const { exportSlides, exportNotes } = require('../controllers/export.controller');
+
+/**
+ * @route   POST /api/export/slides
+ * @desc    Export generated slides as PPTX, PDF or a self-contained Reveal.js page.
+ *          Code blocks are kept; speaker notes become PPTX notes, PDF notes
+ *          (plus a notes handout) or Reveal.js speaker view notes.
+ * @access  Protected (Admin + Student)
+ * @body    { content: string, title?: string, format: 'pptx'|'pdf'|'html', theme?: string }
+ *          theme (html only): white | black | simple | serif | sky | solarized | moon | beige
+ */
+router.post('/slides', authenticate, exportSlides);
+
+/**
+ * @route   POST /api/export/notes
+ * @desc    Export generated notes as PDF, DOCX or a zipped Markdown file,
+ *          ending with a references section built from the sources
+ * @access  Protected (Admin + Student)
+ * @body    { content: string, format: 'pdf'|'docx'|'md', title?, topic?,
+ *            sources?: Array<string|{ title, location?, url? }>, references?: [{ title, location? }] }
+ *          content/topic/sources/references are the fields returned by POST /api/ai/generate
+ */
+router.post('/notes', authenticate, exportNotes);
+
+module.exports = router;
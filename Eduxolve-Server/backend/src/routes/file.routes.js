@@ -11,6 +11,9 @@ const authenticate = require('../middlewares/auth.middleware');
 const { 
   uploadMiddleware, 
   uploadFile, 
+  listFiles,
+  getFile,
+  downloadFile,
   getFileContext,
   deleteFileContext,
   getSupportedFileTypes 
@@ -23,24 +26,45 @@ const {
  */
 router.get('/supported-types', getSupportedFileTypes);
 
+/**
+ * @route   GET /api/files
+ * @desc    List your stored files ("My files") with quota usage
+ * @access  Protected
+ */
+router.get('/', authenticate, listFiles);
+
 /**
  * @route   POST /api/files/upload
- * @desc    Upload and process a file for AI context
+ * @desc    Upload and process a file for AI context (413 when over quota)
  * @access  Protected
  */
 router.post('/upload', authenticate, uploadMiddleware, uploadFile);
 
+/**
+ * @route   GET /api/files/:fileId
+ * @desc    Get a stored file to reattach it; restarts its expiry
+ * @access  Protected (owner)
+ */
+router.get('/:fileId', authenticate, getFile);
+
+/**
+ * @route   GET /api/files/:fileId/download
+ * @desc    Download the original file
+ * @access  Protected (owner)
+ */
+router.get('/:fileId/download', authenticate, downloadFile);
+
 /**
  * @route   GET /api/files/:fileId/context
  * @desc    Get processed file context by ID
- * @access  Protected
+ * @access  Protected (owner)
  */
 router.get('/:fileId/context', authenticate, getFileContext);
 
 /**
  * @route   DELETE /api/files/:fileId
- * @desc    Delete file context
- * @access  Protected
+ * @desc    Delete a stored file and its context
+ * @access  Protected (owner)
  */
 router.delete('/:fileId', authenticate, deleteFileContext);
 
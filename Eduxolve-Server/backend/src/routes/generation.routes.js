@@ -0,0 +1,41 @@
+/**
+ * Generation Routes
+ *
+ * Library of saved results from POST /api/ai/generate.
+ * To regenerate, call POST /api/ai/generate with the saved request and
+ * `parentId`; the result is saved as the next version.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares');
+const {
+  getGenerations,
+  getGenerationById,
+  removeGeneration
+} = require('../controllers/generation.controller');
+
+/**
+ * @route   GET /api/generations
+ * @desc    List the current user's generations, latest version of each, newest first
+ * @access  Protected
+ * @query   q? (full-text search over title, prompt and output), type?, language?,
+ *          status? (pending | grounded | review | error), courseId?, page?, limit?
+ */
+router.get('/', authenticate, getGenerations);
+
+/**
+ * @route   GET /api/generations/:id
+ * @desc    Get a generation (prompt, output, sources, validation) and its versions
+ * @access  Protected (owner only)
+ */
+router.get('/:id', authenticate, getGenerationById);
+
+/**
+ * @route   DELETE /api/generations/:id
+ * @desc    Delete one version of a generation
+ * @access  Protected (owner only)
+ */
+router.delete('/:id', authenticate, removeGeneration);
+
+module.exports = router;
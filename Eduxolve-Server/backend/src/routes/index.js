@@ -11,6 +11,10 @@ const validationRoutes = require('./validation.routes');
 const chatRoutes = require('./chat.routes');
 const fileRoutes = require('./file.routes');
 const authRoutes = require('./auth.routes');
+const courseRoutes = require('./course.routes');
+const jobRoutes = require('./job.routes');
+const exportRoutes = require('./export.routes');
+const generationRoutes = require('./generation.routes');
 
 /**
  * Central route registration
@@ -26,6 +30,9 @@ router.use('/auth', authRoutes);
 // User routes - includes /me (protected)
 router.use('/', userRoutes);
 
+// Course routes - Courses & membership
+router.use('/courses', courseRoutes);
+
 // Content routes - CMS
 router.use('/content', contentRoutes);
 
@@ -44,6 +51,15 @@ router.use('/chat', chatRoutes);
 // File routes - File upload & context
 router.use('/files', fileRoutes);
 
+// Job routes - Background job status
+router.use('/jobs', jobRoutes);
+
+// Export routes - Download generated content as files
+router.use('/export', exportRoutes);
+
+// Generation routes - Saved generations library
+router.use('/generations', generationRoutes);
+
 // DEV TEST: Direct search test endpoint (remove in production)
 const { getIndexingStats, indexContent } = require('../services/indexing.service');
 const { semanticSearch } = require('../services/search.service');
@@ -219,6 +235,8 @@ router.post('/test/create-content', async (req, res) => {
     const Embedding = require('../models/Embedding');
     const { chunkForIndexing } = require('../utils/chunkText');
     const { generateEmbeddings } = require('../services/embedding.service');
+    const { addToVectorIndex } = require('../services/vectorIndex.service');
+    const { addToLexicalIndex } = require('../services/lexicalIndex.service');
 
     const fullText = `${title}\n\n${topic}\n\n${text || 'Test content for semantic search'}`;
     const chunks = chunkForIndexing(fullText, { contentId: content._id, week, topic, contentType: type });
@@ -236,7 +254,9 @@ router.post('/test/create-content', async (req, res) => {
         metadata: { week, topic, totalChunks: chunks.length }
       }));
 
-      await Embedding.insertMany(embeddingDocs);
+      const inserted = await Embedding.insertMany(embeddingDocs);
+      await addToVectorIndex(inserted);
+      await addToLexicalIndex(inserted);
     }
 
     res.json({ 
@@ -260,13 +280,30 @@ router.get('/', (req, res) => {
       health: 'GET /health',
       me: 'GET /me (protected)',
       meFull: 'GET /me/full (protected)',
-      adminUsers: 'GET /admin/users (admin only)',
+      adminUsers: {
+        list: 'GET /admin/users (users:manage)',
+        permissions: 'GET /admin/permissions (users:manage)',
+        invite: 'POST /admin/users/invite (users:manage)',
+        update: 'PATCH /admin/users/:id (users:manage)',
+        unlock: 'POST /admin/users/:id/unlock (users:manage)',
+        resetLink: 'POST /admin/users/:id/reset-link (users:manage)'
+      },
+      auth: {
+        login: 'POST /auth/login',
+        refresh: 'POST /auth/refresh',
+        logout: 'POST /auth/logout',
+        logoutAll: 'POST /auth/logout-all (protected)',
+        changePassword: 'POST /auth/password (protected)',
+        invitation: 'GET /auth/invitations/:token',
+        acceptInvitation: 'POST /auth/invitations/:token/accept',
+        resetPassword: 'POST /auth/password/reset/:token'
+      },
       content: {
         list: 'GET /content (protected)',
         get: 'GET /content/:id (protected)',
-        upload: 'POST /content (admin only)',
-        update: 'PATCH /content/:id (admin only)',
-        delete: 'DELETE /content/:id (admin only)'
+        upload: 'POST /content (content:upload)',
+        update: 'PATCH /content/:id (content:edit)',
+        delete: 'DELETE /content/:id (content:edit)'
       },
       ai: {
         info: 'GET /ai/info (protected)',
@@ -280,21 +317,41 @@ router.get('/', (req, res) => {
         suggestions: 'GET /search/suggestions?q= (protected)',
         context: 'POST /search/context (protected)',
         related: 'GET /search/related/:contentId (protected)',
-        stats: 'GET /search/stats (admin only)',
-        indexSingle: 'POST /search/index/:contentId (admin only)',
-        indexAll: 'POST /search/index-all (admin only)'
+        stats: 'GET /search/stats (analytics:view)',
+        indexSingle: 'POST /search/index/:contentId (content:edit)',
+        indexAll: 'POST /search/index-all (admin only)',
+        rebuildIndex: 'POST /search/rebuild-index (admin only)'
       },
       validate: {
         validate: 'POST /validate (protected)',
         quick: 'POST /validate/quick (protected)',
         correctness: 'POST /validate/correctness (protected)',
-        stats: 'GET /validate/stats (admin only)'
+        stats: 'GET /validate/stats (analytics:view)'
       },
       chat: {
         chat: 'POST /chat (protected)',
         clear: 'POST /chat/clear (protected)',
         history: 'GET /chat/history (protected)',
-        action: 'POST /chat/action (protected)'
+        action: 'POST /chat/action (protected)',
+        conversations: 'GET /chat/conversations (protected)',
+        conversation: 'GET/PATCH/DELETE /chat/conversations/:id (protected)'
+      },
+      generations: {
+        list: 'GET /generations (protected)',
+        get: 'GET /generations/:id (protected)',
+        delete: 'DELETE /generations/:id (protected)'
+      },
+      files: {
+        list: 'GET /files (protected)',
+        upload: 'POST /files/upload (protected)',
+        get: 'GET /files/:fileId (owner)',
+        download: 'GET /files/:fileId/download (owner)',
+        context: 'GET /files/:fileId/context (owner)',
+        delete: 'DELETE /files/:fileId (owner)'
+      },
+      export: {
+        slides: 'POST /export/slides (protected)',
+        notes: 'POST /export/notes (protected)'
       }
     }
   });
@@ -0,0 +1,21 @@
+/**
+ * Job Routes
+ *
+ * Progress of background work queued by other endpoints
+ * (uploads and `POST /api/search/index-all` return a `jobId`).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares');
+const { getJobStatus } = require('../controllers/job.controller');
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Job status: queued | running | completed | failed, with progress,
+ *          per-item status and error messages
+ * @access  Protected (Admin, or the user who queued the job)
+ */
+router.get('/:id', authenticate, getJobStatus);
+
+module.exports = router;
@@ -1,39 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, requireRole } = require('../middlewares');
+const { authenticate, requireRole, requirePermission, scopeToCourse } = require('../middlewares');
 const {
   search,
   suggestions,
   related,
   indexSingle,
   indexAll,
+  reindexStale,
+  rebuildIndex,
   stats,
   getContext
 } = require('../controllers/search.controller');
 
 /**
  * @route   POST /api/search
- * @desc    Semantic search for course content
+ * @desc    Search course content (mode: semantic | keyword | hybrid, default hybrid)
+ *          rerank: none | llm | cross-encoder re-scores the top candidates;
+ *          diversity (0-1) spreads results across sources with MMR
  * @access  Protected (Admin + Student)
- * @body    { query, type?, week?, topic?, limit? }
+ * @body    { query, courseId?, type?, week?, topic?, limit?, mode?, rerank?, diversity? }
  */
-router.post('/', authenticate, search);
+router.post('/', authenticate, scopeToCourse, search);
 
 /**
  * @route   GET /api/search/suggestions
  * @desc    Get search suggestions
  * @access  Protected (Admin + Student)
- * @query   q - partial query string
+ * @query   q - partial query string, courseId? - restrict to a course
  */
-router.get('/suggestions', authenticate, suggestions);
+router.get('/suggestions', authenticate, scopeToCourse, suggestions);
 
 /**
  * @route   POST /api/search/context
  * @desc    Get RAG context for a topic
  * @access  Protected (Admin + Student)
- * @body    { topic, type?, maxChunks? }
+ * @body    { topic, courseId?, type?, maxChunks?, rerank?, diversity? }
  */
-router.post('/context', authenticate, getContext);
+router.post('/context', authenticate, scopeToCourse, getContext);
 
 /**
  * @route   GET /api/search/related/:contentId
@@ -41,27 +45,41 @@ router.post('/context', authenticate, getContext);
  * @access  Protected (Admin + Student)
  * @param   contentId - Content ObjectId
  */
-router.get('/related/:contentId', authenticate, related);
+router.get('/related/:contentId', authenticate, scopeToCourse, related);
 
 /**
  * @route   GET /api/search/stats
  * @desc    Get indexing statistics
- * @access  Protected (Admin only)
+ * @access  Protected (analytics:view)
  */
-router.get('/stats', authenticate, requireRole('admin'), stats);
+router.get('/stats', authenticate, requirePermission('analytics:view'), stats);
 
 /**
  * @route   POST /api/search/index/:contentId
- * @desc    Index a specific content item
- * @access  Protected (Admin only)
+ * @desc    Queue a specific content item for (re-)indexing; returns 202 with a jobId
+ * @access  Protected (content:edit, within its week/tag scope)
  */
-router.post('/index/:contentId', authenticate, requireRole('admin'), indexSingle);
+router.post('/index/:contentId', authenticate, requirePermission('content:edit'), indexSingle);
 
 /**
  * @route   POST /api/search/index-all
- * @desc    Index all unindexed content
+ * @desc    Queue all unindexed content for indexing; returns 202 with a jobId
  * @access  Protected (Admin only)
  */
 router.post('/index-all', authenticate, requireRole('admin'), indexAll);
 
+/**
+ * @route   POST /api/search/reindex-stale
+ * @desc    Queue content embedded with a different model (runs on startup too)
+ * @access  Protected (Admin only)
+ */
+router.post('/reindex-stale', authenticate, requireRole('admin'), reindexStale);
+
+/**
+ * @route   POST /api/search/rebuild-index
+ * @desc    Rebuild the vector and keyword indexes from stored embeddings
+ * @access  Protected (Admin only)
+ */
+router.post('/rebuild-index', authenticate, requireRole('admin'), rebuildIndex);
+
 module.exports = router;
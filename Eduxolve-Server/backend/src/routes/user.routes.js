@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, requireRole } = require('../middlewares');
+const { authenticate, requirePermission } = require('../middlewares');
+const { getGrants } = require('../services/permission.service');
 const User = require('../models/User');
+const {
+  getUsers,
+  getPermissions,
+  inviteStaff,
+  editUser,
+  unlockAccount,
+  createResetLink
+} = require('../controllers/user.controller');
 
 /**
  * @route   GET /me
@@ -14,7 +23,8 @@ router.get('/me', authenticate, (req, res) => {
     data: {
       id: req.user.id,
       email: req.user.email,
-      role: req.user.role
+      role: req.user.role,
+      permissions: getGrants(req.user)
     }
   });
 });
@@ -50,25 +60,48 @@ router.get('/me/full', authenticate, async (req, res) => {
 
 /**
  * @route   GET /admin/users
- * @desc    Get all users (admin only)
- * @access  Protected (Admin)
+ * @desc    Get all users, optionally filtered by role or email
+ * @access  Protected (users:manage)
+ * @query   { role?: 'admin' | 'instructor' | 'ta' | 'student', q?: string }
  */
-router.get('/admin/users', authenticate, requireRole('admin'), async (req, res) => {
-  try {
-    const users = await User.find().select('-__v').sort({ createdAt: -1 });
-    
-    res.status(200).json({
-      success: true,
-      count: users.length,
-      data: users
-    });
-  } catch (error) {
-    console.error('Error fetching users:', error.message);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
+router.get('/admin/users', authenticate, requirePermission('users:manage'), getUsers);
+
+/**
+ * @route   GET /admin/permissions
+ * @desc    Permission catalog and each role's default permissions
+ * @access  Protected (users:manage)
+ */
+router.get('/admin/permissions', authenticate, requirePermission('users:manage'), getPermissions);
+
+/**
+ * @route   POST /admin/users/invite
+ * @desc    Invite a staff member; returns a one-time invitation link
+ * @access  Protected (users:manage; only admins invite admins)
+ * @body    { email: string, role?: 'admin' | 'instructor' | 'ta' }
+ */
+router.post('/admin/users/invite', authenticate, requirePermission('users:manage'), inviteStaff);
+
+/**
+ * @route   PATCH /admin/users/:id
+ * @desc    Change a user's role or permissions, disable or re-enable them
+ * @access  Protected (users:manage; only admins change admin accounts)
+ * @body    { role?: 'admin' | 'instructor' | 'ta' | 'student', disabled?: boolean,
+ *            permissions?: [{ permission, weeks?: number[], tags?: string[] }] | null }
+ */
+router.patch('/admin/users/:id', authenticate, requirePermission('users:manage'), editUser);
+
+/**
+ * @route   POST /admin/users/:id/unlock
+ * @desc    Lift a lockout after failed logins
+ * @access  Protected (users:manage)
+ */
+router.post('/admin/users/:id/unlock', authenticate, requirePermission('users:manage'), unlockAccount);
+
+/**
+ * @route   POST /admin/users/:id/reset-link
+ * @desc    Create a one-time password reset link for a local account
+ * @access  Protected (users:manage)
+ */
+router.post('/admin/users/:id/reset-link', authenticate, requirePermission('users:manage'), createResetLink);
 
 module.exports = router;
@@ -6,7 +6,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticate, requireRole } = require('../middlewares');
+const { authenticate, requirePermission } = require('../middlewares');
 const {
   validate,
   quickValidateEndpoint,
@@ -18,7 +18,11 @@ const {
  * @route   POST /api/validate
  * @desc    Full validation with all layers (grounding, structure, AI eval)
  * @access  Protected (Admin + Student)
- * @body    { type: 'theory'|'lab'|'slides', content: string, context?: string[], options?: object }
+ * @body    { type: 'theory'|'lab'|'slides', content: string, context?: string[], options?: object, generationId?: string }
+ *          generationId: saved generation to store the score on (see /api/generations)
+ *          Lab options: { language?, testCases?: [{ name, input, expectedOutput }], generateTests?, execute? }
+ *          Lab code is compiled/run in a sandbox only with execute: true and the code:run permission;
+ *          per-test results are returned in layers.codeValidation.execution
  */
 router.post('/', authenticate, validate);
 
@@ -41,8 +45,8 @@ router.post('/correctness', authenticate, checkCorrectness);
 /**
  * @route   GET /api/validate/stats
  * @desc    Get validation statistics (admin dashboard)
- * @access  Protected (Admin only)
+ * @access  Protected (analytics:view)
  */
-router.get('/stats', authenticate, requireRole('admin'), getValidationStats);
+router.get('/stats', authenticate, requirePermission('analytics:view'), getValidationStats);
 
 module.exports = router;
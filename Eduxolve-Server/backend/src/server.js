@@ -2,6 +2,10 @@ require('dotenv').config();
 
 const app = require('./app');
 const connectDB = require('./config/db');
+const { startJobWorker } = require('./services/jobQueue.service');
+const { queueStaleEmbeddings } = require('./services/indexing.service');
+const { ensureBootstrapAdmin } = require('./services/account.service');
+const { startAttachmentCleanup } = require('./services/attachment.service');
 
 // Initialize Firebase (will exit if credentials not found)
 require('./config/firebase');
@@ -16,6 +20,20 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD
+    await ensureBootstrapAdmin();
+
+    // Process queued background jobs (indexing)
+    startJobWorker();
+
+    // Remove expired chat attachments and their stored files
+    startAttachmentCleanup();
+
+    // Re-embed content indexed with a different embedding model
+    queueStaleEmbeddings().catch(error => {
+      console.error('❌ Stale embedding check failed:', error.message);
+    });
+
     // Start Express server
     app.listen(PORT, () => {
       console.log(`
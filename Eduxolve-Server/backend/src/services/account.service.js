@@ -0,0 +1,625 @@
+/**
+ * Account Service
+ *
+ * Local (email + password) accounts for staff (admins, instructors, TAs):
+ * password login with lockout, session refresh and logout, password
+ * change, invitation and reset links, and user management (promote,
+ * demote, permissions, disable, unlock).
+ *
+ * Signing in starts a server-side session (see session.service): the
+ * response carries a short-lived access token and a refresh token.
+ *
+ * Link tokens are random 32-byte values sent only in the link; the
+ * database keeps their SHA-256 so a leaked backup cannot be replayed.
+ * There is no mail transport, so links are returned to the admin who
+ * created them to pass on.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { USER_ROLES } = require('../models/User');
+const {
+  ACCOUNT_JWT_SECRET,
+  ACCESS_TOKEN_TTL_MINUTES,
+  BCRYPT_ROUNDS,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  MAX_FAILED_LOGINS,
+  LOCKOUT_MINUTES,
+  INVITE_TTL_HOURS,
+  PASSWORD_RESET_TTL_HOURS,
+  CLIENT_URL,
+  STAFF_ROLES
+} = require('../config/admin');
+const { PERMISSIONS } = require('../config/permissions');
+const { normalizeGrants, hasPermission } = require('./permission.service');
+const {
+  createSession,
+  rotateSession,
+  getActiveSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions
+} = require('./session.service');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Compared against when the email is unknown, so both paths take as long
+let dummyHash = null;
+
+/**
+ * Check a new password against the password rules
+ * @param {string} password - Candidate password
+ * @returns {string|null} Error message or null when valid
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+    return `Password cannot exceed ${PASSWORD_MAX_LENGTH} bytes`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  return null;
+};
+
+/**
+ * SHA-256 of a link token, as stored in the database
+ * @param {string} token - Token from the link
+ * @returns {string} Hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a one-time link token
+ * @param {number} ttlHours - Lifetime in hours
+ * @returns {{token: string, tokenHash: string, expiresAt: Date}}
+ */
+const createLinkToken = (ttlHours) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Store a new password and end every session issued before it
+ * @param {Object} user - User document
+ * @param {string} password - Validated password
+ */
+const setPassword = async (user, password) => {
+  user.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  // JWT iat has 1 s resolution; back-date so a token issued right after still passes
+  user.passwordChangedAt = new Date(Date.now() - 1000);
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+  user.passwordReset = undefined;
+  await revokeUserSessions(user._id, 'password_changed');
+};
+
+/**
+ * Sign an access token for a local account session
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} JWT
+ */
+const signAccountToken = (user, sessionId) => jwt.sign(
+  {
+    id: user._id.toString(),
+    email: user.email,
+    role: user.role,
+    sid: sessionId.toString(),
+    local: true
+  },
+  ACCOUNT_JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 }
+);
+
+/**
+ * Start a session and issue its tokens
+ * @param {Object} user - User document
+ * @param {Object} meta - { userAgent, ip }
+ * @returns {Promise<Object>} { user, token, refreshToken, expiresIn }
+ */
+const startSession = async (user, meta) => {
+  const { session, refreshToken } = await createSession(user._id, meta);
+  return {
+    user,
+    token: signAccountToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+  };
+};
+
+/**
+ * Verify a local account token
+ * @param {string} token - Bearer token
+ * @returns {Object|null} Decoded payload, or null if it is not a valid local token
+ */
+const verifyAccountToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, ACCOUNT_JWT_SECRET);
+    return decoded.local ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Load the user behind a verified local token
+ * Tokens of revoked sessions or disabled users, or issued before the last
+ * password change, are refused.
+ * @param {Object} decoded - Payload from verifyAccountToken
+ * @returns {Promise<Object>} { user } or { status, message }
+ */
+const getTokenUser = async (decoded) => {
+  // Tokens from before sessions existed carry no sid
+  if (!decoded.sid || !(await getActiveSession(decoded.sid))) {
+    return { status: 401, message: 'Session ended. Please sign in again.' };
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return { status: 401, message: 'Account no longer exists.' };
+  }
+  if (user.disabled) {
+    return { status: 403, message: 'This account has been disabled.' };
+  }
+  if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+    return { status: 401, message: 'Password changed. Please sign in again.' };
+  }
+  return { user };
+};
+
+/**
+ * Sign in with email and password
+ * Each wrong password counts towards a lockout of LOCKOUT_MINUTES.
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @param {Object} meta - { userAgent, ip } for the new session
+ * @returns {Promise<Object>} { user, token, refreshToken, expiresIn } or { status, message, code? }
+ */
+const loginWithPassword = async (email, password, meta) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('+passwordHash');
+
+  if (!user || !user.passwordHash) {
+    dummyHash = dummyHash || await bcrypt.hash('not-a-real-password', BCRYPT_ROUNDS);
+    await bcrypt.compare(String(password), dummyHash);
+    return { status: 401, message: 'Invalid credentials' };
+  }
+  if (user.disabled) {
+    return { status: 403, message: 'This account has been disabled', code: 'ACCOUNT_DISABLED' };
+  }
+  if (user.isLocked()) {
+    const minutes = Math.ceil((user.lockedUntil - Date.now()) / 60000);
+    return {
+      status: 423,
+      message: `Account locked after too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      code: 'ACCOUNT_LOCKED'
+    };
+  }
+
+  if (!(await bcrypt.compare(String(password), user.passwordHash))) {
+    // Counted atomically so parallel guesses cannot all read the same count
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    ).select('failedLoginAttempts');
+    if (counted && counted.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) } }
+      );
+      console.warn(`🔒 Account locked after failed logins: ${user.email}`);
+      return {
+        status: 423,
+        message: `Account locked after too many failed attempts. Try again in ${LOCKOUT_MINUTES} minutes.`,
+        code: 'ACCOUNT_LOCKED'
+      };
+    }
+    return { status: 401, message: 'Invalid credentials' };
+  }
+
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  return startSession(user, meta);
+};
+
+/**
+ * Renew a session's access token with its refresh token
+ * The refresh token is rotated; the old one stops working.
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} { user, token, refreshToken, expiresIn } or { status, message, code }
+ */
+const refreshSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { status: 400, message: 'Refresh token is required' };
+  }
+
+  const rotated = await rotateSession(refreshToken);
+  if (!rotated.session) return rotated;
+
+  const { session } = rotated;
+  const user = await User.findById(session.user);
+  if (!user || user.disabled) {
+    await revokeSession(session._id, 'disabled');
+    return { status: 403, message: 'This account has been disabled', code: 'ACCOUNT_DISABLED' };
+  }
+
+  return {
+    user,
+    token: signAccountToken(user, session._id),
+    refreshToken: rotated.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+  };
+};
+
+/**
+ * End one session
+ * Uses the refresh token when given, so an expired access token can still log out.
+ * @param {Object} params - { refreshToken?, sessionId? }
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const logout = async ({ refreshToken, sessionId }) => {
+  if (refreshToken && typeof refreshToken === 'string') {
+    return revokeSessionByRefreshToken(refreshToken, 'logout');
+  }
+  if (sessionId) {
+    return revokeSession(sessionId, 'logout');
+  }
+  return false;
+};
+
+/**
+ * End every session of a user, on every device
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const logoutAll = (userId) => revokeUserSessions(userId, 'logout_all');
+
+/**
+ * Change the signed-in user's password
+ * @param {string} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {Object} meta - { userAgent, ip } for the new session
+ * @returns {Promise<Object>} { user, token, refreshToken, expiresIn } or { status, message }
+ */
+const changePassword = async (userId, currentPassword, newPassword, meta) => {
+  const user = await User.findById(userId).select('+passwordHash');
+  if (!user || !user.passwordHash) {
+    return { status: 400, message: 'This account signs in with Google or Firebase; change the password there' };
+  }
+  if (!(await bcrypt.compare(String(currentPassword || ''), user.passwordHash))) {
+    return { status: 400, message: 'Current password is incorrect' };
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return { status: 400, message: passwordError };
+  }
+
+  await setPassword(user, newPassword);
+  await user.save();
+
+  // Every session was revoked, this one included; hand back a fresh one
+  return startSession(user, meta);
+};
+
+/**
+ * Invite a staff member
+ * Inviting an email whose invitation is still pending issues a new link.
+ * Only admins may invite admins.
+ * @param {string} email - Invitee email
+ * @param {string} role - 'admin' | 'instructor' | 'ta'
+ * @param {Object} invitedBy - req.user
+ * @returns {Promise<Object>} { user, inviteUrl, expiresAt } or { status, message }
+ */
+const inviteUser = async (email, role, invitedBy) => {
+  const normalizedEmail = String(email || '').toLowerCase().trim();
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    return { status: 400, message: 'A valid email is required' };
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    return { status: 400, message: `Role must be one of: ${STAFF_ROLES.join(', ')}` };
+  }
+  if (role === 'admin' && invitedBy.role !== 'admin') {
+    return { status: 403, message: 'Only admins can invite admins' };
+  }
+
+  let user = await User.findOne({ email: normalizedEmail });
+  if (user && !user.isInvitePending()) {
+    return { status: 409, message: 'A user with this email already exists. Change their role instead.' };
+  }
+  if (user && user.role === 'admin' && invitedBy.role !== 'admin') {
+    return { status: 403, message: 'Only admins can invite admins' };
+  }
+  if (!user) {
+    user = new User({ email: normalizedEmail });
+  }
+
+  const { token, tokenHash, expiresAt } = createLinkToken(INVITE_TTL_HOURS);
+  user.role = role;
+  user.invitation = { tokenHash, expiresAt, invitedBy: invitedBy.email };
+  await user.save();
+
+  console.log(`✉️ Invitation created for ${normalizedEmail} (${role}) by ${invitedBy.email}`);
+
+  return { user, inviteUrl: `${CLIENT_URL}/invite/${token}`, expiresAt };
+};
+
+/**
+ * Find the user a pending invitation belongs to
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object>} { user } or { status, message }
+ */
+const findInvitation = async (token) => {
+  const user = await User.findOne({ 'invitation.tokenHash': hashToken(token) });
+  if (!user || !user.isInvitePending()) {
+    return { status: 404, message: 'Invitation not found or already used' };
+  }
+  if (user.invitation.expiresAt < new Date()) {
+    return { status: 410, message: 'This invitation has expired. Ask an admin for a new one.' };
+  }
+  return { user };
+};
+
+/**
+ * Accept an invitation by choosing a password; signs the user in
+ * @param {string} token - Invitation token
+ * @param {string} password - New password
+ * @param {Object} meta - { userAgent, ip } for the new session
+ * @returns {Promise<Object>} { user, token, refreshToken, expiresIn } or { status, message }
+ */
+const acceptInvitation = async (token, password, meta) => {
+  const found = await findInvitation(token);
+  if (!found.user) return found;
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { status: 400, message: passwordError };
+  }
+
+  const { user } = found;
+  await setPassword(user, password);
+  user.invitation = { invitedBy: user.invitation.invitedBy, acceptedAt: new Date() };
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  console.log(`✅ Invitation accepted: ${user.email} (${user.role})`);
+
+  return startSession(user, meta);
+};
+
+/**
+ * Create a password reset link for a local account
+ * Only admins may create links for admin accounts.
+ * @param {string} userId - User ID
+ * @param {Object} actor - req.user
+ * @returns {Promise<Object>} { user, resetUrl, expiresAt } or { status, message }
+ */
+const createPasswordReset = async (userId, actor) => {
+  const user = await User.findById(userId).select('+passwordHash');
+  if (!user) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (user.role === 'admin' && actor.role !== 'admin') {
+    return { status: 403, message: 'Only admins can change admin accounts' };
+  }
+  if (!user.passwordHash) {
+    return { status: 400, message: 'This user signs in with Google or Firebase and has no password here' };
+  }
+
+  const { token, tokenHash, expiresAt } = createLinkToken(PASSWORD_RESET_TTL_HOURS);
+  user.passwordReset = { tokenHash, expiresAt };
+  await user.save();
+
+  return { user, resetUrl: `${CLIENT_URL}/reset-password/${token}`, expiresAt };
+};
+
+/**
+ * Set a new password from a reset link; signs the user in
+ * @param {string} token - Reset token
+ * @param {string} password - New password
+ * @param {Object} meta - { userAgent, ip } for the new session
+ * @returns {Promise<Object>} { user, token, refreshToken, expiresIn } or { status, message }
+ */
+const resetPassword = async (token, password, meta) => {
+  const user = await User.findOne({ 'passwordReset.tokenHash': hashToken(token) });
+  if (!user || !user.passwordReset?.expiresAt) {
+    return { status: 404, message: 'Reset link not found or already used' };
+  }
+  if (user.passwordReset.expiresAt < new Date()) {
+    return { status: 410, message: 'This reset link has expired. Ask an admin for a new one.' };
+  }
+  if (user.disabled) {
+    return { status: 403, message: 'This account has been disabled' };
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { status: 400, message: passwordError };
+  }
+
+  await setPassword(user, password);
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  return startSession(user, meta);
+};
+
+/**
+ * List users for the admin users page
+ * @param {Object} filters - { role, q }
+ * @returns {Promise<Object[]>} Public user objects, newest first
+ */
+const listUsers = async ({ role, q } = {}) => {
+  const query = {};
+  if (USER_ROLES.includes(role)) query.role = role;
+  if (q) query.email = { $regex: String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+  const users = await User.find(query).sort({ createdAt: -1 });
+  return users.map(user => user.toPublicJSON());
+};
+
+/**
+ * Change a user's role, custom permissions or disabled flag
+ * Nobody can change their own role, permissions or disabled flag, and the
+ * last active admin stays. Only admins may touch admin accounts, promote
+ * to admin or change who holds user management.
+ * @param {Object} actor - req.user
+ * @param {string} userId - Target user ID
+ * @param {Object} changes - { role?, disabled?, permissions? } (permissions null = role defaults)
+ * @returns {Promise<Object>} { user } or { status, message }
+ */
+const updateUser = async (actor, userId, { role, disabled, permissions }) => {
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return { status: 400, message: `Role must be one of: ${USER_ROLES.join(', ')}` };
+  }
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    return { status: 400, message: 'Disabled must be true or false' };
+  }
+
+  let grants;
+  if (permissions !== undefined) {
+    const result = normalizeGrants(permissions);
+    if (result.status) return result;
+    grants = result.grants;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return { status: 404, message: 'User not found' };
+  }
+
+  const nextRole = role !== undefined ? role : user.role;
+  const roleChanging = role !== undefined && role !== user.role;
+  const demoting = roleChanging && user.role === 'admin';
+  const disabling = disabled === true && !user.disabled;
+
+  if (String(user._id) === String(actor.id) && (roleChanging || disabling || permissions !== undefined)) {
+    return { status: 400, message: 'You cannot change your own role, permissions or access' };
+  }
+  if (actor.role !== 'admin') {
+    if (user.role === 'admin' || nextRole === 'admin') {
+      return { status: 403, message: 'Only admins can change admin accounts' };
+    }
+    const managesUsers = grants ? grants.some(grant => grant.permission === PERMISSIONS.USERS_MANAGE) : false;
+    if (permissions !== undefined && managesUsers !== hasPermission(user, PERMISSIONS.USERS_MANAGE)) {
+      return { status: 403, message: 'Only admins can grant or remove user management' };
+    }
+  }
+  if (grants && nextRole === 'admin') {
+    return { status: 400, message: 'Admins always hold every permission' };
+  }
+  if (user.role === 'admin' && !user.disabled && (demoting || disabling)) {
+    const activeAdmins = await User.countDocuments({ role: 'admin', disabled: { $ne: true } });
+    if (activeAdmins <= 1) {
+      return { status: 409, message: 'At least one active admin is required' };
+    }
+  }
+
+  if (role !== undefined) user.role = role;
+  if (disabled !== undefined) user.disabled = disabled;
+  // Custom grants are tied to a role; a role change starts from its defaults
+  if (permissions !== undefined) {
+    user.permissions = grants || undefined;
+  } else if (roleChanging) {
+    user.permissions = undefined;
+  }
+  await user.save();
+
+  if (disabling) {
+    await revokeUserSessions(user._id, 'disabled');
+  }
+
+  console.log(`👤 User ${user.email} updated by ${actor.email}: role=${user.role}, disabled=${user.disabled}, permissions=${user.permissions ? 'custom' : 'role defaults'}`);
+
+  return { user };
+};
+
+/**
+ * Lift a login lockout
+ * Only admins may unlock admin accounts.
+ * @param {string} userId - User ID
+ * @param {Object} actor - req.user
+ * @returns {Promise<Object>} { user } or { status, message }
+ */
+const unlockUser = async (userId, actor) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (user.role === 'admin' && actor.role !== 'admin') {
+    return { status: 403, message: 'Only admins can change admin accounts' };
+  }
+
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+  await user.save();
+
+  return { user };
+};
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD
+ * Does nothing once any admin with a password exists.
+ * @returns {Promise<boolean>} True if an admin was created or upgraded
+ */
+const ensureBootstrapAdmin = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  const existing = await User.exists({ role: 'admin', passwordHash: { $exists: true } });
+  if (existing) return false;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn('⚠️ No admin account yet - set ADMIN_EMAIL and ADMIN_PASSWORD to create one');
+    return false;
+  }
+
+  const passwordError = validatePassword(ADMIN_PASSWORD);
+  if (passwordError) {
+    console.error(`❌ ADMIN_PASSWORD rejected: ${passwordError}`);
+    return false;
+  }
+
+  const email = ADMIN_EMAIL.toLowerCase().trim();
+  const user = (await User.findOne({ email })) || new User({ email });
+  user.role = 'admin';
+  user.disabled = false;
+  await setPassword(user, ADMIN_PASSWORD);
+  await user.save();
+
+  console.log(`👑 Bootstrap admin created: ${email}`);
+  return true;
+};
+
+module.exports = {
+  validatePassword,
+  verifyAccountToken,
+  getTokenUser,
+  loginWithPassword,
+  refreshSession,
+  logout,
+  logoutAll,
+  changePassword,
+  inviteUser,
+  findInvitation,
+  acceptInvitation,
+  createPasswordReset,
+  resetPassword,
+  listUsers,
+  updateUser,
+  unlockUser,
+  ensureBootstrapAdmin
+};
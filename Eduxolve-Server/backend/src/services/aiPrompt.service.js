@@ -238,13 +238,137 @@ Generate the slides now:`;
   return prompt;
 };
 
+// ===================
+// QUIZ GENERATION
+// ===================
+
+const QUESTION_TYPE_LABELS = {
+  mcq: 'multiple choice (4 options, exactly one correct)',
+  true_false: 'true/false',
+  short_answer: 'short answer (1-2 sentences)'
+};
+
+/**
+ * Reference materials block for structured output
+ * Chunks are numbered so items can point back with "source"
+ * @param {string} context - Course material context
+ * @returns {string} Prompt section
+ */
+const buildReferenceSection = (context) => {
+  if (!context || !context.trim()) {
+    return '';
+  }
+
+  return `REFERENCE MATERIALS (numbered):
+"""
+${context}
+"""
+
+Only ask about material covered above. Set "source" to the number of the reference each item is based on.
+
+`;
+};
+
+/**
+ * Generate prompt for a practice quiz (JSON output)
+ * @param {string} topic - The topic to quiz on
+ * @param {string} context - Optional numbered course material context
+ * @param {Object} options - Additional options
+ * @returns {string} Formatted prompt
+ */
+const buildQuizPrompt = (topic, context = '', options = {}) => {
+  const {
+    questionCount = 8,
+    questionTypes = Object.keys(QUESTION_TYPE_LABELS),
+    difficulty = 'intermediate'
+  } = options;
+  const types = [].concat(questionTypes).filter(type => QUESTION_TYPE_LABELS[type]);
+  const count = Math.min(Math.max(parseInt(questionCount, 10) || 8, 1), 30);
+
+  return `${SYSTEM_ROLE}
+
+TASK: Write a practice quiz that checks understanding of the following topic.
+
+TOPIC: ${topic}
+NUMBER OF QUESTIONS: ${count}
+DIFFICULTY: ${difficulty}
+QUESTION TYPES: ${(types.length > 0 ? types : Object.keys(QUESTION_TYPE_LABELS)).map(type => QUESTION_TYPE_LABELS[type]).join('; ')}
+
+${buildReferenceSection(context)}OUTPUT REQUIREMENTS:
+1. Mix the allowed question types
+2. Every question has an answer key and an explanation of why the answer is correct
+3. For multiple choice, "answer" is the 0-based index of the correct option; distractors should be plausible
+4. For short answer, list 1-4 "keywords" a correct answer must mention
+5. Output ONLY the JSON object, no Markdown or commentary
+
+Respond in this exact JSON format:
+{
+  "title": "<quiz title>",
+  "questions": [
+    { "type": "mcq", "question": "<question>", "options": ["<option A>", "<option B>", "<option C>", "<option D>"], "answer": 0, "explanation": "<why this is correct>", "source": 1 },
+    { "type": "true_false", "question": "<statement>", "answer": true, "explanation": "<why>", "source": 1 },
+    { "type": "short_answer", "question": "<question>", "answer": "<model answer>", "keywords": ["<key term>"], "explanation": "<why>", "source": 1 }
+  ]
+}`;
+};
+
+/**
+ * Generate prompt for a flashcard deck (JSON output)
+ * @param {string} topic - The topic for the deck
+ * @param {string} context - Optional numbered course material context
+ * @param {Object} options - Additional options
+ * @returns {string} Formatted prompt
+ */
+const buildFlashcardsPrompt = (topic, context = '', options = {}) => {
+  const { cardCount = 12 } = options;
+  const count = Math.min(Math.max(parseInt(cardCount, 10) || 12, 1), 50);
+
+  return `${SYSTEM_ROLE}
+
+TASK: Write a deck of study flashcards for the following topic.
+
+TOPIC: ${topic}
+NUMBER OF CARDS: ${count}
+
+${buildReferenceSection(context)}OUTPUT REQUIREMENTS:
+1. The front is a term, concept or question; the back is a concise answer (1-3 sentences)
+2. Cover definitions, key properties and common pitfalls
+3. Optional "hint" nudges recall without giving the answer away
+4. Output ONLY the JSON object, no Markdown or commentary
+
+Respond in this exact JSON format:
+{
+  "title": "<deck title>",
+  "cards": [
+    { "front": "<term or question>", "back": "<answer>", "hint": "<optional hint>", "source": 1 }
+  ]
+}`;
+};
+
+/**
+ * Ask the model to fix structured output that failed schema validation
+ * @param {string} originalPrompt - Prompt that produced the output
+ * @param {string} output - Invalid model output
+ * @param {string[]} errors - Validation errors
+ * @returns {string} Formatted prompt
+ */
+const buildRepairPrompt = (originalPrompt, output, errors) => `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE:
+${output.substring(0, 6000)}
+
+It was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only.`;
+
 // ===================
 // UTILITY FUNCTIONS
 // ===================
 
 /**
  * Build prompt based on generation type
- * @param {string} type - 'theory' | 'lab' | 'slides'
+ * @param {string} type - 'theory' | 'lab' | 'slides' | 'quiz' | 'flashcards'
  * @param {string} topic - The topic
  * @param {Object} params - Additional parameters
  * @returns {string} Formatted prompt
@@ -262,6 +386,12 @@ const buildPrompt = (type, topic, params = {}) => {
     case 'slides':
       return buildSlidesPrompt(topic, context, options);
     
+    case 'quiz':
+      return buildQuizPrompt(topic, context, options);
+    
+    case 'flashcards':
+      return buildFlashcardsPrompt(topic, context, options);
+    
     default:
       throw new Error(`Unknown generation type: ${type}`);
   }
@@ -271,7 +401,14 @@ const buildPrompt = (type, topic, params = {}) => {
  * Get supported generation types
  * @returns {string[]} Array of supported types
  */
-const getSupportedTypes = () => ['theory', 'lab', 'slides'];
+const getSupportedTypes = () => ['theory', 'lab', 'slides', 'quiz', 'flashcards'];
+
+/**
+ * Types whose output is JSON validated against a schema (see quiz.service)
+ * @param {string} type - Generation type
+ * @returns {boolean}
+ */
+const isStructuredType = (type) => ['quiz', 'flashcards'].includes(type);
 
 /**
  * Get supported programming languages
@@ -284,9 +421,10 @@ const getSupportedLanguages = () => Object.keys(LANGUAGE_INSTRUCTIONS);
  * @param {string} type - Generation type
  * @param {string} topic - Topic
  * @param {string} language - Language (for lab type)
+ * @param {Object} options - Generation options (quiz/flashcard settings are checked)
  * @returns {Object} Validation result
  */
-const validateParams = (type, topic, language) => {
+const validateParams = (type, topic, language, options = {}) => {
   const errors = [];
 
   if (!type || !getSupportedTypes().includes(type)) {
@@ -305,6 +443,24 @@ const validateParams = (type, topic, language) => {
     errors.push(`Unsupported language. Must be one of: ${getSupportedLanguages().join(', ')}`);
   }
 
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    errors.push('Options must be an object');
+  } else {
+    const { questionTypes, questionCount, cardCount } = options;
+    const isCount = (value, max) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= max;
+
+    if (questionTypes !== undefined && (!Array.isArray(questionTypes) || questionTypes.length === 0
+      || questionTypes.some(questionType => !QUESTION_TYPE_LABELS[questionType]))) {
+      errors.push(`questionTypes must be a non-empty array of: ${Object.keys(QUESTION_TYPE_LABELS).join(', ')}`);
+    }
+    if (questionCount !== undefined && !isCount(questionCount, 30)) {
+      errors.push('questionCount must be a whole number from 1 to 30');
+    }
+    if (cardCount !== undefined && !isCount(cardCount, 50)) {
+      errors.push('cardCount must be a whole number from 1 to 50');
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -316,7 +472,11 @@ module.exports = {
   buildTheoryPrompt,
   buildLabCodePrompt,
   buildSlidesPrompt,
+  buildQuizPrompt,
+  buildFlashcardsPrompt,
+  buildRepairPrompt,
   getSupportedTypes,
+  isStructuredType,
   getSupportedLanguages,
   validateParams,
   LANGUAGE_INSTRUCTIONS
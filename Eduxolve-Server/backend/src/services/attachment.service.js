@@ -0,0 +1,322 @@
+/**
+ * Attachment Service
+ *
+ * Persists chat file attachments: the original file goes to object
+ * storage, its metadata and AI context to the Attachment collection, so
+ * a fileId keeps working across restarts and server instances.
+ *
+ * - Per-user quota (ATTACHMENT_QUOTA_MB / ATTACHMENT_QUOTA_FILES)
+ * - Files too long for one prompt are indexed for retrieval in the
+ *   background (see attachmentIndex.service)
+ * - Attachments expire ATTACHMENT_TTL_DAYS after their last use; a
+ *   periodic sweep deletes them together with their stored files
+ */
+
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const { putObject, getObject, deleteObject, STORAGE_BACKEND } = require('./storage.service');
+const { queueAttachmentIndexing, searchAttachment, deleteAttachmentChunks } = require('./attachmentIndex.service');
+const { formatContextForPrompt } = require('./fileContext.service');
+const {
+  ATTACHMENT_TTL_DAYS,
+  ATTACHMENT_QUOTA_MB,
+  ATTACHMENT_QUOTA_FILES,
+  ATTACHMENT_CLEANUP_INTERVAL_MINUTES
+} = require('../config/storage');
+
+const QUOTA_BYTES = ATTACHMENT_QUOTA_MB * 1024 * 1024;
+const CLEANUP_BATCH_SIZE = 100;
+
+let cleanupTimer = null;
+
+/**
+ * Expiry for an attachment used now
+ * @returns {Date}
+ */
+const nextExpiry = () => new Date(Date.now() + ATTACHMENT_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Filter for a user's unexpired attachment
+ * @param {string} userId - Owner ID
+ * @param {string} fileId - Attachment ID
+ * @returns {Object|null} Query filter, or null for a malformed fileId
+ */
+const ownedFilter = (userId, fileId) => {
+  // fileIds from before attachments were persisted look like "file_<time>_<random>"
+  if (!mongoose.isValidObjectId(fileId)) return null;
+  return { _id: fileId, owner: userId, expiresAt: { $gt: new Date() } };
+};
+
+/**
+ * Storage used by a user's unexpired attachments
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object>} { usedBytes, maxBytes, files, maxFiles }
+ */
+const getUsage = async (userId) => {
+  const [totals] = await Attachment.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(String(userId)), expiresAt: { $gt: new Date() } } },
+    { $group: { _id: null, usedBytes: { $sum: '$size' }, files: { $sum: 1 } } }
+  ]);
+
+  return {
+    usedBytes: totals?.usedBytes || 0,
+    maxBytes: QUOTA_BYTES,
+    files: totals?.files || 0,
+    maxFiles: ATTACHMENT_QUOTA_FILES
+  };
+};
+
+/**
+ * Over-quota result, or null when the usage (plus a file still to be
+ * stored) is within the quota
+ * @param {Object} usage - getUsage result
+ * @param {number} extraBytes - Size of a file not yet stored
+ * @param {number} extraFiles - 1 for a file not yet stored
+ * @returns {Object|null} { status, message, usage }
+ */
+const quotaError = (usage, extraBytes = 0, extraFiles = 0) => {
+  if (usage.files + extraFiles > usage.maxFiles) {
+    return {
+      status: 413,
+      message: `You can keep up to ${usage.maxFiles} files. Delete some in "My files" first.`,
+      usage
+    };
+  }
+  if (usage.usedBytes + extraBytes > usage.maxBytes) {
+    return {
+      status: 413,
+      message: `This file would exceed your ${ATTACHMENT_QUOTA_MB}MB storage. Delete some in "My files" first.`,
+      usage
+    };
+  }
+  return null;
+};
+
+/**
+ * Check that a new file fits in the user's quota
+ * Only an early answer: saveAttachment checks again once the file is stored.
+ * @param {string} userId - Owner ID
+ * @param {number} size - New file size in bytes
+ * @returns {Promise<Object|null>} { status, message, usage } when over quota, else null
+ */
+const checkQuota = async (userId, size) => {
+  const usage = await getUsage(userId);
+  return quotaError(usage, size, 1);
+};
+
+/**
+ * Store an uploaded file and its AI context
+ * The quota is checked again after the record is inserted, so parallel
+ * uploads cannot pass checkQuota together and exceed it: an upload that
+ * finds the total over the quota removes itself.
+ * Files whose content did not fit in the prompt context are queued for indexing.
+ * @param {string} userId - Owner ID
+ * @param {Object} file - Multer file { originalname, mimetype, buffer, size }
+ * @param {Object} fileContext - { context, formattedContext, suggestedActions }
+ * @returns {Promise<Object>} { attachment } or { status, message, usage } when over quota
+ */
+const saveAttachment = async (userId, file, { context, formattedContext, suggestedActions }) => {
+  const _id = new mongoose.Types.ObjectId();
+  const storageKey = `${userId}/${_id}`;
+
+  await putObject(storageKey, file.buffer, file.mimetype);
+
+  let attachment;
+  try {
+    attachment = await Attachment.create({
+      _id,
+      owner: userId,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      storageKey,
+      storageBackend: STORAGE_BACKEND,
+      fileType: context.fileType,
+      fileCategory: context.category,
+      language: context.language,
+      isCode: Boolean(context.isCode),
+      summary: context.summary || null,
+      codeAnalysis: context.codeAnalysis || null,
+      suggestedActions,
+      context,
+      formattedContext,
+      expiresAt: nextExpiry()
+    });
+  } catch (error) {
+    await deleteObject(storageKey).catch(() => {});
+    throw error;
+  }
+
+  const overQuota = quotaError(await getUsage(userId));
+  if (overQuota) {
+    await Attachment.deleteOne({ _id });
+    await deleteObject(storageKey).catch(() => {});
+    return { ...overQuota, usage: await getUsage(userId) };
+  }
+
+  // The upload still works without an index (the prompt gets the file's start)
+  if (context.contentTruncated) {
+    await queueAttachmentIndexing(attachment, { createdBy: userId }).catch(error => {
+      console.error('❌ Failed to queue attachment indexing:', error.message);
+    });
+  }
+
+  return { attachment };
+};
+
+/**
+ * List a user's unexpired attachments, most recently used first
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object[]>} Attachment documents
+ */
+const listAttachments = (userId) => {
+  return Attachment.find({ owner: userId, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Find one of the user's attachments and mark it used (restarting its expiry)
+ * @param {string} userId - Owner ID
+ * @param {string} fileId - Attachment ID
+ * @param {Object} options - { withContext: include context and formattedContext }
+ * @returns {Promise<Object|null>} Attachment document, or null if missing, expired or not theirs
+ */
+const useAttachment = async (userId, fileId, { withContext = false } = {}) => {
+  const filter = ownedFilter(userId, fileId);
+  if (!filter) return null;
+
+  const query = Attachment.findOneAndUpdate(
+    filter,
+    { $set: { lastUsedAt: new Date(), expiresAt: nextExpiry() } },
+    { new: true }
+  );
+  return withContext ? query.select('+context +formattedContext') : query;
+};
+
+/**
+ * AI context of an attachment, for chat and generation
+ * With a query and an indexed file, the prompt context holds the chunks
+ * most relevant to the query instead of the start of the file.
+ * @param {string} userId - Owner ID
+ * @param {string} fileId - Attachment ID
+ * @param {Object} options - { query: question or topic to retrieve for }
+ * @returns {Promise<Object|null>} { context, formattedContext, excerpts? } or null
+ */
+const getAttachmentContext = async (userId, fileId, { query } = {}) => {
+  const attachment = await useAttachment(userId, fileId, { withContext: true });
+  if (!attachment) return null;
+
+  const stored = {
+    context: attachment.context,
+    formattedContext: attachment.formattedContext
+  };
+  if (!query || attachment.indexStatus !== 'indexed') return stored;
+
+  try {
+    const excerpts = await searchAttachment(attachment, query);
+    if (excerpts.length === 0) return stored;
+
+    return {
+      context: attachment.context,
+      formattedContext: formatContextForPrompt(
+        { success: true, context: attachment.context },
+        { excerpts, totalChunks: attachment.chunkCount }
+      ),
+      excerpts
+    };
+  } catch (error) {
+    console.error('❌ Attachment retrieval failed, using the start of the file:', error.message);
+    return stored;
+  }
+};
+
+/**
+ * Read the original file of an attachment
+ * @param {string} userId - Owner ID
+ * @param {string} fileId - Attachment ID
+ * @returns {Promise<Object|null>} { attachment, data } or null
+ */
+const readAttachmentFile = async (userId, fileId) => {
+  const filter = ownedFilter(userId, fileId);
+  if (!filter) return null;
+
+  const attachment = await Attachment.findOne(filter);
+  if (!attachment) return null;
+
+  const data = await getObject(attachment.storageKey);
+  return data ? { attachment, data } : null;
+};
+
+/**
+ * Delete an attachment and its stored file
+ * @param {string} userId - Owner ID
+ * @param {string} fileId - Attachment ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+const deleteAttachment = async (userId, fileId) => {
+  if (!mongoose.isValidObjectId(fileId)) return false;
+
+  const attachment = await Attachment.findOne({ _id: fileId, owner: userId });
+  if (!attachment) return false;
+
+  await deleteObject(attachment.storageKey);
+  await deleteAttachmentChunks([attachment._id]);
+  await Attachment.deleteOne({ _id: attachment._id });
+  return true;
+};
+
+/**
+ * Delete expired attachments and their stored files
+ * A file that cannot be deleted keeps its record, so the next sweep retries.
+ * @returns {Promise<number>} Number of attachments removed
+ */
+const purgeExpiredAttachments = async () => {
+  const expired = await Attachment.find({ expiresAt: { $lte: new Date() } })
+    .select('storageKey')
+    .limit(CLEANUP_BATCH_SIZE);
+
+  const removed = [];
+  for (const attachment of expired) {
+    try {
+      await deleteObject(attachment.storageKey);
+      removed.push(attachment._id);
+    } catch (error) {
+      console.error(`❌ Failed to delete stored file ${attachment.storageKey}:`, error.message);
+    }
+  }
+
+  if (removed.length > 0) {
+    await deleteAttachmentChunks(removed);
+    await Attachment.deleteMany({ _id: { $in: removed } });
+    console.log(`🗑️ Removed ${removed.length} expired attachment(s)`);
+  }
+  return removed.length;
+};
+
+/**
+ * Run the expiry sweep now and every ATTACHMENT_CLEANUP_INTERVAL_MINUTES
+ */
+const startAttachmentCleanup = () => {
+  if (cleanupTimer) return;
+
+  const sweep = () => purgeExpiredAttachments().catch(error => {
+    console.error('❌ Attachment cleanup failed:', error.message);
+  });
+
+  sweep();
+  cleanupTimer = setInterval(sweep, ATTACHMENT_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  cleanupTimer.unref();
+};
+
+module.exports = {
+  getUsage,
+  checkQuota,
+  saveAttachment,
+  listAttachments,
+  useAttachment,
+  getAttachmentContext,
+  readAttachmentFile,
+  deleteAttachment,
+  purgeExpiredAttachments,
+  startAttachmentCleanup
+};
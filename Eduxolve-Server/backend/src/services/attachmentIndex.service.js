@@ -0,0 +1,241 @@
+/**
+ * Attachment Index Service
+ *
+ * Retrieval over a user's own uploaded files. The upload's prompt context
+ * only holds the start of a long file, so files that do not fit are
+ * chunked (chunkForIndexing) and embedded (embedding.service) in a
+ * background job, and each chat question pulls in the most relevant
+ * chunks instead.
+ *
+ * Chunks live in AttachmentChunk, scoped to the attachment and its owner;
+ * they are never added to the shared course index.
+ */
+
+const Attachment = require('../models/Attachment');
+const AttachmentChunk = require('../models/AttachmentChunk');
+const { getObject } = require('./storage.service');
+const { extractText, extractSegments } = require('./fileExtract.service');
+const { chunkForIndexing } = require('../utils/chunkText');
+const { generateEmbeddings, findSimilar } = require('./embedding.service');
+const { registerJobHandler, enqueueJob } = require('./jobQueue.service');
+const { MAX_CONTEXT_LENGTH } = require('./fileContext.service');
+const { ATTACHMENT_INDEX_MAX_CHUNKS } = require('../config/storage');
+
+// Most chunks put into one prompt (also capped at MAX_CONTEXT_LENGTH characters)
+const MAX_EXCERPTS = 6;
+
+/**
+ * Extract the whole file as ordered segments (one per page for PDFs)
+ * @param {Object} attachment - Attachment document
+ * @param {Buffer} buffer - Original file
+ * @returns {Promise<Array<{text: string, page?: number}>>}
+ */
+const extractAttachmentSegments = async (attachment, buffer) => {
+  if (attachment.fileType === 'pdf') {
+    const pages = await extractSegments(buffer, '.pdf');
+    if (pages.length > 0) return pages;
+  }
+
+  const extraction = await extractText(buffer, attachment.mimeType, attachment.fileName, { truncate: false });
+  return extraction.success && extraction.text.trim() ? [{ text: extraction.text }] : [];
+};
+
+/**
+ * Delete the chunks of attachments
+ * @param {Array<string>} attachmentIds - Attachment IDs
+ * @returns {Promise<Object>} Delete result
+ */
+const deleteAttachmentChunks = (attachmentIds) => {
+  return AttachmentChunk.deleteMany({ attachment: { $in: attachmentIds } });
+};
+
+/**
+ * Chunk and embed one attachment, replacing any previous chunks
+ * @param {string} attachmentId - Attachment ID
+ * @param {Object} options - { willRetry }: a failure goes back to 'queued'
+ *   instead of 'failed' when the job queue will try again
+ * @returns {Promise<Object>} Indexing result
+ */
+const indexAttachment = async (attachmentId, options = {}) => {
+  try {
+    const attachment = await Attachment.findById(attachmentId);
+
+    // Deleted or expired before the job ran: nothing to do
+    if (!attachment || attachment.expiresAt <= new Date()) {
+      return { success: true, attachmentId, chunksIndexed: 0, skipped: true };
+    }
+
+    await Attachment.updateOne({ _id: attachmentId }, { $set: { indexStatus: 'indexing', indexError: null } });
+
+    const buffer = await getObject(attachment.storageKey);
+    if (!buffer) {
+      throw new Error('Stored file is missing');
+    }
+
+    const segments = await extractAttachmentSegments(attachment, buffer);
+
+    // Chunk each segment separately so chunks never straddle pages
+    let chunks = segments.flatMap(segment =>
+      chunkForIndexing(segment.text, {
+        // Source files are split at function/class boundaries
+        language: attachment.isCode ? attachment.fileType : undefined
+      }).map(chunk => ({ ...chunk, page: segment.page }))
+    );
+
+    if (chunks.length === 0) {
+      throw new Error('No text could be extracted for indexing');
+    }
+    if (chunks.length > ATTACHMENT_INDEX_MAX_CHUNKS) {
+      console.warn(`⚠️ ${attachment.fileName}: indexing the first ${ATTACHMENT_INDEX_MAX_CHUNKS} of ${chunks.length} chunks`);
+      chunks = chunks.slice(0, ATTACHMENT_INDEX_MAX_CHUNKS);
+    }
+
+    const embedded = await generateEmbeddings(chunks.map(chunk => chunk.text), { withVersion: true });
+
+    await deleteAttachmentChunks([attachment._id]);
+    await AttachmentChunk.insertMany(chunks.map((chunk, index) => ({
+      attachment: attachment._id,
+      owner: attachment.owner,
+      chunkText: chunk.text,
+      chunkIndex: index,
+      embeddingVersion: embedded[index].embeddingVersion,
+      vector: embedded[index].vector,
+      metadata: {
+        breadcrumb: chunk.breadcrumb,
+        page: chunk.page,
+        language: chunk.language
+      }
+    })));
+
+    const updated = await Attachment.updateOne(
+      { _id: attachment._id },
+      { $set: { indexStatus: 'indexed', indexError: null, chunkCount: chunks.length } }
+    );
+
+    // Deleted while we were embedding: drop the orphaned chunks
+    if (updated.matchedCount === 0) {
+      await deleteAttachmentChunks([attachment._id]);
+    }
+
+    console.log(`✅ Indexed attachment ${attachment.fileName}: ${chunks.length} chunks`);
+
+    return { success: true, attachmentId, chunksIndexed: chunks.length };
+
+  } catch (error) {
+    console.error('❌ Attachment indexing error:', error.message);
+    await Attachment.updateOne(
+      { _id: attachmentId },
+      { $set: { indexStatus: options.willRetry ? 'queued' : 'failed', indexError: error.message } }
+    ).catch(() => {});
+    return { success: false, error: error.message, attachmentId };
+  }
+};
+
+/**
+ * Job handler: index each attachment of the job
+ * @param {Object} job - Job document with one item per attachment ID
+ * @param {Object} helpers - { progress }
+ * @returns {Promise<Object>} { indexed, chunksIndexed }
+ */
+const runAttachmentIndexingJob = async (job, { progress }) => {
+  let chunksIndexed = 0;
+  const willRetry = job.attempts < job.maxAttempts;
+
+  for (const item of job.items) {
+    if (item.status === 'completed') continue;
+
+    item.status = 'running';
+    item.error = null;
+    await progress();
+
+    const result = await indexAttachment(item.ref, { willRetry });
+    if (result.success) {
+      item.status = 'completed';
+      item.result = { chunksIndexed: result.chunksIndexed };
+      chunksIndexed += result.chunksIndexed;
+    } else {
+      item.status = 'failed';
+      item.error = result.error;
+    }
+    await progress();
+  }
+
+  const failed = job.items.filter(item => item.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${job.items.length} attachment(s) failed to index: ${failed[0].error}`);
+  }
+
+  return { indexed: job.items.length, chunksIndexed };
+};
+
+registerJobHandler('index_attachment', runAttachmentIndexingJob);
+
+/**
+ * Queue an attachment for background indexing
+ * @param {Object} attachment - Attachment document
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} Job document
+ */
+const queueAttachmentIndexing = async (attachment, options = {}) => {
+  // Marked before queueing so the worker's "indexing" is never overwritten
+  await Attachment.updateOne({ _id: attachment._id }, { $set: { indexStatus: 'queued', indexError: null } });
+
+  const job = await enqueueJob('index_attachment', {
+    items: [{ ref: attachment._id, label: attachment.fileName }],
+    createdBy: options.createdBy
+  });
+  await Attachment.updateOne({ _id: attachment._id }, { $set: { indexJobId: job._id } });
+
+  attachment.indexStatus = 'queued';
+  attachment.indexJobId = job._id;
+  return job;
+};
+
+/**
+ * Find the chunks of an attachment most relevant to a question
+ * Only chunks embedded with the same model as the question are compared,
+ * so after a model switch this returns nothing until the file is re-indexed.
+ * @param {Object} attachment - Indexed attachment document
+ * @param {string} query - Question or topic
+ * @param {Object} options - { maxExcerpts, maxChars }
+ * @returns {Promise<Object[]>} Excerpts in file order ({ text, chunkIndex, page, breadcrumb, score })
+ */
+const searchAttachment = async (attachment, query, options = {}) => {
+  const { maxExcerpts = MAX_EXCERPTS, maxChars = MAX_CONTEXT_LENGTH } = options;
+
+  const [queryEmbedding] = await generateEmbeddings([query], { withVersion: true });
+  const chunks = await AttachmentChunk.find({
+    attachment: attachment._id,
+    owner: attachment.owner,
+    embeddingVersion: queryEmbedding.embeddingVersion
+  })
+    .select('chunkText chunkIndex vector metadata')
+    .lean();
+
+  // Best chunks first, skipping any that would overflow the prompt budget
+  const picked = [];
+  let usedChars = 0;
+  for (const chunk of findSimilar(queryEmbedding.vector, chunks, chunks.length)) {
+    if (picked.length >= maxExcerpts) break;
+    if (usedChars + chunk.chunkText.length > maxChars) continue;
+    picked.push(chunk);
+    usedChars += chunk.chunkText.length;
+  }
+
+  return picked
+    .sort((a, b) => a.chunkIndex - b.chunkIndex)
+    .map(chunk => ({
+      text: chunk.chunkText,
+      chunkIndex: chunk.chunkIndex,
+      page: chunk.metadata?.page || null,
+      breadcrumb: chunk.metadata?.breadcrumb || null,
+      score: chunk.score
+    }));
+};
+
+module.exports = {
+  indexAttachment,
+  queueAttachmentIndexing,
+  searchAttachment,
+  deleteAttachmentChunks
+};
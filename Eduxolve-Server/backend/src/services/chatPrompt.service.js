@@ -3,9 +3,14 @@
  * 
  * Builds grounded prompts for RAG-based chat responses.
  * Ensures academic tone, explicit grounding, and structured responses.
+ * Grounded answers cite course material chunks inline as [1], [2], ...
  */
 
-const { generateContent } = require('../config/gemini');
+const { generateContent, generateContentStream } = require('../config/llm');
+
+// Inline citation marker such as [2] or [1, 3]; not a markdown link or array index
+const CITATION_PATTERN = /(\s?)(?<!\w)\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\](?!\()/g;
+const CITATION_EXCERPT_LENGTH = 300;
 
 /**
  * System prompt for academic assistant
@@ -36,17 +41,19 @@ IMPORTANT RULES:
 const buildGroundedPrompt = (query, contextChunks = [], options = {}) => {
   const { intent = 'explain', history = [] } = options;
   
-  // Build context section
+  // Build context section; each chunk is numbered so the answer can cite it
   let contextSection = '';
   if (contextChunks.length > 0) {
     contextSection = `\n\n=== COURSE MATERIALS (Use ONLY this information) ===\n\n`;
     contextChunks.forEach((chunk, index) => {
       const source = chunk.content?.title || chunk.metadata?.topic || `Source ${index + 1}`;
       const week = chunk.content?.week || chunk.metadata?.week;
-      const weekStr = week ? ` (Week ${week})` : '';
-      contextSection += `[${source}${weekStr}]\n${chunk.chunkText}\n\n---\n\n`;
+      const location = chunk.location || (week ? `Week ${week}` : '');
+      const locationStr = location ? ` (${location})` : '';
+      contextSection += `[${index + 1}] ${source}${locationStr}\n${chunk.chunkText}\n\n---\n\n`;
     });
     contextSection += `=== END OF COURSE MATERIALS ===\n`;
+    contextSection += `\nCITATIONS: After each claim taken from the course materials, cite the numbered material it comes from, e.g. "A stack is LIFO [1]." or "[1, 3]". Only use numbers 1-${contextChunks.length}. Never cite inside code blocks.\n`;
   }
   
   // Build conversation history
@@ -137,21 +144,31 @@ Generate well-structured, educational notes:`;
 };
 
 /**
- * Generate a chat response using Gemini
+ * Generate a chat response using the configured LLM
+ * Streams tokens to `options.onToken` when provided.
  * @param {string} prompt - Assembled prompt
  * @param {Object} options - Generation options
+ * @param {number} options.temperature - Creativity level (0-1)
+ * @param {number} options.maxTokens - Maximum output tokens
+ * @param {Function} options.onToken - Streaming callback for each text chunk
+ * @param {AbortSignal} options.signal - Cancels a streamed generation
  * @returns {Promise<Object>} Generated response
  */
 const generateChatResponse = async (prompt, options = {}) => {
   try {
-    const response = await generateContent(prompt, {
+    const generationOptions = {
       temperature: options.temperature || 0.7,
       maxTokens: options.maxTokens || 2048
-    });
+    };
+
+    const response = options.onToken
+      ? await generateContentStream(prompt, options.onToken, { ...generationOptions, signal: options.signal })
+      : await generateContent(prompt, generationOptions);
     
     if (!response.success) {
       return {
         success: false,
+        aborted: response.code === 'ABORTED',
         reply: "I'm having trouble generating a response right now. Please try again.",
         error: response.error
       };
@@ -173,7 +190,54 @@ const generateChatResponse = async (prompt, options = {}) => {
 };
 
 /**
- * Format response with sources and actions
+ * Validate inline citations against the retrieved chunks
+ * Markers pointing at chunks that were not retrieved are dropped from the
+ * reply; code blocks and inline code are left untouched.
+ * @param {string} reply - AI generated reply
+ * @param {Object[]} contextChunks - Chunks numbered 1..n in the prompt
+ * @returns {Object} { reply, citations } citations ordered by first use
+ */
+const resolveCitations = (reply = '', contextChunks = []) => {
+  const used = [];
+
+  const rewrite = (text) => text.replace(CITATION_PATTERN, (match, space, list) => {
+    const valid = [...new Set(list.split(',').map(n => parseInt(n, 10)))]
+      .filter(n => n >= 1 && n <= contextChunks.length);
+
+    if (valid.length === 0) return '';
+    valid.forEach(n => {
+      if (!used.includes(n)) used.push(n);
+    });
+    return `${space}[${valid.join(', ')}]`;
+  });
+
+  // Odd segments are fenced blocks or inline code spans
+  const cleaned = reply
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((segment, i) => (i % 2 === 1 ? segment : rewrite(segment)))
+    .join('');
+
+  const citations = used.map(index => {
+    const chunk = contextChunks[index - 1];
+    return {
+      index,
+      contentId: chunk.contentId || null,
+      chunkId: chunk._id || chunk.chunkId || null,
+      chunkIndex: chunk.chunkIndex ?? null,
+      title: chunk.content?.title || chunk.metadata?.topic || 'Course Material',
+      location: chunk.location || null,
+      page: chunk.metadata?.page || null,
+      slide: chunk.metadata?.slide || null,
+      fileUrl: chunk.content?.fileUrl || null,
+      excerpt: (chunk.chunkText || '').substring(0, CITATION_EXCERPT_LENGTH)
+    };
+  });
+
+  return { reply: cleaned, citations };
+};
+
+/**
+ * Format response with sources, validated citations and actions
  * @param {string} reply - AI generated reply
  * @param {Object[]} contextChunks - Used context chunks
  * @param {string[]} actions - Suggested actions
@@ -186,13 +250,17 @@ const formatChatResponse = (reply, contextChunks = [], actions = []) => {
     .map(chunk => {
       const title = chunk.content?.title || chunk.metadata?.topic || 'Course Material';
       const week = chunk.content?.week || chunk.metadata?.week;
-      return week ? `${title} - Week ${week}` : title;
+      const location = chunk.location || (week ? `Week ${week}` : null);
+      return location ? `${title} - ${location}` : title;
     })
     .filter((v, i, a) => a.indexOf(v) === i); // Unique sources
   
+  const cited = resolveCitations(reply, contextChunks);
+  
   return {
-    reply,
+    reply: cited.reply,
     sources,
+    citations: cited.citations,
     actions,
     timestamp: new Date().toISOString()
   };
@@ -235,6 +303,7 @@ module.exports = {
   buildNotesPrompt,
   generateChatResponse,
   formatChatResponse,
+  resolveCitations,
   buildGreetingResponse,
   buildNoContextResponse,
   SYSTEM_PROMPT
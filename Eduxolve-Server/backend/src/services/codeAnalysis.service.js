@@ -0,0 +1,512 @@
+/**
+ * Code Analysis Service
+ *
+ * Parses code with real language parsers and reports diagnostics with
+ * line/column positions:
+ * - Python: the interpreter's own `ast` + `symtable` modules
+ * - C/C++: `gcc`/`g++ -fsyntax-only` with JSON diagnostics
+ * - JavaScript: acorn + eslint-scope
+ * - Java: java-parser (syntax only)
+ *
+ * Code is only parsed, never executed. C/C++ includes are limited to the
+ * system headers so the compiler cannot be used to read server files.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const acorn = require('acorn');
+const eslintScope = require('eslint-scope');
+const { parse: parseJava } = require('java-parser');
+
+const ANALYSIS_TIMEOUT_MS = 10000;
+const MAX_DIAGNOSTICS = 50;
+
+/**
+ * Python analyzer, run with `python3 -I -c` and the code on stdin
+ * Prints a JSON array of diagnostics.
+ */
+const PYTHON_ANALYZER = `
+import ast, builtins, json, symtable, sys
+
+source = sys.stdin.read()
+diagnostics = []
+
+def report(node, severity, rule, message):
+    diagnostics.append({
+        'line': getattr(node, 'lineno', 1),
+        'column': getattr(node, 'col_offset', 0) + 1,
+        'severity': severity,
+        'rule': rule,
+        'message': message,
+    })
+
+try:
+    tree = ast.parse(source)
+except SyntaxError as error:
+    diagnostics.append({
+        'line': error.lineno or 1,
+        'column': error.offset or 1,
+        'severity': 'error',
+        'rule': 'syntax',
+        'message': error.msg,
+    })
+    print(json.dumps(diagnostics))
+    sys.exit(0)
+
+table = symtable.symtable(source, 'main.py', 'exec')
+known = set(dir(builtins)) | {'__file__', '__name__', '__doc__', '__builtins__', '__spec__', '__loader__', '__package__'}
+star_import = any(isinstance(node, ast.ImportFrom) and any(a.name == '*' for a in node.names) for node in ast.walk(tree))
+
+def all_tables(t):
+    yield t
+    for child in t.get_children():
+        yield from all_tables(child)
+
+defined = {s.get_name() for s in table.get_symbols() if s.is_assigned() or s.is_imported()}
+for t in all_tables(table):
+    defined |= {s.get_name() for s in t.get_symbols() if s.is_declared_global() and s.is_assigned()}
+
+def first_name(root, name, ctx):
+    for node in ast.walk(root):
+        if isinstance(node, ast.Name) and node.id == name and isinstance(node.ctx, ctx):
+            return node
+    return root
+
+def scope_node(t):
+    for node in ast.walk(tree):
+        if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef, ast.Lambda)) and node.lineno == t.get_lineno():
+            return node
+    return tree
+
+# Undefined names
+if not star_import:
+    seen = set()
+    for t in all_tables(table):
+        for s in t.get_symbols():
+            name = s.get_name()
+            if s.is_referenced() and (s.is_global() or t.get_type() == 'module') and not s.is_assigned() \\
+                    and not s.is_imported() and name not in defined and name not in known and name not in seen:
+                seen.add(name)
+                report(first_name(tree, name, ast.Load), 'error', 'undefined-name', f"Undefined name '{name}'")
+
+# Unused local variables
+for t in all_tables(table):
+    if t.get_type() != 'function':
+        continue
+    node = scope_node(t)
+    for s in t.get_symbols():
+        name = s.get_name()
+        if s.is_assigned() and not s.is_referenced() and not s.is_parameter() and not s.is_global() \\
+                and not s.is_nonlocal() and not s.is_imported() and not name.startswith('_'):
+            report(first_name(node, name, ast.Store), 'warning', 'unused-variable', f"Local variable '{name}' is assigned but never used")
+
+# Unused imports
+for node in tree.body:
+    if isinstance(node, (ast.Import, ast.ImportFrom)):
+        for alias in node.names:
+            name = (alias.asname or alias.name).split('.')[0]
+            if name == '*':
+                continue
+            symbol = table.lookup(name)
+            if not symbol.is_referenced():
+                report(node, 'warning', 'unused-import', f"'{alias.name}' imported but unused")
+
+print(json.dumps(diagnostics))
+`;
+
+// Module wrapper names plus anything defined on the global object
+const JS_GLOBALS = new Set([
+  ...Object.getOwnPropertyNames(globalThis),
+  'require', 'module', 'exports', '__dirname', '__filename'
+]);
+
+const LANGUAGE_ALIASES = {
+  py: 'python',
+  python3: 'python',
+  js: 'javascript',
+  node: 'javascript',
+  'c++': 'cpp',
+  cc: 'cpp',
+  cxx: 'cpp'
+};
+
+/**
+ * Run a parser process with the code on stdin
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number|null, timedOut: boolean}>}
+ */
+const runParser = (command, args, input, options = {}) => new Promise((resolve, reject) => {
+  let timedOut = false;
+  const stdout = [];
+  const stderr = [];
+
+  const child = spawn(command, args, {
+    cwd: options.cwd,
+    env: { PATH: process.env.PATH, LANG: 'C.UTF-8' }
+  });
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, ANALYSIS_TIMEOUT_MS);
+
+  child.stdout.on('data', chunk => stdout.push(chunk));
+  child.stderr.on('data', chunk => stderr.push(chunk));
+  child.stdin.on('error', () => {});
+  child.stdin.end(input);
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', (exitCode) => {
+    clearTimeout(timer);
+    resolve({
+      stdout: Buffer.concat(stdout).toString('utf8'),
+      stderr: Buffer.concat(stderr).toString('utf8'),
+      exitCode,
+      timedOut
+    });
+  });
+});
+
+/**
+ * Python: syntax errors, undefined names, unused locals and imports
+ */
+const analyzePython = async (code) => {
+  const result = await runParser('python3', ['-I', '-c', PYTHON_ANALYZER], code);
+  if (result.timedOut) throw new Error('Python analysis timed out');
+  return JSON.parse(result.stdout);
+};
+
+// Preprocessor lines that make the compiler open a file (# or the %: digraph)
+const C_FILE_DIRECTIVE = /^[ \t]*(?:#|%:)[ \t]*(include_next|include|import|embed|pragma[ \t]+GCC[ \t]+dependency)\b[ \t]*(.*)$/;
+const C_HAS_FILE = /__has_(?:include_next|include|embed)\s*\(\s*([^)]*)\)/g;
+const C_PRAGMA_OPERATOR = /_Pragma\s*\(\s*(?:L|u8|u|U)?"((?:[^"\\]|\\.)*)"\s*\)|_Pragma/g;
+
+/**
+ * Join backslash-continued lines and blank out comments, the way the
+ * preprocessor sees the code before it reads directives. String, character
+ * and raw string literals are skipped so comment markers inside them count
+ * as text; a quote inside a number is a C++14 digit separator (1'000).
+ * @param {string} code - C/C++ source
+ * @returns {Array<{text: string, line: number}>} Logical lines with their first source line
+ */
+const toLogicalLines = (code) => {
+  const logical = [];
+  code.split('\n').forEach((raw, index) => {
+    const previous = logical[logical.length - 1];
+    if (previous?.continued) {
+      previous.text += raw;
+    } else {
+      logical.push({ text: raw, line: index + 1 });
+    }
+    const current = logical[logical.length - 1];
+    current.continued = current.text.endsWith('\\');
+    if (current.continued) current.text = current.text.slice(0, -1);
+  });
+
+  const joined = logical.map(entry => entry.text).join('\n');
+  let out = '';
+  let i = 0;
+  let inWord = false;
+  let inNumber = false;
+  while (i < joined.length) {
+    const rest = joined.slice(i, i + 2);
+    const raw = /^(?:u8|[uUL])?R"([^ ()\\\t\n]{0,16})\(/.exec(joined.slice(i, i + 22));
+    if (raw && (i === 0 || !/\w/.test(joined[i - 1]))) {
+      const end = joined.indexOf(`)${raw[1]}"`, i + raw[0].length);
+      const stop = end === -1 ? joined.length : end + raw[1].length + 2;
+      out += joined.slice(i, stop);
+      i = stop;
+    } else if (rest === '//') {
+      const end = joined.indexOf('\n', i);
+      i = end === -1 ? joined.length : end;
+    } else if (rest === '/*') {
+      const end = joined.indexOf('*/', i + 2);
+      const stop = end === -1 ? joined.length : end + 2;
+      out += ' ' + joined.slice(i, stop).replace(/[^\n]/g, '');
+      i = stop;
+      inWord = false;
+      inNumber = false;
+    } else if (joined[i] === '"' || (joined[i] === '\'' && !inNumber)) {
+      const quote = joined[i];
+      let j = i + 1;
+      while (j < joined.length && joined[j] !== quote && joined[j] !== '\n') {
+        j += joined[j] === '\\' ? 2 : 1;
+      }
+      const stop = Math.min(joined[j] === quote ? j + 1 : j, joined.length);
+      out += joined.slice(i, stop);
+      i = stop;
+      inWord = false;
+      inNumber = false;
+    } else {
+      const char = joined[i];
+      if (/[\w.']/.test(char)) {
+        if (!inWord) {
+          inNumber = /\d/.test(char) || (char === '.' && /\d/.test(joined[i + 1] || ''));
+        }
+        inWord = true;
+      } else {
+        inWord = false;
+        inNumber = false;
+      }
+      out += char;
+      i++;
+    }
+  }
+
+  return out.split('\n').map((text, index) => ({ text, line: logical[index]?.line || 1 }));
+};
+
+/**
+ * Find includes that could reach files outside the system headers:
+ * absolute paths, paths with "..", and names computed by macros
+ * @param {string} code - C/C++ source
+ * @returns {Object[]} Diagnostics, empty when every include is allowed
+ */
+const findUnsafeIncludes = (code) => {
+  const isUnsafePath = (target) => {
+    const match = target.trim().match(/^(?:"([^"]*)"|<([^>]*)>)/);
+    if (!match) return true;
+    const file = match[1] ?? match[2];
+    return file.startsWith('/') || file.split(/[\\/]/).includes('..');
+  };
+
+  const diagnostics = [];
+  for (const { text, line } of toLogicalLines(code)) {
+    const directive = text.match(C_FILE_DIRECTIVE);
+    const targets = directive ? [directive[2]] : [];
+    for (const [, target] of text.matchAll(C_HAS_FILE)) {
+      targets.push(target);
+    }
+    // _Pragma("GCC dependency ...") opens a file like #pragma does
+    const pragmaOpensFile = [...text.matchAll(C_PRAGMA_OPERATOR)]
+      .some(([, body]) => body === undefined || /dependency/.test(body));
+
+    if (pragmaOpensFile || targets.some(isUnsafePath)) {
+      diagnostics.push({
+        line,
+        column: 1,
+        severity: 'error',
+        rule: 'syntax',
+        message: 'Only system headers can be included (no absolute paths, ".." or macro-computed names)'
+      });
+    }
+  }
+  return diagnostics;
+};
+
+/**
+ * C/C++: compiler front end only (-fsyntax-only), nothing is linked or run
+ * Runs in an empty directory so quoted includes only find system headers,
+ * and reports only diagnostics located in the submitted code.
+ */
+const analyzeC = async (code, language) => {
+  const unsafeIncludes = findUnsafeIncludes(code);
+  if (unsafeIncludes.length > 0) {
+    return unsafeIncludes;
+  }
+
+  const compiler = language === 'cpp' ? 'g++' : 'gcc';
+  const args = [
+    '-fsyntax-only', '-Wall', '-Wextra',
+    '-fdiagnostics-format=json',
+    '-x', language === 'cpp' ? 'c++' : 'c',
+    '-'
+  ];
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eduxolve-analyze-'));
+  let result;
+  try {
+    result = await runParser(compiler, args, code, { cwd: dir });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+  if (result.timedOut) throw new Error('C analysis timed out');
+
+  // Fatal errors add "compilation terminated." after the JSON line
+  const json = result.stderr.split('\n').find(line => line.startsWith('['));
+  const entries = JSON.parse(json || '[]');
+  return entries
+    .filter(entry => ['error', 'fatal error', 'warning'].includes(entry.kind))
+    .filter(entry => entry.locations?.[0]?.caret?.file === '<stdin>')
+    .map(entry => {
+      const caret = entry.locations?.[0]?.caret || {};
+      const option = entry.option || '';
+      let rule = 'compiler';
+      if (entry.kind !== 'warning') {
+        rule = /undeclared|was not declared|not declared in this scope/.test(entry.message) ? 'undefined-name' : 'syntax';
+      } else if (/unused/.test(option)) {
+        rule = 'unused-variable';
+      }
+
+      return {
+        line: caret.line || 1,
+        column: caret.column || 1,
+        severity: entry.kind === 'warning' ? 'warning' : 'error',
+        rule,
+        message: entry.message
+      };
+    });
+};
+
+/**
+ * JavaScript: parse with acorn, then resolve scopes with eslint-scope
+ */
+const analyzeJavaScript = async (code) => {
+  const parseOptions = { ecmaVersion: 'latest', locations: true, ranges: true, allowHashBang: true };
+  let ast;
+  let sourceType = 'script';
+
+  try {
+    ast = acorn.parse(code, { ...parseOptions, sourceType });
+  } catch (scriptError) {
+    // import/export only parse as a module
+    try {
+      sourceType = 'module';
+      ast = acorn.parse(code, { ...parseOptions, sourceType });
+    } catch {
+      return [{
+        line: scriptError.loc?.line || 1,
+        column: (scriptError.loc?.column || 0) + 1,
+        severity: 'error',
+        rule: 'syntax',
+        message: scriptError.message.replace(/\s*\(\d+:\d+\)$/, '')
+      }];
+    }
+  }
+
+  const scopeManager = eslintScope.analyze(ast, {
+    ecmaVersion: 2022,
+    sourceType,
+    nodejsScope: sourceType === 'script'
+  });
+
+  const diagnostics = [];
+  const reported = new Set();
+
+  // Exported bindings count as used
+  const exported = new Set();
+  for (const node of ast.body) {
+    if (node.type === 'ExportNamedDeclaration') {
+      const declarations = node.declaration?.declarations || (node.declaration?.id ? [node.declaration] : []);
+      declarations.forEach(declaration => declaration.id?.name && exported.add(declaration.id.name));
+      node.specifiers.forEach(specifier => exported.add(specifier.local.name));
+    }
+  }
+
+  // Undefined names: references that reach the global scope unresolved
+  for (const reference of scopeManager.globalScope.through) {
+    const { name, loc } = reference.identifier;
+    if (JS_GLOBALS.has(name) || reported.has(name)) continue;
+    reported.add(name);
+    diagnostics.push({
+      line: loc.start.line,
+      column: loc.start.column + 1,
+      severity: 'error',
+      rule: 'undefined-name',
+      message: `'${name}' is not defined`
+    });
+  }
+
+  // Unused variables: declared but never read
+  for (const scope of scopeManager.scopes) {
+    for (const variable of scope.variables) {
+      const definition = variable.defs[0];
+      if (!definition || definition.type === 'Parameter' || definition.type === 'ImplicitGlobalVariable') continue;
+      if (variable.name.startsWith('_')) continue;
+      if (scope.block.type === 'Program' && exported.has(variable.name)) continue;
+      if (variable.references.some(ref => ref.isRead())) continue;
+      // Top-level functions and classes may be entry points or exports
+      if (scope.block.type === 'Program' && ['FunctionName', 'ClassName'].includes(definition.type)) continue;
+
+      const { loc } = definition.name;
+      diagnostics.push({
+        line: loc.start.line,
+        column: loc.start.column + 1,
+        severity: 'warning',
+        rule: 'unused-variable',
+        message: `'${variable.name}' is assigned but never used`
+      });
+    }
+  }
+
+  return diagnostics;
+};
+
+/**
+ * Java: syntax errors only
+ */
+const analyzeJava = async (code) => {
+  try {
+    parseJava(code);
+    return [];
+  } catch (error) {
+    const position = error.message.match(/line: (\d+), column: (\d+)/);
+    // "Expecting --> ';' <-- but found --> 'z' <--!" or, with several
+    // alternatives, a numbered list ending in "but found: 'z'!"
+    const expected = error.message.match(/Expecting --> (.*?) <-- but found/);
+    const found = error.message.match(/but found(?: --> |: )'(.*?)'/);
+
+    let message = 'Syntax error';
+    if (found && found[1] === '') {
+      message = expected ? `Unexpected end of input, expected ${expected[1]}` : 'Unexpected end of input';
+    } else if (found) {
+      message = expected ? `Unexpected '${found[1]}', expected ${expected[1]}` : `Unexpected '${found[1]}'`;
+    }
+
+    // Errors at the end of input have no position
+    const atEnd = !position && found?.[1] === '';
+    return [{
+      line: position ? parseInt(position[1], 10) : (atEnd ? code.trimEnd().split('\n').length : 1),
+      column: position ? parseInt(position[2], 10) + 1 : 1,
+      severity: 'error',
+      rule: 'syntax',
+      message
+    }];
+  }
+};
+
+const ANALYZERS = {
+  python: { parser: 'python-ast', analyze: analyzePython },
+  c: { parser: 'gcc', analyze: analyzeC },
+  cpp: { parser: 'g++', analyze: analyzeC },
+  javascript: { parser: 'acorn', analyze: analyzeJavaScript },
+  java: { parser: 'java-parser', analyze: analyzeJava }
+};
+
+/**
+ * Parse code and collect diagnostics
+ * @param {string} code - Source code (no markdown fences)
+ * @param {string} language - Language name or alias
+ * @returns {Promise<Object>} { available, parser, diagnostics: [{ line, column, severity, rule, message }] }
+ */
+const analyzeCode = async (code, language) => {
+  const key = String(language || '').toLowerCase();
+  const lang = LANGUAGE_ALIASES[key] || key;
+  const analyzer = ANALYZERS[lang];
+
+  if (!analyzer) {
+    return { available: false, reason: `No parser for ${language}`, diagnostics: [] };
+  }
+
+  try {
+    const diagnostics = await analyzer.analyze(code, lang);
+    return {
+      available: true,
+      parser: analyzer.parser,
+      diagnostics: diagnostics
+        .sort((a, b) => a.line - b.line || a.column - b.column)
+        .slice(0, MAX_DIAGNOSTICS)
+    };
+  } catch (error) {
+    console.warn(`⚠️ ${analyzer.parser} analysis failed:`, error.message);
+    return { available: false, reason: error.message, diagnostics: [] };
+  }
+};
+
+module.exports = {
+  analyzeCode
+};
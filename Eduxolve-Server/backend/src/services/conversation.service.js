@@ -0,0 +1,195 @@
+/**
+ * Conversation Service
+ *
+ * Persistent chat sessions backed by MongoDB.
+ * Replaces the in-memory session map so conversations survive restarts
+ * and serverless cold starts.
+ */
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+// Configuration
+const MAX_HISTORY = 10; // Turns sent to the model as context
+const TITLE_MAX_LENGTH = 60;
+
+/**
+ * Build a conversation title from the first message
+ * @param {string} message - First user message
+ * @returns {string} Title
+ */
+const buildTitle = (message) => {
+  const singleLine = message.replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= TITLE_MAX_LENGTH) return singleLine;
+  return `${singleLine.substring(0, TITLE_MAX_LENGTH - 1).trim()}…`;
+};
+
+/**
+ * Check whether a string is a valid ObjectId
+ * @param {string} id - Candidate ID
+ * @returns {boolean}
+ */
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Load a conversation owned by the user, or create a new one
+ * @param {string} userId - Owner ID
+ * @param {string|null} conversationId - Existing conversation ID
+ * @param {string} firstMessage - Used as the title for new conversations
+ * @param {string|null} courseId - Course for new conversations
+ * @returns {Promise<{conversation: Object, created: boolean}|null>} null if the ID is unknown
+ */
+const getOrCreateConversation = async (userId, conversationId, firstMessage = '', courseId = null) => {
+  if (conversationId) {
+    if (!isValidId(conversationId)) return null;
+    const conversation = await Conversation.findOwned(conversationId, userId);
+    return conversation ? { conversation, created: false } : null;
+  }
+
+  const conversation = await Conversation.create({
+    userId,
+    courseId,
+    title: firstMessage ? buildTitle(firstMessage) : undefined
+  });
+  return { conversation, created: true };
+};
+
+/**
+ * Append a message and update the conversation summary fields
+ * @param {Object} conversation - Conversation document
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message text
+ * @param {Object} extras - { intent, sources, citations, actions, fileName, lastTopic }
+ * @returns {Promise<Object>} Created message
+ */
+const appendMessage = async (conversation, role, content, extras = {}) => {
+  const { lastTopic, ...messageExtras } = extras;
+
+  const message = await Message.create({
+    conversationId: conversation._id,
+    role,
+    content,
+    ...messageExtras
+  });
+
+  conversation.messageCount += 1;
+  conversation.lastMessageAt = message.createdAt;
+  if (role === 'user' && messageExtras.intent) conversation.lastIntent = messageExtras.intent;
+  if (lastTopic) conversation.lastTopic = lastTopic;
+  await conversation.save();
+
+  return message;
+};
+
+/**
+ * Get the recent turns of a conversation for prompting
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object[]>} [{ role, content, timestamp }] oldest first
+ */
+const getConversationHistory = (conversationId) => {
+  return Message.getRecentHistory(conversationId, MAX_HISTORY);
+};
+
+/**
+ * List a user's conversations, most recent first
+ * @param {string} userId - Owner ID
+ * @param {string|null} courseId - Only conversations in this course
+ * @returns {Promise<Object[]>} Conversation summaries
+ */
+const listConversations = (userId, courseId = null) => Conversation.listForUser(userId, courseId);
+
+/**
+ * Find a conversation owned by the user
+ * @param {string} userId - Owner ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} Conversation or null if not found
+ */
+const findConversation = async (userId, conversationId) => {
+  if (!isValidId(conversationId)) return null;
+  return Conversation.findOwned(conversationId, userId).lean();
+};
+
+/**
+ * Get a conversation with all of its messages
+ * @param {string} userId - Owner ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} { conversation, messages } or null if not found
+ */
+const getConversationWithMessages = async (userId, conversationId) => {
+  const conversation = await findConversation(userId, conversationId);
+  if (!conversation) return null;
+
+  const messages = await Message.find({ conversationId })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('-__v')
+    .lean();
+
+  return { conversation, messages };
+};
+
+/**
+ * Rename a conversation
+ * @param {string} userId - Owner ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} title - New title
+ * @returns {Promise<Object|null>} Updated conversation or null if not found
+ */
+const renameConversation = async (userId, conversationId, title) => {
+  if (!isValidId(conversationId)) return null;
+
+  return Conversation.findOneAndUpdate(
+    { _id: conversationId, userId },
+    { title: buildTitle(title) },
+    { new: true, runValidators: true }
+  ).lean();
+};
+
+/**
+ * Delete a conversation and its messages
+ * @param {string} userId - Owner ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+const deleteConversation = async (userId, conversationId) => {
+  if (!isValidId(conversationId)) return false;
+
+  const conversation = await Conversation.findOneAndDelete({ _id: conversationId, userId });
+  if (!conversation) return false;
+
+  await Message.deleteMany({ conversationId });
+  return true;
+};
+
+/**
+ * Remove all messages from a conversation but keep the conversation
+ * @param {string} userId - Owner ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} True if cleared
+ */
+const clearConversation = async (userId, conversationId) => {
+  if (!isValidId(conversationId)) return false;
+
+  const conversation = await Conversation.findOwned(conversationId, userId);
+  if (!conversation) return false;
+
+  await Message.deleteMany({ conversationId });
+  conversation.messageCount = 0;
+  conversation.lastTopic = null;
+  conversation.lastIntent = null;
+  await conversation.save();
+  return true;
+};
+
+module.exports = {
+  getOrCreateConversation,
+  appendMessage,
+  getConversationHistory,
+  listConversations,
+  findConversation,
+  getConversationWithMessages,
+  renameConversation,
+  deleteConversation,
+  clearConversation,
+  buildTitle,
+  MAX_HISTORY
+};
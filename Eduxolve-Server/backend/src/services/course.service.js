@@ -0,0 +1,242 @@
+/**
+ * Course Service
+ *
+ * Course CRUD, membership management and access checks used to scope
+ * search, RAG and chat to a single course.
+ */
+
+const Course = require('../models/Course');
+const Content = require('../models/Content');
+const User = require('../models/User');
+
+const MEMBER_ROLES = ['student', 'instructor'];
+
+/**
+ * Check whether a string is a valid ObjectId
+ * @param {string} id - Candidate ID
+ * @returns {boolean}
+ */
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Check whether a user may use a course (admins may use every course)
+ * @param {Object} user - req.user
+ * @param {Object} course - Course document
+ * @returns {boolean}
+ */
+const canAccessCourse = (user, course) => {
+  if (user.role === 'admin') return true;
+  const id = String(user.id);
+  return course.instructors.includes(id) || course.students.includes(id);
+};
+
+/**
+ * IDs of the courses a user belongs to (every course for admins)
+ * @param {Object} user - req.user
+ * @returns {Promise<string[]>}
+ */
+const getMemberCourseIds = async (user) => {
+  const courses = await Course.listForUser(user);
+  return courses.map(course => course._id.toString());
+};
+
+/**
+ * Check whether a user may see a content item
+ * Content not assigned to a course is open to every signed-in user.
+ * @param {Object} user - req.user
+ * @param {Object} content - Content document
+ * @returns {Promise<boolean>}
+ */
+const canAccessContent = async (user, content) => {
+  if (!content.courseId || user.role === 'admin') return true;
+  const course = await Course.findById(content.courseId).select('instructors students').lean();
+  return Boolean(course) && canAccessCourse(user, course);
+};
+
+/**
+ * Resolve a requested course for the current user
+ * @param {Object} user - req.user
+ * @param {string} courseId - Requested course ID
+ * @returns {Promise<Object>} { course } or { status, message } when not allowed
+ */
+const resolveCourse = async (user, courseId) => {
+  if (!isValidId(courseId)) {
+    return { status: 400, message: 'Invalid course ID format' };
+  }
+
+  const course = await Course.findById(courseId).lean();
+  if (!course) {
+    return { status: 404, message: 'Course not found' };
+  }
+  if (!canAccessCourse(user, course)) {
+    return { status: 403, message: 'You are not a member of this course' };
+  }
+
+  return { course };
+};
+
+/**
+ * List the courses visible to a user, with member counts
+ * @param {Object} user - req.user
+ * @returns {Promise<Object[]>} Course summaries
+ */
+const listCourses = async (user) => {
+  const courses = await Course.listForUser(user);
+  const id = String(user.id);
+
+  return courses.map(({ instructors, students, ...course }) => ({
+    ...course,
+    instructorCount: instructors.length,
+    studentCount: students.length,
+    isInstructor: instructors.includes(id)
+  }));
+};
+
+/**
+ * Get a course with member emails resolved
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object|null>} Course with `members`, or null if not found
+ */
+const getCourseWithMembers = async (courseId) => {
+  if (!isValidId(courseId)) return null;
+
+  const course = await Course.findById(courseId).select('-__v').lean();
+  if (!course) return null;
+
+  // Admin JWT ids are not Mongo ids and have no User document
+  const memberIds = [...course.instructors, ...course.students].filter(isValidId);
+  const users = await User.find({ _id: { $in: memberIds } }).select('_id email').lean();
+  const emailMap = new Map(users.map(u => [u._id.toString(), u.email]));
+
+  const toMember = (role) => (id) => ({ id, email: emailMap.get(id) || null, role });
+
+  return {
+    ...course,
+    members: [
+      ...course.instructors.map(toMember('instructor')),
+      ...course.students.map(toMember('student'))
+    ]
+  };
+};
+
+/**
+ * Create a course
+ * @param {Object} data - { code, title, term }
+ * @param {string} createdBy - Creator's user ID
+ * @returns {Promise<Object>} Created course
+ */
+const createCourse = async ({ code, title, term }, createdBy) => {
+  return Course.create({
+    code,
+    title,
+    term,
+    createdBy: String(createdBy)
+  });
+};
+
+/**
+ * Update course details
+ * @param {string} courseId - Course ID
+ * @param {Object} updates - { code, title, term }
+ * @returns {Promise<Object|null>} Updated course or null if not found
+ */
+const updateCourse = async (courseId, updates) => {
+  if (!isValidId(courseId)) return null;
+
+  return Course.findByIdAndUpdate(
+    courseId,
+    { $set: updates },
+    { new: true, runValidators: true }
+  ).lean();
+};
+
+/**
+ * Delete a course that has no content left
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} { deleted } or { status, message } when refused
+ */
+const deleteCourse = async (courseId) => {
+  if (!isValidId(courseId)) {
+    return { status: 404, message: 'Course not found' };
+  }
+
+  const contentCount = await Content.countDocuments({ courseId });
+  if (contentCount > 0) {
+    return {
+      status: 409,
+      message: `Course still has ${contentCount} content item(s). Move or delete them first.`
+    };
+  }
+
+  const course = await Course.findByIdAndDelete(courseId);
+  if (!course) {
+    return { status: 404, message: 'Course not found' };
+  }
+
+  return { deleted: true };
+};
+
+/**
+ * Add a registered user to a course by email
+ * @param {string} courseId - Course ID
+ * @param {string} email - Member email
+ * @param {string} role - 'student' or 'instructor'
+ * @returns {Promise<Object>} { course } or { status, message } on failure
+ */
+const addMember = async (courseId, email, role) => {
+  if (!isValidId(courseId)) {
+    return { status: 404, message: 'Course not found' };
+  }
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() }).select('_id').lean();
+  if (!user) {
+    return { status: 404, message: 'No user with that email has signed in yet' };
+  }
+
+  // A user holds one role per course
+  const userId = user._id.toString();
+  const field = role === 'instructor' ? 'instructors' : 'students';
+  const other = role === 'instructor' ? 'students' : 'instructors';
+
+  const course = await Course.findByIdAndUpdate(
+    courseId,
+    { $addToSet: { [field]: userId }, $pull: { [other]: userId } },
+    { new: true }
+  ).lean();
+  if (!course) {
+    return { status: 404, message: 'Course not found' };
+  }
+
+  return { course };
+};
+
+/**
+ * Remove a member from a course
+ * @param {string} courseId - Course ID
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<Object|null>} Updated course or null if not found
+ */
+const removeMember = async (courseId, userId) => {
+  if (!isValidId(courseId)) return null;
+
+  return Course.findByIdAndUpdate(
+    courseId,
+    { $pull: { instructors: userId, students: userId } },
+    { new: true }
+  ).lean();
+};
+
+module.exports = {
+  canAccessCourse,
+  canAccessContent,
+  getMemberCourseIds,
+  resolveCourse,
+  listCourses,
+  getCourseWithMembers,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  addMember,
+  removeMember,
+  MEMBER_ROLES
+};
@@ -0,0 +1,145 @@
+/**
+ * Document Service
+ *
+ * Builds the document viewer payload for a content item: the extracted
+ * text of each page/slide plus the position of every indexed chunk in it,
+ * so a search result or citation can be shown in context.
+ */
+
+const Content = require('../models/Content');
+const Embedding = require('../models/Embedding');
+const { extractSegmentsFromFile } = require('./indexing.service');
+const { canAccessContent } = require('./course.service');
+
+// Chunk 0 starts with the title/topic added at index time; skip up to this
+// many leading words when a chunk is not found verbatim
+const MAX_SKIPPED_WORDS = 40;
+const MIN_MATCH_WORDS = 5;
+
+/**
+ * Collapse whitespace runs, keeping a map back to the original offsets
+ * Chunk text is stored with single spaces, so matching happens on this form.
+ * @param {string} text - Original segment text
+ * @returns {{normalized: string, offsets: number[]}} offsets[i] = original index of normalized[i]
+ */
+const normalizeWithOffsets = (text) => {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += ' ';
+      offsets.push(i - 1);
+      pendingSpace = false;
+    }
+    normalized += text[i];
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+};
+
+/**
+ * Find a chunk in a normalized segment
+ * Falls back to dropping leading words (title/topic prefix of chunk 0).
+ * @param {string} normalized - Normalized segment text
+ * @param {string} chunkText - Stored chunk text
+ * @param {number} from - Normalized offset to search from first
+ * @returns {{start: number, end: number}|null} Normalized range
+ */
+const findChunk = (normalized, chunkText, from = 0) => {
+  const words = chunkText.split(/\s+/).filter(Boolean);
+  const maxSkip = Math.max(0, Math.min(MAX_SKIPPED_WORDS, words.length - MIN_MATCH_WORDS));
+
+  for (let skip = 0; skip <= maxSkip; skip++) {
+    const needle = words.slice(skip).join(' ');
+    let start = normalized.indexOf(needle, from);
+    if (start === -1 && from > 0) start = normalized.indexOf(needle);
+    if (start !== -1) return { start, end: start + needle.length };
+  }
+
+  return null;
+};
+
+/**
+ * Segment a chunk was cut from: same page/slide, or the only segment
+ * @param {Object[]} segments - Extracted segments
+ * @param {Object} metadata - Chunk metadata ({ page, slide })
+ * @returns {number} Segment index or -1
+ */
+const findSegmentIndex = (segments, metadata = {}) => {
+  if (metadata.page) return segments.findIndex(s => s.page === metadata.page);
+  if (metadata.slide) return segments.findIndex(s => s.slide === metadata.slide);
+  return segments.length === 1 ? 0 : -1;
+};
+
+/**
+ * Get a content item with its extracted text and chunk positions
+ * Course access is checked before the file is fetched and parsed.
+ * @param {string} contentId - Content ID
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { document: { content, segments, chunks } } or { status, message }
+ */
+const getContentDocument = async (contentId, user) => {
+  const content = await Content.findById(contentId)
+    .select('title type week topic tags courseId fileUrl fileType originalFileName indexStatus indexedAt')
+    .lean();
+
+  if (!content) {
+    return { status: 404, message: 'Content not found' };
+  }
+  if (!(await canAccessContent(user, content))) {
+    return { status: 403, message: 'You are not a member of this course' };
+  }
+
+  const [extracted, embeddings] = await Promise.all([
+    extractSegmentsFromFile(content.fileUrl, content.fileType),
+    Embedding.findByContentId(contentId).select('chunkIndex chunkText metadata').lean()
+  ]);
+
+  const segments = extracted
+    .filter(segment => segment.text && segment.text.trim())
+    .map(segment => ({ page: segment.page || null, slide: segment.slide || null, text: segment.text }));
+  const normalizedSegments = segments.map(segment => normalizeWithOffsets(segment.text));
+  const cursors = segments.map(() => 0);
+
+  const chunks = embeddings.map(embedding => {
+    const chunk = {
+      chunkIndex: embedding.chunkIndex,
+      text: embedding.chunkText,
+      page: embedding.metadata?.page || null,
+      slide: embedding.metadata?.slide || null,
+      segment: null,
+      start: null,
+      end: null
+    };
+
+    const segmentIndex = findSegmentIndex(segments, embedding.metadata);
+    if (segmentIndex === -1) return chunk;
+
+    const { normalized, offsets } = normalizedSegments[segmentIndex];
+    const range = findChunk(normalized, embedding.chunkText, cursors[segmentIndex]);
+    if (!range) return chunk;
+
+    // Chunks overlap, so the next one starts before this one ends
+    cursors[segmentIndex] = range.start + 1;
+
+    return {
+      ...chunk,
+      segment: segmentIndex,
+      start: offsets[range.start],
+      end: offsets[range.end - 1] + 1
+    };
+  });
+
+  return { document: { content, segments, chunks } };
+};
+
+module.exports = {
+  getContentDocument
+};
@@ -1,60 +1,69 @@
 /**
  * Embedding Service
  * 
- * Generates vector embeddings for text using Gemini embedding model.
+ * Generates vector embeddings for text using the configured LLM provider.
  * Falls back to a simple TF-IDF-like approach for hackathon reliability.
+ * Every vector is tagged with the version that produced it so a provider
+ * or model switch can re-embed exactly the stale chunks.
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { embedContent, getLlmInfo } = require('../config/llm');
+const { hashEmbedding } = require('../utils/hashEmbedding');
 
-// Initialize Gemini client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
+// Embedding model configuration (from the active provider)
+const {
+  provider: EMBEDDING_PROVIDER,
+  embeddingModel: EMBEDDING_MODEL,
+  embeddingDimension: EMBEDDING_DIMENSION
+} = getLlmInfo();
 
-// Embedding model configuration
-const EMBEDDING_MODEL = 'text-embedding-004';
-const EMBEDDING_DIMENSION = 768; // Gemini embedding dimension
+// Stored on each Embedding; vectors from different versions are not comparable
+const EMBEDDING_VERSION = `${EMBEDDING_PROVIDER}:${EMBEDDING_MODEL}:${EMBEDDING_DIMENSION}`;
+const FALLBACK_EMBEDDING_VERSION = `hash:v1:${EMBEDDING_DIMENSION}`;
 
 /**
- * Generate embedding for a single text using Gemini
+ * Embed a text and report which version produced the vector
  * @param {string} text - Text to embed
- * @returns {Promise<number[]>} Embedding vector
+ * @returns {Promise<{vector: number[], embeddingVersion: string}>}
  */
-const generateEmbedding = async (text) => {
+const embedWithVersion = async (text) => {
   try {
-    if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your_gemini_api_key_here') {
-      console.warn('⚠️ Gemini API key not configured, using fallback embedding');
-      return generateFallbackEmbedding(text);
-    }
+    return { vector: await embedContent(text), embeddingVersion: EMBEDDING_VERSION };
 
-    const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
-    
-    const result = await model.embedContent(text);
-    const embedding = result.embedding;
-    
-    if (!embedding || !embedding.values) {
-      throw new Error('Invalid embedding response');
+  } catch (error) {
+    // Fallback to simple embedding when the provider is unconfigured or throttled
+    if (error.message.includes('API_KEY')) {
+      console.warn('⚠️ LLM API key not configured, using fallback embedding');
+      return { vector: generateFallbackEmbedding(text), embeddingVersion: FALLBACK_EMBEDDING_VERSION };
     }
 
-    return embedding.values;
-
-  } catch (error) {
     console.error('❌ Embedding generation error:', error.message);
-    
-    // Fallback to simple embedding on error
-    if (error.message.includes('API_KEY') || error.message.includes('RATE_LIMIT')) {
-      return generateFallbackEmbedding(text);
+
+    if (error.message.includes('RATE_LIMIT') || error.status === 429) {
+      return { vector: generateFallbackEmbedding(text), embeddingVersion: FALLBACK_EMBEDDING_VERSION };
     }
     
     throw error;
   }
 };
 
+/**
+ * Generate embedding for a single text using the configured provider
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} Embedding vector
+ */
+const generateEmbedding = async (text) => {
+  const { vector } = await embedWithVersion(text);
+  return vector;
+};
+
 /**
  * Generate embeddings for multiple texts (batch)
  * @param {string[]} texts - Array of texts to embed
- * @returns {Promise<number[][]>} Array of embedding vectors
+ * @param {Object} options - { withVersion: resolve to { vector, embeddingVersion } objects }
+ * @returns {Promise<Array>} Embedding vectors (or versioned objects), in input order
  */
-const generateEmbeddings = async (texts) => {
+const generateEmbeddings = async (texts, options = {}) => {
   const embeddings = [];
   
   // Process in batches to avoid rate limits
@@ -63,8 +72,9 @@ const generateEmbeddings = async (texts) => {
   for (let i = 0; i < texts.length; i += batchSize) {
     const batch = texts.slice(i, i + batchSize);
     
-    const batchPromises = batch.map(text => generateEmbedding(text));
-    const batchResults = await Promise.all(batchPromises);
+    const batchPromises = batch.map(text => embedWithVersion(text));
+    const batchResults = (await Promise.all(batchPromises))
+      .map(result => (options.withVersion ? result : result.vector));
     
     embeddings.push(...batchResults);
     
@@ -79,48 +89,11 @@ const generateEmbeddings = async (texts) => {
 
 /**
  * Fallback embedding using simple word frequency approach
- * Used when Gemini API is unavailable
+ * Used when the LLM provider is unavailable
  * @param {string} text - Text to embed
  * @returns {number[]} Simple embedding vector
  */
-const generateFallbackEmbedding = (text) => {
-  // Normalize text
-  const normalizedText = text.toLowerCase().replace(/[^\w\s]/g, '');
-  const words = normalizedText.split(/\s+/).filter(w => w.length > 2);
-  
-  // Create a simple hash-based embedding
-  const vector = new Array(EMBEDDING_DIMENSION).fill(0);
-  
-  for (const word of words) {
-    // Hash word to get indices
-    let hash = 0;
-    for (let i = 0; i < word.length; i++) {
-      hash = ((hash << 5) - hash) + word.charCodeAt(i);
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    
-    // Use hash to set multiple dimensions
-    const indices = [
-      Math.abs(hash) % EMBEDDING_DIMENSION,
-      Math.abs(hash * 31) % EMBEDDING_DIMENSION,
-      Math.abs(hash * 37) % EMBEDDING_DIMENSION
-    ];
-    
-    for (const idx of indices) {
-      vector[idx] += 1;
-    }
-  }
-  
-  // Normalize the vector
-  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-  if (magnitude > 0) {
-    for (let i = 0; i < vector.length; i++) {
-      vector[i] /= magnitude;
-    }
-  }
-  
-  return vector;
-};
+const generateFallbackEmbedding = (text) => hashEmbedding(text, EMBEDDING_DIMENSION);
 
 /**
  * Calculate cosine similarity between two vectors
@@ -177,5 +150,7 @@ module.exports = {
   cosineSimilarity,
   findSimilar,
   EMBEDDING_MODEL,
-  EMBEDDING_DIMENSION
+  EMBEDDING_DIMENSION,
+  EMBEDDING_VERSION,
+  FALLBACK_EMBEDDING_VERSION
 };
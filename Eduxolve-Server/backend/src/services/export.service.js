@@ -0,0 +1,1097 @@
+/**
+ * Export Service
+ *
+ * Turns generated markdown into downloadable files:
+ * - slides: PPTX (pptxgenjs), PDF (pdfkit) and a self-contained Reveal.js
+ *   HTML page, keeping code blocks and speaker notes
+ * - notes: PDF, DOCX (docx) and a zipped Markdown file, each ending with a
+ *   references section built from the generation's sources
+ *
+ * Markdown is tokenised once with marked and rendered by each exporter from
+ * the same block list.
+ */
+
+const fs = require('fs');
+const PptxGenJS = require('pptxgenjs');
+const PDFDocument = require('pdfkit');
+const JSZip = require('jszip');
+const docx = require('docx');
+const { Marked, Lexer } = require('marked');
+
+const SLIDE_FORMATS = {
+  pptx: {
+    extension: 'pptx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  html: { extension: 'html', mimeType: 'text/html; charset=utf-8' }
+};
+
+const NOTES_FORMATS = {
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  docx: {
+    extension: 'docx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  },
+  md: { extension: 'zip', mimeType: 'application/zip' }
+};
+
+// How `sources` labels from POST /api/ai/generate read in a references section
+const SOURCE_LABELS = {
+  course_materials: 'Course materials indexed in EduXolve',
+  uploaded_file: 'File uploaded with the request',
+  ai_generated: 'AI generated without course materials - verify against your course notes'
+};
+
+const REVEAL_THEMES = ['white', 'black', 'simple', 'serif', 'sky', 'solarized', 'moon', 'beige'];
+
+const COLORS = {
+  ink: '111111',
+  muted: '555555',
+  accent: '007AFF',
+  codeBackground: '1A1A1A',
+  codeText: 'E8E8E4',
+  quoteBackground: 'FFF9E6'
+};
+
+// ===================
+// MARKDOWN PARSING
+// ===================
+
+/**
+ * Flatten inline tokens into styled text runs
+ * @param {Object[]} tokens - marked inline tokens
+ * @param {Object} style - Inherited { bold, italic, code }
+ * @returns {{text: string, bold?: boolean, italic?: boolean, code?: boolean}[]}
+ */
+const toRuns = (tokens = [], style = {}) => tokens.flatMap(token => {
+  switch (token.type) {
+    case 'strong':
+      return toRuns(token.tokens, { ...style, bold: true });
+    case 'em':
+      return toRuns(token.tokens, { ...style, italic: true });
+    case 'del':
+    case 'link':
+      return toRuns(token.tokens, style);
+    case 'codespan':
+      return [{ ...style, text: decodeEntities(token.text), code: true }];
+    case 'br':
+      return [{ ...style, text: '\n' }];
+    case 'text':
+      return token.tokens ? toRuns(token.tokens, style) : [{ ...style, text: decodeEntities(token.text) }];
+    case 'escape':
+    case 'html':
+      return [{ ...style, text: decodeEntities(token.text || token.raw) }];
+    default:
+      return token.raw ? [{ ...style, text: token.raw }] : [];
+  }
+});
+
+const decodeEntities = (text = '') => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const runsToText = (runs) => runs.map(run => run.text).join('');
+
+/**
+ * Collect list items (including nested lists) with their depth
+ */
+const listItems = (list, depth = 0) => list.items.flatMap(item => {
+  const nested = item.tokens.filter(token => token.type === 'list');
+  const inline = item.tokens.filter(token => token.type !== 'list' && token.type !== 'space');
+  const runs = inline.flatMap((token, i) => [
+    ...(i > 0 ? [{ text: ' ' }] : []),
+    ...toRuns(token.tokens || [token])
+  ]);
+
+  return [
+    { runs, depth, ordered: list.ordered },
+    ...nested.flatMap(child => listItems(child, depth + 1))
+  ];
+});
+
+/**
+ * Convert markdown into blocks the exporters can lay out
+ * @param {string} markdown
+ * @returns {Object[]} heading | paragraph | list | code | quote | table blocks
+ */
+const toBlocks = (markdown) => new Lexer().lex(markdown || '').flatMap(token => {
+  switch (token.type) {
+    case 'heading':
+      return [{ type: 'heading', depth: token.depth, runs: toRuns(token.tokens) }];
+    case 'paragraph':
+    case 'text':
+      return [{ type: 'paragraph', runs: toRuns(token.tokens || [token]) }];
+    case 'list':
+      return [{ type: 'list', ordered: token.ordered, start: Number(token.start) || 1, items: listItems(token) }];
+    case 'code':
+      return [{ type: 'code', language: token.lang || '', text: token.text }];
+    case 'blockquote':
+      return [{
+        type: 'quote',
+        runs: token.tokens.flatMap((child, i) => [
+          ...(i > 0 ? [{ text: '\n' }] : []),
+          ...toRuns(child.tokens || [child])
+        ])
+      }];
+    case 'table':
+      return [{
+        type: 'table',
+        header: token.header.map(cell => runsToText(toRuns(cell.tokens))),
+        rows: token.rows.map(row => row.map(cell => runsToText(toRuns(cell.tokens))))
+      }];
+    default:
+      return [];
+  }
+});
+
+// ===================
+// SLIDE PARSING
+// ===================
+
+const NOTE_LABEL = /^\s*\*\*\s*(speaker notes|notes|visual suggestion|visual)\s*:?\s*\*\*\s*:?\s*(.*)$/i;
+
+/**
+ * Split markdown on `---` separators, ignoring separators inside code fences
+ */
+const splitSections = (markdown) => {
+  const sections = [[]];
+  let fence = null;
+
+  for (const line of String(markdown).replace(/\r\n/g, '\n').split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+    }
+
+    if (!fence && /^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+      sections.push([]);
+    } else {
+      sections[sections.length - 1].push(line);
+    }
+  }
+
+  return sections.map(lines => lines.join('\n').trim()).filter(Boolean);
+};
+
+/**
+ * Parse one slide: title, body markdown, speaker notes
+ */
+const parseSlide = (section) => {
+  const lines = section.split('\n');
+  const bodyLines = [];
+  const notes = [];
+  const visuals = [];
+  let title = '';
+  let current = null;
+  let fence = false;
+
+  for (const line of lines) {
+    if (/^\s*(`{3,}|~{3,})/.test(line)) fence = !fence;
+
+    const heading = !fence && !title && line.match(/^\s*#{1,3}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      title = heading[1].replace(/^slide\s+\d+\s*[:.\-–—]\s*/i, '').replace(/\*\*/g, '').trim();
+      continue;
+    }
+
+    const label = !fence && line.match(NOTE_LABEL);
+    if (label) {
+      current = /visual/i.test(label[1]) ? visuals : notes;
+      if (label[2].trim()) current.push(label[2].trim());
+      continue;
+    }
+
+    if (current) {
+      // Notes run until the next label; a heading or fence ends them
+      if (!fence && /^\s*(#{1,6}\s|`{3,}|~{3,})/.test(line)) {
+        current = null;
+        bodyLines.push(line);
+      } else if (line.trim()) {
+        current.push(line.trim());
+      }
+      continue;
+    }
+
+    bodyLines.push(line);
+  }
+
+  const body = bodyLines.join('\n').trim();
+  const speakerNotes = [
+    notes.join('\n'),
+    visuals.length > 0 ? `Visual: ${visuals.join(' ')}` : ''
+  ].filter(Boolean).join('\n\n');
+
+  return { title, body, blocks: toBlocks(body), notes: speakerNotes };
+};
+
+/**
+ * Parse generated slide markdown into a deck
+ * @param {string} markdown - Output of buildSlidesPrompt
+ * @param {string} title - Optional deck title
+ * @returns {{title: string, slides: Object[]}}
+ */
+const parseSlides = (markdown, title = '') => {
+  let slides = splitSections(markdown).map(parseSlide);
+
+  // Drop chatter before the first titled slide ("Here are your slides:")
+  const firstTitled = slides.findIndex(slide => slide.title);
+  if (firstTitled > 0) {
+    slides = slides.slice(firstTitled);
+  }
+
+  slides = slides.filter(slide => slide.title || slide.blocks.length > 0 || slide.notes);
+
+  return {
+    title: (title || slides[0]?.title || 'Slides').trim(),
+    slides
+  };
+};
+
+// ===================
+// PPTX
+// ===================
+
+const PPTX_WIDTH = 13.333;
+const PPTX_BODY = { x: 0.6, y: 1.55, w: 12.1, h: 5.5 };
+
+const pptxRuns = (runs, base = {}) => runs.map(run => ({
+  text: run.text,
+  options: {
+    ...base,
+    bold: run.bold || base.bold,
+    italic: run.italic,
+    ...(run.code && { fontFace: 'Courier New', color: 'C7254E' })
+  }
+}));
+
+/**
+ * Rough height (inches) of a block at a given font size
+ */
+const estimateHeight = (block, fontSize) => {
+  const lineHeight = (fontSize * 1.35) / 72;
+  const charsPerLine = Math.max(20, Math.floor((PPTX_BODY.w * 72) / (fontSize * 0.52)));
+  const wrapped = (text) => Math.max(1, Math.ceil(text.length / charsPerLine));
+
+  switch (block.type) {
+    case 'code': {
+      const codeSize = fontSize * 0.7;
+      return block.text.split('\n').length * (codeSize * 1.3) / 72 + 0.3;
+    }
+    case 'list':
+      return block.items.reduce((sum, item) => sum + wrapped(runsToText(item.runs)) * lineHeight, 0) + 0.1;
+    case 'table':
+      return (block.rows.length + 1) * lineHeight * 1.4 + 0.1;
+    default:
+      return wrapped(runsToText(block.runs)) * lineHeight + 0.15;
+  }
+};
+
+const addPptxBlock = (slide, block, y, fontSize) => {
+  const h = estimateHeight(block, fontSize);
+  const box = { x: PPTX_BODY.x, y, w: PPTX_BODY.w, h, valign: 'top', margin: 4 };
+
+  switch (block.type) {
+    case 'code':
+      slide.addText(block.text, {
+        ...box,
+        fontFace: 'Courier New',
+        fontSize: Math.round(fontSize * 0.7),
+        color: COLORS.codeText,
+        fill: { color: COLORS.codeBackground },
+        margin: 8
+      });
+      break;
+    case 'list':
+      slide.addText(block.items.flatMap(item =>
+        pptxRuns(item.runs).map((run, i, all) => ({
+          text: run.text,
+          options: {
+            ...run.options,
+            ...(i === 0 && {
+              bullet: item.ordered ? { type: 'number' } : true,
+              indentLevel: item.depth
+            }),
+            breakLine: i === all.length - 1
+          }
+        }))
+      ), { ...box, fontSize, color: COLORS.ink, paraSpaceAfter: 4 });
+      break;
+    case 'table':
+      slide.addTable([
+        block.header.map(text => ({ text, options: { bold: true, fill: { color: 'FFD93D' } } })),
+        ...block.rows
+      ], { x: box.x, y, w: box.w, fontSize: Math.round(fontSize * 0.75), border: { type: 'solid', pt: 1, color: COLORS.ink } });
+      break;
+    case 'quote':
+      slide.addText(pptxRuns(block.runs, { italic: true }), {
+        ...box, fontSize, color: COLORS.muted, fill: { color: COLORS.quoteBackground }
+      });
+      break;
+    case 'heading':
+      slide.addText(pptxRuns(block.runs, { bold: true }), { ...box, fontSize: fontSize + 2, color: COLORS.ink });
+      break;
+    default:
+      slide.addText(pptxRuns(block.runs), { ...box, fontSize, color: COLORS.ink });
+  }
+
+  return y + h + 0.1;
+};
+
+/**
+ * Export a deck as PowerPoint
+ * @param {{title: string, slides: Object[]}} deck
+ * @returns {Promise<Buffer>}
+ */
+const exportPptx = async (deck) => {
+  const pptx = new PptxGenJS();
+  pptx.layout = 'LAYOUT_WIDE';
+  pptx.title = deck.title;
+  pptx.company = 'EduXolve';
+
+  deck.slides.forEach((data, index) => {
+    const slide = pptx.addSlide();
+    slide.background = { color: 'FFFFFF' };
+
+    slide.addText(data.title || deck.title, {
+      x: PPTX_BODY.x, y: 0.4, w: PPTX_BODY.w, h: 1,
+      fontSize: index === 0 ? 36 : 30, bold: true, color: COLORS.ink, fit: 'shrink'
+    });
+    slide.addShape(pptx.ShapeType.rect, {
+      x: PPTX_BODY.x, y: 1.38, w: 1.6, h: 0.08, fill: { color: COLORS.accent }, line: { color: COLORS.accent }
+    });
+
+    // Shrink the body font until the blocks fit
+    let fontSize = 20;
+    const total = (size) => data.blocks.reduce((sum, block) => sum + estimateHeight(block, size) + 0.1, 0);
+    while (fontSize > 11 && total(fontSize) > PPTX_BODY.h) fontSize -= 1;
+
+    let y = PPTX_BODY.y;
+    for (const block of data.blocks) {
+      y = addPptxBlock(slide, block, y, fontSize);
+    }
+
+    slide.addText(`${index + 1}`, {
+      x: PPTX_WIDTH - 1.1, y: 7.0, w: 0.6, h: 0.3, fontSize: 10, color: COLORS.muted, align: 'right'
+    });
+
+    if (data.notes) {
+      slide.addNotes(data.notes);
+    }
+  });
+
+  return pptx.write({ outputType: 'nodebuffer' });
+};
+
+// ===================
+// PDF
+// ===================
+
+// Characters outside WinAnsi that the standard PDF fonts cannot draw
+const PDF_REPLACEMENTS = {
+  '→': '->', '←': '<-', '↔': '<->', '⇒': '=>', '⇐': '<=', '≤': '<=', '≥': '>=',
+  '≠': '!=', '≈': '~', '∞': 'inf', '√': 'sqrt', '∑': 'sum', '∈': 'in', '✓': 'v',
+  '✔': 'v', '✗': 'x', '✘': 'x', '★': '*', '▪': '-', '◦': '-', '‣': '-', '\t': '    '
+};
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+/**
+ * Replace characters the built-in PDF fonts can't encode
+ */
+const pdfSafe = (text = '') => Array.from(String(text), char => {
+  if (PDF_REPLACEMENTS[char]) return PDF_REPLACEMENTS[char];
+  if (char.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRAS.has(char)) return char;
+  return '?';
+}).join('');
+
+const pdfFont = (run) => {
+  if (run.code) return 'Courier';
+  if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+  if (run.bold) return 'Helvetica-Bold';
+  if (run.italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+};
+
+/**
+ * Write styled runs as one paragraph
+ */
+const writeRuns = (doc, runs, x, width, options = {}) => {
+  const printable = runs.filter(run => run.text);
+  if (printable.length === 0) return;
+
+  doc.x = x;
+  printable.forEach((run, i) => {
+    doc.font(pdfFont({ ...options, ...run, bold: run.bold || options.bold, italic: run.italic || options.italic }))
+      .text(pdfSafe(run.text), {
+        width,
+        continued: i < printable.length - 1,
+        lineGap: 2
+      });
+  });
+};
+
+/**
+ * Collect a PDFDocument's output into a buffer once `doc.end()` is called
+ */
+const pdfToBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+const headingSize = (block, size) => size + ([0, 8, 5, 2][block.depth] || 1);
+
+/**
+ * Measure a block at the current font scale
+ */
+const measurePdfBlock = (doc, block, width, size) => {
+  switch (block.type) {
+    case 'code':
+      doc.font('Courier').fontSize(size * 0.75);
+      return doc.heightOfString(pdfSafe(block.text), { width: width - 20 }) + 24;
+    case 'list':
+      doc.font('Helvetica').fontSize(size);
+      return block.items.reduce((sum, item) =>
+        sum + doc.heightOfString(pdfSafe(runsToText(item.runs)), { width: width - 24 - item.depth * 18, lineGap: 2 }) + 4, 8);
+    case 'table':
+      doc.font('Helvetica').fontSize(size * 0.8);
+      return (block.rows.length + 1) * (size * 0.8 + 10) + 8;
+    default:
+      doc.font(block.type === 'heading' ? 'Helvetica-Bold' : 'Helvetica').fontSize(block.type === 'heading' ? headingSize(block, size) : size);
+      return doc.heightOfString(pdfSafe(runsToText(block.runs)), { width, lineGap: 2 }) + 10;
+  }
+};
+
+const drawPdfBlock = (doc, block, x, y, width, size) => {
+  doc.y = y;
+  doc.fillColor(`#${COLORS.ink}`);
+
+  switch (block.type) {
+    case 'code': {
+      const height = measurePdfBlock(doc, block, width, size) - 8;
+      doc.save().roundedRect(x, y, width, height, 6).fill(`#${COLORS.codeBackground}`).restore();
+      doc.font('Courier').fontSize(size * 0.75).fillColor(`#${COLORS.codeText}`)
+        .text(pdfSafe(block.text), x + 10, y + 8, { width: width - 20 });
+      doc.fillColor(`#${COLORS.ink}`);
+      doc.y = y + height + 8;
+      break;
+    }
+    case 'list': {
+      doc.fontSize(size);
+      doc.y = y + 4;
+      let number = block.start;
+      block.items.forEach(item => {
+        const indent = x + item.depth * 18;
+        const marker = block.ordered && item.depth === 0 ? `${number++}.` : '•';
+        const itemY = doc.y;
+        doc.font('Helvetica').text(marker, indent, itemY, { width: 20 });
+        doc.y = itemY;
+        writeRuns(doc, item.runs, indent + 20, width - 20 - item.depth * 18);
+        doc.y += 4;
+      });
+      doc.y += 4;
+      break;
+    }
+    case 'table': {
+      const tableSize = size * 0.8;
+      const columnWidth = width / Math.max(1, block.header.length);
+      const rowHeight = tableSize + 10;
+      [block.header, ...block.rows].forEach((row, r) => {
+        const rowY = y + r * rowHeight;
+        if (r === 0) doc.save().rect(x, rowY, width, rowHeight).fill('#FFD93D').restore();
+        row.forEach((cell, c) => {
+          doc.font(r === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(tableSize).fillColor(`#${COLORS.ink}`)
+            .text(pdfSafe(cell), x + c * columnWidth + 4, rowY + 5, { width: columnWidth - 8, height: rowHeight - 4, ellipsis: true });
+        });
+        doc.save().rect(x, rowY, width, rowHeight).lineWidth(0.75).stroke(`#${COLORS.ink}`).restore();
+      });
+      doc.y = y + (block.rows.length + 1) * rowHeight + 8;
+      break;
+    }
+    case 'quote':
+      doc.save().rect(x, y, 4, measurePdfBlock(doc, block, width, size) - 10).fill('#FFD93D').restore();
+      doc.fontSize(size).fillColor(`#${COLORS.muted}`);
+      writeRuns(doc, block.runs, x + 14, width - 14, { italic: true });
+      doc.fillColor(`#${COLORS.ink}`);
+      doc.y += 10;
+      break;
+    case 'heading':
+      doc.fontSize(headingSize(block, size));
+      writeRuns(doc, block.runs, x, width, { bold: true });
+      doc.y += 10;
+      break;
+    default:
+      doc.fontSize(size);
+      writeRuns(doc, block.runs, x, width);
+      doc.y += 10;
+  }
+
+  return doc.y;
+};
+
+/**
+ * Export a deck as a landscape PDF, one slide per page.
+ * Speaker notes are attached as PDF notes and listed at the end.
+ * @param {{title: string, slides: Object[]}} deck
+ * @returns {Promise<Buffer>}
+ */
+const exportPdf = async (deck) => {
+  const PAGE = { width: 960, height: 540, margin: 48 };
+  const bodyWidth = PAGE.width - PAGE.margin * 2;
+  const bodyTop = 130;
+  const bodyBottom = PAGE.height - PAGE.margin;
+
+  const doc = new PDFDocument({
+    size: [PAGE.width, PAGE.height],
+    // No bottom margin so footers never spill onto a new page
+    margins: { top: PAGE.margin, left: PAGE.margin, right: PAGE.margin, bottom: 0 },
+    autoFirstPage: false,
+    info: { Title: pdfSafe(deck.title), Creator: 'EduXolve' }
+  });
+  const output = pdfToBuffer(doc);
+
+  deck.slides.forEach((slide, index) => {
+    doc.addPage();
+
+    doc.font('Helvetica-Bold').fontSize(index === 0 ? 34 : 28).fillColor(`#${COLORS.ink}`)
+      .text(pdfSafe(slide.title || deck.title), PAGE.margin, PAGE.margin, { width: bodyWidth, height: 76, ellipsis: true });
+    doc.rect(PAGE.margin, 112, 96, 5).fill(`#${COLORS.accent}`);
+
+    // Shrink the body font until the blocks fit
+    let size = 18;
+    const total = (s) => slide.blocks.reduce((sum, block) => sum + measurePdfBlock(doc, block, bodyWidth, s), 0);
+    while (size > 10 && total(size) > bodyBottom - bodyTop) size -= 1;
+
+    let y = bodyTop;
+    for (const block of slide.blocks) {
+      if (y + measurePdfBlock(doc, block, bodyWidth, size) > bodyBottom + 8) {
+        doc.font('Helvetica-Oblique').fontSize(10).fillColor(`#${COLORS.muted}`)
+          .text('(continued in speaker notes)', PAGE.margin, bodyBottom - 4);
+        break;
+      }
+      y = drawPdfBlock(doc, block, PAGE.margin, y, bodyWidth, size);
+    }
+
+    doc.font('Helvetica').fontSize(10).fillColor(`#${COLORS.muted}`)
+      .text(`${index + 1} / ${deck.slides.length}`, PAGE.width - PAGE.margin - 80, PAGE.height - 30, { width: 80, align: 'right', lineBreak: false });
+
+    if (slide.notes) {
+      doc.note(PAGE.width - 30, 12, 18, 18, pdfSafe(slide.notes), { Name: 'Comment' });
+    }
+  });
+
+  // Speaker notes handout
+  const withNotes = deck.slides.map((slide, index) => ({ ...slide, index })).filter(slide => slide.notes);
+  if (withNotes.length > 0) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(24).fillColor(`#${COLORS.ink}`)
+      .text('Speaker Notes', PAGE.margin, PAGE.margin, { width: bodyWidth });
+    doc.moveDown(0.5);
+
+    for (const slide of withNotes) {
+      if (doc.y > bodyBottom - 60) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(13).fillColor(`#${COLORS.ink}`)
+        .text(pdfSafe(`${slide.index + 1}. ${slide.title || deck.title}`), PAGE.margin, doc.y, { width: bodyWidth });
+      doc.font('Helvetica').fontSize(11).fillColor(`#${COLORS.muted}`)
+        .text(pdfSafe(slide.notes), { width: bodyWidth, lineGap: 2 });
+      doc.moveDown(0.8);
+    }
+  }
+
+  doc.end();
+  return output;
+};
+
+// ===================
+// REVEAL.JS
+// ===================
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Whether a link/image URL from model output may be emitted as-is:
+ * http(s), mailto or relative (no scheme)
+ * @param {string} url - href or src
+ */
+const isSafeUrl = (url = '') => {
+  // Browsers ignore control characters and spaces inside the scheme ("java\tscript:")
+  const scheme = String(url).replace(/[\u0000- \u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+};
+
+const titleAttr = (title) => (title ? ` title="${escapeHtml(title)}"` : '');
+
+// Raw HTML in model output is shown as text; links and images with any other
+// scheme (javascript:, data:, ...) are dropped down to their text
+const revealMarked = new Marked({
+  gfm: true,
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      return isSafeUrl(href) ? `<a href="${escapeHtml(href)}"${titleAttr(title)}>${text}</a>` : text;
+    },
+    image({ href, title, text }) {
+      return isSafeUrl(href)
+        ? `<img src="${escapeHtml(href)}" alt="${escapeHtml(text)}"${titleAttr(title)}>`
+        : escapeHtml(text);
+    }
+  }
+});
+
+const assetCache = new Map();
+
+/**
+ * Read a file shipped with the reveal.js package (cached)
+ * @param {string} name - Package specifier, e.g. 'reveal.js/reveal.css'
+ */
+const revealAsset = (name) => {
+  if (!assetCache.has(name)) {
+    assetCache.set(name, fs.readFileSync(require.resolve(name), 'utf8'));
+  }
+  return assetCache.get(name);
+};
+
+// Keep inlined scripts from closing the surrounding <script> tag
+const inlineScript = (source) => source.replace(/<\/script/gi, '<\\/script');
+
+/**
+ * Export a deck as a single HTML file with Reveal.js, its theme and the
+ * speaker notes plugin inlined (press S to open the speaker view)
+ * @param {{title: string, slides: Object[]}} deck
+ * @param {Object} options - { theme }
+ * @returns {Buffer}
+ */
+const exportRevealHtml = (deck, options = {}) => {
+  const theme = REVEAL_THEMES.includes(options.theme) ? options.theme : 'white';
+
+  const sections = deck.slides.map(slide => `
+      <section>
+        ${slide.title ? `<h2>${escapeHtml(slide.title)}</h2>` : ''}
+        ${revealMarked.parse(slide.body)}
+        ${slide.notes ? `<aside class="notes">${escapeHtml(slide.notes).replace(/\n/g, '<br>')}</aside>` : ''}
+      </section>`).join('\n');
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="EduXolve">
+  <title>${escapeHtml(deck.title)}</title>
+  <style>${revealAsset('reveal.js/reveal.css')}</style>
+  <style>${revealAsset(`reveal.js/theme/${theme}.css`)}</style>
+  <style>
+    .reveal h2 { font-size: 1.6em; }
+    .reveal section { text-align: left; font-size: 0.8em; }
+    .reveal pre { width: 100%; box-shadow: none; font-size: 0.6em; }
+    .reveal pre code { background: #${COLORS.codeBackground}; color: #${COLORS.codeText}; padding: 0.8em; border-radius: 6px; max-height: 480px; }
+    .reveal table { font-size: 0.8em; }
+  </style>
+</head>
+<body>
+  <div class="reveal">
+    <div class="slides">
+${sections}
+    </div>
+  </div>
+  <script>${inlineScript(revealAsset('reveal.js'))}</script>
+  <script>${inlineScript(revealAsset('reveal.js/plugin/notes'))}</script>
+  <script>
+    Reveal.initialize({ hash: true, slideNumber: true, plugins: [RevealNotes] });
+  </script>
+</body>
+</html>
+`;
+
+  return Buffer.from(html, 'utf8');
+};
+
+// ===================
+// NOTES
+// ===================
+
+/**
+ * Build the references list for a generation result
+ * @param {Array<string|Object>} sources - `sources` labels, or { title, location, url } objects
+ * @param {Object[]} references - Numbered course references ({ index, title, location })
+ * @returns {string[]} One line per reference
+ */
+const buildReferences = (sources = [], references = []) => {
+  const describe = (source) => {
+    if (typeof source === 'string') return SOURCE_LABELS[source] || source;
+    if (!source || !source.title) return null;
+    return [source.title, source.location, source.url].filter(Boolean).join(', ');
+  };
+
+  const lines = [
+    ...references.map(describe),
+    // Labels are only worth listing when they add something to the references
+    ...sources.filter(source => !(source === 'course_materials' && references.length > 0)).map(describe)
+  ].filter(Boolean);
+
+  return [...new Set(lines)];
+};
+
+/**
+ * Parse a generation result into a notes document
+ * @param {Object} result - { content, title?, topic?, sources?, references? }
+ * @returns {{title: string, topic: string, blocks: Object[], markdown: string, references: string[], date: string}}
+ */
+const parseNotes = (result) => {
+  let markdown = String(result.content || '').replace(/\r\n/g, '\n').trim();
+  let blocks = toBlocks(markdown);
+  let title = (result.title || '').trim();
+
+  // A leading H1 becomes the document title
+  if (blocks[0]?.type === 'heading' && blocks[0].depth === 1) {
+    title = title || runsToText(blocks[0].runs).trim();
+    blocks = blocks.slice(1);
+    markdown = markdown.replace(/^#\s+.*\n*/, '');
+  }
+
+  return {
+    title: title || (result.topic || '').trim() || 'Notes',
+    topic: (result.topic || '').trim(),
+    blocks,
+    markdown,
+    references: buildReferences(result.sources, result.references),
+    date: new Date().toISOString().slice(0, 10)
+  };
+};
+
+/**
+ * Split code blocks and tables so each piece fits on a page
+ */
+const paginateBlocks = (blocks) => blocks.flatMap(block => {
+  if (block.type === 'code') {
+    const lines = block.text.split('\n');
+    const pieces = [];
+    for (let i = 0; i < lines.length; i += 45) {
+      pieces.push({ ...block, text: lines.slice(i, i + 45).join('\n') });
+    }
+    return pieces;
+  }
+  if (block.type === 'table' && block.rows.length > 20) {
+    const pieces = [];
+    for (let i = 0; i < block.rows.length; i += 20) {
+      pieces.push({ ...block, rows: block.rows.slice(i, i + 20) });
+    }
+    return pieces;
+  }
+  return [block];
+});
+
+/**
+ * Export notes as a portrait PDF with page numbers
+ * @param {Object} notes - Output of parseNotes
+ * @returns {Promise<Buffer>}
+ */
+const exportNotesPdf = async (notes) => {
+  const PAGE = { width: 612, height: 792, margin: 60 };
+  const bodyWidth = PAGE.width - PAGE.margin * 2;
+  const bodyBottom = PAGE.height - PAGE.margin;
+  const size = 11;
+
+  const doc = new PDFDocument({
+    size: [PAGE.width, PAGE.height],
+    margin: PAGE.margin,
+    bufferPages: true,
+    info: { Title: pdfSafe(notes.title), Subject: pdfSafe(notes.topic), Creator: 'EduXolve' }
+  });
+  const output = pdfToBuffer(doc);
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(`#${COLORS.ink}`)
+    .text(pdfSafe(notes.title), PAGE.margin, PAGE.margin, { width: bodyWidth });
+  doc.font('Helvetica').fontSize(9).fillColor(`#${COLORS.muted}`)
+    .text(`EduXolve revision notes - ${notes.date}`, { width: bodyWidth });
+  doc.rect(PAGE.margin, doc.y + 6, 72, 4).fill(`#${COLORS.accent}`);
+
+  const drawBlocks = (blocks) => {
+    let y = doc.y + 16;
+    for (const block of paginateBlocks(blocks)) {
+      // Keep headings with the block that follows them
+      const needed = measurePdfBlock(doc, block, bodyWidth, size) + (block.type === 'heading' ? 60 : 0);
+      if (y + needed > bodyBottom && y > PAGE.margin + 1) {
+        doc.addPage();
+        y = PAGE.margin;
+      }
+      y = drawPdfBlock(doc, block, PAGE.margin, y, bodyWidth, size);
+    }
+    doc.y = y;
+  };
+
+  drawBlocks(notes.blocks);
+
+  if (notes.references.length > 0) {
+    drawBlocks([
+      { type: 'heading', depth: 2, runs: [{ text: 'References' }] },
+      { type: 'list', ordered: true, start: 1, items: notes.references.map(text => ({ runs: [{ text }], depth: 0 })) }
+    ]);
+  }
+
+  // Page numbers, drawn inside the bottom margin
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(9).fillColor(`#${COLORS.muted}`)
+      .text(`${i + 1} / ${range.count}`, PAGE.margin, PAGE.height - 36, { width: bodyWidth, align: 'center', lineBreak: false });
+  }
+
+  doc.end();
+  return output;
+};
+
+/**
+ * Word runs for styled text; newlines become line breaks
+ */
+const docxRuns = (runs, base = {}) => runs.flatMap(run =>
+  run.text.split('\n').map((text, i) => new docx.TextRun({
+    text,
+    break: i > 0 ? 1 : undefined,
+    bold: run.bold || base.bold,
+    italics: run.italic || base.italics,
+    ...(run.code && { font: 'Courier New', shading: { type: docx.ShadingType.CLEAR, fill: 'F2F2F2' } })
+  }))
+);
+
+const DOCX_HEADINGS = [
+  null,
+  docx.HeadingLevel.HEADING_1,
+  docx.HeadingLevel.HEADING_2,
+  docx.HeadingLevel.HEADING_3,
+  docx.HeadingLevel.HEADING_4,
+  docx.HeadingLevel.HEADING_5,
+  docx.HeadingLevel.HEADING_6
+];
+
+/**
+ * Word paragraphs/tables for one block
+ * @param {Object} block
+ * @param {number} listInstance - Restarts numbering for each ordered list
+ */
+const docxBlock = (block, listInstance) => {
+  switch (block.type) {
+    case 'heading':
+      return [new docx.Paragraph({ heading: DOCX_HEADINGS[block.depth], children: docxRuns(block.runs) })];
+    case 'list':
+      return block.items.map(item => new docx.Paragraph({
+        children: docxRuns(item.runs),
+        ...(item.ordered
+          ? { numbering: { reference: 'ordered', level: Math.min(item.depth, 2), instance: listInstance } }
+          : { bullet: { level: Math.min(item.depth, 2) } })
+      }));
+    case 'code':
+      return [new docx.Paragraph({
+        shading: { type: docx.ShadingType.CLEAR, fill: 'F2F2F2' },
+        border: { left: { style: docx.BorderStyle.SINGLE, size: 12, color: COLORS.accent, space: 6 } },
+        spacing: { before: 120, after: 120 },
+        children: block.text.split('\n').map((text, i) => new docx.TextRun({
+          text,
+          break: i > 0 ? 1 : undefined,
+          font: 'Courier New',
+          size: 18
+        }))
+      })];
+    case 'quote':
+      return [new docx.Paragraph({
+        indent: { left: 360 },
+        border: { left: { style: docx.BorderStyle.SINGLE, size: 18, color: 'FFD93D', space: 8 } },
+        children: docxRuns(block.runs, { italics: true })
+      })];
+    case 'table':
+      return [new docx.Table({
+        width: { size: 100, type: docx.WidthType.PERCENTAGE },
+        rows: [block.header, ...block.rows].map((row, r) => new docx.TableRow({
+          tableHeader: r === 0,
+          children: row.map(cell => new docx.TableCell({
+            ...(r === 0 && { shading: { type: docx.ShadingType.CLEAR, fill: 'FFD93D' } }),
+            children: [new docx.Paragraph({ children: [new docx.TextRun({ text: cell, bold: r === 0 })] })]
+          }))
+        }))
+      }), new docx.Paragraph({})];
+    default:
+      return [new docx.Paragraph({ spacing: { after: 120 }, children: docxRuns(block.runs) })];
+  }
+};
+
+/**
+ * Export notes as a Word document
+ * @param {Object} notes - Output of parseNotes
+ * @returns {Promise<Buffer>}
+ */
+const exportNotesDocx = async (notes) => {
+  const children = [
+    new docx.Paragraph({ heading: docx.HeadingLevel.TITLE, children: [new docx.TextRun(notes.title)] }),
+    new docx.Paragraph({
+      spacing: { after: 240 },
+      children: [new docx.TextRun({ text: `EduXolve revision notes - ${notes.date}`, color: COLORS.muted, size: 18 })]
+    }),
+    ...notes.blocks.flatMap((block, i) => docxBlock(block, i + 1))
+  ];
+
+  if (notes.references.length > 0) {
+    children.push(
+      new docx.Paragraph({ heading: docx.HeadingLevel.HEADING_1, children: [new docx.TextRun('References')] }),
+      ...notes.references.map(text => new docx.Paragraph({
+        numbering: { reference: 'ordered', level: 0, instance: 0 },
+        children: [new docx.TextRun(text)]
+      }))
+    );
+  }
+
+  const document = new docx.Document({
+    title: notes.title,
+    subject: notes.topic,
+    creator: 'EduXolve',
+    numbering: {
+      config: [{
+        reference: 'ordered',
+        levels: [docx.LevelFormat.DECIMAL, docx.LevelFormat.LOWER_LETTER, docx.LevelFormat.LOWER_ROMAN].map((format, level) => ({
+          level,
+          format,
+          text: `%${level + 1}.`,
+          alignment: docx.AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{ children }]
+  });
+
+  return docx.Packer.toBuffer(document);
+};
+
+/**
+ * Export notes as a zip holding one Markdown file
+ * @param {Object} notes - Output of parseNotes
+ * @returns {Promise<Buffer>}
+ */
+const exportNotesMarkdown = async (notes) => {
+  const references = notes.references.length > 0
+    ? `\n\n## References\n\n${notes.references.map((text, i) => `${i + 1}. ${text}`).join('\n')}\n`
+    : '\n';
+  const markdown = `# ${notes.title}\n\n_EduXolve revision notes - ${notes.date}_\n\n${notes.markdown}${references}`;
+
+  const zip = new JSZip();
+  zip.file(exportFileName(notes.title, 'md'), markdown);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// ===================
+// ENTRY POINTS
+// ===================
+
+/**
+ * File name for a download, e.g. "Binary Search Trees" -> "binary-search-trees.pptx"
+ */
+const exportFileName = (title, extension) => {
+  const slug = String(title || 'export')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || 'export'}.${extension}`;
+};
+
+/**
+ * Export generated slides
+ * @param {string} markdown - Slide markdown separated by `---`
+ * @param {string} format - 'pptx' | 'pdf' | 'html'
+ * @param {Object} options - { title, theme }
+ * @returns {Promise<{buffer: Buffer, fileName: string, mimeType: string, slideCount: number}>}
+ */
+const exportSlides = async (markdown, format, options = {}) => {
+  const target = SLIDE_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported slide format: ${format}`);
+  }
+
+  const deck = parseSlides(markdown, options.title);
+  if (deck.slides.length === 0) {
+    throw new Error('No slides found in content');
+  }
+
+  let buffer;
+  switch (format) {
+    case 'pptx':
+      buffer = await exportPptx(deck);
+      break;
+    case 'pdf':
+      buffer = await exportPdf(deck);
+      break;
+    default:
+      buffer = exportRevealHtml(deck, options);
+  }
+
+  return {
+    buffer,
+    fileName: exportFileName(deck.title, target.extension),
+    mimeType: target.mimeType,
+    slideCount: deck.slides.length
+  };
+};
+
+/**
+ * Export generated notes with a references section
+ * @param {Object} result - Generation result: { content, title?, topic?, sources?, references? }
+ * @param {string} format - 'pdf' | 'docx' | 'md'
+ * @returns {Promise<{buffer: Buffer, fileName: string, mimeType: string}>}
+ */
+const exportNotes = async (result, format) => {
+  const target = NOTES_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported notes format: ${format}`);
+  }
+
+  const notes = parseNotes(result);
+
+  let buffer;
+  switch (format) {
+    case 'pdf':
+      buffer = await exportNotesPdf(notes);
+      break;
+    case 'docx':
+      buffer = await exportNotesDocx(notes);
+      break;
+    default:
+      buffer = await exportNotesMarkdown(notes);
+  }
+
+  return {
+    buffer,
+    fileName: exportFileName(notes.title, target.extension),
+    mimeType: target.mimeType
+  };
+};
+
+module.exports = {
+  SLIDE_FORMATS,
+  NOTES_FORMATS,
+  REVEAL_THEMES,
+  toBlocks,
+  parseSlides,
+  parseNotes,
+  buildReferences,
+  exportPptx,
+  exportPdf,
+  exportRevealHtml,
+  exportNotesPdf,
+  exportNotesDocx,
+  exportNotesMarkdown,
+  exportFileName,
+  exportSlides,
+  exportNotes
+};
@@ -8,7 +8,7 @@
  * - Provide smart file analysis
  */
 
-const { generateContent } = require('../config/gemini');
+const { generateContent } = require('../config/llm');
 
 // Context limits
 const MAX_CONTEXT_LENGTH = 8000; // Characters for AI context
@@ -215,12 +215,24 @@ const buildFileContext = async (extractionResult, filename, options = {}) => {
   };
 };
 
+/**
+ * Label of a retrieved excerpt, e.g. "Page 30 • Stacks > Array implementation"
+ * @param {Object} excerpt - { page, breadcrumb, chunkIndex }
+ * @returns {string}
+ */
+const formatExcerptLabel = (excerpt) => {
+  const parts = [excerpt.page && `Page ${excerpt.page}`, excerpt.breadcrumb].filter(Boolean);
+  return parts.length > 0 ? parts.join(' • ') : `Section ${excerpt.chunkIndex + 1}`;
+};
+
 /**
  * Format file context for injection into AI prompt
  * @param {Object} fileContext - Context from buildFileContext
+ * @param {Object} [retrieval] - { excerpts, totalChunks } chunks retrieved for the
+ *   question (see attachmentIndex.service); shown instead of the file's start
  * @returns {string} Formatted context string
  */
-const formatContextForPrompt = (fileContext) => {
+const formatContextForPrompt = (fileContext, retrieval = null) => {
   if (!fileContext || !fileContext.success) {
     return '';
   }
@@ -254,6 +266,15 @@ const formatContextForPrompt = (fileContext) => {
   }
   
   // Content
+  if (retrieval?.excerpts?.length > 0) {
+    formatted += `\n--- RELEVANT EXCERPTS (${retrieval.excerpts.length} of ${retrieval.totalChunks} sections, chosen for this question) ---\n`;
+    formatted += retrieval.excerpts
+      .map(excerpt => `[${formatExcerptLabel(excerpt)}]\n${excerpt.text}`)
+      .join('\n\n---\n\n');
+    formatted += `\n${'='.repeat(50)}\n`;
+    return formatted;
+  }
+
   formatted += `\n--- FILE CONTENT ---\n`;
   formatted += ctx.content;
   if (ctx.contentTruncated) {
@@ -12,9 +12,10 @@
 
 const path = require('path');
 
-// Lazy load pdf-parse and mammoth to avoid issues if not installed
+// Lazy load pdf-parse, mammoth and jszip to avoid issues if not installed
 let pdfParse = null;
 let mammoth = null;
+let JSZip = null;
 
 const loadPdfParse = async () => {
   if (!pdfParse) {
@@ -38,6 +39,17 @@ const loadMammoth = async () => {
   return mammoth;
 };
 
+const loadJSZip = async () => {
+  if (!JSZip) {
+    try {
+      JSZip = require('jszip');
+    } catch (e) {
+      console.warn('jszip not available, PPTX extraction disabled');
+    }
+  }
+  return JSZip;
+};
+
 // Maximum characters to extract (to prevent context overflow)
 const MAX_TEXT_LENGTH = 15000;
 
@@ -159,6 +171,246 @@ const extractFromPDF = async (buffer) => {
   }
 };
 
+/**
+ * Render a single PDF page to text (mirrors pdf-parse's default renderer)
+ * @param {Object} pageData - pdf.js page proxy
+ * @returns {Promise<string>} Page text
+ */
+const renderPdfPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
+/**
+ * Extract text from a PDF page by page
+ * Used by the indexing pipeline so chunks can reference their page number
+ * @param {Buffer} buffer - File buffer
+ * @returns {Promise<Array<{page: number, text: string}>>} Non-empty pages in order
+ */
+const extractPdfPages = async (buffer) => {
+  const parser = await loadPdfParse();
+  if (!parser) {
+    return [];
+  }
+
+  const pages = [];
+  await parser(buffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      pages.push({ page: pageData.pageIndex + 1, text: cleanExtractedText(text) });
+      return text;
+    }
+  });
+
+  return pages
+    .filter(p => p.text.length > 0)
+    .sort((a, b) => a.page - b.page);
+};
+
+/**
+ * Decode the handful of XML entities used in OOXML text runs
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+  .replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+/**
+ * Pull paragraph text out of a DrawingML part (slide or notes XML)
+ * Each <a:p> becomes a line, <a:t> runs inside it are concatenated
+ * @param {string} xml - Slide XML
+ * @returns {string} Plain text
+ */
+const extractDrawingMLText = (xml) => {
+  const paragraphs = xml.match(/<a:p[\s>][\s\S]*?<\/a:p>/g) || [];
+  return paragraphs
+    .map(p => (p.match(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g) || [])
+      .map(run => decodeXmlEntities(run.replace(/<[^>]+>/g, '')))
+      .join(''))
+    .filter(line => line.trim())
+    .join('\n');
+};
+
+/**
+ * Parse a .rels part into a map of relationship id -> target
+ * @param {string} xml - Relationships XML
+ * @returns {Object} Map of rId to target path
+ */
+const parseRelationships = (xml) => {
+  const rels = {};
+  const relRegex = /<Relationship\s[^>]*?Id="([^"]+)"[^>]*?Target="([^"]+)"/g;
+  let match;
+  while ((match = relRegex.exec(xml)) !== null) {
+    rels[match[1]] = match[2];
+  }
+  return rels;
+};
+
+/**
+ * Extract text from a PPTX deck slide by slide (including speaker notes)
+ * Slides are returned in presentation order, not file-name order
+ * @param {Buffer} buffer - File buffer
+ * @returns {Promise<Array<{slide: number, text: string, notes: string}>>} Slides in order
+ */
+const extractPptxSlides = async (buffer) => {
+  const Zip = await loadJSZip();
+  if (!Zip) {
+    return [];
+  }
+
+  const zip = await Zip.loadAsync(buffer);
+  const readPart = async (name) => {
+    const file = zip.file(name);
+    return file ? file.async('string') : null;
+  };
+
+  // Resolve slide order from presentation.xml, fall back to slideN numbering
+  let slidePaths = [];
+  const presentationXml = await readPart('ppt/presentation.xml');
+  const presentationRels = await readPart('ppt/_rels/presentation.xml.rels');
+  if (presentationXml && presentationRels) {
+    const rels = parseRelationships(presentationRels);
+    const idRegex = /<p:sldId\s[^>]*?r:id="([^"]+)"/g;
+    let match;
+    while ((match = idRegex.exec(presentationXml)) !== null) {
+      if (rels[match[1]]) {
+        slidePaths.push(path.posix.join('ppt', rels[match[1]]));
+      }
+    }
+  }
+  if (slidePaths.length === 0) {
+    slidePaths = Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+  }
+
+  const slides = [];
+  for (let i = 0; i < slidePaths.length; i++) {
+    const slidePath = slidePaths[i];
+    const slideXml = await readPart(slidePath);
+    if (!slideXml) continue;
+
+    // Speaker notes are linked through the slide's relationships part
+    let notes = '';
+    const relsPath = path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`);
+    const slideRels = await readPart(relsPath);
+    if (slideRels) {
+      const notesTarget = Object.values(parseRelationships(slideRels)).find(t => /notesSlide\d+\.xml$/.test(t));
+      if (notesTarget) {
+        const notesXml = await readPart(path.posix.join(path.posix.dirname(slidePath), notesTarget));
+        notes = notesXml ? cleanExtractedText(extractDrawingMLText(notesXml)) : '';
+      }
+    }
+
+    slides.push({
+      slide: i + 1,
+      text: cleanExtractedText(extractDrawingMLText(slideXml)),
+      notes
+    });
+  }
+
+  return slides.filter(s => s.text || s.notes);
+};
+
+// PowerPoint 97-2003 binary record types
+const PPT_SLIDE_PERSIST_ATOM = 0x03F3;
+const PPT_TEXT_CHARS_ATOM = 0x0FA0;
+const PPT_TEXT_BYTES_ATOM = 0x0FA8;
+
+/**
+ * Extract text from a legacy .ppt deck slide by slide
+ * Walks the record stream looking for SlidePersistAtom markers followed by
+ * text atoms; this covers the outline text of most decks without a full OLE parser
+ * @param {Buffer} buffer - File buffer
+ * @returns {Array<{slide: number, text: string, notes: string}>} Slides in order
+ */
+const extractPptSlides = (buffer) => {
+  const slides = [];
+  let current = null;
+
+  for (let offset = 0; offset + 8 <= buffer.length; offset++) {
+    const recVerInstance = buffer.readUInt16LE(offset);
+    const recType = buffer.readUInt16LE(offset + 2);
+    const recLen = buffer.readUInt32LE(offset + 4);
+
+    if (recVerInstance !== 0) continue;
+
+    if (recType === PPT_SLIDE_PERSIST_ATOM && recLen === 20) {
+      current = { slide: slides.length + 1, lines: [] };
+      slides.push(current);
+      offset += 8 + recLen - 1;
+      continue;
+    }
+
+    if ((recType === PPT_TEXT_CHARS_ATOM || recType === PPT_TEXT_BYTES_ATOM) &&
+        recLen > 0 && offset + 8 + recLen <= buffer.length) {
+      const raw = buffer.slice(offset + 8, offset + 8 + recLen);
+      const text = recType === PPT_TEXT_CHARS_ATOM ? raw.toString('utf16le') : raw.toString('latin1');
+
+      if (/[a-zA-Z]/.test(text)) {
+        if (!current) {
+          current = { slide: slides.length + 1, lines: [] };
+          slides.push(current);
+        }
+        current.lines.push(text.replace(/\r/g, '\n'));
+      }
+      offset += 8 + recLen - 1;
+    }
+  }
+
+  return slides
+    .map(s => ({ slide: s.slide, text: cleanExtractedText(s.lines.join('\n')), notes: '' }))
+    .filter(s => s.text);
+};
+
+/**
+ * Extract a document as ordered segments (pages for PDF, slides for PPT/PPTX)
+ * @param {Buffer} buffer - File buffer
+ * @param {string} extension - File extension ('.pdf', '.ppt', '.pptx')
+ * @returns {Promise<Array<{text: string, page?: number, slide?: number}>>} Segments
+ */
+const extractSegments = async (buffer, extension) => {
+  switch (extension) {
+    case '.pdf':
+      return (await extractPdfPages(buffer)).map(p => ({ page: p.page, text: p.text }));
+
+    case '.pptx':
+    case '.ppt': {
+      const slides = extension === '.pptx'
+        ? await extractPptxSlides(buffer)
+        : extractPptSlides(buffer);
+
+      return slides.map(s => ({
+        slide: s.slide,
+        text: s.notes ? `${s.text}\n\nSpeaker notes:\n${s.notes}` : s.text
+      }));
+    }
+
+    default:
+      return [];
+  }
+};
+
 /**
  * Extract text from DOCX file
  * Uses mammoth library for reliable extraction
@@ -255,9 +507,12 @@ const cleanExtractedText = (text) => {
  * @param {Buffer} buffer - File buffer
  * @param {string} mimeType - MIME type
  * @param {string} filename - Original filename
+ * @param {Object} options - { truncate: cap the text at MAX_TEXT_LENGTH (default true) }
  * @returns {Promise<Object>} Extraction result
  */
-const extractText = async (buffer, mimeType, filename) => {
+const extractText = async (buffer, mimeType, filename, options = {}) => {
+  const { truncate = true } = options;
+
   // Detect file type
   const fileInfo = detectFileType(mimeType, filename);
   
@@ -304,7 +559,7 @@ const extractText = async (buffer, mimeType, filename) => {
     }
     
     // Truncate if too long
-    const wasTruncated = extractedText.length > MAX_TEXT_LENGTH;
+    const wasTruncated = truncate && extractedText.length > MAX_TEXT_LENGTH;
     if (wasTruncated) {
       extractedText = extractedText.substring(0, MAX_TEXT_LENGTH) + 
         '\n\n[... Content truncated due to length limit ...]';
@@ -356,6 +611,10 @@ const getSupportedTypes = () => ({
 
 module.exports = {
   extractText,
+  extractSegments,
+  extractPdfPages,
+  extractPptxSlides,
+  extractPptSlides,
   detectFileType,
   isSupportedFileType,
   getSupportedTypes,
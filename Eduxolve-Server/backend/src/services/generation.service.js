@@ -0,0 +1,207 @@
+/**
+ * Generation Service
+ *
+ * Library of saved AI generations.
+ * Each result of POST /api/ai/generate is stored; regenerating from a saved
+ * generation adds a new version to the same group.
+ */
+
+const mongoose = require('mongoose');
+const Generation = require('../models/Generation');
+
+// Configuration
+const PAGE_SIZE = 20;
+const PREVIEW_LENGTH = 240;
+const TITLE_MAX_LENGTH = 120;
+
+/**
+ * Check whether a string is a valid ObjectId
+ * @param {string} id - Candidate ID
+ * @returns {boolean}
+ */
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Title for the library: the first heading of the output, else the prompt
+ * @param {string} content - Generated markdown
+ * @param {string} prompt - Generation prompt
+ * @returns {string}
+ */
+const buildTitle = (content, prompt) => {
+  const heading = String(content || '').match(/^#{1,3}\s+(.+)$/m);
+  const title = (heading ? heading[1].replace(/^slide\s+\d+\s*:\s*/i, '') : prompt)
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (title.length <= TITLE_MAX_LENGTH) return title;
+  return `${title.substring(0, TITLE_MAX_LENGTH - 1).trim()}…`;
+};
+
+/**
+ * Save a generation, as a new version when it regenerates an earlier one
+ * @param {string} userId - Owner ID
+ * @param {Object} data - { prompt, type, language, options, courseId, content, structured, sources, references, model }
+ * @param {string|null} parentId - Generation this one regenerates
+ * @returns {Promise<Object>} Saved generation
+ */
+const saveGeneration = async (userId, data, parentId = null) => {
+  let versioning = {};
+
+  if (isValidId(parentId)) {
+    const parent = await Generation.findOwned(parentId, userId).select('versionGroup').lean();
+    if (parent) {
+      const latest = await Generation.findOne({ versionGroup: parent.versionGroup })
+        .sort({ version: -1 })
+        .select('version')
+        .lean();
+      versioning = {
+        versionGroup: parent.versionGroup,
+        version: (latest?.version || 0) + 1,
+        parentId: parent._id
+      };
+    }
+  }
+
+  // Quizzes and flashcards are validated against their schema when generated
+  const validation = data.structured
+    ? { status: data.sources?.includes('course_materials') ? 'grounded' : 'review', validatedAt: new Date() }
+    : undefined;
+
+  return Generation.create({
+    userId,
+    ...data,
+    title: data.structured?.title || buildTitle(data.content, data.prompt),
+    ...(validation && { validation }),
+    ...versioning
+  });
+};
+
+/**
+ * Store the result of POST /api/validate on a generation
+ * @param {string} userId - Owner ID
+ * @param {string} generationId - Generation ID
+ * @param {Object} result - Validation result ({ valid, score })
+ * @returns {Promise<Object|null>} Updated generation or null if not found
+ */
+const recordValidation = async (userId, generationId, result) => {
+  if (!isValidId(generationId)) return null;
+
+  return Generation.findOneAndUpdate(
+    { _id: generationId, userId },
+    {
+      validation: {
+        status: result.valid ? 'grounded' : 'review',
+        score: typeof result.score === 'number' ? Math.round(result.score) : null,
+        validatedAt: new Date()
+      }
+    },
+    { new: true }
+  ).select('validation').lean();
+};
+
+/**
+ * List a user's generations, one entry per version group (latest version)
+ * @param {string} userId - Owner ID
+ * @param {Object} filters - { q, type, language, status, courseId, page, limit }
+ * @returns {Promise<{generations: Object[], total: number, page: number, pages: number}>}
+ */
+const listGenerations = async (userId, filters = {}) => {
+  const page = Math.max(1, parseInt(filters.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(filters.limit, 10) || PAGE_SIZE));
+
+  const match = { userId };
+  if (filters.q && filters.q.trim()) match.$text = { $search: filters.q.trim() };
+  if (filters.type) match.type = filters.type;
+  if (filters.language) match.language = filters.language;
+  if (filters.status) match['validation.status'] = filters.status;
+  if (filters.courseId) match.courseId = new mongoose.Types.ObjectId(String(filters.courseId));
+
+  const [result] = await Generation.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$versionGroup',
+        latest: { $first: '$$ROOT' },
+        versionCount: { $sum: 1 }
+      }
+    },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$latest', { versionCount: '$versionCount' }] } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $facet: {
+        generations: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              title: 1,
+              prompt: 1,
+              type: 1,
+              language: 1,
+              courseId: 1,
+              sources: 1,
+              validation: 1,
+              version: 1,
+              versionGroup: 1,
+              versionCount: 1,
+              createdAt: 1,
+              preview: { $substrCP: ['$content', 0, PREVIEW_LENGTH] }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  return {
+    generations: result.generations,
+    total,
+    page,
+    pages: Math.ceil(total / limit)
+  };
+};
+
+/**
+ * Get a generation with a summary of every version in its group
+ * @param {string} userId - Owner ID
+ * @param {string} generationId - Generation ID
+ * @returns {Promise<{generation: Object, versions: Object[]}|null>} null if not found
+ */
+const getGeneration = async (userId, generationId) => {
+  if (!isValidId(generationId)) return null;
+
+  const generation = await Generation.findOwned(generationId, userId).lean();
+  if (!generation) return null;
+
+  const versions = await Generation.find({ versionGroup: generation.versionGroup, userId })
+    .sort({ version: 1 })
+    .select('version title validation model createdAt')
+    .lean();
+
+  return { generation, versions };
+};
+
+/**
+ * Delete one version of a generation
+ * @param {string} userId - Owner ID
+ * @param {string} generationId - Generation ID
+ * @returns {Promise<boolean>} false if not found
+ */
+const deleteGeneration = async (userId, generationId) => {
+  if (!isValidId(generationId)) return false;
+
+  const result = await Generation.deleteOne({ _id: generationId, userId });
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  buildTitle,
+  saveGeneration,
+  recordValidation,
+  listGenerations,
+  getGeneration,
+  deleteGeneration
+};
@@ -2,59 +2,97 @@
  * Indexing Service
  * 
  * Handles the indexing pipeline for course content:
- * 1. Extract text from content
+ * 1. Extract text from content (per page for PDFs, per slide for decks)
  * 2. Chunk text into semantic units
- * 3. Generate embeddings for each chunk
+ * 3. Generate embeddings for new or changed chunks (unchanged chunks,
+ *    matched by content hash, keep their vector)
  * 4. Store embeddings in MongoDB
+ *
+ * Uploads and batch indexing run as background jobs (see jobQueue.service).
  */
 
 const Embedding = require('../models/Embedding');
 const Content = require('../models/Content');
 const { chunkForIndexing } = require('../utils/chunkText');
-const { generateEmbedding, generateEmbeddings } = require('./embedding.service');
+const { generateEmbeddings, EMBEDDING_VERSION, FALLBACK_EMBEDDING_VERSION } = require('./embedding.service');
+const { extractSegments } = require('./fileExtract.service');
+const { addToVectorIndex, removeFromVectorIndex, getVectorIndexInfo } = require('./vectorIndex.service');
+const { addToLexicalIndex, removeFromLexicalIndex, getLexicalIndexInfo } = require('./lexicalIndex.service');
+const { registerJobHandler, enqueueJob } = require('./jobQueue.service');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+
+// File types stored as plain text on disk
+const TEXT_BASED_TYPES = ['text', 'python', 'javascript', 'c/c++', 'java', 'json'];
 
 /**
- * Extract text content from a file
- * For hackathon: supports text files directly, mocks PDF/PPT
+ * Resolve the on-disk path of an uploaded file
+ * @param {string} filePath - Stored file URL (e.g. /uploads/<name>)
+ * @returns {string} Absolute path inside the uploads directory
+ */
+const resolveUploadPath = (filePath) => path.join(__dirname, '../../uploads', path.basename(filePath));
+
+/**
+ * Extract content from a file as ordered segments
+ * PDFs yield one segment per page, PPT/PPTX one per slide,
+ * text-based files a single segment without a location.
  * @param {string} filePath - Path to the file
  * @param {string} fileType - Type of file
- * @returns {Promise<string>} Extracted text
+ * @returns {Promise<Array<{text: string, page?: number, slide?: number}>>} Extracted segments
  */
-const extractTextFromFile = async (filePath, fileType) => {
+const extractSegmentsFromFile = async (filePath, fileType) => {
   try {
-    const fullPath = path.join(__dirname, '../../uploads', path.basename(filePath));
-    
+    const fullPath = resolveUploadPath(filePath);
+
     // For text-based files, read directly
-    const textBasedTypes = ['text', 'python', 'javascript', 'c/c++', 'java', 'json'];
-    
-    if (textBasedTypes.includes(fileType)) {
+    if (TEXT_BASED_TYPES.includes(fileType)) {
       const content = await fs.readFile(fullPath, 'utf-8');
-      return content;
+      return [{ text: content }];
     }
 
-    // For PDF/PPT - mock extraction for hackathon
-    // In production, use pdf-parse or similar libraries
+    // For PDF/PPT/PPTX, extract per page/slide
     if (fileType === 'pdf' || fileType === 'presentation') {
-      // Return a placeholder - in real app, use pdf-parse, pptx-parser, etc.
-      console.log(`📄 Mock extraction for ${fileType} file`);
-      return `[Content extracted from ${fileType} file: ${path.basename(filePath)}]`;
+      const buffer = await fs.readFile(fullPath);
+      const segments = await extractSegments(buffer, path.extname(filePath).toLowerCase());
+      console.log(`📄 Extracted ${segments.length} ${fileType === 'pdf' ? 'pages' : 'slides'} from ${path.basename(filePath)}`);
+      return segments;
     }
 
     // Unknown file type
-    return '';
+    return [];
 
   } catch (error) {
     console.error('❌ Text extraction error:', error.message);
-    return '';
+    return [];
   }
 };
 
+/**
+ * Extract text content from a file
+ * @param {string} filePath - Path to the file
+ * @param {string} fileType - Type of file
+ * @returns {Promise<string>} Extracted text
+ */
+const extractTextFromFile = async (filePath, fileType) => {
+  const segments = await extractSegmentsFromFile(filePath, fileType);
+  return segments.map(s => s.text).join('\n\n');
+};
+
+/**
+ * Hash chunk text to detect unchanged chunks between index runs
+ * @param {string} text - Chunk text
+ * @returns {string} sha256 hex digest
+ */
+const hashChunk = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
 /**
  * Index a single content item
+ * Only chunks whose text changed (or whose vector came from another
+ * embedding version) are embedded again.
  * @param {string} contentId - MongoDB ObjectId of content
- * @param {Object} options - Indexing options
+ * @param {Object} options - { willRetry }: a failure goes back to 'queued'
+ *   instead of 'failed' when the job queue will try again
  * @returns {Promise<Object>} Indexing result
  */
 const indexContent = async (contentId, options = {}) => {
@@ -66,69 +104,112 @@ const indexContent = async (contentId, options = {}) => {
       throw new Error('Content not found');
     }
 
-    // Delete existing embeddings for this content (re-indexing)
-    await Embedding.deleteByContentId(contentId);
+    await Content.updateOne({ _id: contentId }, { $set: { indexStatus: 'indexing', indexError: null } });
 
-    // Extract text from file
-    let text = await extractTextFromFile(content.fileUrl, content.fileType);
+    // Extract text from file (one segment per page/slide where available)
+    let segments = (await extractSegmentsFromFile(content.fileUrl, content.fileType))
+      .filter(segment => segment.text && segment.text.trim());
+    const extractedLength = segments.reduce((sum, segment) => sum + segment.text.trim().length, 0);
 
     // If no text extracted, use content metadata as text
-    if (!text || text.trim().length < 50) {
-      text = `${content.title}\n\n${content.topic || ''}\n\nTags: ${(content.tags || []).join(', ')}`;
+    if (extractedLength < 50) {
+      segments = [{
+        text: `${content.title}\n\n${content.topic || ''}\n\nTags: ${(content.tags || []).join(', ')}`
+      }];
     }
 
-    // Also include title and topic in text for better search
-    const fullText = `${content.title}\n\n${content.topic || ''}\n\n${text}`;
+    // Also include title and topic in the first segment for better search
+    segments[0] = {
+      ...segments[0],
+      text: `${content.title}\n\n${content.topic || ''}\n\n${segments[0].text}`
+    };
 
-    // Chunk the text
-    const chunks = chunkForIndexing(fullText, {
-      contentId: content._id,
-      week: content.week,
-      topic: content.topic,
-      contentType: content.type
-    });
+    // Chunk each segment separately so chunks never straddle pages/slides
+    const chunks = segments.flatMap(segment =>
+      chunkForIndexing(segment.text, {
+        contentId: content._id,
+        title: content.title,
+        week: content.week,
+        topic: content.topic,
+        contentType: content.type,
+        // Source files are split at function/class boundaries
+        language: content.fileType
+      }).map(chunk => ({ ...chunk, page: segment.page, slide: segment.slide }))
+    );
 
     if (chunks.length === 0) {
-      return {
-        success: false,
-        message: 'No chunks generated from content',
-        contentId
-      };
+      throw new Error('No chunks generated from content');
     }
 
-    // Generate embeddings for all chunks
-    const chunkTexts = chunks.map(c => c.text);
-    const embeddings = await generateEmbeddings(chunkTexts);
+    // Reuse vectors of unchanged chunks embedded with the current model
+    const previous = await Embedding.find({ contentId, embeddingVersion: EMBEDDING_VERSION })
+      .select('contentHash vector')
+      .lean();
+    const vectorsByHash = new Map(
+      previous.map(doc => [doc.contentHash, { vector: doc.vector, embeddingVersion: EMBEDDING_VERSION }])
+    );
+
+    // Embed only new or changed chunks
+    const hashes = chunks.map(chunk => hashChunk(chunk.text));
+    const missing = [...new Set(hashes.filter(hash => !vectorsByHash.has(hash)))];
+    const missingTexts = missing.map(hash => chunks[hashes.indexOf(hash)].text);
+    const embedded = await generateEmbeddings(missingTexts, { withVersion: true });
+    missing.forEach((hash, i) => vectorsByHash.set(hash, embedded[i]));
+
+    // Swap the old chunks for the new set; vectors are ready, so search is never left empty for long
+    await removeFromVectorIndex(contentId);
+    await removeFromLexicalIndex(contentId);
+    await Embedding.deleteByContentId(contentId);
 
     // Create embedding documents
     const embeddingDocs = chunks.map((chunk, index) => ({
       contentId: content._id,
+      courseId: content.courseId || null,
       chunkText: chunk.text,
       chunkIndex: index,
-      vector: embeddings[index],
+      contentHash: hashes[index],
+      vector: vectorsByHash.get(hashes[index]).vector,
+      embeddingVersion: vectorsByHash.get(hashes[index]).embeddingVersion,
       type: chunk.type === 'code' ? 'lab' : (content.type || 'theory'),
       metadata: {
         week: content.week,
         topic: content.topic,
         language: chunk.language,
+        breadcrumb: chunk.breadcrumb,
+        page: chunk.page,
+        slide: chunk.slide,
         totalChunks: chunks.length
       }
     }));
 
-    // Bulk insert embeddings
-    await Embedding.insertMany(embeddingDocs);
+    // Bulk insert embeddings and add them to the vector index
+    const inserted = await Embedding.insertMany(embeddingDocs);
+    await addToVectorIndex(inserted);
+    await addToLexicalIndex(inserted);
 
-    console.log(`✅ Indexed content ${contentId}: ${chunks.length} chunks`);
+    await Content.updateOne(
+      { _id: contentId },
+      { $set: { indexStatus: 'indexed', indexError: null, indexedAt: new Date() } }
+    );
+
+    const chunksReused = chunks.length - hashes.filter(hash => missing.includes(hash)).length;
+    console.log(`✅ Indexed content ${contentId}: ${chunks.length} chunks (${missing.length} embedded, ${chunksReused} reused)`);
 
     return {
       success: true,
       contentId,
       chunksIndexed: chunks.length,
+      chunksEmbedded: missing.length,
+      chunksReused,
       contentTitle: content.title
     };
 
   } catch (error) {
     console.error('❌ Indexing error:', error.message);
+    await Content.updateOne(
+      { _id: contentId },
+      { $set: { indexStatus: options.willRetry ? 'queued' : 'failed', indexError: error.message } }
+    ).catch(() => {});
     return {
       success: false,
       error: error.message,
@@ -138,49 +219,120 @@ const indexContent = async (contentId, options = {}) => {
 };
 
 /**
- * Index all unindexed content
- * @returns {Promise<Object>} Batch indexing results
+ * Job handler: index each content item of the job
+ * Items that already succeeded are skipped on retry; the attempt fails
+ * (and is retried) while any item fails.
+ * @param {Object} job - Job document with one item per content ID
+ * @param {Object} helpers - { progress }
+ * @returns {Promise<Object>} { indexed, chunksIndexed }
  */
-const indexAllContent = async () => {
-  try {
-    // Get all content IDs
-    const allContent = await Content.find().select('_id title');
-    
-    // Get already indexed content IDs
-    const indexedIds = await Embedding.distinct('contentId');
-    const indexedIdSet = new Set(indexedIds.map(id => id.toString()));
-
-    // Find unindexed content
-    const unindexed = allContent.filter(c => !indexedIdSet.has(c._id.toString()));
+const runIndexingJob = async (job, { progress }) => {
+  let chunksIndexed = 0;
+  const willRetry = job.attempts < job.maxAttempts;
 
-    console.log(`📊 Found ${unindexed.length} unindexed content items`);
+  for (const item of job.items) {
+    if (item.status === 'completed') continue;
 
-    const results = {
-      total: unindexed.length,
-      success: 0,
-      failed: 0,
-      details: []
-    };
+    item.status = 'running';
+    item.error = null;
+    await progress();
 
-    // Index each content item
-    for (const content of unindexed) {
-      const result = await indexContent(content._id);
-      
-      if (result.success) {
-        results.success++;
-      } else {
-        results.failed++;
-      }
-      
-      results.details.push(result);
+    const result = await indexContent(item.ref, { willRetry });
+    if (result.success) {
+      item.status = 'completed';
+      item.result = { chunksIndexed: result.chunksIndexed };
+      chunksIndexed += result.chunksIndexed;
+    } else {
+      item.status = 'failed';
+      item.error = result.error;
     }
+    await progress();
+  }
 
-    return results;
+  const failed = job.items.filter(item => item.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${job.items.length} item(s) failed to index: ${failed[0].error}`);
+  }
 
-  } catch (error) {
-    console.error('❌ Batch indexing error:', error.message);
-    throw error;
+  return { indexed: job.items.length, chunksIndexed };
+};
+
+registerJobHandler('index_content', runIndexingJob);
+
+/**
+ * Queue content items for background indexing
+ * @param {Object[]} contents - Content documents ({ _id, title })
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} Job document
+ */
+const queueContentIndexing = async (contents, options = {}) => {
+  const job = await enqueueJob('index_content', {
+    items: contents.map(content => ({ ref: content._id, label: content.title })),
+    createdBy: options.createdBy
+  });
+
+  await Content.updateMany(
+    { _id: { $in: contents.map(content => content._id) } },
+    { $set: { indexStatus: 'queued', indexError: null, indexJobId: job._id } }
+  );
+
+  return job;
+};
+
+/**
+ * Queue all unindexed content for background indexing
+ * Content already queued or being indexed is skipped.
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} { total, job } job is null when nothing needs indexing
+ */
+const queueIndexAll = async (options = {}) => {
+  // Get already indexed content IDs
+  const indexedIds = await Embedding.distinct('contentId');
+
+  // Find unindexed content
+  const unindexed = await Content.find({
+    _id: { $nin: indexedIds },
+    indexStatus: { $nin: ['queued', 'indexing'] }
+  }).select('_id title');
+
+  console.log(`📊 Found ${unindexed.length} unindexed content items`);
+
+  if (unindexed.length === 0) {
+    return { total: 0, job: null };
   }
+
+  const job = await queueContentIndexing(unindexed, options);
+  return { total: unindexed.length, job };
+};
+
+/**
+ * Queue content whose vectors came from a different embedding model
+ * Runs after a provider/model switch so only affected content is rebuilt.
+ * Hash-fallback vectors are left alone (they are replaced the next time
+ * their content is re-indexed with a working provider).
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} { total, job } job is null when nothing is stale
+ */
+const queueStaleEmbeddings = async (options = {}) => {
+  const staleIds = await Embedding.distinct('contentId', {
+    embeddingVersion: { $nin: [EMBEDDING_VERSION, FALLBACK_EMBEDDING_VERSION] }
+  });
+  if (staleIds.length === 0) {
+    return { total: 0, job: null };
+  }
+
+  const stale = await Content.find({
+    _id: { $in: staleIds },
+    indexStatus: { $nin: ['queued', 'indexing'] }
+  }).select('_id title');
+
+  if (stale.length === 0) {
+    return { total: 0, job: null };
+  }
+
+  console.log(`🔁 ${stale.length} content item(s) embedded with another model, re-indexing`);
+  const job = await queueContentIndexing(stale, options);
+  return { total: stale.length, job };
 };
 
 /**
@@ -199,6 +351,8 @@ const reindexContent = async (contentId) => {
  */
 const deleteContentEmbeddings = async (contentId) => {
   try {
+    await removeFromVectorIndex(contentId);
+    await removeFromLexicalIndex(contentId);
     const result = await Embedding.deleteByContentId(contentId);
     
     return {
@@ -215,6 +369,37 @@ const deleteContentEmbeddings = async (contentId) => {
   }
 };
 
+/**
+ * Move a content item's embeddings to another course without re-embedding
+ * @param {string} contentId - Content ID
+ * @param {string|null} courseId - New course ID (null to unassign)
+ * @returns {Promise<Object>} Update result
+ */
+const moveContentEmbeddings = async (contentId, courseId) => {
+  try {
+    // Index attributes carry the course, so re-add the chunks after updating
+    await removeFromVectorIndex(contentId);
+    await removeFromLexicalIndex(contentId);
+    const result = await Embedding.updateMany({ contentId }, { $set: { courseId } });
+
+    const docs = await Embedding.find({ contentId }).lean();
+    await addToVectorIndex(docs);
+    await addToLexicalIndex(docs);
+
+    return {
+      success: true,
+      updatedCount: result.modifiedCount,
+      contentId
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      contentId
+    };
+  }
+};
+
 /**
  * Get indexing statistics
  * @returns {Promise<Object>} Statistics
@@ -228,12 +413,21 @@ const getIndexingStats = async () => {
   ]);
 
   const indexedContentIds = await Embedding.distinct('contentId');
+  const [staleEmbeddings, fallbackEmbeddings] = await Promise.all([
+    Embedding.countDocuments({ embeddingVersion: { $nin: [EMBEDDING_VERSION, FALLBACK_EMBEDDING_VERSION] } }),
+    Embedding.countDocuments({ embeddingVersion: FALLBACK_EMBEDDING_VERSION })
+  ]);
 
   return {
     totalContent,
     indexedContent: indexedContentIds.length,
     unindexedContent: totalContent - indexedContentIds.length,
     totalEmbeddings,
+    embeddingVersion: EMBEDDING_VERSION,
+    staleEmbeddings,
+    fallbackEmbeddings,
+    vectorIndex: getVectorIndexInfo(),
+    keywordIndex: getLexicalIndexInfo(),
     contentByType: contentByType.reduce((acc, item) => {
       acc[item._id] = item.count;
       return acc;
@@ -247,9 +441,13 @@ const getIndexingStats = async () => {
 
 module.exports = {
   indexContent,
-  indexAllContent,
+  queueContentIndexing,
+  queueIndexAll,
+  queueStaleEmbeddings,
   reindexContent,
   deleteContentEmbeddings,
+  moveContentEmbeddings,
   extractTextFromFile,
+  extractSegmentsFromFile,
   getIndexingStats
 };
@@ -15,7 +15,7 @@
  * - unknown: Cannot determine intent
  */
 
-const { generateContent } = require('../config/gemini');
+const { generateContent } = require('../config/llm');
 
 /**
  * Keyword patterns for deterministic intent detection
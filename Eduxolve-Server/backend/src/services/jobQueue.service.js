@@ -0,0 +1,197 @@
+/**
+ * Job Queue Service
+ *
+ * MongoDB-backed background job queue. Requests enqueue work and return
+ * immediately; a single in-process worker polls for due jobs, runs the
+ * registered handler and retries failures with exponential backoff.
+ * Any instance can pick up a queued job, so jobs survive restarts.
+ */
+
+const Job = require('../models/Job');
+
+// Configuration
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const RETRY_BASE_DELAY_MS = 5000; // 5s, 20s, 45s, ...
+const STALE_LOCK_MS = 10 * 60 * 1000; // Running jobs without progress for 10 min are requeued
+
+const handlers = new Map();
+let timer = null;
+let running = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * The handler receives the job document and a `progress()` helper that
+ * saves item statuses; throwing marks the attempt as failed.
+ * @param {string} type - Job type, e.g. 'index_content'
+ * @param {Function} handler - async (job, { progress }) => result
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job
+ * @param {string} type - Registered job type
+ * @param {Object} options - { payload, items: [{ ref, label }], createdBy, maxAttempts }
+ * @returns {Promise<Object>} Created job document
+ */
+const enqueueJob = async (type, options = {}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type "${type}"`);
+  }
+
+  const { payload = {}, items = [], createdBy = null, maxAttempts } = options;
+
+  const job = new Job({
+    type,
+    payload,
+    items: items.map(item => ({ ref: String(item.ref), label: item.label })),
+    createdBy: createdBy ? String(createdBy) : null,
+    ...(maxAttempts && { maxAttempts })
+  });
+  job.syncProgress();
+  await job.save();
+
+  console.log(`🧾 Queued ${type} job ${job._id} (${job.items.length} items)`);
+
+  // Pick it up right away instead of waiting for the next poll
+  setImmediate(processJobs);
+
+  return job;
+};
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null if not found
+ */
+const getJob = async (jobId) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(String(jobId))) return null;
+  return Job.findById(jobId).select('-__v -lockedAt').lean();
+};
+
+/**
+ * Atomically claim the next due job
+ * @returns {Promise<Object|null>} Claimed job or null
+ */
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: now }, type: { $in: [...handlers.keys()] } },
+    { $set: { status: 'running', lockedAt: now, startedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Run one claimed job and record the outcome
+ * @param {Object} job - Job document
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  // Saves item progress and keeps the lock fresh
+  const progress = async () => {
+    job.syncProgress();
+    job.lockedAt = new Date();
+    await job.save();
+  };
+
+  try {
+    const result = await handler(job, { progress });
+
+    job.status = 'completed';
+    job.result = result;
+    job.error = null;
+    console.log(`✅ Job ${job._id} (${job.type}) completed`);
+  } catch (error) {
+    job.error = error.message;
+
+    if (job.attempts < job.maxAttempts) {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * job.attempts * job.attempts);
+      console.warn(`⚠️ Job ${job._id} (${job.type}) failed, retry ${job.attempts}/${job.maxAttempts - 1}: ${error.message}`);
+    } else {
+      job.status = 'failed';
+      console.error(`❌ Job ${job._id} (${job.type}) failed after ${job.attempts} attempts: ${error.message}`);
+    }
+  }
+
+  job.syncProgress();
+  job.lockedAt = null;
+  if (job.status !== 'queued') {
+    job.finishedAt = new Date();
+  }
+  await job.save();
+};
+
+/**
+ * Run due jobs one at a time until none are left
+ */
+const processJobs = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Put jobs left running by a crashed process back in the queue
+ * @returns {Promise<number>} Number of requeued jobs
+ */
+const requeueStaleJobs = async () => {
+  const result = await Job.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'queued', runAt: new Date(), lockedAt: null } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Start polling for jobs (idempotent)
+ * Call after the database connection is established.
+ */
+const startJobWorker = async () => {
+  if (timer) return;
+
+  try {
+    const requeued = await requeueStaleJobs();
+    if (requeued > 0) {
+      console.log(`🧾 Requeued ${requeued} interrupted job(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to requeue interrupted jobs:', error.message);
+  }
+
+  timer = setInterval(processJobs, POLL_INTERVAL_MS);
+  timer.unref(); // Never keep the process alive just for polling
+  processJobs();
+};
+
+/**
+ * Stop polling for jobs
+ */
+const stopJobWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  processJobs,
+  startJobWorker,
+  stopJobWorker
+};
@@ -0,0 +1,144 @@
+/**
+ * Lexical Index Service
+ *
+ * BM25 keyword index over Embedding.chunkText, used alongside the vector
+ * index for keyword and hybrid search. Built lazily from MongoDB on first
+ * use and kept in sync on index/delete (not persisted - rebuilding only
+ * needs chunk text, no vectors).
+ */
+
+const Embedding = require('../models/Embedding');
+const { createBm25Index } = require('../utils/bm25');
+const { buildAttrFilter, toAttrs } = require('./vectorIndex.service');
+
+let index = createBm25Index();
+let contentChunks = new Map(); // contentId -> Set of embedding ids
+let readyPromise = null;
+
+/**
+ * Add one embedding document to the given index and content map
+ */
+const addDoc = (targetIndex, targetChunks, doc) => {
+  const id = doc._id.toString();
+  const contentId = doc.contentId.toString();
+
+  targetIndex.add(id, doc.chunkText, toAttrs(doc));
+  if (!targetChunks.has(contentId)) targetChunks.set(contentId, new Set());
+  targetChunks.get(contentId).add(id);
+};
+
+/**
+ * Build a fresh index from every document in the Embedding collection
+ */
+const buildFromCollection = async () => {
+  const fresh = createBm25Index();
+  const freshChunks = new Map();
+
+  const cursor = Embedding.find()
+    .select('_id contentId courseId chunkText type metadata.week metadata.topic')
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    addDoc(fresh, freshChunks, doc);
+  }
+
+  index = fresh;
+  contentChunks = freshChunks;
+  console.log(`🔤 Keyword index built: ${index.size} chunks, ${index.termCount} terms`);
+};
+
+const ready = () => {
+  if (!readyPromise) {
+    readyPromise = buildFromCollection().catch(error => {
+      readyPromise = null;
+      throw error;
+    });
+  }
+  return readyPromise;
+};
+
+/**
+ * Rank chunks by BM25 keyword relevance
+ * @param {string} query - Query text
+ * @param {Object} options - { topK, filter: { courseId, courseIds, type, week, topic, excludeContentId } }
+ * @returns {Promise<Object[]>} Embedding documents (without vectors) with BM25 scores
+ */
+const searchKeywords = async (query, options = {}) => {
+  const { topK = 5, filter = {} } = options;
+
+  await ready();
+
+  const matches = index.search(query, topK, buildAttrFilter(filter));
+  if (matches.length === 0) return [];
+
+  // Hydrate chunk text and metadata from MongoDB, preserving rank order
+  const docs = await Embedding.find({ _id: { $in: matches.map(m => m.id) } })
+    .select('_id contentId chunkText chunkIndex type metadata')
+    .lean();
+  const docMap = new Map(docs.map(d => [d._id.toString(), d]));
+
+  return matches
+    .filter(m => docMap.has(m.id))
+    .map(m => ({ ...docMap.get(m.id), score: m.score }));
+};
+
+/**
+ * Add freshly inserted embedding documents to the index
+ * @param {Object[]} docs - Embedding documents (must include _id and chunkText)
+ */
+const addToLexicalIndex = async (docs) => {
+  try {
+    await ready();
+    docs.forEach(doc => addDoc(index, contentChunks, doc));
+  } catch (error) {
+    console.error('❌ Keyword index add failed:', error.message);
+  }
+};
+
+/**
+ * Remove every chunk belonging to a content item
+ * @param {string} contentId - Content ID
+ */
+const removeFromLexicalIndex = async (contentId) => {
+  try {
+    await ready();
+    const key = contentId.toString();
+    const ids = contentChunks.get(key) || new Set();
+    ids.forEach(id => index.remove(id));
+    contentChunks.delete(key);
+  } catch (error) {
+    console.error('❌ Keyword index remove failed:', error.message);
+  }
+};
+
+/**
+ * Rebuild the index from the Embedding collection
+ * @returns {Promise<Object>} Index info after rebuild
+ */
+const rebuildLexicalIndex = async () => {
+  readyPromise = buildFromCollection().catch(error => {
+    readyPromise = null;
+    throw error;
+  });
+  await readyPromise;
+  return getLexicalIndexInfo();
+};
+
+/**
+ * Get information about the index
+ * @returns {Object} Chunk and term counts
+ */
+const getLexicalIndexInfo = () => ({
+  backend: 'bm25',
+  size: index.size,
+  terms: index.termCount
+});
+
+module.exports = {
+  searchKeywords,
+  addToLexicalIndex,
+  removeFromLexicalIndex,
+  rebuildLexicalIndex,
+  getLexicalIndexInfo
+};
@@ -0,0 +1,156 @@
+/**
+ * Permission Service
+ *
+ * Resolves what a user may do. Each role has default permissions
+ * (config/permissions.js); an admin can replace a non-admin's defaults
+ * with custom grants. Content grants may be scoped to weeks and/or
+ * tags - content matching either is in scope. A grant with no weeks and
+ * no tags applies to all content.
+ */
+
+const {
+  PERMISSION_LIST,
+  SCOPABLE_PERMISSIONS,
+  PERMISSION_LABELS,
+  ROLE_PERMISSIONS
+} = require('../config/permissions');
+
+/**
+ * Effective grants for a user, one per permission
+ * Works on User documents and on req.user alike.
+ * @param {Object} user - { role, permissions? }
+ * @returns {Object[]} [{ permission, weeks, tags }]
+ */
+const getGrants = (user) => {
+  const custom = user.role !== 'admin' && Array.isArray(user.permissions) ? user.permissions : null;
+
+  if (!custom) {
+    return (ROLE_PERMISSIONS[user.role] || []).map(permission => ({ permission, weeks: [], tags: [] }));
+  }
+
+  // Merge repeated grants; any unscoped grant makes the permission unscoped
+  const merged = new Map();
+  for (const { permission, weeks = [], tags = [] } of custom) {
+    const grant = { permission, weeks: [...weeks], tags: [...tags] };
+    const existing = merged.get(permission);
+
+    if (!existing) {
+      merged.set(permission, grant);
+    } else if (!isScoped(existing) || !isScoped(grant)) {
+      merged.set(permission, { permission, weeks: [], tags: [] });
+    } else {
+      existing.weeks = [...new Set([...existing.weeks, ...grant.weeks])];
+      existing.tags = [...new Set([...existing.tags, ...grant.tags])];
+    }
+  }
+
+  return PERMISSION_LIST.filter(p => merged.has(p)).map(p => merged.get(p));
+};
+
+/**
+ * The user's grant for one permission
+ * @param {Object} user - { role, permissions? }
+ * @param {string} permission - Permission name
+ * @returns {Object|null} { permission, weeks, tags } or null when not held
+ */
+const getGrant = (user, permission) => {
+  return getGrants(user).find(grant => grant.permission === permission) || null;
+};
+
+/**
+ * Whether the user holds a permission (for any scope)
+ * @param {Object} user - { role, permissions? }
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => Boolean(getGrant(user, permission));
+
+/**
+ * Whether a grant is limited to some weeks or tags
+ * @param {Object} grant - { weeks, tags }
+ * @returns {boolean}
+ */
+const isScoped = (grant) => grant.weeks.length > 0 || grant.tags.length > 0;
+
+/**
+ * Whether content falls inside a grant's scope
+ * @param {Object} grant - { weeks, tags }
+ * @param {Object} content - { week?, tags? }
+ * @returns {boolean}
+ */
+const isWithinGrant = (grant, { week, tags = [] } = {}) => {
+  if (!isScoped(grant)) return true;
+  if (week && grant.weeks.includes(Number(week))) return true;
+  return tags.some(tag => grant.tags.includes(String(tag).toLowerCase()));
+};
+
+/**
+ * Describe a grant's scope for error messages
+ * @param {Object} grant - { weeks, tags }
+ * @returns {string}
+ */
+const describeScope = (grant) => {
+  const parts = [];
+  if (grant.weeks.length) parts.push(`weeks ${grant.weeks.join(', ')}`);
+  if (grant.tags.length) parts.push(`tags ${grant.tags.join(', ')}`);
+  return parts.join(' or ');
+};
+
+/**
+ * Validate and normalise custom grants from a request body
+ * @param {*} input - Array of { permission, weeks?, tags? }, or null for role defaults
+ * @returns {Object} { grants } (null = role defaults) or { status, message }
+ */
+const normalizeGrants = (input) => {
+  if (input === null) return { grants: null };
+  if (!Array.isArray(input)) {
+    return { status: 400, message: 'Permissions must be an array or null' };
+  }
+
+  const grants = [];
+  for (const item of input) {
+    if (!item || !PERMISSION_LIST.includes(item.permission)) {
+      return { status: 400, message: `Permission must be one of: ${PERMISSION_LIST.join(', ')}` };
+    }
+    if ((item.weeks && !Array.isArray(item.weeks)) || (item.tags && !Array.isArray(item.tags))) {
+      return { status: 400, message: 'Weeks and tags must be arrays' };
+    }
+
+    const weeks = [...new Set((item.weeks || []).map(Number))];
+    if (weeks.some(week => !Number.isInteger(week) || week < 1 || week > 52)) {
+      return { status: 400, message: 'Weeks must be whole numbers between 1 and 52' };
+    }
+
+    const tags = [...new Set((item.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if ((weeks.length || tags.length) && !SCOPABLE_PERMISSIONS.includes(item.permission)) {
+      return { status: 400, message: `Only ${SCOPABLE_PERMISSIONS.join(' and ')} can be limited to weeks or tags` };
+    }
+    grants.push({ permission: item.permission, weeks: weeks.sort((a, b) => a - b), tags });
+  }
+
+  return { grants };
+};
+
+/**
+ * Permission catalog for the admin UI
+ * @returns {Object} { permissions: [{ name, label, scopable }], roles: { role: [permission] } }
+ */
+const getPermissionCatalog = () => ({
+  permissions: PERMISSION_LIST.map(name => ({
+    name,
+    label: PERMISSION_LABELS[name],
+    scopable: SCOPABLE_PERMISSIONS.includes(name)
+  })),
+  roles: ROLE_PERMISSIONS
+});
+
+module.exports = {
+  getGrants,
+  getGrant,
+  hasPermission,
+  isScoped,
+  isWithinGrant,
+  describeScope,
+  normalizeGrants,
+  getPermissionCatalog
+};
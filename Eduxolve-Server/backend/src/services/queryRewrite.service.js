@@ -0,0 +1,118 @@
+/**
+ * Query Rewrite Service
+ *
+ * Turns a chat message into standalone search queries before retrieval.
+ * Follow-ups like "and how is that different from a queue?" only make sense
+ * with the conversation, so the LLM rewrites them using recent history and
+ * adds a few paraphrases. Every query is searched and the results are fused
+ * (see getContextForRAG).
+ */
+
+const { generateContent } = require('../config/llm');
+
+// Configuration
+const REWRITE_ENABLED = process.env.QUERY_REWRITE !== 'false';
+const PARAPHRASE_COUNT = Math.min(5, Math.max(0, parseInt(process.env.QUERY_PARAPHRASES ?? '2', 10) || 0));
+const HISTORY_TURNS = 6; // Recent messages shown to the rewriter
+const HISTORY_MESSAGE_LENGTH = 400; // Characters kept per message
+
+// Short replies that need no retrieval
+const ACKNOWLEDGEMENT_PATTERN = /^(yes|no|ok|okay|sure|thanks|thank\s+you|got\s+it|i\s+see|cool|great)[!.\s]*$/i;
+
+// Words that point back at something said earlier in the conversation
+const REFERENCE_PATTERN = /\b(it|its|that|this|those|these|they|them|one|ones|same|above|previous|earlier|former|latter)\b/i;
+
+/**
+ * Check whether a message is a plain acknowledgement such as "thanks"
+ * @param {string} message - User message
+ * @returns {boolean}
+ */
+const isAcknowledgement = (message) => ACKNOWLEDGEMENT_PATTERN.test(message.trim());
+
+/**
+ * Build the prompt that rewrites a message into standalone queries
+ * @param {string} message - Latest user message
+ * @param {Array} history - Conversation history [{role, content}]
+ * @param {number} paraphraseCount - Number of alternative phrasings to ask for
+ * @returns {string} Prompt
+ */
+const buildRewritePrompt = (message, history, paraphraseCount) => {
+  const conversation = history.slice(-HISTORY_TURNS).map(msg => {
+    const text = msg.content.replace(/\s+/g, ' ').trim().substring(0, HISTORY_MESSAGE_LENGTH);
+    return `${msg.role === 'user' ? 'Student' : 'Assistant'}: ${text}`;
+  });
+  const paraphrases = Array.from({ length: paraphraseCount }, (_, i) => `"<paraphrase ${i + 1}>"`).join(', ');
+
+  return `You rewrite a student's chat message into search queries over their course materials.
+${conversation.length > 0 ? `\nRecent conversation:\n${conversation.join('\n')}\n` : ''}
+Latest message: "${message}"
+
+Write one standalone search query for the latest message. Resolve references such as "it", "that" or "the second one" using the conversation, keep technical terms exactly as written (e.g. malloc, std::vector) and drop filler words.${paraphraseCount > 0 ? ` Then write ${paraphraseCount} alternative phrasing${paraphraseCount > 1 ? 's' : ''} of the same query using different wording or related terms.` : ''}
+Respond with ONLY a JSON object in this JSON format:
+{"query": "<standalone query>", "paraphrases": [${paraphrases}]}`;
+};
+
+/**
+ * Rule-based fallback: prefix reference-style follow-ups with the last topic
+ * @param {string} message - Latest user message
+ * @param {Array} history - Conversation history
+ * @param {Object} options - { topic, lastTopic }
+ * @returns {string} Search query
+ */
+const rewriteByRules = (message, history, { topic, lastTopic }) => {
+  const query = topic || message;
+  if (history.length > 0 && lastTopic && REFERENCE_PATTERN.test(message) && !query.includes(lastTopic)) {
+    return `${lastTopic} ${query}`;
+  }
+  return query;
+};
+
+/**
+ * Rewrite a chat message into standalone search queries
+ * @param {string} message - Latest user message
+ * @param {Array} history - Conversation history [{role, content}]
+ * @param {Object} options - { topic: extracted topic, lastTopic: previous turn's query, paraphrases: count }
+ * @returns {Promise<{query: string, queries: string[], rewritten: boolean, method: string}>}
+ */
+const rewriteQuery = async (message, history = [], options = {}) => {
+  const { paraphrases = PARAPHRASE_COUNT } = options;
+  const fallback = rewriteByRules(message, history, options);
+
+  // Nothing to resolve and nothing to paraphrase - skip the LLM call
+  if (!REWRITE_ENABLED || (history.length === 0 && paraphrases === 0)) {
+    return { query: fallback, queries: [fallback], rewritten: fallback !== (options.topic || message), method: 'rules' };
+  }
+
+  try {
+    const response = await generateContent(buildRewritePrompt(message, history, paraphrases), { temperature: 0.2 });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    const json = response.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').match(/\{[\s\S]*\}/);
+    const result = JSON.parse(json[0]);
+    const query = typeof result.query === 'string' && result.query.trim().length >= 2
+      ? result.query.trim()
+      : fallback;
+
+    // Standalone query first, then unique paraphrases
+    const seen = new Set();
+    const queries = [query, ...(Array.isArray(result.paraphrases) ? result.paraphrases : [])]
+      .filter(q => typeof q === 'string' && q.trim().length >= 2)
+      .map(q => q.trim())
+      .filter(q => !seen.has(q.toLowerCase()) && seen.add(q.toLowerCase()))
+      .slice(0, paraphrases + 1);
+
+    return { query, queries, rewritten: true, method: 'llm' };
+  } catch (error) {
+    console.warn('⚠️ Query rewrite failed, using extracted topic:', error.message);
+    return { query: fallback, queries: [fallback], rewritten: fallback !== (options.topic || message), method: 'rules' };
+  }
+};
+
+module.exports = {
+  rewriteQuery,
+  rewriteByRules,
+  buildRewritePrompt,
+  isAcknowledgement
+};
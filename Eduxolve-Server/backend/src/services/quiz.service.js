@@ -0,0 +1,154 @@
+/**
+ * Quiz Service
+ *
+ * Schemas and parsing for structured study material generated by the LLM:
+ * - quiz: multiple choice, true/false and short answer questions with
+ *   answer keys and explanations
+ * - flashcards: front/back cards
+ *
+ * Model output is parsed as JSON and validated against the schema before it
+ * reaches the client.
+ */
+
+const { validateSchema } = require('../utils/schema');
+
+const QUESTION_TYPES = ['mcq', 'true_false', 'short_answer'];
+
+// Optional index into the numbered reference materials
+const sourceSchema = { type: 'integer', minimum: 1 };
+
+const QUIZ_SCHEMA = {
+  type: 'object',
+  required: ['title', 'questions'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    questions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 30,
+      items: {
+        oneOf: [
+          {
+            type: 'object',
+            required: ['type', 'question', 'options', 'answer', 'explanation'],
+            properties: {
+              type: { enum: ['mcq'] },
+              question: { type: 'string', minLength: 1 },
+              options: { type: 'array', minItems: 2, maxItems: 6, items: { type: 'string', minLength: 1 } },
+              answer: { type: 'integer', minimum: 0 },
+              explanation: { type: 'string', minLength: 1 },
+              source: sourceSchema
+            }
+          },
+          {
+            type: 'object',
+            required: ['type', 'question', 'answer', 'explanation'],
+            properties: {
+              type: { enum: ['true_false'] },
+              question: { type: 'string', minLength: 1 },
+              answer: { type: 'boolean' },
+              explanation: { type: 'string', minLength: 1 },
+              source: sourceSchema
+            }
+          },
+          {
+            type: 'object',
+            required: ['type', 'question', 'answer', 'explanation'],
+            properties: {
+              type: { enum: ['short_answer'] },
+              question: { type: 'string', minLength: 1 },
+              answer: { type: 'string', minLength: 1 },
+              keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+              explanation: { type: 'string', minLength: 1 },
+              source: sourceSchema
+            }
+          }
+        ]
+      }
+    }
+  }
+};
+
+const FLASHCARDS_SCHEMA = {
+  type: 'object',
+  required: ['title', 'cards'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    cards: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['front', 'back'],
+        properties: {
+          front: { type: 'string', minLength: 1 },
+          back: { type: 'string', minLength: 1 },
+          hint: { type: 'string' },
+          source: sourceSchema
+        }
+      }
+    }
+  }
+};
+
+const SCHEMAS = {
+  quiz: QUIZ_SCHEMA,
+  flashcards: FLASHCARDS_SCHEMA
+};
+
+/**
+ * Checks the schema can't express
+ * @param {string} type - 'quiz' | 'flashcards'
+ * @param {Object} data - Schema-valid data
+ * @returns {string[]} Errors
+ */
+const checkConsistency = (type, data) => {
+  if (type !== 'quiz') return [];
+
+  return data.questions.flatMap((question, i) =>
+    question.type === 'mcq' && question.answer >= question.options.length
+      ? [`$.questions[${i}].answer points past the last option`]
+      : []
+  );
+};
+
+/**
+ * Parse and validate structured output from the model
+ * @param {string} type - 'quiz' | 'flashcards'
+ * @param {string} text - Raw model output (may be wrapped in a code fence)
+ * @returns {{valid: boolean, data: Object|null, errors: string[]}}
+ */
+const parseStructuredOutput = (type, text) => {
+  const schema = SCHEMAS[type];
+  if (!schema) {
+    throw new Error(`No schema for type: ${type}`);
+  }
+
+  let data;
+  try {
+    const jsonStr = String(text).replace(/```json\n?/g, '').replace(/```\n?/g, '');
+    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
+    data = JSON.parse(jsonMatch ? jsonMatch[0] : jsonStr);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateSchema(data, schema);
+  if (errors.length === 0) {
+    errors.push(...checkConsistency(type, data));
+  }
+
+  return {
+    valid: errors.length === 0,
+    data: errors.length === 0 ? data : null,
+    errors: errors.slice(0, 20)
+  };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  QUIZ_SCHEMA,
+  FLASHCARDS_SCHEMA,
+  parseStructuredOutput
+};
@@ -0,0 +1,229 @@
+/**
+ * Rerank Service
+ *
+ * Optional second search stage. The top retrieval candidates are re-scored
+ * with the LLM or a cross-encoder, then reordered with maximal marginal
+ * relevance (MMR) so overlapping chunks of one document don't crowd out
+ * other sources.
+ *
+ * Cross-encoder scoring calls a rerank server at RERANKER_URL that speaks
+ * the Hugging Face text-embeddings-inference API:
+ * POST { query, texts } -> [{ index, score }]
+ */
+
+const Embedding = require('../models/Embedding');
+const { generateContent } = require('../config/llm');
+const { cosineSimilarity } = require('./embedding.service');
+
+// Configuration
+const RERANKERS = ['none', 'llm', 'cross-encoder'];
+const DEFAULT_RERANKER = RERANKERS.includes(process.env.SEARCH_RERANKER) ? process.env.SEARCH_RERANKER : 'none';
+const DEFAULT_DIVERSITY = Math.min(1, Math.max(0, parseFloat(process.env.SEARCH_DIVERSITY) || 0));
+const RERANK_CANDIDATES = parseInt(process.env.SEARCH_RERANK_CANDIDATES, 10) || 50;
+const RERANKER_URL = process.env.RERANKER_URL || null;
+const RERANKER_TIMEOUT_MS = parseInt(process.env.RERANKER_TIMEOUT_MS, 10) || 10000;
+const LLM_PASSAGE_LENGTH = 600; // Characters of each candidate shown to the LLM
+
+/**
+ * Resolve the second-stage options of a search, falling back to the
+ * SEARCH_RERANKER / SEARCH_DIVERSITY defaults
+ * @param {Object} options - { rerank, diversity }
+ * @returns {{reranker: string, diversity: number}}
+ */
+const resolveRerankOptions = ({ rerank, diversity } = {}) => ({
+  reranker: RERANKERS.includes(rerank) ? rerank : DEFAULT_RERANKER,
+  diversity: typeof diversity === 'number' && diversity >= 0 && diversity <= 1 ? diversity : DEFAULT_DIVERSITY
+});
+
+/**
+ * Build the LLM prompt that scores every candidate
+ * The JSON template lists each passage number so the answer covers all of them.
+ * @param {string} query - Search query
+ * @param {Object[]} candidates - Search results with chunkText
+ * @returns {string} Prompt
+ */
+const buildRerankPrompt = (query, candidates) => {
+  const passages = candidates.map((candidate, i) => {
+    const text = candidate.chunkText.replace(/\s+/g, ' ').trim().substring(0, LLM_PASSAGE_LENGTH);
+    const label = candidate.metadata?.breadcrumb ? ` (${candidate.metadata.breadcrumb})` : '';
+    return `[${i + 1}]${label} ${text}`;
+  });
+  const template = candidates.map((candidate, i) => `"${i + 1}": <0-10>`).join(', ');
+
+  return `You are ranking course material passages by how well they answer a student's search query.
+
+Query: "${query}"
+
+Passages:
+${passages.join('\n\n')}
+
+Rate each passage from 0 (unrelated) to 10 (directly answers the query). Judge relevance to the query only, not writing quality.
+Respond with ONLY a JSON object mapping every passage number to its score, in this JSON format:
+{${template}}`;
+};
+
+/**
+ * Score candidates with the configured LLM
+ * @param {string} query - Search query
+ * @param {Object[]} candidates - Search results
+ * @returns {Promise<number[]>} Scores (0-1) in candidate order
+ */
+const scoreWithLlm = async (query, candidates) => {
+  const response = await generateContent(buildRerankPrompt(query, candidates), { temperature: 0 });
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+
+  const json = response.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').match(/\{[\s\S]*\}/);
+  if (!json) {
+    throw new Error('LLM returned no scores');
+  }
+
+  const scores = JSON.parse(json[0]);
+  return candidates.map((candidate, i) => {
+    const score = Number(scores[i + 1]);
+    return Number.isFinite(score) ? Math.min(1, Math.max(0, score / 10)) : 0;
+  });
+};
+
+/**
+ * Score candidates with the cross-encoder server at RERANKER_URL
+ * @param {string} query - Search query
+ * @param {Object[]} candidates - Search results
+ * @returns {Promise<number[]>} Scores (0-1) in candidate order
+ */
+const scoreWithCrossEncoder = async (query, candidates) => {
+  if (!RERANKER_URL) {
+    throw new Error('RERANKER_URL is not configured');
+  }
+
+  const response = await fetch(RERANKER_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, texts: candidates.map(c => c.chunkText), truncate: true }),
+    signal: AbortSignal.timeout(RERANKER_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Reranker returned ${response.status} ${response.statusText}`);
+  }
+
+  const ranked = await response.json();
+  const scores = new Array(candidates.length).fill(0);
+  for (const { index, score } of ranked) {
+    // Raw logits are squashed so scores stay comparable across servers
+    scores[index] = score >= 0 && score <= 1 ? score : 1 / (1 + Math.exp(-score));
+  }
+  return scores;
+};
+
+/**
+ * Re-score candidates and sort them by the new score
+ * Falls back to the retrieval order when the reranker fails.
+ * @param {string} query - Search query
+ * @param {Object[]} candidates - Search results, best first
+ * @param {string} reranker - 'llm' | 'cross-encoder'
+ * @returns {Promise<{results: Object[], applied: boolean}>}
+ */
+const rerankResults = async (query, candidates, reranker) => {
+  if (candidates.length === 0) {
+    return { results: candidates, applied: false };
+  }
+
+  try {
+    const scores = reranker === 'llm'
+      ? await scoreWithLlm(query, candidates)
+      : await scoreWithCrossEncoder(query, candidates);
+
+    // Ties keep their retrieval order (Array.prototype.sort is stable)
+    const results = candidates
+      .map((candidate, i) => ({
+        ...candidate,
+        score: scores[i],
+        scores: { ...candidate.scores, retrieval: candidate.score, rerank: scores[i] }
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return { results, applied: true };
+  } catch (error) {
+    console.warn(`⚠️ Reranking (${reranker}) failed, keeping retrieval order:`, error.message);
+    return { results: candidates, applied: false };
+  }
+};
+
+/**
+ * Word-overlap similarity, used when a chunk has no comparable vector
+ * @param {Set<string>} a - Words of the first chunk
+ * @param {Set<string>} b - Words of the second chunk
+ * @returns {number} Jaccard similarity (0-1)
+ */
+const jaccard = (a, b) => {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+};
+
+/**
+ * Pick topK results with maximal marginal relevance
+ * Each pick maximizes (1 - diversity) * relevance - diversity * (similarity
+ * to the closest result already picked).
+ * @param {Object[]} candidates - Search results, best first (score = relevance)
+ * @param {Object} options - { diversity: 0-1, topK }
+ * @returns {Promise<Object[]>} Selected results in pick order
+ */
+const diversifyResults = async (candidates, { diversity, topK }) => {
+  if (candidates.length <= 1) return candidates.slice(0, topK);
+
+  // Brute-force search results carry their vector; fetch the rest
+  const vectors = new Map(candidates.filter(c => c.vector).map(c => [c._id.toString(), c.vector]));
+  const missing = candidates.filter(c => !c.vector).map(c => c._id);
+  if (missing.length > 0) {
+    const docs = await Embedding.find({ _id: { $in: missing } }).select('_id vector').lean();
+    docs.forEach(doc => vectors.set(doc._id.toString(), doc.vector));
+  }
+  const words = candidates.map(c => new Set(c.chunkText.toLowerCase().match(/\w+/g) || []));
+
+  const similarity = (i, j) => {
+    const a = vectors.get(candidates[i]._id.toString());
+    const b = vectors.get(candidates[j]._id.toString());
+    return a && b && a.length === b.length ? cosineSimilarity(a, b) : jaccard(words[i], words[j]);
+  };
+
+  // Relevance relative to the best candidate, so the two terms share a scale
+  const maxScore = Math.max(...candidates.map(c => c.score)) || 1;
+  const remaining = candidates.map((candidate, i) => i);
+  const closest = candidates.map(() => 0); // Highest similarity to any picked result
+  const picked = [];
+
+  while (picked.length < topK && remaining.length > 0) {
+    let best = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((index, position) => {
+      const value = (1 - diversity) * (candidates[index].score / maxScore) - diversity * closest[index];
+      if (value > bestValue) {
+        bestValue = value;
+        best = position;
+      }
+    });
+
+    const [index] = remaining.splice(best, 1);
+    picked.push(index);
+    for (const other of remaining) {
+      closest[other] = Math.max(closest[other], similarity(index, other));
+    }
+  }
+
+  return picked.map(index => candidates[index]);
+};
+
+module.exports = {
+  resolveRerankOptions,
+  rerankResults,
+  diversifyResults,
+  buildRerankPrompt,
+  RERANKERS,
+  RERANK_CANDIDATES
+};
@@ -1,36 +1,86 @@
 /**
  * Search Service
  * 
- * Semantic search engine using vector similarity.
+ * Semantic search engine using vector similarity, optionally fused with
+ * BM25 keyword ranking (hybrid mode) so exact identifiers like `malloc`
+ * are not missed. The top candidates can then be reranked (LLM or
+ * cross-encoder) and diversified with MMR (see rerank.service).
  * Retrieves relevant course content chunks based on natural language queries.
  */
 
 const Embedding = require('../models/Embedding');
 const Content = require('../models/Content');
-const { generateEmbedding, cosineSimilarity, findSimilar } = require('./embedding.service');
+const { generateEmbedding } = require('./embedding.service');
+const { searchVectors } = require('./vectorIndex.service');
+const { searchKeywords } = require('./lexicalIndex.service');
+const { resolveRerankOptions, rerankResults, diversifyResults, RERANK_CANDIDATES } = require('./rerank.service');
 
 // Search configuration
 const DEFAULT_TOP_K = 5;
 const MIN_SIMILARITY_THRESHOLD = 0.3; // Minimum similarity score to include
+const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+const RRF_K = 60; // Reciprocal rank fusion damping constant
 
 /**
- * Perform semantic search
+ * Merge ranked result lists with reciprocal rank fusion
+ * Each result scores sum(1 / (RRF_K + rank)) across lists, normalized so a
+ * chunk ranked first in every list scores 1.
+ * @param {Object} rankings - { listName: results[] } each sorted best first
+ * @param {Function} getId - Identifies the same chunk across lists
+ * @returns {Object[]} Fused results with `score` and per-list `scores`
+ */
+const fuseRankings = (rankings, getId = result => result._id.toString()) => {
+  const lists = Object.entries(rankings);
+  const maxScore = lists.length / (RRF_K + 1);
+  const fused = new Map();
+
+  for (const [name, results] of lists) {
+    results.forEach((result, rank) => {
+      const id = getId(result);
+      if (!fused.has(id)) {
+        fused.set(id, { ...result, rrf: 0, scores: {} });
+      }
+      const entry = fused.get(id);
+      entry.rrf += 1 / (RRF_K + rank + 1);
+      entry.scores[name] = result.score;
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.rrf - a.rrf)
+    .map(({ rrf, ...result }) => ({ ...result, score: rrf / maxScore }));
+};
+
+/**
+ * Perform semantic, keyword or hybrid search
  * @param {string} query - User's search query
  * @param {Object} options - Search options
+ * @param {string} options.courseId - Restrict to one course
+ * @param {string[]} options.courseIds - Restrict to these courses plus content without a course
  * @param {string} options.type - Filter by content type (theory/lab)
  * @param {number} options.week - Filter by week
  * @param {string} options.topic - Filter by topic
  * @param {number} options.topK - Number of results to return
+ * @param {string} options.mode - 'semantic' (default), 'keyword' or 'hybrid'
+ * @param {string} options.rerank - 'none', 'llm' or 'cross-encoder' (default SEARCH_RERANKER)
+ * @param {number} options.diversity - MMR diversity 0-1, 0 = off (default SEARCH_DIVERSITY)
  * @returns {Promise<Object>} Search results
  */
 const semanticSearch = async (query, options = {}) => {
   try {
     const {
+      courseId = null,
+      courseIds = null,
       type = null,
       week = null,
       topic = null,
       topK = DEFAULT_TOP_K
     } = options;
+    const mode = SEARCH_MODES.includes(options.mode) ? options.mode : 'semantic';
+    const { reranker, diversity } = resolveRerankOptions(options);
+    const secondStage = reranker !== 'none' || diversity > 0;
+    // Reranking and MMR choose from a wider pool of candidates
+    const candidateCount = secondStage ? Math.max(topK * 2, RERANK_CANDIDATES) : topK * 2;
 
     // Validate query
     if (!query || query.trim().length < 2) {
@@ -40,11 +90,13 @@ const semanticSearch = async (query, options = {}) => {
       };
     }
 
-    // Generate embedding for the query
-    const queryVector = await generateEmbedding(query.trim());
-
     // Build filter for document retrieval
     const filter = {};
+    if (courseId) {
+      filter.courseId = courseId;
+    } else if (courseIds) {
+      filter.courseIds = courseIds;
+    }
     if (type && ['theory', 'lab', 'code'].includes(type)) {
       filter.type = type;
     }
@@ -55,25 +107,52 @@ const semanticSearch = async (query, options = {}) => {
       filter.topic = topic;
     }
 
-    // Get all embeddings matching filter
-    const embeddings = await Embedding.getVectorsForSearch(filter);
+    // Vector candidates, filtered by minimum threshold
+    let semanticMatches = [];
+    if (mode !== 'keyword') {
+      const queryVector = await generateEmbedding(query.trim());
+      const similar = await searchVectors(queryVector, { topK: candidateCount, filter }); // Get more, then filter
+      semanticMatches = similar.filter(doc => doc.score >= MIN_SIMILARITY_THRESHOLD);
+    }
+
+    // BM25 candidates
+    let keywordMatches = [];
+    if (mode !== 'semantic') {
+      keywordMatches = await searchKeywords(query.trim(), { topK: candidateCount, filter });
+    }
 
-    if (embeddings.length === 0) {
+    if (semanticMatches.length === 0 && keywordMatches.length === 0) {
       return {
         success: true,
+        query,
+        mode,
         results: [],
+        totalMatches: 0,
+        filters: { courseId, type, week, topic },
         message: 'No indexed content found matching the criteria'
       };
     }
 
-    // Find similar documents
-    const similar = findSimilar(queryVector, embeddings, topK * 2); // Get more, then filter
-
-    // Filter by minimum threshold
-    const filtered = similar.filter(doc => doc.score >= MIN_SIMILARITY_THRESHOLD);
+    let ranked;
+    if (mode === 'semantic') {
+      ranked = semanticMatches;
+    } else if (mode === 'keyword') {
+      // Scale BM25 scores to 0-1 relative to the best match
+      const best = keywordMatches[0].score;
+      ranked = keywordMatches.map(doc => ({ ...doc, score: doc.score / best }));
+    } else {
+      ranked = fuseRankings({ semantic: semanticMatches, keyword: keywordMatches });
+    }
 
-    // Limit to topK
-    const topResults = filtered.slice(0, topK);
+    // Optional second stage: rerank, then diversify, then limit to topK
+    let candidates = secondStage ? ranked.slice(0, RERANK_CANDIDATES) : ranked;
+    let reranked = false;
+    if (reranker !== 'none') {
+      ({ results: candidates, applied: reranked } = await rerankResults(query.trim(), candidates, reranker));
+    }
+    const topResults = diversity > 0
+      ? await diversifyResults(candidates, { diversity, topK })
+      : candidates.slice(0, topK);
 
     // Enrich results with content info
     const enrichedResults = await enrichSearchResults(topResults);
@@ -81,9 +160,11 @@ const semanticSearch = async (query, options = {}) => {
     return {
       success: true,
       query,
+      mode,
       results: enrichedResults,
-      totalMatches: filtered.length,
-      filters: { type, week, topic }
+      totalMatches: ranked.length,
+      rerank: { reranker, applied: reranked, diversity },
+      filters: { courseId, type, week, topic }
     };
 
   } catch (error) {
@@ -96,6 +177,26 @@ const semanticSearch = async (query, options = {}) => {
   }
 };
 
+/**
+ * Build a human-readable location for a chunk, e.g. "Slide 14 of Week 3"
+ * @param {Object} metadata - Embedding metadata (page/slide/week)
+ * @param {Object} content - Content document (week fallback)
+ * @returns {string|null} Location label or null if nothing is known
+ */
+const formatChunkLocation = (metadata = {}, content = {}) => {
+  const week = metadata.week || content.week;
+  const position = metadata.slide
+    ? `Slide ${metadata.slide}`
+    : metadata.page
+      ? `Page ${metadata.page}`
+      : null;
+
+  if (position && week) return `${position} of Week ${week}`;
+  if (position) return position;
+  if (week) return `Week ${week}`;
+  return null;
+};
+
 /**
  * Enrich search results with content metadata
  * @param {Object[]} results - Search results with scores
@@ -107,7 +208,7 @@ const enrichSearchResults = async (results) => {
   
   // Fetch content metadata
   const contents = await Content.find({ _id: { $in: contentIds } })
-    .select('_id title type week topic tags fileUrl')
+    .select('_id title type week topic tags fileUrl courseId')
     .lean();
 
   // Create lookup map
@@ -121,18 +222,23 @@ const enrichSearchResults = async (results) => {
     const content = contentMap[result.contentId.toString()] || {};
     
     return {
+      chunkId: result._id,
+      chunkIndex: result.chunkIndex,
       chunkText: result.chunkText,
       score: Math.round(result.score * 100) / 100, // Round to 2 decimals
       contentId: result.contentId,
       type: result.type,
       metadata: result.metadata,
+      ...(result.scores && { scores: result.scores }),
+      location: formatChunkLocation(result.metadata, content),
       content: {
         title: content.title,
         type: content.type,
         week: content.week,
         topic: content.topic,
         tags: content.tags,
-        fileUrl: content.fileUrl
+        fileUrl: content.fileUrl,
+        courseId: content.courseId
       }
     };
   });
@@ -140,27 +246,44 @@ const enrichSearchResults = async (results) => {
 
 /**
  * Search for content relevant to a topic (for RAG context)
- * @param {string} topic - Topic to search for
- * @param {Object} options - Search options
+ * Several queries (e.g. a rewritten chat message and its paraphrases) are
+ * searched separately and fused with reciprocal rank fusion.
+ * @param {string|string[]} topic - Topic to search for, or several queries
+ * @param {Object} options - Search options { courseId, courseIds, type, maxChunks, maxLength, rerank, diversity }
  * @returns {Promise<Object>} Context object with chunks array
  */
 const getContextForRAG = async (topic, options = {}) => {
-  const { type = null, maxChunks = 3, maxLength = 2000 } = options;
+  const { courseId = null, courseIds = null, type = null, maxChunks = 3, maxLength = 2000, rerank, diversity } = options;
+  const queries = Array.isArray(topic) ? topic : [topic];
 
-  const searchResult = await semanticSearch(topic, {
+  const searchResults = await Promise.all(queries.map(query => semanticSearch(query, {
+    courseId,
+    courseIds,
     type,
-    topK: maxChunks
-  });
+    topK: maxChunks,
+    rerank,
+    diversity
+  })));
+  const rankings = searchResults.filter(result => result.success && result.results.length > 0);
 
-  if (!searchResult.success || searchResult.results.length === 0) {
+  if (rankings.length === 0) {
     return { success: false, chunks: [], context: '' };
   }
 
+  const results = rankings.length === 1
+    ? rankings[0].results
+    : fuseRankings(
+      Object.fromEntries(rankings.map(result => [result.query, result.results])),
+      result => result.chunkId.toString()
+    )
+      .slice(0, maxChunks)
+      .map(result => ({ ...result, score: Math.round(result.score * 100) / 100 }));
+
   // Filter chunks by max length
   let totalLength = 0;
   const filteredChunks = [];
   
-  for (const result of searchResult.results) {
+  for (const result of results) {
     if (totalLength + result.chunkText.length > maxLength) {
       break;
     }
@@ -181,9 +304,11 @@ const getContextForRAG = async (topic, options = {}) => {
 /**
  * Get search suggestions based on partial query
  * @param {string} partial - Partial query
+ * @param {string} courseId - Optional course to restrict suggestions to
+ * @param {string[]} courseIds - Otherwise, courses to restrict to (plus content without a course)
  * @returns {Promise<string[]>} Suggestions
  */
-const getSearchSuggestions = async (partial) => {
+const getSearchSuggestions = async (partial, courseId = null, courseIds = null) => {
   try {
     if (!partial || partial.length < 2) {
       return [];
@@ -191,6 +316,8 @@ const getSearchSuggestions = async (partial) => {
 
     // Search for topics matching the partial query
     const contents = await Content.find({
+      ...(courseId && { courseId }),
+      ...(!courseId && courseIds && { courseId: { $in: [...courseIds, null] } }),
       $or: [
         { title: { $regex: partial, $options: 'i' } },
         { topic: { $regex: partial, $options: 'i' } },
@@ -221,9 +348,10 @@ const getSearchSuggestions = async (partial) => {
  * Get related content based on a content ID
  * @param {string} contentId - Content ID
  * @param {number} limit - Number of related items
+ * @param {string[]} courseIds - For content without a course: courses the results may come from
  * @returns {Promise<Object[]>} Related content
  */
-const getRelatedContent = async (contentId, limit = 5) => {
+const getRelatedContent = async (contentId, limit = 5, courseIds = null) => {
   try {
     // Get embeddings for the source content
     const sourceEmbeddings = await Embedding.findByContentId(contentId);
@@ -235,15 +363,15 @@ const getRelatedContent = async (contentId, limit = 5) => {
     // Use the first chunk's embedding as representative
     const sourceVector = sourceEmbeddings[0].vector;
 
-    // Get all other embeddings (excluding source)
-    const allEmbeddings = await Embedding.find({
-      contentId: { $ne: contentId }
-    })
-      .select('contentId vector')
-      .lean();
-
-    // Find similar
-    const similar = findSimilar(sourceVector, allEmbeddings, limit * 3);
+    // Find similar chunks from other content in the same course
+    const sourceCourseId = sourceEmbeddings[0].courseId;
+    const similar = await searchVectors(sourceVector, {
+      topK: limit * 3,
+      filter: {
+        excludeContentId: contentId,
+        ...(sourceCourseId ? { courseId: sourceCourseId } : { courseIds })
+      }
+    });
 
     // Get unique content IDs
     const seen = new Set();
@@ -274,6 +402,8 @@ module.exports = {
   getSearchSuggestions,
   getRelatedContent,
   enrichSearchResults,
+  formatChunkLocation,
   DEFAULT_TOP_K,
-  MIN_SIMILARITY_THRESHOLD
+  MIN_SIMILARITY_THRESHOLD,
+  SEARCH_MODES
 };
@@ -1,14 +1,14 @@
 /**
  * Self-Evaluation Service
  * 
- * Uses Gemini to evaluate AI-generated content for:
+ * Uses the configured LLM to evaluate AI-generated content for:
  * - Correctness
  * - Grounding in source materials
  * - Academic quality
  * - Explainability
  */
 
-const { generateContent } = require('../config/gemini');
+const { generateContent } = require('../config/llm');
 
 /**
  * Evaluation rubric for AI self-assessment
@@ -0,0 +1,164 @@
+/**
+ * Session Service
+ *
+ * Server-side sessions for local (staff) accounts. Each sign-in creates a
+ * Session; its access tokens are short-lived JWTs naming the session, and
+ * a refresh token (random, stored as SHA-256) renews them. Refresh tokens
+ * rotate on every use: presenting one that was already rotated away means
+ * it was copied, so the whole session is revoked.
+ *
+ * Revoking a session (logout, "log out all sessions", password change,
+ * disabled account) ends its access tokens on their next request.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { REFRESH_TOKEN_TTL_DAYS, REFRESH_REUSE_GRACE_SECONDS } = require('../config/admin');
+
+/**
+ * SHA-256 of a refresh token, as stored in the database
+ * @param {string} token - Refresh token
+ * @returns {string} Hex digest
+ */
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * New refresh token and its expiry
+ * @returns {{refreshToken: string, refreshTokenHash: string, expiresAt: Date}}
+ */
+const createRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  return {
+    refreshToken,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Start a session for a user
+ * @param {string} userId - User ID
+ * @param {Object} meta - { userAgent, ip }
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+const createSession = async (userId, { userAgent, ip } = {}) => {
+  const { refreshToken, refreshTokenHash, expiresAt } = createRefreshToken();
+
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash,
+    expiresAt,
+    userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+    ip: ip || null
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * The session's lifetime restarts, so it ends after REFRESH_TOKEN_TTL_DAYS unused.
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<Object>} { session, refreshToken } or { status, message, code }
+ */
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashRefreshToken(refreshToken);
+  const next = createRefreshToken();
+  const now = new Date();
+
+  // Atomic, so two requests with the same token cannot both rotate it
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: next.expiresAt
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: next.refreshToken };
+  }
+
+  const replayed = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+  if (replayed) {
+    // Another tab refreshed a moment ago; it holds the new token
+    if (replayed.rotatedAt && now - replayed.rotatedAt < REFRESH_REUSE_GRACE_SECONDS * 1000) {
+      return { status: 409, message: 'Session was just refreshed. Retry with the new token.', code: 'REFRESH_CONFLICT' };
+    }
+
+    await revokeSession(replayed._id, 'refresh_reuse');
+    console.warn(`🚨 Refresh token reused, session revoked for user ${replayed.user}`);
+  }
+
+  return { status: 401, message: 'Session expired. Please sign in again.', code: 'SESSION_EXPIRED' };
+};
+
+/**
+ * Find a session that can still be used
+ * @param {string} sessionId - Session ID (the access token's sid)
+ * @returns {Promise<Object|null>} Session, or null if revoked, expired or missing
+ */
+const getActiveSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  return session && session.isActive() ? session : null;
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - One of REVOKE_REASONS
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @param {string} reason - One of REVOKE_REASONS
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeSessionByRefreshToken = async (refreshToken, reason) => {
+  const result = await Session.updateOne(
+    { refreshTokenHash: hashRefreshToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {string} [exceptSessionId] - Session to keep
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  getActiveSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions
+};
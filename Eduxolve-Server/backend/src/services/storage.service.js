@@ -0,0 +1,208 @@
+/**
+ * Storage Service
+ *
+ * Pluggable object storage for uploaded files (chat attachments).
+ * Backends:
+ * - disk: one file per key under STORAGE_DIR (default)
+ * - s3:   an S3-compatible bucket over signed HTTP requests; works with
+ *         AWS S3 and with a local MinIO for development
+ *
+ * Select with STORAGE_BACKEND=disk|s3 (see config/storage.js). Keys are
+ * relative paths such as "<userId>/<fileId>".
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { STORAGE_BACKEND, STORAGE_DIR, S3_CONFIG } = require('../config/storage');
+const { signRequest, sha256Hex } = require('../utils/awsSigV4');
+
+const S3_TIMEOUT_MS = 30000;
+
+// ===================
+// DISK BACKEND
+// ===================
+
+/**
+ * Create a storage backend that keeps objects as files
+ * @param {string} rootDir - Directory holding the objects
+ * @returns {Object} { name, put, get, remove, info }
+ */
+const createDiskStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keys never escape the root directory
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'disk',
+
+    put: async (key, data) => {
+      const fullPath = resolveKey(key);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      // Write then rename, so readers never see a partial file
+      await fs.writeFile(`${fullPath}.tmp`, data);
+      await fs.rename(`${fullPath}.tmp`, fullPath);
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    info: () => ({ backend: 'disk', dir: root })
+  };
+};
+
+// ===================
+// S3 BACKEND
+// ===================
+
+/**
+ * Create a storage backend on an S3-compatible bucket
+ * @param {Object} config - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }
+ * @returns {Object} { name, put, get, remove, info }
+ */
+const createS3Storage = (config) => {
+  const { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle } = config;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  // Path style: <endpoint>/<bucket>/<key>; virtual-hosted: <bucket>.<host>/<key>
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return forcePathStyle
+      ? `${baseUrl.origin}/${bucket}/${encodedKey}`
+      : `${baseUrl.protocol}//${bucket}.${baseUrl.host}/${encodedKey}`;
+  };
+
+  /**
+   * Send a signed request for one object
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} options - { body, contentType }
+   * @returns {Promise<Response>}
+   */
+  const send = (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const payload = body || '';
+    const headers = signRequest(
+      {
+        method,
+        url,
+        headers: {
+          'x-amz-content-sha256': sha256Hex(payload),
+          ...(contentType && { 'content-type': contentType })
+        },
+        body: payload
+      },
+      { accessKeyId, secretAccessKey, region }
+    );
+
+    return fetch(url, {
+      method,
+      headers,
+      ...(body && { body }),
+      signal: AbortSignal.timeout(S3_TIMEOUT_MS)
+    });
+  };
+
+  /**
+   * Turn an unexpected S3 response into an error
+   * @param {string} action - What was attempted
+   * @param {Response} response - S3 response
+   */
+  const fail = async (action, response) => {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`S3 ${action} failed (${response.status}): ${detail}`);
+  };
+
+  return {
+    name: 's3',
+
+    put: async (key, data, contentType = 'application/octet-stream') => {
+      const response = await send('PUT', key, { body: data, contentType });
+      if (!response.ok) await fail('upload', response);
+    },
+
+    get: async (key) => {
+      const response = await send('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail('download', response);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    remove: async (key) => {
+      const response = await send('DELETE', key);
+      if (!response.ok && response.status !== 404) await fail('delete', response);
+    },
+
+    info: () => ({ backend: 's3', endpoint: baseUrl.origin, bucket })
+  };
+};
+
+// ===================
+// ACTIVE STORAGE
+// ===================
+
+const activeStorage = STORAGE_BACKEND === 's3'
+  ? createS3Storage(S3_CONFIG)
+  : createDiskStorage(STORAGE_DIR);
+
+/**
+ * Store an object, replacing any object with the same key
+ * @param {string} key - Object key
+ * @param {Buffer} data - Contents
+ * @param {string} [contentType] - MIME type (used by S3)
+ */
+const putObject = (key, data, contentType) => activeStorage.put(key, data, contentType);
+
+/**
+ * Read an object
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer|null>} Contents, or null if there is no such object
+ */
+const getObject = (key) => activeStorage.get(key);
+
+/**
+ * Delete an object (missing objects are ignored)
+ * @param {string} key - Object key
+ */
+const deleteObject = (key) => activeStorage.remove(key);
+
+/**
+ * Get information about the active backend
+ * @returns {Object} Backend name and location
+ */
+const getStorageInfo = () => activeStorage.info();
+
+module.exports = {
+  putObject,
+  getObject,
+  deleteObject,
+  getStorageInfo,
+  createDiskStorage,
+  createS3Storage,
+  STORAGE_BACKEND
+};
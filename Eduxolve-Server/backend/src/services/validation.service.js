@@ -8,6 +8,7 @@
  */
 
 const { cosineSimilarity, generateEmbedding } = require('./embedding.service');
+const { analyzeCode } = require('./codeAnalysis.service');
 
 /**
  * Calculate semantic similarity between content and context chunks
@@ -122,11 +123,13 @@ const checkTheoryStructure = (content) => {
 
 /**
  * Validate code for syntax and safety
+ * Syntax errors, undefined names and unused variables come from a real
+ * parser for the language (see codeAnalysis.service).
  * @param {string} code - Code to validate
  * @param {string} language - Programming language
- * @returns {{valid: boolean, score: number, issues: string[], explanation: string}}
+ * @returns {Promise<{valid: boolean, score: number, issues: string[], annotations: Object[], explanation: string}>}
  */
-const validateCode = (code, language = 'python') => {
+const validateCode = async (code, language = 'python') => {
   const issues = [];
   let score = 1.0;
   const lang = language.toLowerCase();
@@ -137,6 +140,7 @@ const validateCode = (code, language = 'python') => {
       valid: false,
       score: 0,
       issues: ['Code is empty or too short'],
+      annotations: [],
       explanation: 'Invalid code submission'
     };
   }
@@ -158,70 +162,32 @@ const validateCode = (code, language = 'python') => {
     }
   }
   
-  // Language-specific validation
+  // Parser diagnostics: syntax errors, undefined names, unused variables
+  const analysis = await analyzeCode(code, lang);
+  const annotations = analysis.diagnostics;
+  const syntaxErrors = annotations.filter(a => a.rule === 'syntax');
+  const otherErrors = annotations.filter(a => a.severity === 'error' && a.rule !== 'syntax');
+  const warnings = annotations.filter(a => a.severity === 'warning');
+
+  annotations.forEach(a => issues.push(`Line ${a.line}:${a.column} ${a.message}`));
+  score -= Math.min(0.6, syntaxErrors.length * 0.4);
+  score -= Math.min(0.3, otherErrors.length * 0.15);
+  score -= Math.min(0.15, warnings.length * 0.05);
+
+  // Language-specific conventions
   if (lang === 'python' || lang === 'py') {
-    // Check for proper indentation
-    const lines = code.split('\n');
-    let hasIndentationIssue = false;
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      // Check for mixed tabs and spaces
-      if (/^\t+ /.test(line) || /^ +\t/.test(line)) {
-        hasIndentationIssue = true;
-        break;
-      }
-    }
-    
-    if (hasIndentationIssue) {
-      issues.push('Mixed tabs and spaces in indentation');
-      score -= 0.1;
-    }
-    
-    // Check for function definitions
-    const hasFunctions = /\bdef\s+\w+\s*\(/.test(code);
-    
     // Check for docstrings in functions
+    const hasFunctions = /\bdef\s+\w+\s*\(/.test(code);
     if (hasFunctions && !/"""[\s\S]*?"""/.test(code) && !/'''[\s\S]*?'''/.test(code)) {
       issues.push('Functions should include docstrings');
       score -= 0.05;
     }
-    
-    // Check for basic syntax patterns
-    const syntaxPatterns = [
-      { pattern: /if\s+.+:\s*$|elif\s+.+:\s*$|else\s*:\s*$/m, valid: true },
-      { pattern: /for\s+\w+\s+in\s+.+:\s*$/m, valid: true },
-      { pattern: /while\s+.+:\s*$/m, valid: true },
-      { pattern: /def\s+\w+\s*\([^)]*\)\s*:/m, valid: true },
-      { pattern: /class\s+\w+.*:/m, valid: true },
-    ];
-    
-    // Check for unclosed brackets
-    const openBrackets = (code.match(/\(/g) || []).length;
-    const closeBrackets = (code.match(/\)/g) || []).length;
-    if (openBrackets !== closeBrackets) {
-      issues.push('Unbalanced parentheses');
-      score -= 0.15;
-    }
-    
   } else if (lang === 'javascript' || lang === 'js') {
-    // Check for semicolons (style check)
-    const statements = code.split('\n').filter(l => l.trim() && !l.trim().startsWith('//'));
-    
     // Check for const/let usage
     if (/\bvar\s+/.test(code)) {
       issues.push('Consider using const/let instead of var');
       score -= 0.05;
     }
-    
-    // Check for balanced braces
-    const openBraces = (code.match(/\{/g) || []).length;
-    const closeBraces = (code.match(/\}/g) || []).length;
-    if (openBraces !== closeBraces) {
-      issues.push('Unbalanced curly braces');
-      score -= 0.15;
-    }
-    
   } else if (lang === 'c' || lang === 'cpp' || lang === 'c++') {
     // Check for main function
     if (!/int\s+main\s*\(/.test(code) && !/void\s+main\s*\(/.test(code)) {
@@ -230,27 +196,10 @@ const validateCode = (code, language = 'python') => {
     }
     
     // Check for includes
-    if (!/^#include\s*[<"]/.test(code)) {
+    if (!/^#include\s*[<"]/m.test(code)) {
       issues.push('Missing #include statements');
       score -= 0.05;
     }
-    
-    // Check for semicolons at end of statements
-    const lines = code.split('\n').filter(l => 
-      l.trim() && 
-      !l.trim().startsWith('//') && 
-      !l.trim().startsWith('#') &&
-      !l.trim().endsWith('{') &&
-      !l.trim().endsWith('}')
-    );
-    
-    // Check balanced braces
-    const openBraces = (code.match(/\{/g) || []).length;
-    const closeBraces = (code.match(/\}/g) || []).length;
-    if (openBraces !== closeBraces) {
-      issues.push('Unbalanced curly braces');
-      score -= 0.15;
-    }
   } else if (lang === 'java') {
     // Check for class definition
     if (!/\bclass\s+\w+/.test(code)) {
@@ -273,10 +222,14 @@ const validateCode = (code, language = 'python') => {
   }
   
   return {
-    valid: score >= 0.5,
+    valid: syntaxErrors.length === 0 && score >= 0.5,
     score: Math.max(0, Math.round(score * 100) / 100),
     issues,
-    explanation: issues.length === 0
+    annotations,
+    parser: analysis.parser || null,
+    explanation: syntaxErrors.length > 0
+      ? `Syntax error on line ${syntaxErrors[0].line}: ${syntaxErrors[0].message}`
+      : issues.length === 0
       ? 'Code passes all validation checks'
       : issues.length <= 2
         ? 'Code has minor issues'
@@ -0,0 +1,427 @@
+/**
+ * Vector Index Service
+ *
+ * Pluggable nearest-neighbour index behind semantic search.
+ * Backends:
+ * - hnsw: in-process approximate index built from the Embedding collection,
+ *         kept in sync on index/delete and persisted to disk (default)
+ * - bruteforce: full cosine scan over matching Embedding documents (fallback)
+ *
+ * Select with VECTOR_INDEX_BACKEND=hnsw|bruteforce.
+ *
+ * The HNSW graph only holds vectors of the active provider's dimension.
+ * Embeddings of another dimension (from before a provider switch) are
+ * left out until they are re-embedded.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Embedding = require('../models/Embedding');
+const { findSimilar, EMBEDDING_DIMENSION } = require('./embedding.service');
+const { createHnswGraph } = require('../utils/hnsw');
+
+// Index configuration
+const VECTOR_INDEX_BACKEND = (process.env.VECTOR_INDEX_BACKEND || 'hnsw').toLowerCase();
+const VECTOR_INDEX_DIR = process.env.VECTOR_INDEX_DIR || path.join(__dirname, '../../data');
+const INDEX_FILE = path.join(VECTOR_INDEX_DIR, 'hnsw-index.json');
+const SAVE_DEBOUNCE_MS = 2000;
+const MAX_DELETED_RATIO = 0.3; // Rebuild once this share of nodes is tombstoned
+const ATTRS_VERSION = 2; // Bump when toAttrs changes so persisted indexes are rebuilt
+
+/**
+ * Build a predicate matching the Embedding.getVectorsForSearch filter semantics
+ * courseIds (several courses) also matches content without a course.
+ * @param {Object} filter - { courseId, courseIds, type, week, topic, excludeContentId }
+ * @returns {Function|null} Predicate over node attrs, or null for no filter
+ */
+const buildAttrFilter = (filter = {}) => {
+  const { courseId, courseIds, type, week, topic, excludeContentId } = filter;
+  if (!courseId && !courseIds && !type && !week && !topic && !excludeContentId) return null;
+
+  let topicRegex = null;
+  if (topic) {
+    try {
+      topicRegex = new RegExp(topic, 'i');
+    } catch {
+      topicRegex = new RegExp(topic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+  }
+
+  return (attrs) => {
+    if (courseId && attrs.courseId !== courseId.toString()) return false;
+    if (courseIds && attrs.courseId && !courseIds.includes(attrs.courseId)) return false;
+    if (type && attrs.type !== type) return false;
+    if (week && attrs.week !== week) return false;
+    if (topicRegex && !topicRegex.test(attrs.topic || '')) return false;
+    if (excludeContentId && attrs.contentId === excludeContentId.toString()) return false;
+    return true;
+  };
+};
+
+/**
+ * Extract the filterable attributes stored alongside each vector
+ * @param {Object} doc - Embedding document
+ * @returns {Object} Attributes
+ */
+const toAttrs = (doc) => ({
+  contentId: doc.contentId.toString(),
+  courseId: doc.courseId ? doc.courseId.toString() : null,
+  type: doc.type,
+  week: doc.metadata?.week,
+  topic: doc.metadata?.topic
+});
+
+// ===================
+// BRUTE-FORCE BACKEND
+// ===================
+
+/**
+ * Create the brute-force backend (original full-collection cosine scan)
+ * @returns {Object} Vector index backend
+ */
+const createBruteForceIndex = () => ({
+  name: 'bruteforce',
+
+  search: async (queryVector, { topK = 5, filter = {} } = {}) => {
+    const { excludeContentId, ...vectorFilter } = filter;
+    let embeddings = await Embedding.getVectorsForSearch(vectorFilter);
+
+    // Vectors of another dimension cannot be compared with the query
+    embeddings = embeddings.filter(e => e.vector?.length === queryVector.length);
+
+    if (excludeContentId) {
+      embeddings = embeddings.filter(e => e.contentId.toString() !== excludeContentId.toString());
+    }
+
+    return findSimilar(queryVector, embeddings, topK);
+  },
+
+  // Reads straight from MongoDB, nothing to keep in sync
+  add: async () => {},
+  removeByContentId: async () => {},
+  rebuild: async () => {},
+  info: () => ({ backend: 'bruteforce' })
+});
+
+// ===================
+// HNSW BACKEND
+// ===================
+
+/**
+ * Create the HNSW backend
+ * @returns {Object} Vector index backend
+ */
+const createHnswIndex = () => {
+  let graph = createHnswGraph({ dimension: EMBEDDING_DIMENSION });
+  let readyPromise = null;
+  let saveTimer = null;
+  let lastSavedAt = null;
+  let skippedCount = 0; // Embeddings of another dimension left out of the graph
+
+  // A running rebuild, and the writes made meanwhile (replayed onto the new graph)
+  let buildPromise = null;
+  let pendingWrites = null;
+
+  /**
+   * Persist the graph to disk (debounced, failures only warn)
+   */
+  const scheduleSave = () => {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = setTimeout(async () => {
+      saveTimer = null;
+      try {
+        await fs.mkdir(VECTOR_INDEX_DIR, { recursive: true });
+        const tmpFile = `${INDEX_FILE}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ ...graph.serialize(), attrsVersion: ATTRS_VERSION }));
+        await fs.rename(tmpFile, INDEX_FILE);
+        lastSavedAt = new Date();
+      } catch (error) {
+        console.warn(`⚠️ Vector index not persisted: ${error.message}`);
+      }
+    }, SAVE_DEBOUNCE_MS);
+    if (saveTimer.unref) saveTimer.unref();
+  };
+
+  /**
+   * Apply an add/remove to a graph
+   * @param {Object} target - HNSW graph
+   * @param {Object} write - { docs } to add or { ids } to remove
+   * @returns {number} Documents skipped for having another dimension
+   */
+  const applyWrite = (target, write) => {
+    const dimension = target.dimension || EMBEDDING_DIMENSION;
+    let skipped = 0;
+    for (const doc of write.docs || []) {
+      if (doc.vector?.length !== dimension) {
+        skipped++;
+        continue;
+      }
+      target.add(doc._id.toString(), doc.vector, toAttrs(doc));
+    }
+    (write.ids || []).forEach(id => target.remove(id));
+    return skipped;
+  };
+
+  /**
+   * Apply a write to the live graph, and remember it while a rebuild runs
+   * so the new graph does not lose it
+   * @param {Object} write - { docs } to add or { ids } to remove
+   */
+  const recordWrite = (write) => {
+    if (pendingWrites) pendingWrites.push(write);
+    const skipped = applyWrite(graph, write);
+    if (skipped > 0) {
+      skippedCount += skipped;
+      console.warn(`⚠️ Vector index: skipped ${skipped} embedding(s) that are not ${graph.dimension || EMBEDDING_DIMENSION}-dimensional`);
+    }
+  };
+
+  /**
+   * Build a fresh graph from every document in the Embedding collection
+   * Only one build runs at a time; adds and removes made while it reads
+   * the collection are replayed onto the new graph before it goes live.
+   */
+  const buildFromCollection = () => {
+    if (buildPromise) return buildPromise;
+
+    pendingWrites = [];
+    buildPromise = (async () => {
+      const fresh = createHnswGraph({ dimension: EMBEDDING_DIMENSION });
+      let skipped = 0;
+      const cursor = Embedding.find()
+        .select('_id contentId courseId vector type metadata.week metadata.topic')
+        .lean()
+        .cursor();
+
+      for await (const doc of cursor) {
+        skipped += applyWrite(fresh, { docs: [doc] });
+      }
+
+      // No await from here on, so no write can slip in before the swap
+      for (const write of pendingWrites) {
+        skipped += applyWrite(fresh, write);
+      }
+
+      graph = fresh;
+      skippedCount = skipped;
+      console.log(`🧭 Vector index built: ${graph.size} vectors`);
+      if (skipped > 0) {
+        console.warn(`⚠️ Vector index: left out ${skipped} embedding(s) that are not ${EMBEDDING_DIMENSION}-dimensional; re-index that content`);
+      }
+      scheduleSave();
+    })().finally(() => {
+      buildPromise = null;
+      pendingWrites = null;
+    });
+
+    return buildPromise;
+  };
+
+  /**
+   * Load the persisted graph, rebuilding if missing or out of sync
+   */
+  const initialize = async () => {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(INDEX_FILE, 'utf-8'));
+      if (snapshot.attrsVersion !== ATTRS_VERSION) {
+        throw new Error('index attributes are outdated');
+      }
+      if (snapshot.dimension && snapshot.dimension !== EMBEDDING_DIMENSION) {
+        throw new Error(`index holds ${snapshot.dimension}-dimensional vectors, the provider uses ${EMBEDDING_DIMENSION}`);
+      }
+
+      const loaded = createHnswGraph({
+        M: snapshot.M,
+        efConstruction: snapshot.efConstruction,
+        efSearch: snapshot.efSearch
+      });
+      loaded.load(snapshot);
+
+      // Consistency check against the source of truth. Vectors of another
+      // dimension (left over from a provider switch) are never in the graph,
+      // so only same-dimension embeddings are counted when totals differ.
+      let count = await Embedding.estimatedDocumentCount();
+      if (loaded.size !== count) {
+        count = await Embedding.countDocuments({ vector: { $size: EMBEDDING_DIMENSION } });
+      }
+      if (loaded.size === count) {
+        graph = loaded;
+        console.log(`🧭 Vector index loaded from disk: ${graph.size} vectors`);
+        return;
+      }
+      console.log(`🧭 Vector index stale (${loaded.size} vs ${count} embeddings), rebuilding`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not load vector index: ${error.message}`);
+      }
+    }
+
+    await buildFromCollection();
+  };
+
+  const ready = () => {
+    if (!readyPromise) {
+      readyPromise = initialize().catch(error => {
+        readyPromise = null;
+        throw error;
+      });
+    }
+    return readyPromise;
+  };
+
+  return {
+    name: 'hnsw',
+
+    search: async (queryVector, { topK = 5, filter = {} } = {}) => {
+      await ready();
+
+      // Thrown rather than returning nothing, so the caller can fall back
+      if (graph.dimension && queryVector.length !== graph.dimension) {
+        throw new Error(`Vector index is stale: it holds ${graph.dimension}-dimensional vectors, the query has ${queryVector.length}; rebuild it (POST /api/search/rebuild-index)`);
+      }
+
+      const matches = graph.search(queryVector, topK, buildAttrFilter(filter));
+      if (matches.length === 0) return [];
+
+      // Hydrate chunk text and metadata from MongoDB, preserving rank order
+      const docs = await Embedding.find({ _id: { $in: matches.map(m => m.id) } })
+        .select('_id contentId chunkText chunkIndex type metadata')
+        .lean();
+      const docMap = new Map(docs.map(d => [d._id.toString(), d]));
+
+      return matches
+        .filter(m => docMap.has(m.id))
+        .map(m => ({ ...docMap.get(m.id), score: m.score }));
+    },
+
+    add: async (docs) => {
+      await ready();
+      recordWrite({ docs });
+      scheduleSave();
+    },
+
+    removeByContentId: async (contentId) => {
+      await ready();
+      const ids = await Embedding.find({ contentId }).distinct('_id');
+      const write = { ids: ids.map(id => id.toString()) };
+      recordWrite(write);
+
+      const total = graph.size + graph.deletedCount;
+      if (!buildPromise && total > 0 && graph.deletedCount / total > MAX_DELETED_RATIO) {
+        // Compact in the background once tombstones pile up. These embeddings
+        // are only deleted from MongoDB after this returns, so the build may
+        // still read them: the removal is replayed onto the new graph too.
+        buildFromCollection().catch(err => console.error('❌ Vector index rebuild failed:', err.message));
+        pendingWrites.push(write);
+      }
+      scheduleSave();
+    },
+
+    rebuild: async () => {
+      readyPromise = buildFromCollection().catch(error => {
+        readyPromise = null;
+        throw error;
+      });
+      return readyPromise;
+    },
+
+    info: () => ({
+      backend: 'hnsw',
+      size: graph.size,
+      deleted: graph.deletedCount,
+      dimension: graph.dimension,
+      skipped: skippedCount,
+      rebuilding: Boolean(buildPromise),
+      persistedAt: lastSavedAt
+    })
+  };
+};
+
+// ===================
+// ACTIVE INDEX
+// ===================
+
+const bruteForceIndex = createBruteForceIndex();
+const activeIndex = VECTOR_INDEX_BACKEND === 'bruteforce' ? bruteForceIndex : createHnswIndex();
+
+/**
+ * Find the nearest embeddings to a query vector
+ * Falls back to the brute-force scan if the ANN index is unavailable or
+ * a restrictive filter leaves it short of results.
+ * @param {number[]} queryVector - Query embedding
+ * @param {Object} options - { topK, filter: { courseId, courseIds, type, week, topic, excludeContentId } }
+ * @returns {Promise<Object[]>} Embedding documents with similarity scores
+ */
+const searchVectors = async (queryVector, options = {}) => {
+  const { topK = 5, filter = {} } = options;
+
+  if (activeIndex === bruteForceIndex) {
+    return bruteForceIndex.search(queryVector, { topK, filter });
+  }
+
+  try {
+    const results = await activeIndex.search(queryVector, { topK, filter });
+    const hasFilter = Object.values(filter).some(Boolean);
+
+    if (results.length < topK && hasFilter) {
+      return bruteForceIndex.search(queryVector, { topK, filter });
+    }
+    return results;
+  } catch (error) {
+    console.error('❌ Vector index search failed, using brute-force scan:', error.message);
+    return bruteForceIndex.search(queryVector, { topK, filter });
+  }
+};
+
+/**
+ * Add freshly inserted embedding documents to the index
+ * @param {Object[]} docs - Embedding documents (must include _id and vector)
+ */
+const addToVectorIndex = async (docs) => {
+  try {
+    await activeIndex.add(docs);
+  } catch (error) {
+    console.error('❌ Vector index add failed:', error.message);
+  }
+};
+
+/**
+ * Remove every vector belonging to a content item
+ * Must be called BEFORE the embeddings are deleted from MongoDB
+ * @param {string} contentId - Content ID
+ */
+const removeFromVectorIndex = async (contentId) => {
+  try {
+    await activeIndex.removeByContentId(contentId);
+  } catch (error) {
+    console.error('❌ Vector index remove failed:', error.message);
+  }
+};
+
+/**
+ * Rebuild the active index from the Embedding collection
+ * @returns {Promise<Object>} Index info after rebuild
+ */
+const rebuildVectorIndex = async () => {
+  await activeIndex.rebuild();
+  return activeIndex.info();
+};
+
+/**
+ * Get information about the active index
+ * @returns {Object} Backend name and size
+ */
+const getVectorIndexInfo = () => activeIndex.info();
+
+module.exports = {
+  searchVectors,
+  addToVectorIndex,
+  removeFromVectorIndex,
+  rebuildVectorIndex,
+  getVectorIndexInfo,
+  buildAttrFilter,
+  toAttrs,
+  createBruteForceIndex,
+  createHnswIndex,
+  VECTOR_INDEX_BACKEND
+};
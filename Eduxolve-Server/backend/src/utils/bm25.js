@@ -0,0 +1,160 @@
+/**
+ * BM25 Index Utility
+ *
+ * In-process lexical index (Okapi BM25) over chunk text.
+ * Tokenization keeps code identifiers intact (e.g. `malloc`, `std::vector`,
+ * `__init__`) while also indexing their parts, so both exact and partial
+ * identifier queries match.
+ * Pure data structure - no database access.
+ */
+
+// Configuration
+const DEFAULT_K1 = 1.2; // Term frequency saturation
+const DEFAULT_B = 0.75; // Document length normalization
+
+// Common English words that carry no ranking signal
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for',
+  'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this',
+  'to', 'was', 'what', 'when', 'where', 'which', 'why', 'with'
+]);
+
+/**
+ * Split text into lowercase search terms
+ * Compound identifiers (`std::vector`, `obj.method`, `snake_case`) are kept
+ * whole and also split into their parts.
+ * @param {string} text - Input text
+ * @returns {string[]} Terms
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+
+  const terms = [];
+  const matches = text.toLowerCase().match(/[a-z0-9_]+(?:(?:::|\.|->)[a-z0-9_]+)*/g) || [];
+
+  for (const match of matches) {
+    const parts = match.split(/::|\.|->|_+/).filter(Boolean);
+
+    if (parts.length > 1) {
+      terms.push(match);
+      terms.push(...parts.filter(p => p.length > 1 && !STOP_WORDS.has(p)));
+    } else if (!STOP_WORDS.has(match) && (match.length > 1 || /\d/.test(match))) {
+      terms.push(match);
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Create an empty BM25 index
+ * @param {Object} options - Index options
+ * @param {number} options.k1 - Term frequency saturation
+ * @param {number} options.b - Length normalization
+ * @returns {Object} Index API
+ */
+const createBm25Index = (options = {}) => {
+  const k1 = options.k1 ?? DEFAULT_K1;
+  const b = options.b ?? DEFAULT_B;
+
+  const docs = new Map(); // id -> { length, termFreqs: Map, attrs }
+  const postings = new Map(); // term -> Set of ids
+  let totalLength = 0;
+
+  /**
+   * Add a document to the index
+   * @param {string} id - External id (e.g. Embedding _id)
+   * @param {string} text - Document text
+   * @param {Object} attrs - Attributes used for filtering (type, week, topic, contentId)
+   */
+  const add = (id, text, attrs = {}) => {
+    // Re-adding an id replaces the previous entry
+    if (docs.has(id)) remove(id);
+
+    const terms = tokenize(text);
+    const termFreqs = new Map();
+    for (const term of terms) {
+      termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+    }
+
+    for (const term of termFreqs.keys()) {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(id);
+    }
+
+    docs.set(id, { length: terms.length, termFreqs, attrs });
+    totalLength += terms.length;
+  };
+
+  /**
+   * Remove a document from the index
+   * @param {string} id - External id
+   * @returns {boolean} True if the id was present
+   */
+  const remove = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return false;
+
+    for (const term of doc.termFreqs.keys()) {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    }
+
+    totalLength -= doc.length;
+    docs.delete(id);
+    return true;
+  };
+
+  /**
+   * Rank documents against a query
+   * @param {string} query - Query text
+   * @param {number} k - Number of results
+   * @param {Function} filter - Optional predicate on document attrs
+   * @returns {Array<{id: string, score: number, attrs: Object}>} Results, best first
+   */
+  const search = (query, k = 5, filter = null) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || docs.size === 0) return [];
+
+    const avgLength = totalLength / docs.size || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const ids = postings.get(term);
+      if (!ids) continue;
+
+      const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+
+      for (const id of ids) {
+        const doc = docs.get(id);
+        if (filter && !filter(doc.attrs)) continue;
+
+        const tf = doc.termFreqs.get(term);
+        const norm = tf + k1 * (1 - b + b * (doc.length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * (tf * (k1 + 1)) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, k)
+      .map(([id, score]) => ({ id, score, attrs: docs.get(id).attrs }));
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    has: (id) => docs.has(id),
+    get size() { return docs.size; },
+    get termCount() { return postings.size; }
+  };
+};
+
+module.exports = {
+  createBm25Index,
+  tokenize,
+  DEFAULT_K1,
+  DEFAULT_B
+};
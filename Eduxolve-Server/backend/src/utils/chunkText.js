@@ -1,15 +1,52 @@
 /**
  * Text Chunking Utility
- * 
+ *
  * Splits content into semantically meaningful chunks for embedding.
- * Preserves context boundaries (paragraphs, code blocks, sections).
+ * Markdown is split along its heading hierarchy (each chunk keeps the
+ * heading path it sits under), source code along function/class
+ * boundaries, and sizes are measured in tokens.
+ * Every chunk is a contiguous slice of the input text.
  */
 
-// Configuration
-const DEFAULT_CHUNK_SIZE = 500; // ~500 tokens (approx 400 words)
-const DEFAULT_OVERLAP = 50; // Overlap for context continuity
-const MIN_CHUNK_SIZE = 100;
-const MAX_CHUNK_SIZE = 1000;
+const { countTokens } = require('gpt-tokenizer/encoding/cl100k_base');
+
+// Configuration (sizes in tokens)
+const DEFAULT_CHUNK_SIZE = 300;
+const DEFAULT_OVERLAP = 40; // Overlap for context continuity
+const MIN_CHUNK_SIZE = 10; // Smaller text chunks (e.g. a lone heading) are dropped
+const MAX_CHUNK_SIZE = 600; // Code: keep whole functions together
+const BREADCRUMB_SEPARATOR = ' > ';
+
+// Tokenizing a long run without whitespace takes quadratic time (50 KB: ~3 s),
+// so text with such a run is cut by characters instead of being counted whole
+const LONG_RUN_CHARS = 2000;
+const HARD_SPLIT_CHARS_PER_TOKEN = 4; // First guess when cutting by characters
+
+// Boundaries tried in order when a range is too large
+const TEXT_SEPARATORS = [/\n[ \t]*\n/g, /\n/g, /(?<=[.!?])\s+/g, /\s+/g];
+const CODE_SEPARATORS = [/\n[ \t]*\n/g, /\n/g];
+
+// How a language delimits functions and classes
+const CODE_STYLES = {
+  python: 'indent',
+  py: 'indent',
+  javascript: 'brace',
+  js: 'brace',
+  jsx: 'brace',
+  typescript: 'brace',
+  ts: 'brace',
+  java: 'brace',
+  c: 'brace',
+  h: 'brace',
+  cpp: 'brace',
+  'c++': 'brace',
+  'c/c++': 'brace',
+  hpp: 'brace',
+  csharp: 'brace',
+  cs: 'brace'
+};
+
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'function']);
 
 /**
  * Detect content type from text
@@ -37,111 +74,477 @@ const detectContentType = (text) => {
 };
 
 /**
- * Extract code blocks from text
- * @param {string} text - Text containing code blocks
- * @returns {Object} { codeBlocks: string[], textWithoutCode: string }
+ * Chunking style for a language name or file type
+ * @param {string} language - e.g. 'python', 'js', 'c/c++'
+ * @returns {string|null} 'indent' | 'brace' | null
+ */
+const getCodeStyle = (language) => CODE_STYLES[String(language || '').toLowerCase()] || null;
+
+/**
+ * Find fenced code blocks in a range of markdown
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array<{start: number, end: number, codeStart: number, codeEnd: number, language: string}>}
  */
-const extractCodeBlocks = (text) => {
-  const codeBlockRegex = /```(\w*)\n?([\s\S]*?)```/g;
-  const codeBlocks = [];
-  let textWithoutCode = text;
+const findCodeFences = (text, start, end) => {
+  const fenceRegex = /```([\w+#/-]*)[^\n]*\n([\s\S]*?)```/g;
+  const fences = [];
+  const range = text.slice(start, end);
 
   let match;
-  while ((match = codeBlockRegex.exec(text)) !== null) {
-    codeBlocks.push({
-      language: match[1] || 'unknown',
-      code: match[2].trim(),
-      original: match[0]
+  while ((match = fenceRegex.exec(range)) !== null) {
+    const codeStart = start + match.index + match[0].indexOf('\n') + 1;
+    fences.push({
+      start: start + match.index,
+      end: start + match.index + match[0].length,
+      codeStart,
+      codeEnd: codeStart + match[2].length,
+      language: match[1] || 'unknown'
     });
   }
 
-  // Remove code blocks from text for separate processing
-  textWithoutCode = text.replace(codeBlockRegex, '\n[CODE_BLOCK]\n');
+  return fences;
+};
+
+/**
+ * Split markdown into sections at headings, tracking the heading hierarchy
+ * Headings inside code fences are ignored.
+ * @param {string} text - Markdown text
+ * @returns {Array<{start: number, end: number, path: string[]}>} Sections with their heading path
+ */
+const splitByHeadings = (text) => {
+  const sections = [];
+  const headings = []; // [{ level, title }]
+  let sectionStart = 0;
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (offset > sectionStart) {
+        sections.push({ start: sectionStart, end: offset, path: headings.map(h => h.title) });
+      }
+      const level = heading[1].length;
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({ level, title: heading[2].replace(/[*_`]/g, '').trim() });
+      sectionStart = offset;
+    }
 
-  return { codeBlocks, textWithoutCode };
+    offset += line.length + 1;
+  }
+
+  sections.push({ start: sectionStart, end: text.length, path: headings.map(h => h.title) });
+  return sections.filter(section => text.slice(section.start, section.end).trim());
+};
+
+/**
+ * Token count of a slice, or Infinity when it holds a run too long to
+ * tokenize quickly (such slices are always split further)
+ * @param {string} slice - Text
+ * @returns {number}
+ */
+const measureTokens = (slice) => {
+  const hasLongRun = slice.length > LONG_RUN_CHARS && slice.split(/\s+/).some(run => run.length > LONG_RUN_CHARS);
+  return hasLongRun ? Infinity : countTokens(slice);
 };
 
 /**
- * Split text by semantic boundaries
- * @param {string} text - Text to split
- * @returns {string[]} Array of semantic sections
+ * Cut a range by characters into pieces of at most maxTokens
+ * Last resort for text without usable boundaries (minified code, a long
+ * URL or base64 blob). A piece that is still too large is shrunk in
+ * proportion to its token count until it fits.
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {number} maxTokens - Token limit per piece
+ * @returns {Array<{start: number, end: number, tokens: number}>}
  */
-const splitBySections = (text) => {
-  // Split by headers (markdown)
-  const headerRegex = /^#{1,6}\s+.+$/gm;
-  
-  // Split by double newlines (paragraphs)
-  const paragraphRegex = /\n\n+/g;
+const hardSplit = (text, start, end, maxTokens) => {
+  const pieces = [];
+  const maxChars = Math.max(1, Math.min(maxTokens * HARD_SPLIT_CHARS_PER_TOKEN, LONG_RUN_CHARS));
+  let pieceStart = start;
+
+  while (pieceStart < end) {
+    let pieceEnd = Math.min(end, pieceStart + maxChars);
+    let tokens = countTokens(text.slice(pieceStart, pieceEnd));
+    while (tokens > maxTokens && pieceEnd - pieceStart > 1) {
+      pieceEnd = pieceStart + Math.max(1, Math.floor((pieceEnd - pieceStart) * maxTokens / tokens));
+      tokens = countTokens(text.slice(pieceStart, pieceEnd));
+    }
 
-  // First try to split by headers
-  const sections = text.split(headerRegex).filter(s => s.trim());
-  
-  if (sections.length > 1) {
-    return sections;
+    // Never cut a surrogate pair in half
+    const lastCode = text.charCodeAt(pieceEnd - 1);
+    if (pieceEnd < end && pieceEnd - pieceStart > 1 && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+      pieceEnd--;
+      tokens = countTokens(text.slice(pieceStart, pieceEnd));
+    }
+
+    if (text.slice(pieceStart, pieceEnd).trim()) {
+      pieces.push({ start: pieceStart, end: pieceEnd, tokens });
+    }
+    pieceStart = pieceEnd;
   }
 
-  // Fallback to paragraph splitting
-  return text.split(paragraphRegex).filter(s => s.trim());
+  return pieces;
 };
 
 /**
- * Chunk text with overlap
- * @param {string} text - Text to chunk
- * @param {number} maxSize - Maximum chunk size in characters
- * @param {number} overlap - Overlap between chunks
- * @returns {string[]} Array of chunks
+ * Split a range into pieces of at most maxTokens
+ * Uses the coarsest boundary that works (for text: paragraphs, then lines,
+ * sentences, words); a piece with no boundary left is cut by characters.
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {number} maxTokens - Token limit per piece
+ * @param {RegExp[]} separators - Boundaries to try, coarsest first
+ * @returns {Array<{start: number, end: number, tokens: number}>}
  */
-const chunkWithOverlap = (text, maxSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_OVERLAP) => {
-  const words = text.split(/\s+/);
+const splitRange = (text, start, end, maxTokens, separators = TEXT_SEPARATORS) => {
+  const tokens = measureTokens(text.slice(start, end));
+  if (tokens <= maxTokens) return [{ start, end, tokens }];
+  if (separators.length === 0) return hardSplit(text, start, end, maxTokens);
+
+  const separator = new RegExp(separators[0].source, 'g');
+  const range = text.slice(start, end);
+  const pieces = [];
+  let pieceStart = 0;
+
+  let match;
+  while ((match = separator.exec(range)) !== null) {
+    if (match[0].length === 0) {
+      separator.lastIndex++;
+      continue;
+    }
+    pieces.push([pieceStart, match.index]);
+    pieceStart = match.index + match[0].length;
+  }
+  pieces.push([pieceStart, range.length]);
+
+  return pieces
+    .filter(([from, to]) => range.slice(from, to).trim())
+    .flatMap(([from, to]) => (pieces.length === 1
+      ? splitRange(text, start + from, start + to, maxTokens, separators.slice(1))
+      : splitRange(text, start + from, start + to, maxTokens, separators)));
+};
+
+/**
+ * Pack consecutive units into chunks of at most maxTokens
+ * The last units of a chunk (up to overlapTokens) are repeated at the
+ * start of the next one. Units with a different group (e.g. members of
+ * another class) always start a new chunk.
+ * @param {string} text - Full text
+ * @param {Object[]} units - { start, end, tokens, path, group? } in text order
+ * @param {number} maxTokens - Token limit per chunk
+ * @param {number} overlapTokens - Overlap between chunks
+ * @returns {Array<{start: number, end: number, units: Object[]}>}
+ */
+const packUnits = (text, units, maxTokens, overlapTokens = 0) => {
   const chunks = [];
-  
-  if (words.length * 5 <= maxSize) {
-    // Text is small enough, return as single chunk
-    return [text.trim()];
+  let current = [];
+
+  const flush = () => {
+    chunks.push({ start: current[0].start, end: current[current.length - 1].end, units: current });
+  };
+
+  for (const unit of units) {
+    if (current.length > 0 && unit.group !== current[0].group) {
+      flush();
+      current = [];
+    }
+
+    // Measure the joined text: separators between units count too
+    if (current.length > 0 && measureTokens(text.slice(current[0].start, unit.end)) > maxTokens) {
+      flush();
+
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i >= 0 && overlapSize + current[i].tokens <= overlapTokens; i--) {
+        overlap.unshift(current[i]);
+        overlapSize += current[i].tokens;
+      }
+
+      // Drop the overlap rather than exceed the limit
+      const keepOverlap = overlap.length > 0 && measureTokens(text.slice(overlap[0].start, unit.end)) <= maxTokens;
+      current = keepOverlap ? overlap : [];
+    }
+
+    current.push(unit);
   }
 
-  let currentChunk = [];
-  let currentLength = 0;
-
-  for (const word of words) {
-    const wordLength = word.length + 1; // +1 for space
-    
-    if (currentLength + wordLength > maxSize && currentChunk.length > 0) {
-      // Save current chunk
-      chunks.push(currentChunk.join(' '));
-      
-      // Start new chunk with overlap
-      const overlapWords = Math.floor(overlap / 5); // Approximate words for overlap
-      currentChunk = currentChunk.slice(-overlapWords);
-      currentLength = currentChunk.join(' ').length;
-    }
-    
-    currentChunk.push(word);
-    currentLength += wordLength;
+  if (current.length > 0) flush();
+
+  return chunks;
+};
+
+/**
+ * Longest path shared by every unit of a chunk
+ * @param {string[][]} paths - Unit paths
+ * @returns {string[]}
+ */
+const commonPath = (paths) => paths.reduce((prefix, path) => {
+  let i = 0;
+  while (i < prefix.length && prefix[i] === path[i]) i++;
+  return prefix.slice(0, i);
+});
+
+/**
+ * Split text into lines with their offsets
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+const getLines = (text, start, end) => {
+  const lines = [];
+  let lineStart = start;
+
+  while (lineStart < end) {
+    const newline = text.indexOf('\n', lineStart);
+    const lineEnd = newline === -1 || newline >= end ? end : newline;
+    lines.push({ start: lineStart, end: lineEnd, text: text.slice(lineStart, lineEnd) });
+    lineStart = lineEnd + 1;
   }
 
-  // Add remaining chunk
-  if (currentChunk.length > 0) {
-    chunks.push(currentChunk.join(' '));
+  return lines;
+};
+
+const indentOf = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+
+/**
+ * Find Python functions and classes at the outermost indentation of a range
+ * Decorators and comments directly above a definition belong to it.
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array<{start: number, end: number, bodyStart: number, bodyEnd: number, kind: string, name: string}>}
+ */
+const findIndentBlocks = (text, start, end) => {
+  const lines = getLines(text, start, end);
+  const indents = lines.filter(line => line.text.trim()).map(line => indentOf(line.text));
+  if (indents.length === 0) return [];
+
+  const base = Math.min(...indents);
+  const blocks = [];
+  let current = null;
+  let leadStart = null; // First decorator/comment line above the next definition
+
+  for (const line of lines) {
+    const trimmed = line.text.trim();
+
+    if (!trimmed) {
+      if (!current) leadStart = null;
+      continue;
+    }
+
+    if (indentOf(line.text) > base) {
+      if (current) current.end = line.end;
+      continue;
+    }
+
+    if (current) {
+      blocks.push(current);
+      current = null;
+    }
+
+    const definition = trimmed.match(/^(?:async\s+def|def|class)\s+(\w+)/);
+    if (definition) {
+      const isClass = trimmed.startsWith('class');
+      current = {
+        start: leadStart ?? line.start,
+        end: line.end,
+        bodyStart: Math.min(line.end + 1, end),
+        kind: isClass ? 'class' : 'function',
+        name: isClass ? `class ${definition[1]}` : `${definition[1]}()`
+      };
+      leadStart = null;
+    } else if (trimmed.startsWith('@') || trimmed.startsWith('#')) {
+      leadStart = leadStart ?? line.start;
+    } else {
+      leadStart = null;
+    }
   }
 
-  return chunks;
+  if (current) blocks.push(current);
+  return blocks.map(block => ({ ...block, bodyEnd: block.end }));
+};
+
+/**
+ * Index just past a string literal that starts at i (single-line for ' and ")
+ * @param {string} text - Full text
+ * @param {number} i - Index of the opening quote
+ * @param {number} end - Range end
+ * @returns {number}
+ */
+const skipString = (text, i, end) => {
+  const quote = text[i];
+  for (let j = i + 1; j < end; j++) {
+    if (text[j] === '\\') {
+      j++;
+    } else if (text[j] === quote) {
+      return j + 1;
+    } else if (text[j] === '\n' && quote !== '`') {
+      return j;
+    }
+  }
+  return end;
+};
+
+/**
+ * Name and kind of a brace block from the code before its "{"
+ * @param {string} header - Declaration text
+ * @returns {{kind: string, name: string|null}}
+ */
+const describeBraceBlock = (header) => {
+  const declaration = header.replace(/\s+/g, ' ').trim();
+
+  const type = declaration.match(/\b(class|struct|interface|enum|namespace)\s+([A-Za-z_$][\w$]*)/);
+  if (type) return { kind: 'class', name: `${type[1]} ${type[2]}` };
+
+  const assigned = declaration.match(/([A-Za-z_$][\w$]*)\s*[=:]\s*(?:async\s*)?(?:function\b[^(]*)?\([^()]*\)\s*(?:=>)?\s*$/);
+  if (assigned) return { kind: 'function', name: `${assigned[1]}()` };
+
+  const declared = declaration.match(/([A-Za-z_$~][\w$:~]*)\s*\([^()]*\)[^()]*$/);
+  if (declared && !CONTROL_KEYWORDS.has(declared[1])) return { kind: 'function', name: `${declared[1]}()` };
+
+  return { kind: 'block', name: null };
+};
+
+/**
+ * Find top-level brace blocks (functions, classes, ...) in a range of C-like code
+ * Strings, comments and preprocessor lines are skipped. A block starts after
+ * the previous top-level statement, so leading comments and annotations
+ * belong to it.
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array<{start: number, end: number, bodyStart: number, bodyEnd: number, kind: string, name: string|null}>}
+ */
+const findBraceBlocks = (text, start, end) => {
+  const blocks = [];
+  let depth = 0;
+  let statementStart = start;
+  let open = null;
+
+  const lineEnd = (i) => {
+    const newline = text.indexOf('\n', i);
+    return newline === -1 || newline > end ? end : newline;
+  };
+
+  for (let i = start; i < end; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '/' && next === '/') {
+      i = lineEnd(i) - 1;
+    } else if (ch === '/' && next === '*') {
+      const close = text.indexOf('*/', i + 2);
+      i = close === -1 || close >= end ? end : close + 1;
+    } else if (ch === '"' || ch === '\'' || ch === '`') {
+      i = skipString(text, i, end) - 1;
+    } else if (ch === '#' && depth === 0 && /^[ \t]*$/.test(text.slice(text.lastIndexOf('\n', i - 1) + 1, i))) {
+      // Preprocessor directive: a statement of its own
+      i = lineEnd(i);
+      statementStart = i;
+    } else if (ch === '{') {
+      if (depth === 0) open = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth === 0 && open !== null) {
+        const blockStart = statementStart + (text.slice(statementStart, open).length - text.slice(statementStart, open).trimStart().length);
+        const blockEnd = lineEnd(i);
+        blocks.push({
+          start: blockStart,
+          end: blockEnd,
+          bodyStart: open + 1,
+          bodyEnd: i,
+          ...describeBraceBlock(text.slice(blockStart, open))
+        });
+        statementStart = blockEnd;
+        open = null;
+      }
+    } else if (ch === ';' && depth === 0) {
+      statementStart = Math.max(statementStart, i + 1);
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Split source code into units of whole functions/classes where they fit
+ * Classes over the limit are split into their members; other oversized
+ * blocks fall back to blank-line and line boundaries.
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {string|null} style - 'indent' | 'brace' | null (no structure)
+ * @param {string[]} path - Enclosing symbols
+ * @param {number} maxTokens - Token limit per unit
+ * @returns {Object[]} Units { start, end, tokens, path, group }
+ */
+const codeUnits = (text, start, end, style, path, maxTokens) => {
+  const units = [];
+  const group = path.join('\n');
+  const addLines = (from, to, unitPath, unitGroup = group) => {
+    if (!text.slice(from, to).trim()) return;
+    units.push(...splitRange(text, from, to, maxTokens, CODE_SEPARATORS).map(unit => ({ ...unit, path: unitPath, group: unitGroup })));
+  };
+
+  if (!style) {
+    addLines(start, end, path);
+    return units;
+  }
+
+  const blocks = style === 'indent' ? findIndentBlocks(text, start, end) : findBraceBlocks(text, start, end);
+  let cursor = start;
+
+  for (const block of blocks) {
+    addLines(cursor, block.start, path);
+
+    const blockPath = block.name ? [...path, block.name] : path;
+    const tokens = measureTokens(text.slice(block.start, block.end));
+
+    if (tokens <= maxTokens) {
+      units.push({ start: block.start, end: block.end, tokens, path: blockPath, group });
+    } else if (block.kind === 'class') {
+      // Header and closing brace go with the members
+      const blockGroup = blockPath.join('\n');
+      addLines(block.start, block.bodyStart, blockPath, blockGroup);
+      units.push(...codeUnits(text, block.bodyStart, block.bodyEnd, style, blockPath, maxTokens));
+      addLines(block.bodyEnd, block.end, blockPath, blockGroup);
+    } else {
+      // Pieces of one long function are not mixed with other code
+      addLines(block.start, block.end, blockPath, `${blockPath.join('\n')}\n#${block.start}`);
+    }
+
+    cursor = block.end;
+  }
+
+  addLines(cursor, end, path);
+  return units;
 };
 
 /**
  * Main chunking function
  * @param {string} text - Full text content
  * @param {Object} options - Chunking options
- * @param {number} options.chunkSize - Target chunk size
- * @param {number} options.overlap - Overlap between chunks
+ * @param {number} options.chunkSize - Target chunk size in tokens
+ * @param {number} options.overlap - Overlap between text chunks in tokens
  * @param {string} options.contentType - Force content type
- * @returns {Object[]} Array of chunk objects
+ * @param {string} options.language - Language of a source file; chunks the whole text as code
+ * @returns {Object[]} Array of chunk objects ({ text, type, language, path, tokens, ... })
  */
 const chunkText = (text, options = {}) => {
   const {
     chunkSize = DEFAULT_CHUNK_SIZE,
     overlap = DEFAULT_OVERLAP,
-    contentType = null
+    contentType = null,
+    language = null
   } = options;
 
   if (!text || typeof text !== 'string') {
@@ -151,63 +554,84 @@ const chunkText = (text, options = {}) => {
   const chunks = [];
   const detectedType = contentType || detectContentType(text);
 
-  // Extract code blocks first
-  const { codeBlocks, textWithoutCode } = extractCodeBlocks(text);
+  const addChunks = (packed, fields) => {
+    for (const chunk of packed) {
+      const chunkBody = text.slice(chunk.start, chunk.end).trim();
+      const tokens = countTokens(chunkBody);
+      // Tiny pieces (a lone heading, an import line) are noise; a short snippet on its own is kept
+      if (tokens < MIN_CHUNK_SIZE && !(fields.isCodeBlock && packed.length === 1)) continue;
 
-  // Process code blocks as separate chunks
-  for (const block of codeBlocks) {
-    // For code, use larger chunks to preserve logic
-    const codeChunks = chunkWithOverlap(block.code, MAX_CHUNK_SIZE, overlap);
-    
-    for (let i = 0; i < codeChunks.length; i++) {
       chunks.push({
-        text: codeChunks[i],
-        type: 'code',
-        language: block.language,
-        index: chunks.length,
-        isCodeBlock: true
+        text: chunkBody,
+        ...fields,
+        path: commonPath(chunk.units.map(unit => unit.path)),
+        tokens,
+        index: chunks.length
       });
     }
+  };
+
+  // Source files: the whole text is code
+  const fileStyle = getCodeStyle(language);
+  if (fileStyle) {
+    addChunks(
+      packUnits(text, codeUnits(text, 0, text.length, fileStyle, [], MAX_CHUNK_SIZE), MAX_CHUNK_SIZE),
+      { type: 'code', language, isCodeBlock: true }
+    );
+    return chunks;
   }
 
-  // Process theory text
-  const sections = splitBySections(textWithoutCode);
-  
-  for (const section of sections) {
-    // Skip placeholder markers
-    if (section.trim() === '[CODE_BLOCK]') continue;
-    
-    const sectionChunks = chunkWithOverlap(section, chunkSize, overlap);
-    
-    for (const chunk of sectionChunks) {
-      if (chunk.trim().length >= MIN_CHUNK_SIZE / 5) { // Min words
-        chunks.push({
-          text: chunk.trim(),
-          type: detectedType === 'code' ? 'lab' : 'theory',
-          index: chunks.length,
-          isCodeBlock: false
-        });
-      }
+  // Markdown/plain text: one run of chunks per section, code blocks apart
+  for (const section of splitByHeadings(text)) {
+    let cursor = section.start;
+    const addText = (from, to) => {
+      if (!text.slice(from, to).trim()) return;
+      const units = splitRange(text, from, to, chunkSize).map(unit => ({ ...unit, path: section.path }));
+      addChunks(packUnits(text, units, chunkSize, overlap), {
+        type: detectedType === 'code' ? 'lab' : 'theory',
+        isCodeBlock: false
+      });
+    };
+
+    for (const fence of findCodeFences(text, section.start, section.end)) {
+      addText(cursor, fence.start);
+      const units = codeUnits(text, fence.codeStart, fence.codeEnd, getCodeStyle(fence.language), section.path, MAX_CHUNK_SIZE);
+      addChunks(packUnits(text, units, MAX_CHUNK_SIZE), { type: 'code', language: fence.language, isCodeBlock: true });
+      cursor = fence.end;
     }
+
+    addText(cursor, section.end);
   }
 
   return chunks;
 };
 
+/**
+ * Breadcrumb of a chunk, e.g. "Week 3 > Stacks > Array implementation"
+ * @param {string} title - Document title (root of the breadcrumb)
+ * @param {string[]} path - Heading or symbol path of the chunk
+ * @returns {string|null}
+ */
+const formatBreadcrumb = (title, path = []) => {
+  const parts = title && path[0]?.toLowerCase() !== title.toLowerCase() ? [title, ...path] : path;
+  return parts.length > 0 ? parts.join(BREADCRUMB_SEPARATOR) : null;
+};
+
 /**
  * Chunk content for indexing (higher-level function)
  * @param {string} text - Content text
- * @param {Object} metadata - Content metadata
+ * @param {Object} metadata - Content metadata ({ contentId, title, week, topic, contentType, language })
  * @returns {Object[]} Chunks with metadata
  */
 const chunkForIndexing = (text, metadata = {}) => {
-  const { week, topic, contentType, contentId } = metadata;
-  
-  const chunks = chunkText(text, { contentType });
-  
+  const { week, topic, contentType, contentId, title, language } = metadata;
+
+  const chunks = chunkText(text, { contentType, language });
+
   return chunks.map((chunk, index) => ({
     ...chunk,
     contentId,
+    breadcrumb: formatBreadcrumb(title, chunk.path),
     metadata: {
       week,
       topic,
@@ -217,24 +641,16 @@ const chunkForIndexing = (text, metadata = {}) => {
   }));
 };
 
-/**
- * Estimate token count (rough approximation)
- * @param {string} text - Text to estimate
- * @returns {number} Estimated token count
- */
-const estimateTokens = (text) => {
-  // Rough estimate: 1 token ≈ 4 characters for English
-  return Math.ceil(text.length / 4);
-};
-
 module.exports = {
   chunkText,
   chunkForIndexing,
   detectContentType,
-  extractCodeBlocks,
-  splitBySections,
-  chunkWithOverlap,
-  estimateTokens,
+  getCodeStyle,
+  findCodeFences,
+  splitByHeadings,
+  splitRange,
+  formatBreadcrumb,
+  countTokens,
   DEFAULT_CHUNK_SIZE,
   DEFAULT_OVERLAP,
   MIN_CHUNK_SIZE,
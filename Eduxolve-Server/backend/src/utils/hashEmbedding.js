@@ -0,0 +1,55 @@
+/**
+ * Hash Embedding Utility
+ *
+ * Deterministic bag-of-words embedding: each word is hashed into a few
+ * dimensions and the vector is L2-normalized. No model or network needed,
+ * so it backs both the embedding fallback and the mock LLM provider.
+ */
+
+/**
+ * Embed text by hashing its words into a fixed-size vector
+ * @param {string} text - Text to embed
+ * @param {number} dimension - Vector size
+ * @returns {number[]} Normalized embedding vector
+ */
+const hashEmbedding = (text, dimension) => {
+  // Normalize text
+  const normalizedText = text.toLowerCase().replace(/[^\w\s]/g, '');
+  const words = normalizedText.split(/\s+/).filter(w => w.length > 2);
+
+  const vector = new Array(dimension).fill(0);
+
+  for (const word of words) {
+    // Hash word to get indices
+    let hash = 0;
+    for (let i = 0; i < word.length; i++) {
+      hash = ((hash << 5) - hash) + word.charCodeAt(i);
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+
+    // Use hash to set multiple dimensions
+    const indices = [
+      Math.abs(hash) % dimension,
+      Math.abs(hash * 31) % dimension,
+      Math.abs(hash * 37) % dimension
+    ];
+
+    for (const idx of indices) {
+      vector[idx] += 1;
+    }
+  }
+
+  // Normalize the vector
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  if (magnitude > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= magnitude;
+    }
+  }
+
+  return vector;
+};
+
+module.exports = {
+  hashEmbedding
+};
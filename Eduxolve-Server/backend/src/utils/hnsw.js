@@ -0,0 +1,312 @@
+/**
+ * HNSW Graph Utility
+ *
+ * In-process approximate nearest-neighbour index (Hierarchical Navigable
+ * Small World graph) over cosine similarity.
+ * Pure data structure - no database access, persistence is handled by
+ * the vector index service via serialize/deserialize.
+ */
+
+// Configuration
+const DEFAULT_M = 16; // Max neighbours per node on upper layers
+const DEFAULT_EF_CONSTRUCTION = 200; // Candidate list size while inserting
+const DEFAULT_EF_SEARCH = 64; // Candidate list size while searching
+
+/**
+ * Normalize a vector to unit length so dot product == cosine similarity
+ * @param {number[]|Float32Array} vector - Input vector
+ * @returns {Float32Array} Normalized copy
+ */
+const normalizeVector = (vector) => {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+};
+
+/**
+ * Dot product of two equal-length vectors
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} Dot product
+ */
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+/**
+ * Insert into an array kept sorted by descending score
+ * @param {Array<{node: number, score: number}>} list - Sorted list
+ * @param {{node: number, score: number}} item - Item to insert
+ */
+const insertSorted = (list, item) => {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].score > item.score) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, item);
+};
+
+/**
+ * Create an empty HNSW graph
+ * @param {Object} options - Graph options
+ * @param {number} options.M - Max neighbours per node
+ * @param {number} options.efConstruction - Build-time candidate list size
+ * @param {number} options.efSearch - Query-time candidate list size
+ * @returns {Object} Graph API
+ */
+const createHnswGraph = (options = {}) => {
+  const M = options.M || DEFAULT_M;
+  const maxM0 = M * 2; // Layer 0 is denser
+  const efConstruction = options.efConstruction || DEFAULT_EF_CONSTRUCTION;
+  const efSearch = options.efSearch || DEFAULT_EF_SEARCH;
+  const levelMult = 1 / Math.log(M);
+
+  // Node storage
+  const nodes = []; // { id, vector, level, neighbors: number[][], deleted, attrs }
+  const idToNode = new Map();
+  let entryPoint = -1;
+  let maxLevel = -1;
+  let dimension = options.dimension || null;
+  let deletedCount = 0;
+
+  const randomLevel = () => Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * levelMult);
+
+  /**
+   * Best-first search within a single layer
+   * @returns {Array<{node: number, score: number}>} Up to ef results, best first
+   */
+  const searchLayer = (query, entryNodes, ef, level) => {
+    const visited = new Set(entryNodes);
+    const candidates = [];
+    const results = [];
+
+    for (const node of entryNodes) {
+      const item = { node, score: dot(query, nodes[node].vector) };
+      insertSorted(candidates, item);
+      insertSorted(results, item);
+    }
+
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      const worst = results[results.length - 1];
+      if (results.length >= ef && current.score < worst.score) break;
+
+      const neighbors = nodes[current.node].neighbors[level] || [];
+      for (const neighbor of neighbors) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const score = dot(query, nodes[neighbor].vector);
+        if (results.length < ef || score > results[results.length - 1].score) {
+          const item = { node: neighbor, score };
+          insertSorted(candidates, item);
+          insertSorted(results, item);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  };
+
+  /**
+   * Keep only the closest neighbours of a node on a layer
+   */
+  const pruneNeighbors = (nodeIndex, level) => {
+    const limit = level === 0 ? maxM0 : M;
+    const node = nodes[nodeIndex];
+    if (node.neighbors[level].length <= limit) return;
+
+    node.neighbors[level] = node.neighbors[level]
+      .map(n => ({ node: n, score: dot(node.vector, nodes[n].vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(n => n.node);
+  };
+
+  /**
+   * Add a vector to the graph
+   * @param {string} id - External id (e.g. Embedding _id)
+   * @param {number[]} vector - Embedding vector
+   * @param {Object} attrs - Attributes used for filtering (type, week, topic, contentId)
+   */
+  const add = (id, vector, attrs = {}) => {
+    if (dimension === null) dimension = vector.length;
+    if (vector.length !== dimension) {
+      throw new Error(`Vector dimension mismatch: expected ${dimension}, got ${vector.length}`);
+    }
+
+    // Re-adding an id replaces the previous entry
+    if (idToNode.has(id)) remove(id);
+
+    const level = randomLevel();
+    const nodeIndex = nodes.length;
+    const node = {
+      id,
+      vector: normalizeVector(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false,
+      attrs
+    };
+    nodes.push(node);
+    idToNode.set(id, nodeIndex);
+
+    if (entryPoint === -1) {
+      entryPoint = nodeIndex;
+      maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through layers above the new node's level
+    let current = [entryPoint];
+    for (let l = maxLevel; l > level; l--) {
+      current = [searchLayer(node.vector, current, 1, l)[0].node];
+    }
+
+    // Connect on each layer from min(level, maxLevel) down to 0
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      const found = searchLayer(node.vector, current, efConstruction, l);
+      const selected = found.slice(0, l === 0 ? maxM0 : M).map(f => f.node);
+
+      node.neighbors[l] = selected;
+      for (const neighbor of selected) {
+        nodes[neighbor].neighbors[l].push(nodeIndex);
+        pruneNeighbors(neighbor, l);
+      }
+
+      current = found.map(f => f.node);
+    }
+
+    if (level > maxLevel) {
+      maxLevel = level;
+      entryPoint = nodeIndex;
+    }
+  };
+
+  /**
+   * Remove a vector (tombstoned - it still routes searches but is never returned)
+   * @param {string} id - External id
+   * @returns {boolean} True if the id was present
+   */
+  const remove = (id) => {
+    const nodeIndex = idToNode.get(id);
+    if (nodeIndex === undefined) return false;
+
+    nodes[nodeIndex].deleted = true;
+    idToNode.delete(id);
+    deletedCount++;
+    return true;
+  };
+
+  /**
+   * Find approximate nearest neighbours
+   * @param {number[]} vector - Query vector
+   * @param {number} k - Number of results
+   * @param {Function} filter - Optional predicate on node attrs
+   * @returns {Array<{id: string, score: number, attrs: Object}>} Results, best first
+   */
+  const search = (vector, k = 5, filter = null) => {
+    if (entryPoint === -1 || vector.length !== dimension) return [];
+
+    const query = normalizeVector(vector);
+    let current = [entryPoint];
+    for (let l = maxLevel; l > 0; l--) {
+      current = [searchLayer(query, current, 1, l)[0].node];
+    }
+
+    // Widen the beam when filtering or when many nodes are tombstoned
+    const ef = Math.max(efSearch, k * (filter ? 8 : 2));
+    const found = searchLayer(query, current, ef, 0);
+
+    const results = [];
+    for (const { node, score } of found) {
+      const entry = nodes[node];
+      if (entry.deleted) continue;
+      if (filter && !filter(entry.attrs)) continue;
+      results.push({ id: entry.id, score, attrs: entry.attrs });
+      if (results.length >= k) break;
+    }
+    return results;
+  };
+
+  /**
+   * Serialize graph to a plain object (vectors as base64 Float32)
+   * Tombstoned nodes are kept so neighbour indexes stay valid
+   * @returns {Object} Serializable snapshot
+   */
+  const serialize = () => ({
+    version: 1,
+    M,
+    efConstruction,
+    efSearch,
+    dimension,
+    entryPoint,
+    maxLevel,
+    nodes: nodes.map(n => ({
+      id: n.id,
+      level: n.level,
+      deleted: n.deleted,
+      attrs: n.attrs,
+      neighbors: n.neighbors,
+      vector: Buffer.from(n.vector.buffer, n.vector.byteOffset, n.vector.byteLength).toString('base64')
+    }))
+  });
+
+  /**
+   * Restore graph state from a serialized snapshot
+   * @param {Object} snapshot - Output of serialize()
+   */
+  const load = (snapshot) => {
+    nodes.length = 0;
+    idToNode.clear();
+    deletedCount = 0;
+    dimension = snapshot.dimension;
+    entryPoint = snapshot.entryPoint;
+    maxLevel = snapshot.maxLevel;
+
+    snapshot.nodes.forEach((n, index) => {
+      const buffer = Buffer.from(n.vector, 'base64');
+      nodes.push({
+        id: n.id,
+        level: n.level,
+        deleted: n.deleted,
+        attrs: n.attrs || {},
+        neighbors: n.neighbors,
+        vector: new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength))
+      });
+      if (n.deleted) deletedCount++;
+      else idToNode.set(n.id, index);
+    });
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    serialize,
+    load,
+    has: (id) => idToNode.has(id),
+    get size() { return idToNode.size; },
+    get deletedCount() { return deletedCount; },
+    get dimension() { return dimension; }
+  };
+};
+
+module.exports = {
+  createHnswGraph,
+  normalizeVector,
+  DEFAULT_M,
+  DEFAULT_EF_CONSTRUCTION,
+  DEFAULT_EF_SEARCH
+};
@@ -0,0 +1,85 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset used for structured LLM output: type, properties,
+ * required, items, enum, minItems/maxItems, minLength, minimum/maximum
+ * and oneOf.
+ */
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Schema object
+ * @param {string} path - Location used in error messages
+ * @returns {string[]} Errors, empty when valid
+ */
+const validateSchema = (value, schema, path = '$') => {
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(option => validateSchema(value, option, path));
+    const matches = results.filter(errors => errors.length === 0).length;
+    if (matches === 1) return [];
+    if (matches > 1) return [`${path} matches more than one allowed shape`];
+    // Report the closest shape
+    return results.reduce((best, errors) => errors.length < best.length ? errors : best);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} should be ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,71 @@
+/**
+ * Server-Sent Events Utility
+ *
+ * Minimal SSE writer for streaming AI responses over a POST request.
+ * Aborts an AbortController when the client disconnects so the upstream
+ * model request can be cancelled.
+ */
+
+/**
+ * Check whether a request asked for a streamed response
+ * (`stream: true` in the body or `Accept: text/event-stream`)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const wantsEventStream = (req) => {
+  return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+};
+
+/**
+ * Switch the response into SSE mode
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), close(), signal, isClosed() }
+ */
+const openEventStream = (req, res) => {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  // Client went away (tab closed or cancel button) - stop upstream generation
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+    closed = true;
+  });
+
+  /**
+   * Write one event
+   * @param {string} event - Event name (start, token, done, error)
+   * @param {Object} data - JSON payload
+   */
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    res.end();
+  };
+
+  return {
+    send,
+    close,
+    signal: controller.signal,
+    isClosed: () => closed
+  };
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream
+};